@@ -0,0 +1,91 @@
+// Promise-based front end for board-worker.js.
+// When workers are unavailable (e.g. index.html opened via file://) the same
+// functions from board.js run on the main thread instead.
+
+class BoardService {
+    // Boards are generated from the base list of the language set through
+    // setDictionary() (see board-worker.js) and solved with its active dictionary
+    constructor() {
+        this.language = DEFAULT_LANGUAGE;
+        this.dictionary = languageDictionary(this.language);
+        this.pending = new Map();
+        this.nextId = 1;
+        this.worker = null;
+
+        try {
+            this.worker = new Worker('board-worker.js');
+            this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => this.handleWorkerFailure(e));
+        } catch (e) {
+            console.warn('Board worker unavailable, generating on the main thread.', e);
+            this.worker = null;
+        }
+    }
+
+    // `words` is the full word list behind `dictionary`, or null for the base
+    // list of `language`; later boards are rolled with that language's dice.
+    // With `morphology`, `dictionary` is an InflectedIndex over that list.
+    setDictionary(dictionary, words, language = DEFAULT_LANGUAGE, morphology = false) {
+        this.language = language;
+        this.dictionary = words || morphology ? dictionary : languageDictionary(language);
+        if (this.worker) this.worker.postMessage({ type: 'dictionary', words, language, morphology });
+    }
+
+    // Resolves with { grid, tiles, words, paths, rating } for the board the seed
+    // produces at this size and difficulty, with or without power-up tiles
+    // (`paths` as in solveBoard, so the engine never solves on the main thread)
+    requestBoard(size, seed, difficulty = DEFAULT_DIFFICULTY, powerups = false) {
+        return this.send({ type: 'generate', size, difficulty, seed, powerups }, () => {
+            const baseDictionary = languageDictionary(this.language);
+            const board = generateBoard(size, difficulty, baseDictionary, seed, powerups, this.language);
+            const { words, paths } = this.dictionary === baseDictionary ? board : solveBoard(board.grid, this.dictionary);
+            return { grid: board.grid, tiles: board.tiles, words, paths, rating: board.rating };
+        });
+    }
+
+    send(message, fallback) {
+        if (!this.worker) {
+            return new Promise((resolve, reject) => setTimeout(() => this.runFallback({ resolve, reject, fallback }), 0));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, fallback });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    handleMessage(msg) {
+        const request = this.pending.get(msg.id);
+        if (!request) return;
+        this.pending.delete(msg.id);
+
+        if (msg.type === 'error') {
+            console.warn('Board worker could not answer, retrying on the main thread.', msg.message);
+            this.runFallback(request);
+        } else {
+            request.resolve({ grid: msg.grid, tiles: msg.tiles, words: msg.words, paths: msg.paths, rating: msg.rating });
+        }
+    }
+
+    // A worker that fails to load (or crashes) hands its queue to the main thread
+    handleWorkerFailure(e) {
+        console.warn('Board worker failed, falling back to the main thread.', e.message);
+        this.worker.terminate();
+        this.worker = null;
+
+        this.pending.forEach(request => this.runFallback(request));
+        this.pending.clear();
+    }
+
+    // Settles a request with the main thread's answer, or with what stopped it
+    runFallback({ resolve, reject, fallback }) {
+        try {
+            resolve(fallback());
+        } catch (e) {
+            reject(e);
+        }
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { BoardService };
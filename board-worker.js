@@ -0,0 +1,39 @@
+// Web Worker that generates and solves boards off the main thread.
+//
+// Protocol (all messages carry the `id` of the request they answer):
+//   -> { type: 'generate', id, size, difficulty, seed, powerups }
+//                                                 <- { type: 'board', id, grid, tiles, words, paths, rating }
+//   -> { type: 'dictionary', words, language, morphology }
+//                                                 (no reply; applies to later requests)
+//   <- { type: 'error', id, message }
+
+importScripts(
+    'dictionary.js', 'dictionary-en.js', 'word-index.js', 'i18n.js', 'seed.js', 'rules.js', 'difficulty.js', 'board.js',
+    'morphology.js', 'lang-tr.js', 'lang-en.js'
+);
+
+// Boards are always generated from the language's base list so a seed gives
+// everyone the same grid; the player's dictionary only decides which words it contains.
+let language = DEFAULT_LANGUAGE;
+let dictionary = languageDictionary(language);
+
+self.addEventListener('message', (e) => {
+    const msg = e.data;
+    try {
+        if (msg.type === 'generate') {
+            const baseDictionary = languageDictionary(language);
+            const board = generateBoard(msg.size, msg.difficulty, baseDictionary, msg.seed, msg.powerups, language);
+            const { words, paths } = dictionary === baseDictionary ? board : solveBoard(board.grid, dictionary);
+            self.postMessage({ type: 'board', id: msg.id, grid: board.grid, tiles: board.tiles, words, paths, rating: board.rating });
+        } else if (msg.type === 'dictionary') {
+            language = msg.language;
+            const pack = getLanguagePack(language);
+            dictionary = msg.words ? WordIndex.fromWords(msg.words, pack.normalize) : languageDictionary(language);
+            if (msg.morphology && pack.endings) dictionary = new InflectedIndex(dictionary, pack.endings);
+        } else {
+            throw new Error(`Unknown message type: ${msg.type}`);
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', id: msg.id, message: err.message });
+    }
+});
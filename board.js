@@ -0,0 +1,212 @@
+// Board generation and solving.
+// Shared between the main thread and board-worker.js, so nothing here may touch the DOM.
+
+// Turkish dice, one set per board size.
+// Face counts follow Turkish letter frequencies (A, E, İ, N, R, L lead; Ç, Ğ, Ö, Ş, Ü
+// appear at roughly their share of running text) and are dealt across the dice so
+// every die carries at least one vowel.
+const TURKISH_ALPHABET = 'ABCÇDEFGĞHIİJKLMNOÖPRSŞTUÜVYZ';
+const DIE_FACES = 6;
+
+const DICE_SETS = {
+    // 4x4 (Klasik)
+    4: [
+        "AENIMO", "AERIYO", "AERIYÜ", "AİRKYÜ",
+        "AİRKUŞ", "AİRKUŞ", "AİRKUZ", "AİRKTG",
+        "AİLDTÇ", "AİLDTH", "ANLDSĞ", "ENLDSV",
+        "ENLDSC", "ENLMBÖ", "ENIMBP", "ENIMBF"
+    ],
+    // 5x5 (Büyük)
+    5: [
+        "AENIYO", "AERIYÜ", "AERIYÜ", "AERKUÜ", "AİRKUŞ",
+        "AİRKUŞ", "AİRKUŞ", "AİRKUZ", "AİRKTZ", "AİRKTG",
+        "AİRDTG", "AİLDTÇ", "AİLDTÇ", "AİLDSH", "AİLDSH",
+        "AİLDSĞ", "ANLDSĞ", "ENLMSV", "ENLMBV", "ENLMBC",
+        "ENIMBC", "ENIMBÖ", "ENIMOP", "ENIYOF", "ENIYOJ"
+    ],
+    // 6x6 (Süper)
+    6: [
+        "AENLMB", "AENLMO", "AENIMO", "AENIMO", "AENIMO", "AENIYO",
+        "AENIYÜ", "AENIYÜ", "AENIYÜ", "AENIYÜ", "AERIYŞ", "AİRIYŞ",
+        "AİRIUŞ", "AİRKUŞ", "AİRKUZ", "AİRKUZ", "AİRKUZ", "AİRKUG",
+        "AİRKUG", "AİRKTG", "AİRKTÇ", "AİRKTÇ", "AİRKTH", "AİRDTH",
+        "AİRDTĞ", "AİLDSĞ", "AİLDSV", "EİLDSV", "EİLDSC", "EİLDSC",
+        "ENLDSÖ", "ENLDBÖ", "ENLDBP", "ENLMBP", "ENLMBF", "ENLMBJ"
+    ]
+};
+
+// Throws if a dice set can't roll a size x size board of the alphabet's letters.
+// Faces must already be uppercase: a lowercase "m" would only work by accident.
+function validateDice(dice, size, alphabet = TURKISH_ALPHABET) {
+    const errors = [];
+
+    if (!Array.isArray(dice) || dice.length !== size * size) {
+        errors.push(`expected ${size * size} dice, got ${Array.isArray(dice) ? dice.length : typeof dice}`);
+    } else {
+        dice.forEach((die, i) => {
+            const faces = typeof die === 'string' ? [...die] : [];
+            if (faces.length !== DIE_FACES) {
+                errors.push(`die ${i} ("${die}") has ${faces.length} faces, expected ${DIE_FACES}`);
+            }
+            faces.filter(ch => !alphabet.includes(ch)).forEach(ch => {
+                errors.push(`die ${i} ("${die}") has invalid face "${ch}"`);
+            });
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${size}x${size} dice: ${errors.join('; ')}`);
+    }
+}
+
+Object.keys(DICE_SETS).forEach(size => validateDice(DICE_SETS[size], Number(size)));
+
+const GRID_SIZES = Object.keys(DICE_SETS).map(Number);
+const MAX_ATTEMPTS = 50;
+
+// Power-up tiles ("Parti taşları"), listed per board as [{ r, c, type }].
+// DL counts its letter twice towards the word's length, DW doubles the word's
+// points, TIME adds TIME_BONUS seconds the first time it is used in a valid
+// word, and WILD replaces its cell's letter with WILDCARD, which stands for any letter.
+const WILDCARD = '*';
+const WILDCARD_FACE = '★';
+const TIME_BONUS = 10;
+// Named by t(`tile.${type}`), badged by t(`tile.${type}.badge`)
+const TILE_TYPES = ['DL', 'DW', 'TIME', 'WILD'];
+const TILE_COUNTS = {
+    4: { DL: 1, DW: 1, TIME: 1, WILD: 1 },
+    5: { DL: 2, DW: 1, TIME: 1, WILD: 1 },
+    6: { DL: 2, DW: 2, TIME: 2, WILD: 1 }
+};
+
+// Board letters as shown to the player: the wildcard tile gets a star
+function displayLetters(text) {
+    return text.split(WILDCARD).join(WILDCARD_FACE);
+}
+
+// Returns { grid, tiles }; tiles are only placed with `powerups`, after the letters,
+// so plain boards roll exactly as they always have for a seed
+function buildGridData(size, rng, powerups = false, diceSets = DICE_SETS) {
+    // Shuffle the dice for this size, then roll each one
+    const shuffledDice = shuffle(diceSets[size], rng);
+
+    const grid = [];
+
+    for (let i = 0; i < size; i++) {
+        const row = [];
+        for (let j = 0; j < size; j++) {
+            const die = shuffledDice[i * size + j];
+            row.push(die.charAt(Math.floor(rng() * DIE_FACES)));
+        }
+        grid.push(row);
+    }
+
+    const tiles = [];
+    if (powerups) {
+        const cells = shuffle([...Array(size * size).keys()], rng);
+        Object.keys(TILE_COUNTS[size]).forEach(type => {
+            cells.splice(0, TILE_COUNTS[size][type]).forEach(cell => {
+                const r = Math.floor(cell / size);
+                const c = cell % size;
+                if (type === 'WILD') grid[r][c] = WILDCARD;
+                tiles.push({ r, c, type });
+            });
+        });
+    }
+    return { grid, tiles };
+}
+
+// Maps every word on the board to one path of {r, c} cells spelling it.
+// `index` may also be an InflectedIndex (morphology.js), which builds its nodes as the walk goes.
+function solveGridPaths(grid, index) {
+    const size = grid.length;
+    const found = new Map();
+    const visited = Array(size).fill(null).map(() => Array(size).fill(false));
+    const path = [];
+
+    const recursivelyFind = (r, c, parentNode, currentPrefix) => {
+        // Bounds check
+        if (r < 0 || r >= size || c < 0 || c >= size) return;
+        if (visited[r][c]) return;
+
+        const char = grid[r][c];
+
+        // Walk the trie one step; no node means no word starts with this prefix.
+        // The wildcard takes every branch.
+        const steps = char === WILDCARD ? [...parentNode.children] : [[char, index.getNode(char, parentNode)]];
+
+        visited[r][c] = true;
+        path.push({ r, c });
+
+        steps.forEach(([letter, node]) => {
+            if (!node) return;
+            const nextPrefix = currentPrefix + letter;
+
+            if (node.isWord && nextPrefix.length >= 3 && !found.has(nextPrefix)) {
+                found.set(nextPrefix, [...path]);
+            }
+
+            // Neighbors
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+                    recursivelyFind(r + dr, c + dc, node, nextPrefix);
+                }
+            }
+        });
+
+        path.pop();
+        visited[r][c] = false;
+    };
+
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            recursivelyFind(r, c, index.root, "");
+        }
+    }
+    return found;
+}
+
+function solveGrid(grid, index) {
+    return Array.from(solveGridPaths(grid, index).keys());
+}
+
+// { words, paths } for the board, `paths` mapping each word to its cells as a
+// plain object so it survives postMessage, the room server's JSON and the saved session
+function solveBoard(grid, index) {
+    const found = solveGridPaths(grid, index);
+    return { words: Array.from(found.keys()), paths: Object.fromEntries(found) };
+}
+
+// Rolls boards until one with at least MIN_PLAYABLE_WORDS words rates inside the
+// `difficulty` band (see difficulty.js). Falls back to the closest board seen.
+// Every roll draws from the same seeded rng, so a seed always yields the same board.
+// `index` must hold the base word list of `language`, whose dice are rolled.
+function generateBoard(size, difficulty, index, seed, powerups = false, language = DEFAULT_LANGUAGE) {
+    const pack = getLanguagePack(language);
+    const rng = createRng(seed);
+    const level = DIFFICULTY_LEVELS[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+    let best = null;
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        const { grid, tiles } = buildGridData(size, rng, powerups, pack.dice);
+        const { words, paths } = solveBoard(grid, index);
+        const rating = rateBoard(grid, words, pack.letterFrequency);
+
+        // Unplayable boards only win when nothing else turned up
+        const distance = distanceToLevel(rating.score, level) + (words.length < MIN_PLAYABLE_WORDS ? 1000 : 0);
+        if (distance === 0) {
+            console.log(`Grid generated in ${i + 1} attempts with ${words.length} words (${describeDifficulty(rating)}).`);
+            return { grid, tiles, words, paths, rating };
+        }
+
+        if (!best || distance < best.distance) {
+            best = { grid, tiles, words, paths, rating, distance };
+        }
+    }
+
+    console.warn(`Could not hit the ${level} band. Closest was ${describeDifficulty(best.rating)} with ${best.words.length} words.`);
+    return { grid: best.grid, tiles: best.tiles, words: best.words, paths: best.paths, rating: best.rating };
+}
+
+if (typeof module !== 'undefined') module.exports = { TURKISH_ALPHABET, DICE_SETS, GRID_SIZES, WILDCARD, WILDCARD_FACE, displayLetters, TIME_BONUS, TILE_TYPES, TILE_COUNTS, validateDice, buildGridData, solveGridPaths, solveGrid, solveBoard, generateBoard };
@@ -0,0 +1,64 @@
+// Computer opponent for solo games. It plays the same board, drawing from its
+// solution: before the game starts a level profile turns the solution into a
+// schedule of { word, time } finds, with `time` in seconds of play, which the
+// game then reveals as the clock runs. Pauses stop it like they stop the player.
+//
+// Profiles weigh each word by length and by how common its letters are (see
+// the language pack's letterFrequency); the easy bot favours short words of
+// common letters, the expert goes after long ones. `share` caps how much of the
+// solution it finds and `pace` is its average seconds per four-letter word.
+// Levels are named by t(`bot.${id}`).
+
+const BOT_LEVELS = {
+    kolay: { share: 0.2, pace: 10, lengthBias: 0.4, commonBias: 3 },
+    orta: { share: 0.4, pace: 6, lengthBias: 0.8, commonBias: 1.5 },
+    uzman: { share: 0.7, pace: 3.5, lengthBias: 1.3, commonBias: 0.5 }
+};
+
+// 0 for words of the most common letters, towards 1 for rare ones
+function wordRarity(word, frequencies = LETTER_FREQUENCY) {
+    const letters = [...word];
+    return letters.reduce((sum, letter) => sum + letterRarity(letter, frequencies), 0) / letters.length;
+}
+
+// The bot's finds for `level` on a board, in order, reproducible from the game's seed
+function planBot(solution, level, seed, frequencies = getLanguagePack().letterFrequency) {
+    const profile = BOT_LEVELS[level];
+    const rng = createRng(`${seed}-BOT-${level}`);
+
+    // Weighted sampling without replacement: each word draws rng^(1/weight), largest first
+    const picks = solution
+        .map(word => {
+            const weight = profile.lengthBias ** (word.length - 3) * (1 - wordRarity(word, frequencies)) ** profile.commonBias;
+            return { word, key: rng() ** (1 / Math.max(weight, 1e-6)) };
+        })
+        .sort((a, b) => b.key - a.key)
+        .slice(0, Math.round(solution.length * profile.share));
+
+    // Longer words take longer to spot
+    let time = 0;
+    return picks.map(({ word }) => {
+        time += Math.max(1, Math.round(profile.pace * (0.5 + rng()) * (word.length / 4)));
+        return { word, time };
+    });
+}
+
+// Words the bot has found after `elapsed` seconds of play
+function botFinds(plan, elapsed) {
+    return plan.filter(find => find.time <= elapsed).map(find => find.word);
+}
+
+// Head-to-head split of the player's and the bot's words, longest first
+function compareWords(playerWords, botWords) {
+    const player = new Set(playerWords);
+    const bot = new Set(botWords);
+    const locale = getLanguagePack().locale;
+    const order = (a, b) => b.length - a.length || a.localeCompare(b, locale);
+    return {
+        player: [...player].filter(word => !bot.has(word)).sort(order),
+        shared: [...player].filter(word => bot.has(word)).sort(order),
+        bot: [...bot].filter(word => !player.has(word)).sort(order)
+    };
+}
+
+if (typeof module !== 'undefined') module.exports = { BOT_LEVELS, wordRarity, planBot, botFinds, compareWords };
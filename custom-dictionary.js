@@ -0,0 +1,145 @@
+// Player-managed changes to the bundled word list.
+//
+// The active dictionary is the language pack's base list plus imported lists
+// and single words the player added, minus the words they reported. Each
+// language keeps its own changes under one key, which round-trips through a
+// plain text file:
+//
+//   # comment           ignored
+//   KELİME ELMA         added (any whitespace or comma separates words)
+//   -KELİME             excluded
+
+const DICTIONARY_STORAGE_KEY = 'boggle_dictionary';
+
+// The default language keeps the key it had before there were others
+function dictionaryStorageKey(language) {
+    return language === DEFAULT_LANGUAGE ? DICTIONARY_STORAGE_KEY : `${DICTIONARY_STORAGE_KEY}_${language}`;
+}
+
+function createCustomDictionary() {
+    return { imports: [], added: [], excluded: [] };
+}
+
+function loadCustomDictionary(language = DEFAULT_LANGUAGE) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(dictionaryStorageKey(language)));
+        if (stored && Array.isArray(stored.imports) && Array.isArray(stored.added) && Array.isArray(stored.excluded)) {
+            return stored;
+        }
+    } catch (e) {
+        // Corrupt entry: fall back to the base list only
+    }
+    return createCustomDictionary();
+}
+
+// Returns false when storage is full (large imports) or disabled
+function saveCustomDictionary(custom, language = DEFAULT_LANGUAGE) {
+    try {
+        localStorage.setItem(dictionaryStorageKey(language), JSON.stringify(custom));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Normalized form of a playable word, or null if it can't appear on a board
+function toPlayableWord(word, pack = getLanguagePack()) {
+    const normalized = pack.normalize(word);
+    return normalized.length >= 3 && [...normalized].every(ch => pack.alphabet.includes(ch)) ? normalized : null;
+}
+
+// Parses a word list file into { words, excluded, skipped }
+function parseWordList(text) {
+    const words = new Set();
+    const excluded = new Set();
+    let skipped = 0;
+
+    text.split(/\r?\n/).forEach(line => {
+        const content = line.split('#')[0];
+        content.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+            const isExclusion = token.startsWith('-');
+            const word = toPlayableWord(isExclusion ? token.slice(1) : token);
+            if (!word) {
+                skipped++;
+            } else {
+                (isExclusion ? excluded : words).add(word);
+            }
+        });
+    });
+
+    return { words: [...words], excluded: [...excluded], skipped };
+}
+
+// Adds (or replaces) an imported list; exclusions in the file are merged in
+function importWordList(custom, name, text) {
+    const { words, excluded, skipped } = parseWordList(text);
+    custom.imports = custom.imports.filter(list => list.name !== name);
+    if (words.length) custom.imports.push({ name, words });
+    excluded.forEach(word => excludeWord(custom, word));
+    return { added: words.length, excluded: excluded.length, skipped };
+}
+
+function removeImport(custom, name) {
+    custom.imports = custom.imports.filter(list => list.name !== name);
+}
+
+// Adding a word also takes back an earlier report of it, and vice versa
+function addCustomWord(custom, word) {
+    const normalized = toPlayableWord(word);
+    if (!normalized) return false;
+    custom.excluded = custom.excluded.filter(w => w !== normalized);
+    if (!custom.added.includes(normalized)) custom.added.push(normalized);
+    return true;
+}
+
+function excludeWord(custom, word) {
+    const normalized = getLanguagePack().normalize(word);
+    custom.added = custom.added.filter(w => w !== normalized);
+    if (!custom.excluded.includes(normalized)) custom.excluded.push(normalized);
+}
+
+function restoreWord(custom, word) {
+    custom.excluded = custom.excluded.filter(w => w !== word);
+}
+
+function removeCustomWord(custom, word) {
+    custom.added = custom.added.filter(w => w !== word);
+}
+
+// Every word of the active dictionary, normalized and without duplicates
+function buildWordList(baseWords, custom, normalize = getLanguagePack().normalize) {
+    const words = new Set(baseWords.map(word => normalize(word)));
+    custom.imports.forEach(list => list.words.forEach(word => words.add(word)));
+    custom.added.forEach(word => words.add(word));
+    custom.excluded.forEach(word => words.delete(word));
+    return [...words];
+}
+
+function isCustomized(custom) {
+    return custom.imports.length > 0 || custom.added.length > 0 || custom.excluded.length > 0;
+}
+
+// e.g. "Temel liste + kelimeler.txt + 3 eklenen · 1.412 kelime"
+function describeDictionary(custom, wordCount) {
+    const parts = [t('dictionary.base'), ...custom.imports.map(list => list.name)];
+    if (custom.added.length) parts.push(t('dictionary.addedCount', { count: custom.added.length }));
+    if (custom.excluded.length) parts.push(t('dictionary.excludedCount', { count: custom.excluded.length }));
+    return `${parts.join(' + ')} · ${t('count.words', { count: wordCount })}`;
+}
+
+// Text file that parseWordList reads back into the same additions and exclusions
+function exportWordList(custom) {
+    const lines = [`# ${t('dictionary.exportTitle')}`, ''];
+    custom.imports.forEach(list => lines.push(`# ${list.name}`, ...list.words, ''));
+    if (custom.added.length) lines.push(`# ${t('dictionary.exportAdded')}`, ...custom.added, '');
+    if (custom.excluded.length) lines.push(`# ${t('dictionary.exportExcluded')}`, ...custom.excluded.map(word => `-${word}`), '');
+    return lines.join('\n');
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DICTIONARY_STORAGE_KEY, dictionaryStorageKey, createCustomDictionary, loadCustomDictionary, saveCustomDictionary,
+        parseWordList, importWordList, removeImport, addCustomWord, excludeWord, restoreWord, removeCustomWord,
+        buildWordList, isCustomized, describeDictionary, exportWordList
+    };
+}
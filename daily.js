@@ -0,0 +1,74 @@
+// "Günün Bulmacası": one date-derived board per calendar day.
+// Everyone gets the same seed for the same local date; the attempt is recorded
+// in localStorage so each player gets a single scored run per day and language
+// (every language pack rolls its own daily board from the seed).
+
+const DAILY_STORAGE_KEY = 'boggle_daily';
+const DAILY_SIZE = 4;
+const DAILY_RULES = 'hizli'; // fixed so every player's score is comparable
+const DAILY_DIFFICULTY = 'orta';
+
+// Local calendar date as YYYY-MM-DD
+function dailyKey(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+function dailySeed(key) {
+    return `DAILY-${key}`;
+}
+
+// The default language keeps the key it had before there were others
+function dailyStorageKey(language) {
+    return language === DEFAULT_LANGUAGE ? DAILY_STORAGE_KEY : `${DAILY_STORAGE_KEY}_${language}`;
+}
+
+function loadDailyResult(key, language = DEFAULT_LANGUAGE) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(dailyStorageKey(language)));
+        return stored && stored.date === key ? stored : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveDailyResult(result, language = DEFAULT_LANGUAGE) {
+    localStorage.setItem(dailyStorageKey(language), JSON.stringify(result));
+}
+
+// Per word length: [found, possible]. Only counts, never the words themselves.
+function countByLength(solution, foundWords) {
+    const lengths = {};
+    solution.forEach(word => {
+        const len = Math.min(word.length, 8); // 8+ share a bucket, like scoring
+        if (!lengths[len]) lengths[len] = [0, 0];
+        lengths[len][1]++;
+        if (foundWords.has(word)) lengths[len][0]++;
+    });
+    return lengths;
+}
+
+// Spoiler-free text for group chats: one bar per word length
+function buildDailySummary(result) {
+    const BAR_WIDTH = 5;
+    const pct = result.maxScore > 0 ? Math.round((result.score / result.maxScore) * 100) : 0;
+    const [y, m, d] = result.date.split('-');
+
+    const lines = [
+        t('daily.summaryTitle', { d, m, y }),
+        t('daily.summaryScore', { score: result.score, max: result.maxScore, pct, found: result.foundCount, total: result.totalWords })
+    ];
+
+    Object.keys(result.lengths).sort((a, b) => a - b).forEach(len => {
+        const [found, total] = result.lengths[len];
+        const filled = Math.round((found / total) * BAR_WIDTH);
+        const bar = '🟩'.repeat(filled) + '⬛'.repeat(BAR_WIDTH - filled);
+        lines.push(t('daily.summaryLength', { length: len === '8' ? '8+' : len, bar, found, total }));
+    });
+
+    return lines.join('\n');
+}
+
+if (typeof module !== 'undefined') module.exports = { DAILY_SIZE, DAILY_RULES, DAILY_DIFFICULTY, dailyKey, dailySeed, loadDailyResult, saveDailyResult, countByLength, buildDailySummary };
@@ -0,0 +1,1275 @@
+// Short TDK-style definitions for the base word list, keyed like commonWords.
+// Each entry starts with the word class abbreviation used in Güncel Türkçe
+// Sözlük (a. isim, sf. sıfat, f. fiil, ...); see WORD_CLASSES.
+const definitions = {
+    "ABİ": "a. Ağabey.",
+    "ABLA": "a. Kız kardeşlerin en büyüğü; yaşça büyük kadına seslenme sözü.",
+    "ACABA": "zf. Merak, kuşku ve soru anlatır.",
+    "ACELE": "a. Bir işi çabuk yapma gereği, ivedilik.",
+    "ACİL": "sf. Hemen yapılması gereken, ivedi.",
+    "AÇIK": "sf. Kapalı olmayan; anlaşılır, net.",
+    "ADAM": "a. İnsan, kişi; erkek.",
+    "ADET": "a. Sayı, tane.",
+    "ADIM": "a. Yürürken bir ayağı öbürünün önüne atma; bir işin aşaması.",
+    "ADRES": "a. Birinin oturduğu ya da çalıştığı yerin açık yazılışı.",
+    "AFET": "a. Büyük yıkım ve kayba yol açan olay; deprem, sel vb.",
+    "AFFERİN": "ünl. Beğeni ve övgü bildiren söz.",
+    "AĞABEY": "a. Erkek kardeşlerin en büyüğü.",
+    "AĞAÇ": "a. Gövdesi odun olan, uzun ömürlü bitki.",
+    "AĞIR": "sf. Tartıda çok çeken; yavaş; zor.",
+    "AĞIZ": "a. Yüzde, yemek yenen ve konuşulan boşluk.",
+    "AĞLAMAK": "f. Üzüntü ya da acıyla gözyaşı dökmek.",
+    "AHIR": "a. Büyükbaş hayvanların barındığı yapı.",
+    "AİLE": "a. Evlilik ve kan bağıyla oluşan topluluk; anne, baba ve çocuklar.",
+    "AKIL": "a. Düşünme, anlama ve kavrama gücü.",
+    "AKIM": "a. Bir yöne doğru akış; düşünce ya da sanat hareketi.",
+    "AKIŞ": "a. Akma işi ya da biçimi.",
+    "AKŞAM": "a. Güneşin batmasından gecenin başlamasına kadar geçen süre.",
+    "ALACAK": "a. Birinden alınacak para ya da mal.",
+    "ALAN": "a. Açık ve düz yer, meydan; bir konunun kapsadığı bölge.",
+    "ALAY": "a. Biriyle eğlenme; kalabalık topluluk; askerî birlik.",
+    "ALEM": "a. Cami kubbesi ya da minare tepesindeki hilal; bayrak.",
+    "ALET": "a. Bir işi yapmaya yarayan araç.",
+    "ALEV": "a. Yanan bir şeyden yükselen ışıklı gaz.",
+    "ALGI": "a. Duyu yoluyla bir şeyin farkına varma.",
+    "ALIM": "a. Satın alma; çekicilik.",
+    "ALIŞ": "a. Alma işi ya da biçimi.",
+    "ALTI": "a. Beşten sonra gelen sayı.",
+    "ALTIN": "a. Sarı renkli, değerli bir element ve bundan yapılan para.",
+    "AMAÇ": "a. Ulaşılmak istenen sonuç, hedef.",
+    "AMCA": "a. Babanın erkek kardeşi.",
+    "ANIT": "a. Önemli bir kişi ya da olayı anmak için dikilen yapı.",
+    "ANIZ": "a. Ekin biçildikten sonra tarlada kalan sap dipleri.",
+    "ANNE": "a. Çocuğu olan kadın, ana.",
+    "APARTMAN": "a. Birçok daireden oluşan çok katlı yapı.",
+    "ARABA": "a. Tekerlekli kara taşıtı.",
+    "ARAÇ": "a. Bir işi yapmaya ya da taşımaya yarayan nesne, vasıta.",
+    "ARALIK": "a. İki şey arasındaki boşluk; yılın on ikinci ayı.",
+    "ARAP": "a. Arap halkından olan kimse.",
+    "ARKA": "a. Bir şeyin ön yüzünün karşıtı olan yanı; sırt.",
+    "ARKADAŞ": "a. Birlikte vakit geçirilen, sevilen yakın kimse.",
+    "ARMA": "a. Bir aile, kuruluş ya da kentin simgesi olan işaret.",
+    "ARMUT": "a. Sulu, tatlı bir meyve ve bu meyveyi veren ağaç.",
+    "ARPA": "a. Tahılı hayvan yemi ve bira yapımında kullanılan bitki.",
+    "ARTI": "a. Toplama işareti (+); üstün yan.",
+    "ARTIK": "zf. Bundan sonra, şimdi. a. Bir şeyden arta kalan.",
+    "ARZU": "a. İstek, dilek.",
+    "ASANSÖR": "a. Katlar arasında insan ya da yük taşıyan araç.",
+    "ASIL": "a. Bir şeyin temeli, kökü. sf. Gerçek, esas.",
+    "ASKER": "a. Orduda görev yapan kimse.",
+    "ASKI": "a. Bir şeyi asmaya yarayan araç.",
+    "ASLAN": "a. Kedigillerden, yelesi olan güçlü yırtıcı hayvan.",
+    "ASMA": "a. Üzüm veren tırmanıcı bitki.",
+    "AŞAĞI": "zf. Alt yana doğru. sf. Altta olan; değersiz.",
+    "AŞÇI": "a. Yemek pişirmeyi iş edinen kimse.",
+    "AŞK": "a. Aşırı sevgi ve bağlılık duygusu.",
+    "ATKI": "a. Boyna sarılan uzun kumaş, kaşkol.",
+    "ATLI": "sf. Ata binmiş. a. Süvari.",
+    "ATMACA": "a. Kartalgillerden küçük, yırtıcı kuş.",
+    "AVUÇ": "a. Elin iç yüzü.",
+    "AVUKAT": "a. Hukuk işlerinde kişileri savunan, temsil eden kimse.",
+    "AYAK": "a. Bacağın bilekten aşağıdaki bölümü.",
+    "AYAKKABI": "a. Ayağa giyilen, tabanı sert giyecek.",
+    "AYAR": "a. Bir aracın doğru çalışması için yapılan düzenleme.",
+    "AYAZ": "a. Açık ve rüzgârsız havalarda olan kuru soğuk.",
+    "AYI": "a. Kalın tüylü, iri gövdeli memeli hayvan.",
+    "AYNA": "a. Görüntüyü yansıtan cilalı yüzey.",
+    "AYRAN": "a. Yoğurdun su ile karıştırılmasıyla yapılan içecek.",
+    "AYRI": "sf. Başka, farklı; birbirinden uzak.",
+    "AZIK": "a. Yolculukta yenmek üzere alınan yiyecek.",
+    "BABA": "a. Çocuğu olan erkek.",
+    "BACA": "a. Dumanın dışarı çıkması için yapılan boru biçimli yol.",
+    "BACAK": "a. Gövdeyi taşıyan, kalçadan ayağa kadar olan organ.",
+    "BAĞIRMAK": "f. Yüksek sesle konuşmak, haykırmak.",
+    "BAHAR": "a. İlkbahar; tatlandırıcı ve kokulu baharat.",
+    "BAHÇE": "a. Çiçek, sebze ya da ağaç yetiştirilen çevrili yer.",
+    "BAHT": "a. Talih, şans.",
+    "BAKIM": "a. Bir şeyin iyi durumda kalması için gösterilen özen.",
+    "BAKKAL": "a. Gündelik yiyecek ve ev eşyası satan dükkân.",
+    "BAL": "a. Arıların çiçeklerden toplayıp yaptığı tatlı madde.",
+    "BALIK": "a. Suda yaşayan, solungaçla soluyan omurgalı hayvan.",
+    "BALKON": "a. Bir yapının dışına taşan, çevresi korkuluklu bölüm.",
+    "BANA": "zm. Ben zamirinin yönelme durumu.",
+    "BANK": "a. Parklarda oturmak için konulan uzun sıra.",
+    "BANKA": "a. Para yatırma, ödünç verme gibi işler yapan kuruluş.",
+    "BANT": "a. Yapıştırıcı şerit; ses ya da görüntü kaydedilen şerit.",
+    "BANYO": "a. Yıkanmak için ayrılmış oda; yıkanma.",
+    "BARDAK": "a. Su ve başka içecekler için kullanılan kap.",
+    "BARI": "zf. Hiç değilse, hiç olmazsa.",
+    "BAŞ": "a. Vücudun, beyni ve yüzü içeren üst bölümü; bir şeyin başlangıcı.",
+    "BAŞKA": "sf. Ayrı, farklı.",
+    "BAŞKAN": "a. Bir topluluğu ya da kuruluşu yöneten kimse.",
+    "BATI": "a. Güneşin battığı yön.",
+    "BAVUL": "a. Yolculukta eşya taşımaya yarayan büyük çanta.",
+    "BAY": "a. Erkeklerin adından önce kullanılan saygı sözü.",
+    "BAYAN": "a. Kadınların adından önce kullanılan saygı sözü.",
+    "BAYİ": "a. Bir firmanın mallarını satan kimse ya da yer.",
+    "BAYRAM": "a. Ulusal ya da dinî kutlama günü.",
+    "BEBEK": "a. Yeni doğmuş ya da çok küçük çocuk.",
+    "BEKLEMEK": "f. Birinin gelmesini ya da bir şeyin olmasını gözlemek.",
+    "BELGE": "a. Bir olayı ya da durumu kanıtlayan yazı, doküman.",
+    "BELKİ": "zf. Olabilir ki, ihtimal.",
+    "BENZİN": "a. Motorlu taşıtlarda kullanılan yakıt.",
+    "BERBER": "a. Saç ve sakal kesmeyi iş edinen kimse.",
+    "BETON": "a. Çimento, kum, çakıl ve su karışımından yapılan yapı gereci.",
+    "BEY": "a. Erkeklerin adından sonra kullanılan saygı sözü.",
+    "BEYAZ": "sf. Kar ya da süt renginde olan, ak.",
+    "BEYİN": "a. Kafatası içindeki sinir sistemi merkezi.",
+    "BIÇAK": "a. Kesmeye yarayan, saplı ve keskin ağızlı araç.",
+    "BİBER": "a. Acı ya da tatlı meyveleri yenen bitki.",
+    "BİLET": "a. Taşıt ya da gösteriye giriş hakkı veren kâğıt.",
+    "BİLGİ": "a. Öğrenme, araştırma ya da gözlem yoluyla edinilen gerçek.",
+    "BİLGİSAYAR": "a. Verileri işleyen, saklayan elektronik aygıt.",
+    "BİLİM": "a. Evreni ve olayları yöntemli biçimde inceleyen bilgi dalı.",
+    "BİLMEK": "f. Bir şey hakkında bilgisi olmak.",
+    "BİNA": "a. Yapı.",
+    "BİRA": "a. Arpadan yapılan mayalı içki.",
+    "BİRAZ": "zf. Az miktarda.",
+    "BİRİ": "zm. Belirsiz bir kimse.",
+    "BİRLİKTE": "zf. Beraber.",
+    "BİSİKLET": "a. Pedalla çevrilen iki tekerlekli taşıt.",
+    "BİZ": "zm. Birinci çoğul kişi zamiri.",
+    "BLOK": "a. Büyük parça; bitişik yapılar kümesi.",
+    "BOĞAZ": "a. Boynun ön bölümü; iki denizi birleştiren dar su yolu.",
+    "BOL": "sf. Çok, fazla; geniş.",
+    "BORÇ": "a. Geri verilmek üzere alınan para ya da mal.",
+    "BORU": "a. Sıvı ya da gaz iletmeye yarayan uzun, içi boş silindir.",
+    "BOŞ": "sf. İçinde bir şey olmayan.",
+    "BOY": "a. Bir şeyin uzunluğu; insanın ayaktaki yüksekliği.",
+    "BOYA": "a. Bir şeye renk vermek için kullanılan madde.",
+    "BOZUK": "sf. Çalışmayan, işlemeyen. a. Bozuk para.",
+    "BÖCEK": "a. Eklem bacaklı, küçük hayvanların genel adı.",
+    "BÖLGE": "a. Belirli özellikleri olan yer, alan.",
+    "BÖLÜM": "a. Bir bütünün parçası, kısım.",
+    "BÖREK": "a. Yufka arasına iç konularak yapılan hamur işi.",
+    "BUÇUK": "a. Yarım.",
+    "BUGÜN": "a. İçinde bulunulan gün.",
+    "BUHAR": "a. Suyun ısınarak gaz durumuna geçmiş hâli.",
+    "BULMAK": "f. Aranan bir şeye ulaşmak.",
+    "BULUT": "a. Havadaki su buharının yoğunlaşmasıyla oluşan kütle.",
+    "BURA": "a. Bu yer.",
+    "BURUN": "a. Yüzde koku alma ve solunum organı.",
+    "BUZ": "a. Donmuş su.",
+    "BUZDOLABI": "a. Yiyecekleri soğuk tutan elektrikli dolap.",
+    "BUZUL": "a. Yavaşça hareket eden büyük buz kütlesi.",
+    "BÜRO": "a. Yazı işlerinin yapıldığı yer, ofis.",
+    "BÜTÜN": "sf. Tam, eksiksiz; hep.",
+    "BÜYÜ": "a. Doğaüstü güçlerle sonuç elde etme girişimi, sihir.",
+    "BÜYÜK": "sf. Boyutları ya da önemi fazla olan.",
+    "CADDE": "a. Geniş yol.",
+    "CAM": "a. Kum ve sodanın eritilmesiyle elde edilen saydam madde.",
+    "CAMİ": "a. Müslümanların toplu ibadet ettiği yapı.",
+    "CANLI": "sf. Yaşayan, diri; hareketli.",
+    "CEKET": "a. Gömleğin üstüne giyilen kollu giysi.",
+    "CETVEL": "a. Çizgi çizmeye ve ölçmeye yarayan araç; çizelge.",
+    "CEVAP": "a. Yanıt.",
+    "CEVİZ": "a. Sert kabuklu, yağlı iç taşıyan meyve ve ağacı.",
+    "CEZA": "a. Suç işleyene verilen yaptırım.",
+    "CİCİ": "sf. Güzel, hoş (çocuk dilinde).",
+    "CİHAZ": "a. Aygıt.",
+    "CİLT": "a. Deri; kitabın bir kısmı, kitap kabı.",
+    "CUMA": "a. Haftanın beşinci günü.",
+    "CUMARTESİ": "a. Haftanın altıncı günü.",
+    "ÇABA": "a. Bir şeyi başarmak için harcanan emek, gayret.",
+    "ÇAĞRI": "a. Davet; bir yere gelmesi için yapılan istek.",
+    "ÇAKI": "a. Açılıp kapanan küçük cep bıçağı.",
+    "ÇALI": "a. Kısa boylu, dallı odunsu bitki.",
+    "ÇALIŞKAN": "sf. Çok çalışan, gayretli.",
+    "ÇALIŞMAK": "f. Bir iş için emek harcamak.",
+    "ÇAMUR": "a. Toprakla suyun karışımı.",
+    "ÇANTA": "a. Eşya taşımaya yarayan kap.",
+    "ÇARE": "a. Bir sorunu çözmek için tutulan yol.",
+    "ÇARŞAMBA": "a. Haftanın üçüncü günü.",
+    "ÇARŞI": "a. Dükkânların bulunduğu alışveriş yeri.",
+    "ÇATAL": "a. Yemek yemeye yarayan dişli araç.",
+    "ÇATI": "a. Bir yapının üstünü örten bölüm.",
+    "ÇAY": "a. Yaprakları demlenerek içilen bitki ve bu içecek; küçük akarsu.",
+    "ÇAYIR": "a. Otla örtülü düz yer.",
+    "ÇEKİ": "a. Yaklaşık 250 kiloluk ağırlık ölçüsü.",
+    "ÇELİK": "a. Demir ve karbondan yapılan sert alaşım.",
+    "ÇENE": "a. Ağzın alt ve üst kemikleri.",
+    "ÇEŞİT": "a. Tür, cins.",
+    "ÇETİN": "sf. Zor, güç.",
+    "ÇEVRE": "a. Bir şeyi kuşatan yerler; doğal ortam.",
+    "ÇEYREK": "a. Dörtte bir.",
+    "ÇİÇEK": "a. Bitkilerin üreme organlarını taşıyan renkli bölümü.",
+    "ÇİFT": "a. İkili; eşli olan iki şey.",
+    "ÇİFTÇİ": "a. Toprağı işleyip ürün yetiştiren kimse.",
+    "ÇİZGİ": "a. Bir yüzey üzerinde uzanan ince iz.",
+    "ÇİZME": "a. Konçları dize kadar çıkan ayakkabı.",
+    "ÇOCUK": "a. Küçük yaştaki insan; bir kimsenin oğlu ya da kızı.",
+    "ÇOĞU": "a. Bir bütünün büyük bölümü.",
+    "ÇOK": "sf. Sayıca ya da miktarca fazla.",
+    "ÇORAP": "a. Ayağa giyilen örme giyecek.",
+    "ÇORBA": "a. Sulu, sıcak içilen yemek.",
+    "ÇÖPÇÜ": "a. Çöp toplayan görevli.",
+    "ÇÖZÜM": "a. Bir sorunu çözme yolu.",
+    "DAĞ": "a. Çevresinden çok yüksek olan yer şekli.",
+    "DAHA": "zf. Henüz; ek olarak; karşılaştırmada üstünlük bildirir.",
+    "DAHİ": "a. Olağanüstü yetenekli kimse. bağ. Bile.",
+    "DAİRE": "a. Çember içindeki alan; bir apartmandaki konut; resmî kurum bölümü.",
+    "DAKİK": "sf. Vaktinde gelen, zamana uyan.",
+    "DAMA": "a. Dama tahtasında taşlarla oynanan oyun.",
+    "DANA": "a. Sığır yavrusu.",
+    "DANS": "a. Müzik eşliğinde ritimli vücut hareketleri.",
+    "DAR": "sf. Eni kısa, geniş olmayan.",
+    "DARI": "a. Taneleri yem ve un olarak kullanılan bitki.",
+    "DAVA": "a. Mahkemeye götürülen anlaşmazlık; savunulan düşünce.",
+    "DAVET": "a. Çağrı; ziyafet.",
+    "DAYI": "a. Annenin erkek kardeşi.",
+    "DEDE": "a. Babanın ya da annenin babası.",
+    "DEFNE": "a. Yaprakları baharat olarak kullanılan ağaç.",
+    "DEĞER": "a. Bir şeyin önemi, kıymeti; bedel.",
+    "DEĞİL": "e. Olumsuzluk bildiren söz.",
+    "DELİK": "a. Bir şeyde açılmış boşluk.",
+    "DEMEK": "f. Söylemek, anlamına gelmek.",
+    "DEMİR": "a. Sert, gri renkli, çok kullanılan metal.",
+    "DENEY": "a. Bir varsayımı doğrulamak için yapılan sınama.",
+    "DENİZ": "a. Yer yüzeyinin tuzlu sularla kaplı geniş bölümü.",
+    "DEPO": "a. Eşya saklanan yer; yakıt haznesi.",
+    "DERGİ": "a. Belli aralıklarla çıkan yayın.",
+    "DERİ": "a. İnsan ve hayvan vücudunu örten doku.",
+    "DERS": "a. Öğretilen bilgi; okulda bir konunun işlendiği süre.",
+    "DERT": "a. Üzüntü, sıkıntı.",
+    "DEVE": "a. Hörgüçlü, çölde yaşayan büyük memeli.",
+    "DEVİR": "a. Çağ, dönem; bir şeyi başkasına bırakma.",
+    "DIŞ": "a. Bir şeyin dışarıda kalan yüzü.",
+    "DIŞARI": "a. Bir yerin dışı. zf. Dış yana.",
+    "DİKEN": "a. Bazı bitkilerin üstündeki sivri çıkıntı.",
+    "DİL": "a. Ağızdaki tat alma organı; insanların anlaşma aracı olan sistem.",
+    "DİLEK": "a. İstek, arzu.",
+    "DİLİM": "a. Bir bütünden kesilmiş ince parça.",
+    "DİNLEMEK": "f. Bir sesi ya da sözü dikkatle duymak.",
+    "DİRİ": "sf. Canlı, yaşayan.",
+    "DİŞ": "a. Ağızdaki, yiyecekleri ısırmaya ve çiğnemeye yarayan organ.",
+    "DİŞÇİ": "a. Diş hekimi.",
+    "DİZİ": "a. Sıra; bölümler hâlinde yayımlanan film.",
+    "DOĞA": "a. Canlı ve cansız varlıkların tümü, tabiat.",
+    "DOĞRU": "sf. Gerçeğe uygun; eğri olmayan.",
+    "DOĞU": "a. Güneşin doğduğu yön.",
+    "DOKTOR": "a. Hekim.",
+    "DOKU": "a. Aynı görevi yapan hücreler topluluğu.",
+    "DOLAP": "a. Eşya konulan kapaklı mobilya.",
+    "DOLMA": "a. İçi pirinç ya da kıyma ile doldurulmuş sebze yemeği.",
+    "DOLU": "sf. İçi boş olmayan. a. Buz taneleri hâlinde yağan yağış.",
+    "DOMATES": "a. Kırmızı, sulu meyvesi sebze olarak yenen bitki.",
+    "DOMUZ": "a. Çift toynaklı, kalın derili memeli hayvan.",
+    "DONDURMA": "a. Süt, şeker ve meyveyle yapılan donuk tatlı.",
+    "DOST": "a. Sevgi ve güven duyulan yakın kimse.",
+    "DOSYA": "a. Bir konuyla ilgili belgelerin toplandığı kap; bilgisayarda kayıt.",
+    "DÖNEM": "a. Zaman parçası, devre.",
+    "DÖRT": "a. Üçten sonra gelen sayı.",
+    "DÖVİZ": "a. Yabancı ülke parası.",
+    "DURAK": "a. Taşıtların yolcu almak için durduğu yer.",
+    "DURMAK": "f. Hareketi kesmek.",
+    "DURUM": "a. Bir şeyin içinde bulunduğu koşullar, hâl.",
+    "DUŞ": "a. Yukarıdan akan suyla yıkanma; bunu sağlayan araç.",
+    "DUVAR": "a. Taş, tuğla gibi gereçlerle örülen bölme.",
+    "DUYGU": "a. Sevinç, üzüntü gibi iç durum, his.",
+    "DÜĞME": "a. Giysiyi iliklemeye yarayan küçük parça; aygıtı çalıştıran basılı parça.",
+    "DÜĞÜN": "a. Evlenme töreni ve eğlencesi.",
+    "DÜKKAN": "a. Satış yapılan küçük iş yeri.",
+    "DÜN": "a. Bugünden önceki gün.",
+    "DÜNYA": "a. Üzerinde yaşadığımız gezegen, yeryüzü.",
+    "DÜRÜST": "sf. Doğru sözlü, hile yapmayan.",
+    "DÜŞÜN": "a. Düşünme işi; düşünce.",
+    "DÜZEN": "a. Her şeyin yerli yerinde olması; sistem.",
+    "EBAT": "a. Boyut, ölçü.",
+    "ECZACI": "a. Eczane işleten, ilaç hazırlayan kimse.",
+    "ECZANE": "a. İlaç satılan yer.",
+    "EDEP": "a. Terbiye, incelik.",
+    "EDİP": "a. Edebiyatçı, yazar.",
+    "EĞER": "bağ. Şart bildirir.",
+    "EĞİM": "a. Bir yüzeyin yatayla yaptığı açı, meyil.",
+    "EĞİTİM": "a. Bilgi ve beceri kazandırma süreci.",
+    "EKİM": "a. Yılın onuncu ayı; tohum ekme.",
+    "EKİN": "a. Tarlaya ekilen tahıl.",
+    "EKİP": "a. Birlikte çalışan topluluk.",
+    "EKMEK": "a. Un, su ve mayadan yapılan temel yiyecek.",
+    "EKRAN": "a. Görüntünün belirdiği yüzey.",
+    "EKSİ": "a. Çıkarma işareti (-). sf. Sıfırdan küçük.",
+    "ELBİSE": "a. Giysi; kadın giysisi.",
+    "ELEKTRİK": "a. Işık, ısı ve güç sağlayan enerji türü.",
+    "ELLİ": "a. Kırk dokuzdan sonra gelen sayı.",
+    "ELMA": "a. Sulu ve tatlı, yuvarlak meyve ve ağacı.",
+    "ELMAS": "a. Saf karbondan oluşan çok sert, değerli taş.",
+    "EMEK": "a. Bir iş için harcanan güç, çaba.",
+    "EMEL": "a. Ulaşılmak istenen şey, istek.",
+    "EMİN": "sf. Kuşkusu olmayan; güvenilir.",
+    "EMİR": "a. Buyruk.",
+    "ENERJİ": "a. İş yapabilme gücü.",
+    "ENGEL": "a. Bir işin yapılmasını önleyen şey.",
+    "ENİK": "a. Köpek, kedi gibi hayvanların yavrusu.",
+    "ERİK": "a. Ekşimsi tatlı meyve ve ağacı.",
+    "ERKEK": "a. Kadın karşıtı insan cinsi.",
+    "ERKEN": "zf. Beklenen zamandan önce.",
+    "ESER": "a. Emek sonucu ortaya çıkan ürün, yapıt.",
+    "ESKİ": "sf. Çok zaman önceye ait; yıpranmış.",
+    "EŞEK": "a. Atgillerden, uzun kulaklı yük hayvanı.",
+    "EŞYA": "a. Nesneler, kullanılan şeyler.",
+    "ETKİ": "a. Bir şeyin başka bir şey üzerinde yarattığı sonuç.",
+    "ETME": "a. Etmek işi.",
+    "ETMEK": "f. Yapmak, eylemek.",
+    "EVLİ": "sf. Evlenmiş olan.",
+    "EYLEM": "a. Yapılan iş, hareket; fiil.",
+    "EYLÜL": "a. Yılın dokuzuncu ayı.",
+    "EZME": "a. Ezilerek yapılan meze.",
+    "FARE": "a. Kemirgenlerden küçük hayvan; bilgisayarda imleci yöneten araç.",
+    "FARK": "a. Ayrılık, ayrım.",
+    "FARKLILIK": "a. Farklı olma durumu.",
+    "FASULYE": "a. Taze ya da kuru taneleri yenen baklagil.",
+    "FAYDA": "a. Yarar.",
+    "FAZLA": "sf. Gereğinden çok, artık.",
+    "FECİ": "sf. Çok acıklı, korkunç.",
+    "FENA": "sf. Kötü.",
+    "FERAH": "sf. Geniş ve aydınlık. a. İç rahatlığı.",
+    "FIRIN": "a. Ekmek pişirilen yer; ısıtarak pişiren aygıt.",
+    "FISTIK": "a. Yağlı, yenen çekirdek meyve.",
+    "FİKİR": "a. Düşünce.",
+    "FİLM": "a. Sinema yapıtı; fotoğraf çekmeye yarayan şerit.",
+    "FİNCAN": "a. Kahve ya da çay içilen kulplu kap.",
+    "FİYAT": "a. Bir malın satış değeri.",
+    "FİZİK": "a. Madde ve enerjiyi inceleyen bilim. sf. Bedensel.",
+    "FLÖRT": "a. Kısa süreli duygusal ilişki.",
+    "FORM": "a. Biçim; sağlık ve güç durumu; doldurulacak belge.",
+    "FORMA": "a. Takım giysisi.",
+    "FOTOĞRAF": "a. Makineyle çekilmiş görüntü.",
+    "FRANSIZCA": "a. Fransızların dili.",
+    "FREN": "a. Hareketi yavaşlatan ya da durduran düzen.",
+    "FUAR": "a. Ürünlerin tanıtıldığı sergi.",
+    "FUTBOL": "a. On birer kişilik iki takımla ayakla oynanan top oyunu.",
+    "FÜZE": "a. Kendi itici gücüyle giden mermi, roket.",
+    "GAGA": "a. Kuşların sert ağız bölümü.",
+    "GARSON": "a. Lokantada servis yapan kimse.",
+    "GAYE": "a. Amaç.",
+    "GAZETE": "a. Haber ve yorum yayımlayan günlük yayın.",
+    "GECE": "a. Güneşin batışından doğuşuna kadar geçen süre.",
+    "GEÇ": "zf. Belirlenen zamandan sonra.",
+    "GELİN": "a. Evlenen kadın; oğlun karısı.",
+    "GELMEK": "f. Bir yere doğru hareket edip ulaşmak.",
+    "GEMİ": "a. Denizde yolcu ve yük taşıyan büyük taşıt.",
+    "GENÇ": "sf. Yaşı küçük, genç olan.",
+    "GENEL": "sf. Herkesi ya da her şeyi kapsayan.",
+    "GENELLİKLE": "zf. Çoğunlukla.",
+    "GENİŞ": "sf. Eni büyük, dar olmayan.",
+    "GEREK": "a. Gereklilik. sf. Lazım.",
+    "GERİ": "a. Arka. zf. Arkaya doğru.",
+    "GEYİK": "a. Dallı boynuzları olan orman hayvanı.",
+    "GEZİ": "a. Görmek, eğlenmek için yapılan yolculuk.",
+    "GIDA": "a. Besin.",
+    "GİBİ": "e. Benzerlik bildirir.",
+    "GİRİŞ": "a. Bir yere girilen yer; başlangıç.",
+    "GİRMEK": "f. Dışarıdan içeriye geçmek.",
+    "GİTMEK": "f. Bir yere doğru yol almak.",
+    "GİYMEK": "f. Giysiyi üstüne geçirmek.",
+    "GİYSİ": "a. Giyilen şey.",
+    "GİZLİ": "sf. Başkalarından saklanan.",
+    "GÖK": "a. Gökyüzü. sf. Mavi.",
+    "GÖMLEK": "a. Üste giyilen, yakalı ve düğmeli giysi.",
+    "GÖRMEK": "f. Gözle algılamak.",
+    "GÖRÜŞMEK": "f. Biriyle konuşmak, buluşmak.",
+    "GÖZ": "a. Görme organı.",
+    "GÖZLÜK": "a. Görmeyi düzelten ya da gözü koruyan camlı araç.",
+    "GRİP": "a. Ateşli, bulaşıcı bir hastalık.",
+    "GRUP": "a. Topluluk, küme.",
+    "GURUR": "a. Onur, övünç; kibir.",
+    "GÜÇLÜ": "sf. Gücü çok olan.",
+    "GÜL": "a. Dikenli gövdeli, güzel kokulu çiçek.",
+    "GÜLMEK": "f. Sevinçle yüz kaslarını oynatıp ses çıkarmak.",
+    "GÜLÜŞ": "a. Gülme biçimi.",
+    "GÜMÜŞ": "a. Parlak, beyaz değerli metal.",
+    "GÜNAYDIN": "ünl. Sabahları kullanılan selamlaşma sözü.",
+    "GÜNEŞ": "a. Dünya'nın çevresinde döndüğü yıldız.",
+    "GÜNEY": "a. Dört ana yönden biri, kuzeyin karşıtı.",
+    "GÜZEL": "sf. Göze ve kulağa hoş gelen.",
+    "HABER": "a. Bir olay hakkında verilen bilgi.",
+    "HACİM": "a. Bir cismin kapladığı yer, oylum.",
+    "HAFİF": "sf. Ağırlığı az olan.",
+    "HAFTA": "a. Yedi günlük süre.",
+    "HAKLI": "sf. Hakkı olan, doğru düşünen.",
+    "HALA": "a. Babanın kız kardeşi.",
+    "HALI": "a. Yere serilen, yün ya da ipekten dokunmuş örtü.",
+    "HALK": "a. Bir ülkede yaşayan insanlar.",
+    "HAMUR": "a. Un ve suyun yoğrulmasıyla elde edilen karışım.",
+    "HANE": "a. Ev; bölme, göz.",
+    "HANGİ": "sf. Birkaç şey arasından seçileni sorar.",
+    "HANIM": "a. Kadın; kadınların adından sonra kullanılan saygı sözü.",
+    "HAPİSHANE": "a. Cezaevi.",
+    "HASTA": "sf. Sağlığı bozulmuş olan.",
+    "HASTANE": "a. Hastaların tedavi edildiği kurum.",
+    "HATA": "a. Yanlış.",
+    "HAVA": "a. Soluduğumuz gaz karışımı; gökyüzünün durumu.",
+    "HAVLU": "a. Kurulanmak için kullanılan emici kumaş.",
+    "HAVUÇ": "a. Turuncu kökü yenen sebze.",
+    "HAYAL": "a. Düş, imge.",
+    "HAYAT": "a. Yaşam.",
+    "HAZIR": "sf. Bir işe hazırlanmış; önceden yapılmış.",
+    "HAZİRAN": "a. Yılın altıncı ayı.",
+    "HECE": "a. Bir solukta çıkarılan ses birliği.",
+    "HEDEF": "a. Nişan alınan yer; amaç.",
+    "HEDİYE": "a. Armağan.",
+    "HEKİM": "a. Doktor.",
+    "HELA": "a. Tuvalet.",
+    "HELE": "zf. Özellikle; hiç değilse.",
+    "HEMŞİRE": "a. Hastaların bakımıyla görevli sağlık çalışanı; kız kardeş.",
+    "HEP": "zf. Her zaman. sf. Bütün.",
+    "HEPSİ": "zm. Tümü.",
+    "HER": "sf. Tek tek bütün.",
+    "HERHALDE": "zf. Büyük olasılıkla.",
+    "HERKES": "zm. Bütün insanlar.",
+    "HESAP": "a. Sayılarla yapılan işlem; ödenecek tutar.",
+    "HEVES": "a. İstek, arzu.",
+    "HEYKEL": "a. Taş, metal gibi maddelerden yontulan biçim.",
+    "HIRSIZ": "a. Başkasının malını çalan kimse.",
+    "HIZLI": "sf. Çabuk, süratli.",
+    "HİBE": "a. Bağış.",
+    "HİÇ": "zf. Asla, hiçbir zaman. a. Yokluk.",
+    "HİLE": "a. Aldatmak için yapılan düzen.",
+    "HİNDİ": "a. Etinden yararlanılan iri kümes hayvanı.",
+    "HİS": "a. Duygu; duyu.",
+    "HİZMET": "a. Birinin işini görme; bir kuruluşun sunduğu iş.",
+    "HOBİ": "a. Boş zaman uğraşı.",
+    "HOCA": "a. Öğretmen; din bilgini.",
+    "HOROZ": "a. Tavuğun erkeği.",
+    "HUKUK": "a. Toplum düzenini sağlayan kurallar bütünü.",
+    "HURMA": "a. Sıcak ülkelerde yetişen tatlı meyve ve ağacı.",
+    "HÜCRE": "a. Canlıların en küçük yapı birimi; küçük oda.",
+    "HÜZÜN": "a. Keder, üzüntü.",
+    "ILIK": "sf. Ne sıcak ne soğuk.",
+    "IRAK": "sf. Uzak.",
+    "IRMAK": "a. Denize ya da göle dökülen büyük akarsu.",
+    "IŞIK": "a. Cisimleri görünür kılan enerji.",
+    "IZGARA": "a. Yiyecek pişirmeye yarayan demir çubuklu araç.",
+    "İADE": "a. Geri verme.",
+    "İBRET": "a. Bir olaydan çıkarılan ders.",
+    "İÇİN": "e. Amaç, neden ya da karşılık bildirir.",
+    "İÇKİ": "a. Alkollü içecek.",
+    "İÇMEK": "f. Sıvıyı ağızdan yutmak.",
+    "İDDİA": "a. Bir düşünceyi kesin olarak ileri sürme; bahis.",
+    "İDEAL": "a. Ulaşılmak istenen amaç, ülkü. sf. Kusursuz.",
+    "İFADE": "a. Anlatım; söz ya da yazı ile bildirme.",
+    "İĞNE": "a. Dikiş dikmeye yarayan ince, sivri araç; şırınga.",
+    "İHTİYAÇ": "a. Gereksinim.",
+    "İLAÇ": "a. Hastalığı iyileştirmeye yarayan madde.",
+    "İLÇE": "a. İle bağlı yönetim birimi.",
+    "İLERİ": "a. Ön. zf. Öne doğru.",
+    "İLGİNÇ": "sf. İlgi çeken.",
+    "İLK": "sf. Sırada birinci olan.",
+    "İLKBAHAR": "a. Kıştan sonra gelen mevsim.",
+    "İLKE": "a. Temel kural, prensip.",
+    "İLMEK": "a. Kolayca çözülebilen düğüm.",
+    "İMAR": "a. Bir yeri bayındır duruma getirme.",
+    "İMDAT": "ünl. Yardım isteme sözü.",
+    "İMZA": "a. Bir kimsenin belgeye attığı kendine özgü işaret.",
+    "İNAN": "a. İnanma, güven.",
+    "İNCİ": "a. İstiridye içinde oluşan değerli tane.",
+    "İNEK": "a. Sığırın dişisi.",
+    "İNGİLİZCE": "a. İngilizlerin dili.",
+    "İNSAN": "a. Düşünme ve konuşma yeteneği olan canlı.",
+    "İNŞA": "a. Yapma, kurma.",
+    "İNŞAAT": "a. Yapı işleri; yapılmakta olan yapı.",
+    "İNTERNET": "a. Bilgisayarları birbirine bağlayan dünya çapındaki ağ.",
+    "İPEK": "a. İpek böceğinin ürettiği parlak iplik ve kumaşı.",
+    "İPLİK": "a. Dikiş ve dokumada kullanılan ince bükülmüş lif.",
+    "İPTAL": "a. Geçersiz kılma.",
+    "İRİS": "a. Gözün renkli bölümü.",
+    "İSİM": "a. Ad.",
+    "İSTASYON": "a. Trenlerin durduğu yer.",
+    "İSTEK": "a. Dilek, arzu.",
+    "İSTEMEK": "f. Bir şeyi elde etmeyi dilemek.",
+    "İŞÇİ": "a. Ücretle çalışan kimse.",
+    "İTME": "a. İtmek işi.",
+    "İYİ": "sf. Beğenilen, olumlu.",
+    "İZİN": "a. Bir şeyin yapılmasına razı olma; tatil.",
+    "JALE": "a. Çiy.",
+    "JEST": "a. Hareket; incelik gösteren davranış.",
+    "JETON": "a. Para yerine kullanılan metal pul.",
+    "JİLET": "a. Tıraş bıçağı.",
+    "JİMNASTİK": "a. Vücudu geliştiren hareketler.",
+    "JÜRİ": "a. Yarışma ya da sınavda karar veren kurul.",
+    "KABA": "sf. İnce olmayan; kırıcı.",
+    "KAÇ": "sf. Sayı ve miktar sorar.",
+    "KAÇAK": "sf. Kaçmış; yasa dışı.",
+    "KADAR": "e. Ölçü, derece ya da sınır bildirir.",
+    "KADEH": "a. İçki içilen ayaklı bardak.",
+    "KADER": "a. Alın yazısı, yazgı.",
+    "KADIN": "a. Erişkin dişi insan.",
+    "KAFA": "a. Baş; akıl.",
+    "KAFES": "a. Kuş ya da hayvan konan tel bölme.",
+    "KAĞIT": "a. Üzerine yazı yazılan ince yaprak.",
+    "KAHVALTI": "a. Sabah yemeği.",
+    "KAHVE": "a. Kavrulmuş çekirdekten yapılan içecek; kahvehane.",
+    "KAHVERENGİ": "a. Kahve rengi.",
+    "KALABALIK": "a. Çok sayıda insan.",
+    "KALE": "a. Savunma amacıyla yapılan sağlam yapı; futbolda gol alanı.",
+    "KALEM": "a. Yazı yazmaya yarayan araç.",
+    "KALKMAK": "f. Ayağa dikilmek; yola çıkmak.",
+    "KALP": "a. Kanı vücuda pompalayan organ, yürek.",
+    "KAMU": "a. Halkın tümü; devlet.",
+    "KANEPE": "a. Birkaç kişinin oturabileceği arkalıklı koltuk.",
+    "KANIT": "a. Bir şeyin doğruluğunu gösteren belge.",
+    "KAPALI": "sf. Kapanmış, açık olmayan.",
+    "KAPI": "a. Bir yere girip çıkmaya yarayan açıklık.",
+    "KAPLAN": "a. Çizgili postu olan büyük yırtıcı hayvan.",
+    "KAR": "a. Soğukta yağan beyaz kristaller.",
+    "KARA": "a. Toprak, kara parçası. sf. Siyah.",
+    "KARDEŞ": "a. Aynı anne ya da babadan doğan kimse.",
+    "KARI": "a. Eş (kadın).",
+    "KARIN": "a. Göğüs ile kasık arasındaki bölüm.",
+    "KARPUZ": "a. Kırmızı içli, sulu büyük meyve.",
+    "KART": "a. Kartpostal; kimlik ya da ödeme kartı.",
+    "KARTAL": "a. Güçlü, yırtıcı büyük kuş.",
+    "KASAP": "a. Et satan kimse.",
+    "KASIM": "a. Yılın on birinci ayı.",
+    "KAŞIK": "a. Sıvı yemekleri yemeye yarayan araç.",
+    "KATI": "sf. Sert; sıvı ya da gaz olmayan.",
+    "KAYIK": "a. Kürekle yürütülen küçük tekne.",
+    "KAZA": "a. İstenmeden olan kötü olay.",
+    "KAZAK": "a. Yünden örülmüş giysi.",
+    "KAZANMAK": "f. Emek karşılığı para elde etmek; yarışmada birinci olmak.",
+    "KEBAP": "a. Ateşte pişirilmiş et yemeği.",
+    "KEDİ": "a. Evde beslenen küçük memeli.",
+    "KEFİL": "a. Başkasının borcunu üstlenen kimse.",
+    "KEKE": "sf. Kekeme.",
+    "KELİME": "a. Sözcük.",
+    "KEMİK": "a. İskeleti oluşturan sert doku.",
+    "KENAR": "a. Bir şeyin yanı, ucu.",
+    "KENDİ": "zm. Dönüşlülük zamiri.",
+    "KENT": "a. Şehir.",
+    "KERE": "a. Defa, kez.",
+    "KESE": "a. Para torbası; hamamda kullanılan bez.",
+    "KESİ": "a. Kesik, yarık.",
+    "KEYİF": "a. Rahatlık, hoşnutluk; sağlık durumu.",
+    "KIRIK": "sf. Kırılmış. a. Kırılmış parça.",
+    "KIRMIZI": "sf. Kan renginde olan.",
+    "KISA": "sf. Uzun olmayan.",
+    "KIŞ": "a. Sonbahardan sonra gelen soğuk mevsim.",
+    "KIŞLA": "a. Askerlerin barındığı yapı.",
+    "KITA": "a. Büyük kara parçası.",
+    "KIYI": "a. Denizin karayla birleştiği yer.",
+    "KIZ": "a. Dişi çocuk; bir kimsenin dişi çocuğu.",
+    "KIZIL": "sf. Kırmızı. a. Bulaşıcı bir çocuk hastalığı.",
+    "KİBİR": "a. Kendini üstün görme.",
+    "KİLO": "a. Kilogram.",
+    "KİM": "zm. Kişiyi sorar.",
+    "KİMYA": "a. Maddelerin yapısını inceleyen bilim.",
+    "KİRA": "a. Bir şeyi kullanma karşılığı ödenen para.",
+    "KİRAZ": "a. Kırmızı, küçük meyve ve ağacı.",
+    "KİRLİ": "sf. Temiz olmayan.",
+    "KİŞİ": "a. İnsan, birey.",
+    "KİTAP": "a. Ciltlenmiş basılı yapıt.",
+    "KLİMA": "a. Havayı soğutup ısıtan aygıt.",
+    "KOCA": "a. Eş (erkek). sf. Büyük.",
+    "KOÇ": "a. Erkek koyun.",
+    "KOKU": "a. Burunla algılanan duyum.",
+    "KOL": "a. Omuzdan ele kadar olan organ.",
+    "KOLAY": "sf. Güç olmayan.",
+    "KOLEJ": "a. Öğretim dili yabancı dil olan özel okul.",
+    "KOLTUK": "a. Kollu, oturacak yer.",
+    "KOMŞU": "a. Yakında oturan kimse.",
+    "KONU": "a. Üzerinde konuşulan şey.",
+    "KONUK": "a. Misafir.",
+    "KONUŞMAK": "f. Söz söylemek, görüşmek.",
+    "KORİDOR": "a. Odaları birbirine bağlayan geçit.",
+    "KORKU": "a. Tehlike karşısında duyulan kaygı.",
+    "KORU": "a. Küçük orman.",
+    "KOŞMAK": "f. Hızla yürümek.",
+    "KOŞU": "a. Koşma işi.",
+    "KOVA": "a. Su taşımak için kullanılan kulplu kap.",
+    "KOYMAK": "f. Bir şeyi bir yere bırakmak.",
+    "KOYUN": "a. Yününden, etinden yararlanılan hayvan.",
+    "KOZA": "a. İpek böceğinin ördüğü kabuk.",
+    "KÖPEK": "a. Evcil, sadık memeli hayvan.",
+    "KÖPRÜ": "a. İki yakayı birleştiren yapı.",
+    "KÖŞE": "a. İki kenarın birleştiği yer.",
+    "KÖTÜ": "sf. İyi olmayan.",
+    "KÖY": "a. Kırsal yerleşim birimi.",
+    "KRAL": "a. Hükümdar.",
+    "KRAVAT": "a. Boyna bağlanan süs.",
+    "KREM": "a. Cilde sürülen yumuşak madde.",
+    "KRİZ": "a. Bunalım.",
+    "KROM": "a. Parlak, sert bir metal.",
+    "KULAK": "a. İşitme organı.",
+    "KULLANMAK": "f. Bir şeyden yararlanmak.",
+    "KUM": "a. Ufak taneli taş parçacıkları.",
+    "KURAL": "a. Uyulması gereken ilke.",
+    "KURT": "a. Köpekgillerden yırtıcı hayvan; böcek larvası.",
+    "KURU": "sf. Nemi olmayan.",
+    "KUŞ": "a. Kanatlı, tüylü, yumurtlayan hayvan.",
+    "KUŞAK": "a. Bele bağlanan kumaş; nesil.",
+    "KUTU": "a. Bir şey saklamak için kullanılan kapaklı kap.",
+    "KUYU": "a. Su çıkarmak için kazılan çukur.",
+    "KUZEY": "a. Dört ana yönden biri.",
+    "KUZU": "a. Koyun yavrusu.",
+    "KÜÇÜK": "sf. Boyutları az olan.",
+    "KÜLTÜR": "a. Bir toplumun maddi ve manevi değerleri.",
+    "KÜME": "a. Yığın; topluluk.",
+    "KÜRE": "a. Yuvarlak cisim.",
+    "KÜRK": "a. Tüylü hayvan postundan giysi.",
+    "KÜTÜPHANE": "a. Kitapların toplandığı yer.",
+    "LABORATUVAR": "a. Bilimsel deneylerin yapıldığı yer.",
+    "LAHMACUN": "a. Kıymalı ince hamurla yapılan yiyecek.",
+    "LALE": "a. Soğanlı, güzel çiçekli bitki.",
+    "LAMBA": "a. Işık veren araç.",
+    "LAZIM": "sf. Gerekli.",
+    "LEKE": "a. Bir şeyin üstünde kalan iz.",
+    "LİMAN": "a. Gemilerin barındığı yer.",
+    "LİMON": "a. Ekşi, sarı meyve ve ağacı.",
+    "LİRA": "a. Türkiye'nin para birimi.",
+    "LİSE": "a. Ortaöğretim okulu.",
+    "LİSTE": "a. Çizelge.",
+    "LOBİ": "a. Otel girişindeki salon; çıkar grubu.",
+    "LOCA": "a. Tiyatroda bölmeli oturma yeri.",
+    "LOJMAN": "a. Kurumun çalışanlarına verdiği konut.",
+    "LOKANTA": "a. Yemek yenen yer.",
+    "LÜKS": "a. Gösteriş, şatafat. sf. Pahalı.",
+    "LÜTFEN": "zf. Rica ederim anlamında.",
+    "MAAŞ": "a. Aylık ücret.",
+    "MACUN": "a. Yoğun kıvamlı karışım.",
+    "MAÇ": "a. Spor karşılaşması.",
+    "MADDE": "a. Kütlesi olan her şey; yasa maddesi.",
+    "MADEN": "a. Topraktan çıkarılan değerli mineral.",
+    "MAĞAZA": "a. Büyük dükkân.",
+    "MAHKUM": "sf. Hüküm giymiş.",
+    "MAKAS": "a. Kesmeye yarayan iki ağızlı araç.",
+    "MAKİNE": "a. Bir işi yapan mekanik düzenek.",
+    "MALİ": "sf. Parayla ilgili.",
+    "MAMA": "a. Bebek ya da hayvan yiyeceği.",
+    "MANA": "a. Anlam.",
+    "MANAV": "a. Meyve ve sebze satan kimse.",
+    "MANTO": "a. Kadın paltosu.",
+    "MARKA": "a. Bir ürünü tanıtan ad ya da işaret.",
+    "MART": "a. Yılın üçüncü ayı.",
+    "MARUL": "a. Yaprakları salata olarak yenen bitki.",
+    "MASA": "a. Üzerinde yemek yenen ya da çalışılan mobilya.",
+    "MAŞA": "a. Ateşi karıştırmaya yarayan araç.",
+    "MAVİ": "sf. Açık gökyüzü renginde olan.",
+    "MAYIS": "a. Yılın beşinci ayı.",
+    "MAYMUN": "a. İnsana en çok benzeyen memeli.",
+    "MECLİS": "a. Toplantı; kurul.",
+    "MEDYA": "a. İletişim araçlarının tümü.",
+    "MEKTUP": "a. Yazılıp gönderilen haber, ileti.",
+    "MELEK": "a. Tanrı'nın buyruklarını yerine getiren ışıktan varlık.",
+    "MEMLEKET": "a. Ülke; doğulan yer.",
+    "MEMNUN": "sf. Hoşnut.",
+    "MEMUR": "a. Devlet görevlisi.",
+    "MERA": "a. Otlak.",
+    "MERAK": "a. Öğrenme isteği.",
+    "MERDİVEN": "a. Basamaklı çıkış aracı.",
+    "MERHABA": "ünl. Selamlaşma sözü.",
+    "MERMİ": "a. Tüfekle atılan kurşun.",
+    "MEŞE": "a. Sert odunlu orman ağacı.",
+    "MEŞGUL": "sf. Bir işle uğraşan.",
+    "METAL": "a. Parlak, ısı ve elektrik ileten element.",
+    "METİN": "a. Yazılı bölüm. sf. Sağlam.",
+    "METRE": "a. Uzunluk ölçüsü birimi.",
+    "METRO": "a. Yer altı treni.",
+    "MEVCUT": "sf. Var olan.",
+    "MEYVE": "a. Bitkilerin tohumunu taşıyan yenebilen bölümü.",
+    "MEZAR": "a. Ölünün gömüldüğü yer.",
+    "MISIR": "a. Koçan üzerinde taneleri olan tahıl.",
+    "MİDE": "a. Sindirim organı.",
+    "MİLLET": "a. Ulus.",
+    "MİLLİ": "sf. Ulusal.",
+    "MİLYAR": "a. Bin milyon.",
+    "MİLYON": "a. Bin kere bin.",
+    "MİMAR": "a. Yapı tasarlayan kimse.",
+    "MİNİK": "sf. Küçük ve sevimli.",
+    "MİRAS": "a. Ölenden kalan mal.",
+    "MİSAFİR": "a. Konuk.",
+    "MODA": "a. Bir dönemde beğenilen giyim biçimi.",
+    "MODEL": "a. Örnek; kalıp.",
+    "MONTE": "sf. Kurulmuş, takılmış.",
+    "MOR": "sf. Menekşe renginde olan.",
+    "MORAL": "a. İç güç, yılmazlık.",
+    "MOTOR": "a. Enerjiyi harekete dönüştüren düzenek.",
+    "MUTFAK": "a. Yemek pişirilen yer.",
+    "MUTLU": "sf. Sevinç içinde olan.",
+    "MUZ": "a. Sarı kabuklu tropik meyve.",
+    "MÜDÜR": "a. Bir kuruluşu yöneten kimse.",
+    "MÜHENDİS": "a. Teknik işleri tasarlayıp yürüten kimse.",
+    "MÜKEMMEL": "sf. Kusursuz.",
+    "MÜZE": "a. Eserlerin sergilendiği yer.",
+    "MÜZİK": "a. Seslerin uyumlu düzeni.",
+    "NABIZ": "a. Kalp atışının damarlarda duyulması.",
+    "NADİR": "sf. Seyrek, az bulunan.",
+    "NAKİT": "a. Peşin para.",
+    "NAME": "a. Mektup.",
+    "NANE": "a. Kokulu yapraklı bitki.",
+    "NARİN": "sf. İnce yapılı, zarif.",
+    "NASIL": "zf. Ne biçimde.",
+    "NAZİK": "sf. İnce davranışlı, kibar.",
+    "NEDEN": "a. Sebep. zf. Niçin.",
+    "NEFES": "a. Soluk.",
+    "NEFRET": "a. Tiksinme, iğrenme.",
+    "NEHİR": "a. Irmak.",
+    "NEMLİ": "sf. Nemi olan.",
+    "NEREDE": "zf. Hangi yerde.",
+    "NESİL": "a. Kuşak.",
+    "NESNE": "a. Şey, cisim.",
+    "NEŞE": "a. Sevinç.",
+    "NETİCE": "a. Sonuç.",
+    "NEZLE": "a. Burun akıntılı hafif hastalık.",
+    "NİCE": "sf. Birçok.",
+    "NİÇİN": "zf. Ne için.",
+    "NİKAH": "a. Evlenme sözleşmesi.",
+    "NİSAN": "a. Yılın dördüncü ayı.",
+    "NİYE": "zf. Niçin.",
+    "NİYET": "a. Bir şeyi yapmayı isteme.",
+    "NOKTA": "a. Küçük yuvarlak işaret; cümle sonu işareti.",
+    "NORM": "a. Kural, ölçü.",
+    "NOTA": "a. Müzik seslerini gösteren işaret.",
+    "NÖBET": "a. Sırayla yapılan görev.",
+    "NUMARA": "a. Sayı; sıra numarası.",
+    "OCAK": "a. Ateş yakılan yer; yılın ilk ayı.",
+    "ODA": "a. Evin bölümlerinden her biri.",
+    "ODUN": "a. Yakmak için kesilmiş ağaç.",
+    "OFİS": "a. Büro.",
+    "OĞUL": "a. Erkek çocuk.",
+    "OKUL": "a. Eğitim ve öğretim kurumu.",
+    "OKUMAK": "f. Yazıyı seslendirmek ya da anlamak.",
+    "OLAY": "a. Meydana gelen iş.",
+    "OLGUN": "sf. Yetişmiş; ergin.",
+    "OLMAK": "f. Meydana gelmek.",
+    "OLUŞ": "a. Oluşma.",
+    "OMUZ": "a. Boyun ile kol arasındaki bölüm.",
+    "ONAR": "sf. Onar tane.",
+    "ONAY": "a. Uygun bulma.",
+    "ONLAR": "zm. Üçüncü çoğul kişi zamiri.",
+    "ONUR": "a. Kişinin kendine saygısı.",
+    "ORADA": "zf. O yerde.",
+    "ORAN": "a. İki büyüklük arasındaki ilişki.",
+    "ORDU": "a. Bir devletin silahlı gücü.",
+    "ORMAN": "a. Ağaçlarla kaplı geniş alan.",
+    "ORTA": "a. Merkez. sf. Ortalama.",
+    "ORUÇ": "a. Belli süre yiyip içmeme ibadeti.",
+    "OTEL": "a. Para karşılığı konaklanan yer.",
+    "OTOBÜS": "a. Çok yolculu motorlu taşıt.",
+    "OTURMAK": "f. Kalçanın üstünde durmak; bir yerde yaşamak.",
+    "OTUZ": "a. Yirmi dokuzdan sonra gelen sayı.",
+    "OYUN": "a. Eğlenmek için yapılan etkinlik.",
+    "OZAN": "a. Şair.",
+    "ÖDEV": "a. Yapılması gereken iş.",
+    "ÖDÜL": "a. Başarıya verilen armağan.",
+    "ÖFKE": "a. Kızgınlık.",
+    "ÖĞLE": "a. Günün ortası.",
+    "ÖĞLEN": "a. Öğle vakti.",
+    "ÖĞRENCİ": "a. Okulda okuyan kimse.",
+    "ÖĞRETMEN": "a. Ders veren kimse.",
+    "ÖĞÜN": "a. Belli saatlerde yenen yemek.",
+    "ÖKÜZ": "a. İğdiş edilmiş erkek sığır.",
+    "ÖLÇÜ": "a. Bir büyüklüğü belirleme.",
+    "ÖLÜM": "a. Yaşamın sona ermesi.",
+    "ÖMÜR": "a. Yaşam süresi.",
+    "ÖNCE": "zf. Daha erken.",
+    "ÖNCÜ": "a. Yol gösteren kimse.",
+    "ÖNEM": "a. Değer.",
+    "ÖNEMLİ": "sf. Önemi olan.",
+    "ÖNERİ": "a. Teklif.",
+    "ÖNLEM": "a. Tedbir.",
+    "ÖRDEK": "a. Yüzen perde ayaklı kuş.",
+    "ÖRGÜ": "a. Örülmüş şey.",
+    "ÖRNEK": "a. Model.",
+    "ÖRTÜ": "a. Üstü örten şey.",
+    "ÖVGÜ": "a. Övme sözü.",
+    "ÖYKÜ": "a. Hikâye.",
+    "ÖYLE": "zf. O biçimde.",
+    "ÖZEL": "sf. Kişiye ait.",
+    "ÖZEN": "a. Dikkat, itina.",
+    "ÖZET": "a. Kısaltılmış anlatım.",
+    "ÖZGÜR": "sf. Serbest.",
+    "ÖZLEM": "a. Hasret.",
+    "ÖZÜR": "a. Bağışlanma dileği.",
+    "PAKET": "a. Sarılıp bağlanmış şey.",
+    "PALA": "a. Kısa, geniş ağızlı kılıç.",
+    "PALTO": "a. Kalın dış giysi.",
+    "PAMUK": "a. Lifleri dokumada kullanılan bitki.",
+    "PANO": "a. Duyuru tahtası.",
+    "PANTOLON": "a. Bacakları ayrı giysi.",
+    "PARA": "a. Alışverişte kullanılan değer ölçüsü.",
+    "PARK": "a. Dinlenme bahçesi; taşıtın bekletildiği yer.",
+    "PARTİ": "a. Siyasi örgüt; eğlence toplantısı.",
+    "PAŞA": "a. Generallere verilen unvan.",
+    "PATA": "sf. Berabere.",
+    "PATATES": "a. Yumrusu yenen bitki.",
+    "PATLICAN": "a. Mor kabuklu sebze.",
+    "PAZAR": "a. Açık alışveriş yeri; haftanın yedinci günü.",
+    "PAZARTESİ": "a. Haftanın ilk günü.",
+    "PEMBE": "sf. Açık kırmızı renkte.",
+    "PENCERE": "a. Işık ve hava almak için açılan camlı bölüm.",
+    "PERDE": "a. Pencereyi örten kumaş.",
+    "PERŞEMBE": "a. Haftanın dördüncü günü.",
+    "PEYNİR": "a. Sütün mayalanmasıyla yapılan yiyecek.",
+    "PİDE": "a. Yassı ekmek.",
+    "PİKNİK": "a. Açık havada yemek yeme.",
+    "PİLAV": "a. Pirinç ya da bulgurla yapılan yemek.",
+    "PİLİÇ": "a. Tavuk yavrusu.",
+    "PİLOT": "a. Uçak kullanan kimse.",
+    "PİS": "sf. Kirli.",
+    "PİYANGO": "a. Çekilişle ikramiye dağıtılan talih oyunu.",
+    "PİYANO": "a. Tuşlu çalgı.",
+    "PLAJ": "a. Denize girilen kumsal.",
+    "PLAK": "a. Ses kaydedilmiş disk.",
+    "PLAN": "a. Tasarı.",
+    "POLİS": "a. Güvenlik görevlisi.",
+    "PORTAKAL": "a. Turuncu kabuklu turunçgil.",
+    "POSTA": "a. Mektup ve paket ulaştırma hizmeti.",
+    "POSTANE": "a. Posta işlerinin yapıldığı yer.",
+    "POŞET": "a. Torba.",
+    "POTA": "a. Basketbolda top atılan çember.",
+    "PROJE": "a. Tasarı.",
+    "PUAN": "a. Değerlendirme birimi.",
+    "PUSU": "a. Gizlenip bekleme.",
+    "RADYO": "a. Ses yayınlarını alan aygıt.",
+    "RAFİNE": "sf. Arıtılmış.",
+    "RAHAT": "sf. Sıkıntısız.",
+    "RAHATSIZ": "sf. Rahatı olmayan; hasta.",
+    "RAKAM": "a. Sayıları gösteren işaret.",
+    "RAKI": "a. Anasonlu sert içki.",
+    "RAKİP": "a. Yarışan kimse.",
+    "RAMAZAN": "a. Hicri takvimde oruç ayı.",
+    "RANZA": "a. Üst üste yatak.",
+    "RAPOR": "a. Bir konudaki inceleme yazısı.",
+    "RENK": "a. Işığın gözde bıraktığı etki.",
+    "RESİM": "a. Çizim, tablo; fotoğraf.",
+    "RESMİ": "sf. Devletle ilgili.",
+    "RİCA": "a. Dilek, yalvarma.",
+    "RİSK": "a. Tehlike olasılığı.",
+    "RİTM": "a. Düzenli yinelenen vuruş.",
+    "RİYA": "a. İkiyüzlülük.",
+    "ROBOT": "a. Kendi kendine iş yapan makine.",
+    "ROL": "a. Oyuncunun canlandırdığı kişi; görev.",
+    "ROMAN": "a. Uzun anlatı türü.",
+    "ROTA": "a. Yön, güzergâh.",
+    "RUH": "a. Can; iç dünya.",
+    "RUJ": "a. Dudak boyası.",
+    "RUSÇA": "a. Rusların dili.",
+    "RÜYA": "a. Düş.",
+    "RÜZGAR": "a. Yer değiştiren hava akımı.",
+    "SAAT": "a. Zamanı gösteren araç; altmış dakikalık süre.",
+    "SABAH": "a. Günün ilk saatleri.",
+    "SABIR": "a. Katlanma gücü.",
+    "SAÇMA": "sf. Anlamsız.",
+    "SADE": "sf. Yalın, süssüz.",
+    "SAĞ": "sf. Canlı; sol karşıtı.",
+    "SAĞLIK": "a. Hastalıksızlık.",
+    "SAHİL": "a. Kıyı.",
+    "SAHNE": "a. Oyunun oynandığı yer.",
+    "SAKA": "a. Sarı renkli küçük ötücü kuş; sucu.",
+    "SAKIZ": "a. Çiğnenen yumuşak madde.",
+    "SAKİN": "sf. Durgun, sessiz.",
+    "SALATA": "a. Çiğ sebzelerle yapılan yemek.",
+    "SALATALIK": "a. Yeşil kabuklu sebze.",
+    "SALI": "a. Haftanın ikinci günü.",
+    "SALON": "a. Büyük oda.",
+    "SAMAN": "a. Tahıl sapları.",
+    "SANAT": "a. Yaratıcı yetenek ürünleri.",
+    "SANAYİ": "a. Endüstri.",
+    "SANCI": "a. Karın ağrısı.",
+    "SANDAL": "a. Küçük kayık.",
+    "SANDALYE": "a. Tek kişilik oturma yeri.",
+    "SANDVİÇ": "a. Ekmek arasına konmuş yiyecek.",
+    "SANI": "a. Zan, tahmin.",
+    "SANKİ": "zf. Güya.",
+    "SARAY": "a. Hükümdar konutu.",
+    "SARGI": "a. Yara bezi.",
+    "SARI": "sf. Limon renginde olan.",
+    "SATIN": "zf. Satın almak deyiminde geçer.",
+    "SATIR": "a. Yazı dizisi.",
+    "SATIŞ": "a. Satma işi.",
+    "SAVAŞ": "a. Silahlı çatışma.",
+    "SAYFA": "a. Kâğıt yüzü.",
+    "SAYGI": "a. Değer verme.",
+    "SAYI": "a. Miktar, rakam.",
+    "SAYIN": "sf. Saygıdeğer.",
+    "SEBEP": "a. Neden.",
+    "SEBZE": "a. Yenen bitki.",
+    "SEÇİM": "a. Seçme işi; oylama.",
+    "SEDEF": "a. Midye kabuğunun parlak iç yüzü.",
+    "SEDİR": "a. Duvar dibinde oturma yeri; bir ağaç.",
+    "SEFER": "a. Yolculuk; kez.",
+    "SEKİZ": "a. Yediden sonra gelen sayı.",
+    "SEKRETER": "a. Yazı işlerine bakan kimse.",
+    "SEKSEN": "a. Yetmiş dokuzdan sonra gelen sayı.",
+    "SELAM": "a. Esenlik dileme sözü.",
+    "SELE": "a. Yassı sepet; bisiklet oturağı.",
+    "SEMA": "a. Gök.",
+    "SEMT": "a. Şehrin bir bölümü.",
+    "SEN": "zm. İkinci tekil kişi zamiri.",
+    "SENE": "a. Yıl.",
+    "SEPET": "a. Örülmüş taşıma kabı.",
+    "SERA": "a. Camlı bitki yetiştirme yeri.",
+    "SERGİ": "a. Eser sergilenen yer.",
+    "SERİ": "a. Dizi. sf. Çabuk.",
+    "SERT": "sf. Katı, yumuşak olmayan.",
+    "SERVİS": "a. Hizmet; taşıt.",
+    "SESLİ": "sf. Sesi olan.",
+    "SESSİZ": "sf. Sesi olmayan.",
+    "SEVGİ": "a. Bağlılık duygusu.",
+    "SEVİNÇ": "a. Neşe, mutluluk.",
+    "SEVMEK": "f. Sevgi duymak.",
+    "SEYAHAT": "a. Yolculuk.",
+    "SEYİR": "a. İzleme; gidiş.",
+    "SEZMEK": "f. Anlamak, hissetmek.",
+    "SEZON": "a. Mevsim, dönem.",
+    "SICAK": "sf. Isısı yüksek olan.",
+    "SIFIR": "a. Hiçbir değeri olmayan sayı.",
+    "SIĞIR": "a. İnek ve öküz türü.",
+    "SIHHAT": "a. Sağlık.",
+    "SIKI": "sf. Gevşek olmayan.",
+    "SINAV": "a. Bilgi ölçme.",
+    "SINIF": "a. Derslik; grup.",
+    "SINIR": "a. İki yeri ayıran çizgi.",
+    "SIRA": "a. Dizi; sıralama.",
+    "SIRT": "a. Arka.",
+    "SIVI": "a. Akışkan madde.",
+    "SİGARA": "a. Tütün çubuğu.",
+    "SİLAH": "a. Savunma ya da saldırı aracı.",
+    "SİLGİ": "a. Yazı silme aracı.",
+    "SİLMEK": "f. Temizlemek; yok etmek.",
+    "SİMA": "a. Yüz, çehre.",
+    "SİMGE": "a. Sembol.",
+    "SİMİT": "a. Susamlı halka ekmek.",
+    "SİNEK": "a. Kanatlı küçük böcek.",
+    "SİNEMA": "a. Film gösterilen yer.",
+    "SİNİRLİ": "sf. Çabuk kızan.",
+    "SİNYAL": "a. İşaret.",
+    "SİREN": "a. Uyarı düdüğü.",
+    "SİRK": "a. Gösteri çadırı.",
+    "SİSTEM": "a. Düzen.",
+    "SİTE": "a. Konut topluluğu; web sayfası.",
+    "SİVİL": "sf. Asker olmayan.",
+    "SİYAH": "sf. Kara.",
+    "SİZ": "zm. İkinci çoğul kişi zamiri.",
+    "SOBA": "a. Isıtma aracı.",
+    "SOĞAN": "a. Yumrulu bitki.",
+    "SOĞUK": "sf. Isısı düşük.",
+    "SOKAK": "a. Yol.",
+    "SOLUCAN": "a. Toprakta yaşayan hayvan.",
+    "SOLUK": "a. Nefes. sf. Rengi uçuk.",
+    "SOMUN": "a. Ekmek; vida parçası.",
+    "SON": "a. Bitiş.",
+    "SONBAHAR": "a. Yazdan sonra gelen mevsim.",
+    "SONRA": "zf. Daha geç.",
+    "SONUÇ": "a. Bir işin ortaya çıkardığı durum.",
+    "SORGU": "a. Soruşturma.",
+    "SORU": "a. Yanıt beklenen söz.",
+    "SORUN": "a. Problem.",
+    "SOSYAL": "sf. Toplumsal.",
+    "SOYUT": "sf. Somut olmayan.",
+    "SÖĞÜT": "a. Su kenarında yetişen ağaç.",
+    "SÖYLEMEK": "f. Söz ile anlatmak.",
+    "SÖZ": "a. Kelime; vaat.",
+    "SÖZLÜK": "a. Kelimelerin anlamlarını veren kitap.",
+    "SPOR": "a. Beden eğitimi.",
+    "STAD": "a. Spor alanı.",
+    "STAJ": "a. Uygulamalı eğitim.",
+    "STAR": "a. Yıldız oyuncu.",
+    "STİL": "a. Üslup, tarz.",
+    "SUÇLU": "sf. Suç işlemiş.",
+    "SULTAN": "a. Hükümdar.",
+    "SUNUM": "a. Sunma işi.",
+    "SURET": "a. Kopya; görünüş.",
+    "SUSAM": "a. Yağlı tohumlu bitki.",
+    "SUSAMAK": "f. Su içme isteği duymak.",
+    "SÜRE": "a. Zaman dilimi.",
+    "SÜRÜ": "a. Hayvan topluluğu.",
+    "SÜS": "a. Güzelleştiren şey.",
+    "SÜT": "a. Memelilerin salgısı olan beyaz besin.",
+    "SÜTUN": "a. Direk.",
+    "ŞAKA": "a. Güldürmek için yapılan söz ya da davranış.",
+    "ŞANS": "a. Talih.",
+    "ŞARAP": "a. Üzümden yapılan içki.",
+    "ŞARKI": "a. Bestelenmiş söz.",
+    "ŞART": "a. Koşul.",
+    "ŞEHİR": "a. Kent.",
+    "ŞEKER": "a. Tatlı madde.",
+    "ŞEKİL": "a. Biçim.",
+    "ŞEMSİYE": "a. Yağmurdan korunma aracı.",
+    "ŞERİT": "a. Uzun, dar parça.",
+    "ŞEYTAN": "a. Kötülüğe yönelten varlık.",
+    "ŞİİR": "a. Ölçülü ve uyaklı yazı.",
+    "ŞİMDİ": "zf. Bu anda.",
+    "ŞİŞE": "a. Camdan kap.",
+    "ŞİŞMAN": "sf. Kilolu.",
+    "ŞOFÖR": "a. Araç süren kimse.",
+    "ŞÖYLE": "zf. Bu biçimde.",
+    "ŞUBAT": "a. Yılın ikinci ayı.",
+    "ŞUBE": "a. Kol, bölüm.",
+    "ŞURUP": "a. Koyu, şekerli sıvı.",
+    "ŞÜPHE": "a. Kuşku.",
+    "TABAK": "a. Yemek konan yayvan kap.",
+    "TABAN": "a. Bir şeyin alt yüzü; ayağın altı.",
+    "TABELA": "a. Yazılı levha.",
+    "TABLET": "a. Dokunmatik bilgisayar; ilaç hapı.",
+    "TABLO": "a. Resim; çizelge.",
+    "TABUR": "a. Askerî birlik.",
+    "TAHTA": "a. Ağaçtan kesilmiş düz parça.",
+    "TAKIM": "a. Birlikte oynayan grup; takım elbise.",
+    "TAKİP": "a. İzleme.",
+    "TAKSİ": "a. Ücretli otomobil.",
+    "TALEP": "a. İstek.",
+    "TALİH": "a. Şans.",
+    "TAMAM": "sf. Eksiksiz. ünl. Peki.",
+    "TAMİR": "a. Onarma.",
+    "TANE": "a. Adet; tohum.",
+    "TANIK": "a. Bir olayı görmüş kimse.",
+    "TANIM": "a. Bir şeyin ne olduğunu açıklama.",
+    "TANIMAK": "f. Birini ya da bir şeyi bilmek.",
+    "TANK": "a. Zırhlı savaş aracı; sıvı deposu.",
+    "TAPU": "a. Mülkiyet belgesi.",
+    "TARAF": "a. Yan, yön.",
+    "TARAK": "a. Saç düzeltme aracı.",
+    "TARİF": "a. Tanımlama; yemek yapılışı.",
+    "TARİH": "a. Geçmişi inceleyen bilim; gün ay yıl.",
+    "TARLA": "a. Ekim yapılan yer.",
+    "TART": "a. Meyveli hamur tatlısı.",
+    "TARZ": "a. Biçim, üslup.",
+    "TASARI": "a. Plan, proje.",
+    "TAŞIT": "a. Taşıma aracı.",
+    "TATİL": "a. Dinlenme süresi.",
+    "TATLI": "sf. Şekerli. a. Tatlı yemek.",
+    "TAVAN": "a. Odanın üst yüzü.",
+    "TAVIR": "a. Davranış biçimi.",
+    "TAVŞAN": "a. Uzun kulaklı kemirgen.",
+    "TAVUK": "a. Kümes hayvanı.",
+    "TAYİN": "a. Atama.",
+    "TAZE": "sf. Yeni, bayat olmayan.",
+    "TEBEŞİR": "a. Tahtaya yazı yazmaya yarayan çubuk.",
+    "TEDAVİ": "a. İyileştirme.",
+    "TEHLİKE": "a. Zarar olasılığı.",
+    "TEKLİF": "a. Öneri.",
+    "TEKNE": "a. Gemi gövdesi; küçük deniz taşıtı.",
+    "TEKRAR": "zf. Yeniden.",
+    "TEKSTİL": "a. Dokuma.",
+    "TELEFON": "a. Uzaktan konuşma aygıtı.",
+    "TELEVİZYON": "a. Görüntü ve ses alan aygıt.",
+    "TEMA": "a. Konu.",
+    "TEMEL": "a. Yapının alt bölümü. sf. Esas.",
+    "TEMİZ": "sf. Kirli olmayan.",
+    "TEMİZLİK": "a. Temiz olma durumu.",
+    "TEMMUZ": "a. Yılın yedinci ayı.",
+    "TEMSİL": "a. Birinin yerine bulunma; oyun.",
+    "TENCERE": "a. Yemek pişirme kabı.",
+    "TENİS": "a. Raketle oynanan top oyunu.",
+    "TEPE": "a. Küçük dağ; üst.",
+    "TEPSİ": "a. Yayvan taşıma kabı.",
+    "TERCİH": "a. Seçme, yeğleme.",
+    "TERLİK": "a. Ev ayakkabısı.",
+    "TESİS": "a. Kuruluş.",
+    "TEST": "a. Sınama.",
+    "TEŞEKKÜR": "a. Sağ ol deme.",
+    "TEYZE": "a. Annenin kız kardeşi.",
+    "TIRNAK": "a. Parmak ucundaki sert doku.",
+    "TIRTIL": "a. Kelebek larvası.",
+    "TİCARET": "a. Alım satım.",
+    "TİLKİ": "a. Kurnaz bilinen yırtıcı hayvan.",
+    "TİYATRO": "a. Sahne sanatı.",
+    "TOHUM": "a. Bitkinin üreme tanesi.",
+    "TOKA": "a. Saç ya da kemer tutturucu.",
+    "TOP": "a. Yuvarlak oyun aracı.",
+    "TOPLAM": "a. Toplama sonucu.",
+    "TOPLUM": "a. İnsan topluluğu.",
+    "TOPRAK": "a. Yerin üst katmanı.",
+    "TOPUK": "a. Ayağın arka bölümü.",
+    "TORBA": "a. Kumaş kap.",
+    "TORUN": "a. Çocuğun çocuğu.",
+    "TOZ": "a. Ufak parçacıklar.",
+    "TÖREN": "a. Kutlama.",
+    "TRAFİK": "a. Yoldaki araç hareketi.",
+    "TREN": "a. Rayda giden taşıt.",
+    "TREND": "a. Eğilim, akım.",
+    "TRİBÜN": "a. Seyirci yeri.",
+    "TURİST": "a. Gezgin.",
+    "TURİZM": "a. Gezi etkinlikleri.",
+    "TURŞU": "a. Sirkeli ya da tuzlu suda bekletilmiş sebze.",
+    "TURUNCU": "sf. Portakal renginde olan.",
+    "TUTKU": "a. Güçlü istek.",
+    "TUVAL": "a. Resim bezi.",
+    "TUZ": "a. Yemeğe katılan beyaz madde.",
+    "TUZLU": "sf. Tuzu olan.",
+    "TÜFEK": "a. Ateşli silah.",
+    "TÜL": "a. İnce kumaş.",
+    "TÜM": "sf. Bütün.",
+    "TÜNEL": "a. Yer altı geçidi.",
+    "TÜRK": "a. Türk ulusundan kimse.",
+    "TÜRKÇE": "a. Türklerin dili.",
+    "TÜRLÜ": "sf. Çeşitli. a. Sebze yemeği.",
+    "TÜTÜN": "a. Yaprakları içilen bitki.",
+    "UCUZ": "sf. Fiyatı düşük.",
+    "UÇAK": "a. Havada uçan taşıt.",
+    "UÇURTMA": "a. Rüzgârla uçurulan oyuncak.",
+    "UFAK": "sf. Küçük.",
+    "UĞUR": "a. Şans.",
+    "ULAŞIM": "a. Yolculuk ve taşıma.",
+    "ULUS": "a. Millet.",
+    "UMUT": "a. Ümit.",
+    "UNSUR": "a. Öğe.",
+    "UNUTMAK": "f. Aklından çıkarmak.",
+    "UYKULU": "sf. Uykusu gelmiş.",
+    "UYUMAK": "f. Uyku durumuna geçmek.",
+    "UZAK": "sf. Yakın olmayan.",
+    "UZAY": "a. Gök cisimlerinin bulunduğu sonsuz boşluk.",
+    "UZMAN": "a. Bir konuda bilgili kimse.",
+    "UZUN": "sf. Kısa olmayan.",
+    "ÜCRET": "a. Emek karşılığı para.",
+    "ÜÇGEN": "a. Üç kenarlı şekil.",
+    "ÜLKE": "a. Memleket.",
+    "ÜMİT": "a. Umut.",
+    "ÜNİTE": "a. Birim.",
+    "ÜNİVERSİTE": "a. Yükseköğretim kurumu.",
+    "ÜNLÜ": "sf. Tanınmış.",
+    "ÜRÜN": "a. Üretilen şey.",
+    "ÜST": "a. Yukarı yan.",
+    "ÜTÜ": "a. Kırışık gideren araç.",
+    "ÜYE": "a. Bir topluluğa bağlı kimse.",
+    "ÜZGÜN": "sf. Kederli.",
+    "ÜZÜM": "a. Asma meyvesi.",
+    "ÜZÜNTÜ": "a. Keder.",
+    "VADE": "a. Süre.",
+    "VADİ": "a. İki dağ arasındaki çukur.",
+    "VAHŞİ": "sf. Yabani.",
+    "VAKIF": "a. Hayır kurumu.",
+    "VAKİT": "a. Zaman.",
+    "VALİ": "a. İl yöneticisi.",
+    "VALİZ": "a. Bavul.",
+    "VAPUR": "a. Buharlı gemi.",
+    "VAR": "sf. Mevcut.",
+    "VARLIK": "a. Var olma.",
+    "VATAN": "a. Yurt.",
+    "VATANDAŞ": "a. Yurttaş.",
+    "VAZO": "a. Çiçek kabı.",
+    "VEDA": "a. Ayrılma selamı.",
+    "VEFA": "a. Sözünde durma, bağlılık.",
+    "VERGİ": "a. Devlete ödenen para.",
+    "VERİ": "a. Bilgi, data.",
+    "VERMEK": "f. Birine bir şey iletmek.",
+    "VİCDAN": "a. İç ses, ahlak bilinci.",
+    "VİDEO": "a. Görüntü kaydı.",
+    "VİLLA": "a. Bahçeli büyük ev.",
+    "VİRÜS": "a. Hastalık yapan mikroorganizma.",
+    "VİZE": "a. Giriş izni.",
+    "VÜCUT": "a. Beden.",
+    "YABANCI": "sf. Tanınmayan; başka ülkeden.",
+    "YAĞMUR": "a. Damlalar hâlinde yağan su.",
+    "YAKIN": "sf. Uzak olmayan.",
+    "YAKIŞIKLI": "sf. Güzel görünümlü.",
+    "YAKIT": "a. Yakılan madde.",
+    "YALAN": "a. Gerçeğe uymayan söz.",
+    "YALI": "a. Kıyıdaki büyük ev.",
+    "YALNIZ": "sf. Tek başına.",
+    "YAMA": "a. Yırtığa dikilen parça.",
+    "YAN": "a. Taraf.",
+    "YANAK": "a. Yüzün yan bölümü.",
+    "YANGIN": "a. Büyük ateş.",
+    "YANIT": "a. Cevap.",
+    "YANKI": "a. Sesin geri dönmesi.",
+    "YANLIŞ": "sf. Doğru olmayan.",
+    "YAPMAK": "f. Oluşturmak, etmek.",
+    "YAPRAK": "a. Bitkilerin yeşil organı.",
+    "YARA": "a. Vücutta açılan kesik.",
+    "YARAR": "a. Fayda.",
+    "YARDIM": "a. Destek.",
+    "YARGI": "a. Hüküm.",
+    "YARI": "a. İki eşit bölümden biri.",
+    "YARIN": "a. Bugünden sonraki gün.",
+    "YARIŞ": "a. Yarışma.",
+    "YASAK": "a. Yapılması engellenen şey.",
+    "YASAL": "sf. Yasaya uygun.",
+    "YASSI": "sf. Düz ve geniş.",
+    "YASTIK": "a. Baş konulan yumuşak şey.",
+    "YAŞ": "a. Yaşanan yıl sayısı. sf. Islak.",
+    "YAŞAM": "a. Hayat.",
+    "YAŞAMAK": "f. Hayatta olmak.",
+    "YAŞLI": "sf. Yaşı ilerlemiş.",
+    "YATAK": "a. Üzerinde yatılan şey.",
+    "YATIRIM": "a. Kazanç için yapılan harcama.",
+    "YATMAK": "f. Uzanmak.",
+    "YAVAŞ": "sf. Hızlı olmayan.",
+    "YAVRU": "a. Hayvan çocuğu.",
+    "YAYIN": "a. Yayımlanan şey.",
+    "YAZ": "a. İlkbahardan sonra gelen sıcak mevsim.",
+    "YAZAR": "a. Yazı yazan kimse.",
+    "YAZGI": "a. Kader.",
+    "YAZI": "a. Yazılmış şey.",
+    "YAZILIM": "a. Bilgisayar programları.",
+    "YEDEK": "sf. Gerektiğinde kullanılan.",
+    "YEDİ": "a. Altıdan sonra gelen sayı.",
+    "YELEK": "a. Kolsuz giysi.",
+    "YEMEK": "a. Pişirilmiş yiyecek. f. Yiyeceği ağızda çiğneyip yutmak.",
+    "YEMİN": "a. Ant.",
+    "YENİ": "sf. Eski olmayan.",
+    "YER": "a. Konum, mekân.",
+    "YEREL": "sf. Bölgesel.",
+    "YEŞİL": "sf. Çimen renginde olan.",
+    "YETER": "sf. Yeterli.",
+    "YETKİ": "a. Bir işi yapma hakkı.",
+    "YETMİŞ": "a. Altmış dokuzdan sonra gelen sayı.",
+    "YIKAMAK": "f. Suyla temizlemek.",
+    "YIL": "a. On iki aylık süre.",
+    "YILAN": "a. Ayaksız sürüngen.",
+    "YILDIZ": "a. Gökte parlayan cisim.",
+    "YILLIK": "sf. Bir yıllık.",
+    "YİRMİ": "a. On dokuzdan sonra gelen sayı.",
+    "YOĞUN": "sf. Sık, koyu.",
+    "YOK": "sf. Bulunmayan.",
+    "YOKUŞ": "a. Çıkış yolu.",
+    "YOLCU": "a. Yolculuk eden kimse.",
+    "YORGUN": "sf. Yorulmuş.",
+    "YORUM": "a. Açıklama, değerlendirme.",
+    "YOSUN": "a. Nemli yerlerde yetişen bitki.",
+    "YÖN": "a. Taraf, istikamet.",
+    "YÖNETİM": "a. Yönetme işi.",
+    "YUDUM": "a. Bir kerede içilen miktar.",
+    "YUKARI": "zf. Üst yana.",
+    "YULAF": "a. Tahıl bitkisi.",
+    "YUMURTA": "a. Kuşların ürettiği kabuklu yiyecek.",
+    "YURT": "a. Vatan; öğrenci barınağı.",
+    "YUVA": "a. Kuş evi; ev.",
+    "YÜK": "a. Taşınan şey.",
+    "YÜKSEK": "sf. Yukarıda olan.",
+    "YÜN": "a. Koyun tüyü.",
+    "YÜREK": "a. Kalp.",
+    "YÜZ": "a. Surat; doksan dokuzdan sonra gelen sayı.",
+    "YÜZDE": "a. Yüzde bir oranı.",
+    "YÜZME": "a. Suda ilerleme sporu.",
+    "YÜZMEK": "f. Suda ilerlemek.",
+    "ZAFER": "a. Utku, yengi.",
+    "ZAMAN": "a. Süre, vakit.",
+    "ZARAR": "a. Kayıp.",
+    "ZARF": "a. Mektup kılıfı; belirteç.",
+    "ZAYIF": "sf. Güçsüz; ince.",
+    "ZEHİR": "a. Canlıya zarar veren madde.",
+    "ZEKİ": "sf. Zekâsı güçlü.",
+    "ZEMİN": "a. Yer, taban.",
+    "ZENGİN": "sf. Varlıklı.",
+    "ZERRE": "a. Çok küçük parça.",
+    "ZEVKLİ": "sf. Hoş, eğlenceli.",
+    "ZEYTİN": "a. Yağlı meyve ve ağacı.",
+    "ZIT": "sf. Karşıt.",
+    "ZİL": "a. Ses çıkaran uyarı aracı.",
+    "ZİNCİR": "a. Halkalardan oluşan bağ.",
+    "ZİRAAT": "a. Tarım.",
+    "ZİRVE": "a. Doruk.",
+    "ZİYARET": "a. Birini görmeye gitme.",
+    "ZOR": "sf. Güç, kolay olmayan.",
+    "ZORLU": "sf. Güç, zorlayıcı.",
+    "ZÜRAFA": "a. Uzun boyunlu Afrika hayvanı."
+};
+
+const WORD_CLASSES = {
+    'a.': 'isim', 'sf.': 'sıfat', 'zf.': 'zarf', 'zm.': 'zamir',
+    'e.': 'edat', 'bağ.': 'bağlaç', 'ünl.': 'ünlem', 'f.': 'fiil'
+};
+
+// Splits an entry into its word class and text, or null if the word has no entry
+function lookupDefinition(word) {
+    const entry = definitions[normalizeWord(word)];
+    if (!entry) return null;
+    const [abbr, ...rest] = entry.split(' ');
+    return WORD_CLASSES[abbr]
+        ? { wordClass: WORD_CLASSES[abbr], text: rest.join(' ') }
+        : { wordClass: null, text: entry };
+}
+
+if (typeof module !== 'undefined') module.exports = { definitions, WORD_CLASSES, lookupDefinition };
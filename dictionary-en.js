@@ -0,0 +1,33 @@
+// Base word list of the English pack (lang-en.js): common words of 3 to 8 letters
+const englishWords = [
+    "ABLE", "ABOUT", "ABOVE", "ACE", "ACHE", "ACID", "ACRE", "ACT", "ACTOR", "ADD", "ADMIT", "ADOPT", "ADULT", "AFTER", "AGAIN", "AGE", "AGED", "AGENT", "AGO", "AGREE", "AHEAD", "AID", "AIM", "AIR", "ALARM", "ALBUM", "ALERT", "ALIKE", "ALIVE", "ALL", "ALLOW", "ALONE", "ALONG", "ALTER", "AMONG", "ANGEL", "ANGER", "ANGLE", "ANGRY", "ANKLE", "ANT", "ANY", "APART", "APE", "APPLE", "APRON", "ARC", "ARE", "AREA", "ARENA", "ARGUE", "ARISE", "ARM", "ARMY", "ART", "ASH", "ASIDE", "ASK", "ATE", "ATOM", "AUNT", "AVOID", "AWAKE", "AWARD", "AWARE", "AWAY", "AXE",
+    "BABY", "BACK", "BAD", "BADGE", "BAG", "BAKE", "BAKER", "BALL", "BAND", "BANK", "BAR", "BARE", "BARN", "BASE", "BASIC", "BASIN", "BAT", "BATH", "BEACH", "BEAD", "BEAM", "BEAN", "BEAR", "BEARD", "BEAST", "BEAT", "BED", "BEE", "BEEF", "BEEN", "BEER", "BEG", "BEGIN", "BEING", "BELL", "BELT", "BENCH", "BEND", "BENT", "BEST", "BET", "BIG", "BIKE", "BILL", "BIN", "BIND", "BIRD", "BIRTH", "BIT", "BITE", "BLACK", "BLADE", "BLAME", "BLANK", "BLAST", "BLEED", "BLEND", "BLESS", "BLIND", "BLOCK", "BLOOD", "BLOOM", "BLOW", "BLUE", "BOARD", "BOAT", "BODY", "BOIL", "BOLD", "BOLT", "BOND", "BONE", "BOOK", "BOOT", "BORE", "BORN", "BOSS", "BOTH", "BOWL", "BOX", "BOY", "BRAIN", "BRAKE", "BRAND", "BRAVE", "BREAD", "BREAK", "BRICK", "BRIDE", "BRIEF", "BRING", "BROAD", "BROKE", "BROWN", "BRUSH", "BUD", "BUILD", "BULB", "BULL", "BUN", "BURN", "BURST", "BUS", "BUSY", "BUT", "BUY", "BYE",
+    "CAB", "CAGE", "CAKE", "CALL", "CALM", "CAME", "CAMP", "CAN", "CANAL", "CANDY", "CAP", "CAPE", "CAR", "CARD", "CARE", "CARGO", "CARPET", "CARRY", "CART", "CASE", "CASH", "CAST", "CAT", "CATCH", "CAUSE", "CAVE", "CELL", "CENT", "CHAIN", "CHAIR", "CHALK", "CHARM", "CHART", "CHASE", "CHEAP", "CHEAT", "CHECK", "CHEEK", "CHEER", "CHESS", "CHEST", "CHIEF", "CHILD", "CHILL", "CHIN", "CHIP", "CHOIR", "CITY", "CLAIM", "CLAP", "CLASS", "CLAY", "CLEAN", "CLEAR", "CLERK", "CLICK", "CLIFF", "CLIMB", "CLOCK", "CLOSE", "CLOTH", "CLOUD", "CLUB", "COACH", "COAL", "COAST", "COAT", "CODE", "COIN", "COLD", "COLOR", "COME", "CONE", "COOK", "COOL", "COPE", "COPY", "CORD", "CORE", "CORN", "COST", "COT", "COUCH", "COUNT", "COURT", "COVER", "COW", "CRAB", "CRACK", "CRAFT", "CRANE", "CRASH", "CRAWL", "CRAZY", "CREAM", "CREW", "CRIME", "CROP", "CROSS", "CROWD", "CROWN", "CRUEL", "CRUMB", "CRUSH", "CRY", "CUBE", "CUP", "CURE", "CURL", "CURVE", "CUT", "CUTE",
+    "DAD", "DAILY", "DAIRY", "DAM", "DAMP", "DANCE", "DARE", "DARK", "DART", "DATA", "DATE", "DAWN", "DAY", "DEAD", "DEAL", "DEAR", "DEBT", "DECK", "DEEP", "DEER", "DELAY", "DEN", "DENSE", "DENT", "DESK", "DEW", "DIAL", "DIARY", "DICE", "DID", "DIE", "DIET", "DIG", "DINE", "DINNER", "DIP", "DIRT", "DIRTY", "DISH", "DIVE", "DOCK", "DOES", "DOG", "DOLL", "DOME", "DONE", "DOOR", "DOSE", "DOT", "DOUBT", "DOUGH", "DOVE", "DOWN", "DOZEN", "DRAFT", "DRAG", "DRAIN", "DRAMA", "DRANK", "DRAW", "DRAWN", "DREAM", "DRESS", "DRIED", "DRIFT", "DRILL", "DRINK", "DRIP", "DRIVE", "DROP", "DROVE", "DRUM", "DRY", "DUCK", "DUE", "DULL", "DUMP", "DUNE", "DUST", "DUTY",
+    "EACH", "EAGER", "EAGLE", "EAR", "EARLY", "EARN", "EARTH", "EASE", "EAST", "EASY", "EAT", "EATEN", "EDGE", "EGG", "EIGHT", "ELBOW", "ELDER", "ELSE", "EMPTY", "END", "ENEMY", "ENJOY", "ENTER", "ENTRY", "EQUAL", "ERA", "ERROR", "EVEN", "EVENT", "EVER", "EVERY", "EVIL", "EXACT", "EXAM", "EXIST", "EXIT", "EXTRA", "EYE",
+    "FACE", "FACT", "FADE", "FAIL", "FAINT", "FAIR", "FAITH", "FAKE", "FALL", "FALSE", "FAME", "FAN", "FANCY", "FAR", "FARE", "FARM", "FAST", "FAT", "FATE", "FAULT", "FEAR", "FEAST", "FED", "FEE", "FEED", "FEEL", "FEET", "FELL", "FELT", "FENCE", "FERRY", "FEVER", "FEW", "FIBER", "FIELD", "FIFTH", "FIFTY", "FIGHT", "FILE", "FILL", "FILM", "FINAL", "FIND", "FINE", "FIRE", "FIRM", "FIRST", "FISH", "FIST", "FIT", "FIVE", "FIX", "FLAG", "FLAME", "FLASH", "FLAT", "FLEET", "FLESH", "FLEW", "FLIGHT", "FLOAT", "FLOCK", "FLOOD", "FLOOR", "FLOUR", "FLOW", "FLOWER", "FLU", "FLY", "FOAM", "FOG", "FOLD", "FOLK", "FOOD", "FOOL", "FOOT", "FOR", "FORCE", "FORK", "FORM", "FORT", "FORTY", "FOUND", "FOUR", "FOX", "FRAME", "FRANK", "FREE", "FRESH", "FRIED", "FROG", "FROM", "FRONT", "FROST", "FRUIT", "FUEL", "FULL", "FUN", "FUND", "FUNNY", "FUR",
+    "GAIN", "GAME", "GAP", "GARDEN", "GAS", "GATE", "GAVE", "GAZE", "GEAR", "GEM", "GENE", "GHOST", "GIANT", "GIFT", "GIRL", "GIVE", "GIVEN", "GLAD", "GLASS", "GLOBE", "GLORY", "GLOVE", "GLOW", "GLUE", "GOAL", "GOAT", "GOD", "GOES", "GOLD", "GOLF", "GONE", "GOOD", "GOOSE", "GOT", "GOWN", "GRAB", "GRACE", "GRADE", "GRAIN", "GRAND", "GRANT", "GRAPE", "GRAPH", "GRASP", "GRASS", "GRAVE", "GRAY", "GREAT", "GREEN", "GREET", "GREW", "GRID", "GRIEF", "GRILL", "GRIN", "GRIP", "GROUND", "GROUP", "GROW", "GROWN", "GUARD", "GUESS", "GUEST", "GUIDE", "GUILT", "GUM", "GUN", "GUY",
+    "HABIT", "HAD", "HAIR", "HALF", "HALL", "HAM", "HAND", "HANG", "HAPPY", "HARD", "HARM", "HAS", "HAT", "HATE", "HAVE", "HAY", "HEAD", "HEAL", "HEAP", "HEAR", "HEARD", "HEART", "HEAT", "HEAVY", "HEEL", "HELD", "HELL", "HELLO", "HELP", "HEN", "HER", "HERB", "HERD", "HERE", "HERO", "HID", "HIDE", "HIGH", "HILL", "HIM", "HINT", "HIP", "HIRE", "HIS", "HIT", "HOLD", "HOLE", "HOLY", "HOME", "HONEY", "HOOD", "HOOK", "HOPE", "HORN", "HORSE", "HOSE", "HOST", "HOT", "HOTEL", "HOUR", "HOUSE", "HOW", "HUG", "HUGE", "HUMAN", "HUMOR", "HUNT", "HURRY", "HURT", "HUT",
+    "ICE", "IDEA", "IDEAL", "IDLE", "ILL", "IMAGE", "INCH", "INDEX", "INK", "INN", "INNER", "INPUT", "INTO", "IRON", "ISLAND", "ISSUE", "ITEM", "ITS", "IVORY",
+    "JACKET", "JAM", "JAR", "JAW", "JAZZ", "JEANS", "JELLY", "JET", "JEWEL", "JOB", "JOIN", "JOINT", "JOKE", "JOLLY", "JOY", "JUDGE", "JUICE", "JUMP", "JUNE", "JUNK", "JURY", "JUST",
+    "KEEN", "KEEP", "KEPT", "KETTLE", "KEY", "KICK", "KID", "KILL", "KIND", "KING", "KISS", "KIT", "KITE", "KNEE", "KNELT", "KNEW", "KNIFE", "KNIT", "KNOB", "KNOCK", "KNOT", "KNOW", "KNOWN",
+    "LAB", "LABEL", "LACE", "LACK", "LAD", "LADY", "LAID", "LAKE", "LAMB", "LAMP", "LAND", "LANE", "LAP", "LARGE", "LAST", "LATE", "LATER", "LAUGH", "LAW", "LAWN", "LAY", "LAYER", "LAZY", "LEAD", "LEAF", "LEAN", "LEAP", "LEARN", "LEAST", "LEAVE", "LED", "LEFT", "LEG", "LEMON", "LEND", "LENS", "LESS", "LET", "LEVEL", "LID", "LIE", "LIFE", "LIFT", "LIGHT", "LIKE", "LIMB", "LIME", "LIMIT", "LINE", "LINK", "LION", "LIP", "LIST", "LIT", "LIVE", "LOAD", "LOAF", "LOAN", "LOCAL", "LOCK", "LOG", "LONE", "LONG", "LOOK", "LOOP", "LOOSE", "LORD", "LOSE", "LOSS", "LOST", "LOT", "LOUD", "LOVE", "LOVER", "LOW", "LOWER", "LUCK", "LUCKY", "LUMP", "LUNCH", "LUNG",
+    "MAD", "MADE", "MAGIC", "MAID", "MAIL", "MAIN", "MAJOR", "MAKE", "MAKER", "MALE", "MALL", "MAN", "MANY", "MAP", "MARCH", "MARK", "MASK", "MASS", "MAST", "MAT", "MATCH", "MATE", "MAY", "MAYBE", "MAYOR", "MEAL", "MEAN", "MEANT", "MEAT", "MEDAL", "MEET", "MELT", "MEMO", "MEN", "MENU", "MERCY", "MERE", "MESS", "METAL", "METER", "MICE", "MID", "MIGHT", "MILD", "MILE", "MILK", "MILL", "MIND", "MINE", "MINOR", "MINT", "MINUS", "MISS", "MIST", "MIX", "MODEL", "MOLD", "MOM", "MONEY", "MONTH", "MOOD", "MOON", "MORAL", "MORE", "MOST", "MOTH", "MOTOR", "MOUNT", "MOUSE", "MOUTH", "MOVE", "MOVIE", "MUCH", "MUD", "MUG", "MULE", "MUSIC", "MUST",
+    "NAIL", "NAME", "NAP", "NARROW", "NASTY", "NAVY", "NEAR", "NEAT", "NECK", "NEED", "NERVE", "NEST", "NET", "NEVER", "NEW", "NEWS", "NEXT", "NICE", "NIGHT", "NINE", "NOD", "NOISE", "NOISY", "NONE", "NOON", "NOR", "NORTH", "NOSE", "NOT", "NOTE", "NOTED", "NOUN", "NOVEL", "NOW", "NURSE", "NUT",
+    "OAK", "OAR", "OAT", "OCEAN", "ODD", "OFF", "OFFER", "OFTEN", "OIL", "OLD", "OLIVE", "ONCE", "ONE", "ONION", "ONLY", "OPEN", "OPERA", "ORDER", "OTHER", "OUNCE", "OUR", "OUT", "OUTER", "OVAL", "OVEN", "OVER", "OWE", "OWL", "OWN", "OWNER",
+    "PACE", "PACK", "PAD", "PAGE", "PAID", "PAIN", "PAINT", "PAIR", "PALE", "PALM", "PAN", "PANEL", "PANIC", "PAPER", "PARK", "PART", "PARTY", "PASS", "PAST", "PASTA", "PATH", "PAW", "PAY", "PEA", "PEACE", "PEACH", "PEAK", "PEAR", "PEARL", "PEN", "PENNY", "PET", "PHONE", "PHOTO", "PIANO", "PICK", "PIE", "PIECE", "PIG", "PILE", "PILL", "PILOT", "PIN", "PINE", "PINK", "PIPE", "PIT", "PITCH", "PLACE", "PLAIN", "PLAN", "PLANE", "PLANT", "PLATE", "PLAY", "PLEA", "PLOT", "PLUG", "PLUM", "PLUS", "POCKET", "POEM", "POET", "POINT", "POLE", "POLL", "POND", "POOL", "POOR", "POP", "PORCH", "PORT", "POSE", "POST", "POT", "POUND", "POUR", "POWER", "PRAY", "PRESS", "PRICE", "PRIDE", "PRIME", "PRINT", "PRIZE", "PROOF", "PROUD", "PROVE", "PULL", "PUMP", "PUNCH", "PUPIL", "PUPPY", "PURE", "PURSE", "PUSH", "PUT",
+    "QUEEN", "QUEST", "QUICK", "QUIET", "QUILT", "QUITE", "QUIZ", "QUOTE",
+    "RABBIT", "RACE", "RACK", "RADIO", "RAFT", "RAG", "RAGE", "RAID", "RAIL", "RAIN", "RAISE", "RAN", "RANCH", "RANGE", "RANK", "RARE", "RAT", "RATE", "RATIO", "RAW", "RAY", "REACH", "READ", "READY", "REAL", "REAR", "RED", "REED", "REEF", "RELAX", "RELY", "RENT", "REPLY", "REST", "RICE", "RICH", "RID", "RIDE", "RIDER", "RIFLE", "RIGHT", "RING", "RIPE", "RISE", "RISK", "RIVER", "ROAD", "ROAR", "ROAST", "ROB", "ROBE", "ROBOT", "ROCK", "ROD", "RODE", "ROLE", "ROLL", "ROOF", "ROOM", "ROOT", "ROPE", "ROSE", "ROT", "ROUGH", "ROUND", "ROUTE", "ROW", "ROYAL", "RUB", "RUDE", "RUG", "RULE", "RULER", "RUN", "RUNG", "RUSH", "RUST",
+    "SAD", "SAFE", "SAID", "SAIL", "SAINT", "SALAD", "SALE", "SALT", "SAME", "SAND", "SANG", "SAT", "SAUCE", "SAVE", "SAW", "SAY", "SCALE", "SCARE", "SCARF", "SCENE", "SCENT", "SCORE", "SCOUT", "SEA", "SEAL", "SEAT", "SEE", "SEED", "SEEK", "SEEM", "SEEN", "SELF", "SELL", "SEND", "SENSE", "SENT", "SERVE", "SET", "SEVEN", "SHADE", "SHAKE", "SHALL", "SHAME", "SHAPE", "SHARE", "SHARK", "SHARP", "SHED", "SHEEP", "SHEET", "SHELF", "SHELL", "SHIFT", "SHINE", "SHIP", "SHIRT", "SHOCK", "SHOE", "SHOOT", "SHOP", "SHORE", "SHORT", "SHOT", "SHOUT", "SHOW", "SHUT", "SHY", "SICK", "SIDE", "SIGHT", "SIGN", "SILK", "SILLY", "SING", "SINK", "SIR", "SIT", "SITE", "SIX", "SIZE", "SKATE", "SKI", "SKILL", "SKIN", "SKIRT", "SKY", "SLAP", "SLEEP", "SLICE", "SLIDE", "SLIM", "SLIP", "SLOPE", "SLOT", "SLOW", "SMALL", "SMART", "SMELL", "SMILE", "SMOKE", "SNACK", "SNAIL", "SNAKE", "SNAP", "SNOW", "SOAP", "SOCK", "SOFA", "SOFT", "SOIL", "SOLD", "SOLE", "SOLID", "SOME", "SON", "SONG", "SOON", "SORE", "SORRY", "SORT", "SOUL", "SOUND", "SOUP", "SOUR", "SOUTH", "SPACE", "SPARE", "SPARK", "SPEAK", "SPEED", "SPELL", "SPEND", "SPENT", "SPICE", "SPIN", "SPINE", "SPITE", "SPLIT", "SPOIL", "SPOKE", "SPOON", "SPORT", "SPOT", "SPRAY", "SPY", "SQUAD", "STACK", "STAFF", "STAGE", "STAIN", "STAIR", "STAKE", "STAMP", "STAND", "STAR", "STARE", "START", "STATE", "STAY", "STEAK", "STEAL", "STEAM", "STEEL", "STEEP", "STEM", "STEP", "STICK", "STIFF", "STILL", "STING", "STIR", "STOCK", "STONE", "STOOD", "STOOL", "STOP", "STORE", "STORM", "STORY", "STOVE", "STRAW", "STRIP", "STUCK", "STUDY", "STUFF", "STYLE", "SUCH", "SUGAR", "SUIT", "SUM", "SUN", "SUNNY", "SUPER", "SURE", "SWAN", "SWAP", "SWEAR", "SWEAT", "SWEEP", "SWEET", "SWIM", "SWING", "SWORD",
+    "TABLE", "TAIL", "TAKE", "TAKEN", "TALE", "TALK", "TALL", "TAME", "TAN", "TANK", "TAP", "TAPE", "TAR", "TASK", "TASTE", "TAX", "TEA", "TEACH", "TEAM", "TEAR", "TEEN", "TEETH", "TELL", "TEN", "TEND", "TENT", "TERM", "TEST", "TEXT", "THAN", "THANK", "THAT", "THE", "THEIR", "THEM", "THEME", "THEN", "THERE", "THESE", "THEY", "THICK", "THIEF", "THIN", "THING", "THINK", "THIRD", "THIS", "THORN", "THOSE", "THREE", "THREW", "THROW", "THUMB", "TICK", "TIDE", "TIDY", "TIE", "TIGER", "TIGHT", "TILE", "TIME", "TIN", "TINY", "TIP", "TIRE", "TIRED", "TITLE", "TOAST", "TODAY", "TOE", "TOLD", "TOMB", "TON", "TONE", "TOO", "TOOK", "TOOL", "TOOTH", "TOP", "TOPIC", "TORCH", "TORN", "TOSS", "TOTAL", "TOUCH", "TOUGH", "TOUR", "TOWEL", "TOWER", "TOWN", "TOY", "TRACE", "TRACK", "TRADE", "TRAIL", "TRAIN", "TRAP", "TRAY", "TREAT", "TREE", "TREND", "TRIAL", "TRIBE", "TRICK", "TRIED", "TRIM", "TRIP", "TROOP", "TRUCK", "TRUE", "TRULY", "TRUNK", "TRUST", "TRUTH", "TRY", "TUBE", "TUNE", "TURN", "TWICE", "TWIN", "TWIST", "TWO", "TYPE",
+    "UGLY", "UNCLE", "UNDER", "UNDO", "UNIT", "UNTIL", "UPON", "UPPER", "UPSET", "URBAN", "URGE", "USE", "USED", "USER", "USUAL",
+    "VALID", "VALUE", "VAN", "VASE", "VAST", "VERB", "VERSE", "VERY", "VEST", "VIEW", "VINE", "VISIT", "VITAL", "VOICE", "VOTE", "VOTER",
+    "WADE", "WAGE", "WAGON", "WAIST", "WAIT", "WAKE", "WALK", "WALL", "WAND", "WANT", "WAR", "WARM", "WARN", "WAS", "WASH", "WASTE", "WATCH", "WATER", "WAVE", "WAX", "WAY", "WEAK", "WEALTH", "WEAR", "WEB", "WED", "WEED", "WEEK", "WEIGH", "WELL", "WENT", "WERE", "WEST", "WET", "WHALE", "WHAT", "WHEAT", "WHEEL", "WHEN", "WHERE", "WHICH", "WHILE", "WHIP", "WHITE", "WHO", "WHOLE", "WHOSE", "WHY", "WIDE", "WIFE", "WILD", "WILL", "WIN", "WIND", "WINE", "WING", "WINK", "WIPE", "WIRE", "WISE", "WISH", "WITH", "WOKE", "WOLF", "WOMAN", "WOMEN", "WON", "WOOD", "WOOL", "WORD", "WORE", "WORK", "WORLD", "WORM", "WORN", "WORRY", "WORSE", "WORST", "WORTH", "WOULD", "WOUND", "WRAP", "WRIST", "WRITE", "WRONG", "WROTE",
+    "YARD", "YARN", "YAWN", "YEAR", "YELL", "YES", "YET", "YIELD", "YOUNG", "YOUR", "YOUTH",
+    "ZEBRA", "ZERO", "ZONE", "ZOO",
+    "ANIMAL", "ANSWER", "AUTUMN", "BASKET", "BATTLE", "BEAUTY", "BETTER", "BOTTLE", "BRIDGE", "BRIGHT", "BUTTER", "BUTTON", "CAMERA", "CANDLE", "CASTLE", "CENTER", "CHANCE", "CHANGE", "CHEESE", "CHOICE", "CIRCLE", "CLEVER", "COFFEE", "COTTON", "COUSIN", "DANGER", "DINOSAUR", "DOCTOR", "DOLLAR", "DRAGON", "ENERGY", "ENGINE", "FAMILY", "FATHER", "FINGER", "FOREST", "FRIEND", "GENTLE", "GINGER", "GOLDEN", "GUITAR", "HAMMER", "HEALTH", "HEAVEN", "HOLIDAY", "HONEST", "INSECT", "JUNGLE", "KITCHEN", "LADDER", "LEADER", "LESSON", "LETTER", "LIQUID", "LISTEN", "LITTLE", "MARKET", "MASTER", "MEMORY", "MIDDLE", "MINUTE", "MIRROR", "MOMENT", "MONKEY", "MOTHER", "NATURE", "NEARLY", "NEEDLE", "NUMBER", "ORANGE", "PALACE", "PARENT", "PEOPLE", "PEPPER", "PERSON", "PICTURE", "PLANET", "POLICE", "POTATO", "PRETTY", "PRINCE", "RECORD", "REPORT", "RESCUE", "RETURN", "RIBBON", "SAILOR", "SALMON", "SCHOOL", "SEASON", "SECOND", "SECRET", "SHADOW", "SHOWER", "SILVER", "SIMPLE", "SINGER", "SISTER", "SLEEVE", "SMOOTH", "SPIDER", "SPRING", "SQUARE", "STREAM", "STREET", "STRING", "STRONG", "SUMMER", "SUNSET", "SUPPER", "SWITCH", "TEACHER", "TENNIS", "THREAD", "TICKET", "TOMATO", "TONGUE", "TRAVEL", "TUNNEL", "TURTLE", "VALLEY", "WINDOW", "WINTER", "WONDER", "YELLOW",
+    "ANOTHER", "BALLOON", "BEDROOM", "BICYCLE", "BLANKET", "BROTHER", "CABBAGE", "CAPTAIN", "CARROT", "CHICKEN", "CORNER", "COUNTRY", "CRYSTAL", "CURTAIN", "DESSERT", "DOLPHIN", "EVENING", "EXAMPLE", "FEATHER", "FREEDOM", "GARLIC", "GIRAFFE", "HARVEST", "HISTORY", "HOLLOW", "JOURNEY", "KINGDOM", "LANTERN", "LIBRARY", "MACHINE", "MESSAGE", "MORNING", "MYSTERY", "NOTHING", "OCTOPUS", "PAINTER", "PARROT", "PENGUIN", "PILLOW", "PLASTIC", "PROBLEM", "PROMISE", "PUMPKIN", "RAINBOW", "SANDWICH", "SCIENCE", "SHELTER", "SOLDIER", "STATION", "STOMACH", "STRANGE", "SUBJECT", "TEXTURE", "THUNDER", "TOMORROW", "VILLAGE", "WEATHER", "WHISPER", "WHISTLE",
+    "AIRPLANE", "BIRTHDAY", "BUILDING", "CHILDREN", "CUSTOMER", "ELEPHANT", "EVERYONE", "FOOTBALL", "HOSPITAL", "LANGUAGE", "MOUNTAIN", "NOTEBOOK", "PAINTING", "PRINCESS", "QUESTION", "SOMEBODY", "STRENGTH", "SUNSHINE", "TREASURE", "UMBRELLA", "VACATION", "YOURSELF",
+];
+
+if (typeof module !== 'undefined') module.exports = { englishWords };
@@ -1,26 +1,28 @@
 
 const commonWords = [
-    "ACIL", "ACIM", "AÇIK", "ADAL", "ADAM", "ADET", "ADIM", "AFET", "AĞAÇ", "AĞIR", "AĞIZ", "AİLE", "AKIL", "AKIM", "AKIŞ", "ALAN", "ALAY", "ALEM", "ALET", "ALEV", "ALGI", "ALIM", "ALIŞ", "ALTI", "AMAÇ", "AMCA", "ANLA", "ANNE", "ANIT", "ANIZ", "ARAÇ", "ARAP", "ARIZ", "ARKA", "ARMA", "ARPA", "ARTI", "ARZU", "ASIL", "ASKI", "ASLAN", "ASMA", "ATKI", "ATLI", "AVUÇ", "AYAK", "AYAR", "AYAZ", "AYNA", "AYRI", "AZAZ", "AZIK", "BABA", "BACA", "BAĞI", "BAHT", "BAKIM", "BALIK", "BANA", "BANK", "BANT", "BARI", "BASI", "BATI", "BAYİ", "BEBEK", "BELGE", "BİLGİ", "BİLİM", "BİNA", "BİRA", "BİLG", "BİRİ", "BLOK", "BORÇ", "BORU", "BOYA", "BOZUK", "BÖCEK", "BÖLGE", "BÖLÜM", "BÖREK", "BUHAR", "BULA", "BULUT", "BURUN", "BUZUL", "BÜRO", "BÜYÜ", "BÜYÜK", "CADDE", "CAMİ", "CANLI", "CEVAP", "CEVİZ", "CİHAZ", "CİLT", "CUMA", "ÇABA", "ÇAĞRI", "ÇAKI", "ÇALI", "ÇAMUR", "ÇANTA", "ÇARE", "ÇARŞI", "ÇATI", "ÇAYIR", "ÇEKİ", "ÇELİK", "ÇENE", "ÇEŞİT", "ÇETİN", "ÇEVRE", "ÇEYREK", "ÇİÇEK", "ÇİFT", "ÇİZGİ", "ÇOCUK", "ÇOĞU", "ÇORAP", "ÇÖPÇÜ", "ÇÖZÜM", "DAĞIN", "DAHİ", "DAİRE", "DAKİK", "DALA", "DAMA", "DANA", "DANS", "DARI", "DAVA", "DAYI", "DEDE", "DEFNE", "DEĞER", "DELİK", "DEMİR", "DENEY", "DENİZ", "DEPO", "DERD", "DERİ", "DERS", "DEVE", "DEVİR", "DIŞARI", "DİKEN", "DİLEK", "DİLİM", "DİRİ", "DİZİ", "DOĞA", "DOĞRU", "DOKU", "DOLAP", "DOLU", "DOMUZ", "DOST", "DOSYA", "DÖNEM", "DÖRT", "DÖVİZ", "DURUM", "DUVAR", "DUYGU", "DÜĞME", "DÜĞÜN", "DÜKKAN", "DÜNYA", "DÜŞÜN", "DÜZEN", "EBAT", "ECZANE", "EDEP", "EDİP", "EĞER", "EĞİM", "EĞİTİM", "EKİM", "EKİN", "EKİP", "EKMEK", "EKRAN", "EKSİ", "ELMA", "ELMAS", "EMEK", "EMEL", "EMİN", "EMİR", "ENERJİ", "ENGEL", "ENİK", "ERİK", "ERKEK", "ESER", "ESKİ", "EŞEK", "EŞYA", "ETKİ", "ETME", "EYLEM", "EZEZ", "EZME",
-    "FARE", "FARK", "FAYD", "FAZLA", "FECİ", "FELAK", "FENA", "FERAH", "FIRT", "FİKİR", "FİLM", "FİYAT", "FİZİK", "FLÖRT", "FORM", "FREN", "FUAR", "FÜZE", "GAGA", "GAYE", "GAZETE", "GECE", "GELİN", "GEMİ", "GENÇ", "GENEL", "GENİŞ", "GERİ", "GEYİK", "GEZİ", "GIDA", "GİRİŞ", "GİYSİ", "GİZLİ", "GRİP", "GRUP", "GURUR", "GÜÇLÜ", "GÜLÜŞ", "GÜMÜŞ", "GÜNEŞ", "GÜNÜ", "GÜZEL", "HABER", "HACİM", "HAFİF", "HAFT", "HAKLI", "HALA", "HALI", "HALK", "HAMUR", "HANE", "HAVA", "HAVUÇ", "HAYAL", "HAYAT", "HAZIR", "HECE", "HEDEF", "HEKİM", "HELA", "HELE", "HERKES", "HESAP", "HEVES", "HEYKEL", "HIRSIZ", "HIZLI", "HİBE", "HİLE", "HİNDİ", "HİSS", "HİZMET", "HOBİ", "HOCA", "HOROZ", "HUKUK", "HURMA", "HÜCRE", "HÜZÜN", "ILIK", "IRAK", "IRMAK", "IŞIK", "IŞIL", "IZGARA", "İADE", "İBRET", "İÇİN", "İÇKİ", "İDEAL", "İFADE", "İĞNE", "İLAÇ", "İLÇE", "İLERİ", "İLKE", "İLMEK", "İMAR", "İMDAT", "İMZA", "İNAN", "İNCİ", "İNEK", "İNSAN", "İNŞA", "İPEK", "İPLİK", "İPTAL", "İRİS", "İSİM", "İSTEK", "İŞÇİ", "İŞLE", "İTME", "İYİ", "İZİN", "JALE", "JEST", "JİLET", "JÜRİ",
+    "ACİL", "ACIM", "AÇIK", "ADAM", "ADET", "ADIM", "AFET", "AĞAÇ", "AĞIR", "AĞIZ", "AİLE", "AKIL", "AKIM", "AKIŞ", "ALAN", "ALAY", "ALEM", "ALET", "ALEV", "ALGI", "ALIM", "ALIŞ", "ALTI", "AMAÇ", "AMCA", "ANLA", "ANNE", "ANIT", "ANIZ", "ARAÇ", "ARAP", "ARKA", "ARMA", "ARPA", "ARTI", "ARZU", "ASIL", "ASKI", "ASLAN", "ASMA", "ATKI", "ATLI", "AVUÇ", "AYAK", "AYAR", "AYAZ", "AYNA", "AYRI", "AZIK", "BABA", "BACA", "BAĞI", "BAHT", "BAKIM", "BALIK", "BANA", "BANK", "BANT", "BARI", "BASI", "BATI", "BAYİ", "BEBEK", "BELGE", "BİLGİ", "BİLİM", "BİNA", "BİRA", "BİRİ", "BLOK", "BORÇ", "BORU", "BOYA", "BOZUK", "BÖCEK", "BÖLGE", "BÖLÜM", "BÖREK", "BUHAR", "BULUT", "BURUN", "BUZUL", "BÜRO", "BÜYÜ", "BÜYÜK", "CADDE", "CAMİ", "CANLI", "CEVAP", "CEVİZ", "CİHAZ", "CİLT", "CUMA", "ÇABA", "ÇAĞRI", "ÇAKI", "ÇALI", "ÇAMUR", "ÇANTA", "ÇARE", "ÇARŞI", "ÇATI", "ÇAYIR", "ÇEKİ", "ÇELİK", "ÇENE", "ÇEŞİT", "ÇETİN", "ÇEVRE", "ÇEYREK", "ÇİÇEK", "ÇİFT", "ÇİZGİ", "ÇOCUK", "ÇOĞU", "ÇORAP", "ÇÖPÇÜ", "ÇÖZÜM", "DAHİ", "DAİRE", "DAKİK", "DALA", "DAMA", "DANA", "DANS", "DARI", "DAVA", "DAYI", "DEDE", "DEFNE", "DEĞER", "DELİK", "DEMİR", "DENEY", "DENİZ", "DEPO", "DERT", "DERİ", "DERS", "DEVE", "DEVİR", "DIŞARI", "DİKEN", "DİLEK", "DİLİM", "DİRİ", "DİZİ", "DOĞA", "DOĞRU", "DOKU", "DOLAP", "DOLU", "DOMUZ", "DOST", "DOSYA", "DÖNEM", "DÖRT", "DÖVİZ", "DURUM", "DUVAR", "DUYGU", "DÜĞME", "DÜĞÜN", "DÜKKAN", "DÜNYA", "DÜŞÜN", "DÜZEN", "EBAT", "ECZANE", "EDEP", "EDİP", "EĞER", "EĞİM", "EĞİTİM", "EKİM", "EKİN", "EKİP", "EKMEK", "EKRAN", "EKSİ", "ELMA", "ELMAS", "EMEK", "EMEL", "EMİN", "EMİR", "ENERJİ", "ENGEL", "ENİK", "ERİK", "ERKEK", "ESER", "ESKİ", "EŞEK", "EŞYA", "ETKİ", "ETME", "EYLEM", "EZME",
+    "FARE", "FARK", "FAYDA", "FAZLA", "FECİ", "FENA", "FERAH", "FİKİR", "FİLM", "FİYAT", "FİZİK", "FLÖRT", "FORM", "FREN", "FUAR", "FÜZE", "GAGA", "GAYE", "GAZETE", "GECE", "GELİN", "GEMİ", "GENÇ", "GENEL", "GENİŞ", "GERİ", "GEYİK", "GEZİ", "GIDA", "GİRİŞ", "GİYSİ", "GİZLİ", "GRİP", "GRUP", "GURUR", "GÜÇLÜ", "GÜLÜŞ", "GÜMÜŞ", "GÜNEŞ", "GÜNÜ", "GÜZEL", "HABER", "HACİM", "HAFİF", "HAFTA", "HAKLI", "HALA", "HALI", "HALK", "HAMUR", "HANE", "HAVA", "HAVUÇ", "HAYAL", "HAYAT", "HAZIR", "HECE", "HEDEF", "HEKİM", "HELA", "HELE", "HERKES", "HESAP", "HEVES", "HEYKEL", "HIRSIZ", "HIZLI", "HİBE", "HİLE", "HİNDİ", "HİS", "HİZMET", "HOBİ", "HOCA", "HOROZ", "HUKUK", "HURMA", "HÜCRE", "HÜZÜN", "ILIK", "IRAK", "IRMAK", "IŞIK", "IŞIL", "IZGARA", "İADE", "İBRET", "İÇİN", "İÇKİ", "İDEAL", "İFADE", "İĞNE", "İLAÇ", "İLÇE", "İLERİ", "İLKE", "İLMEK", "İMAR", "İMDAT", "İMZA", "İNAN", "İNCİ", "İNEK", "İNSAN", "İNŞA", "İPEK", "İPLİK", "İPTAL", "İRİS", "İSİM", "İSTEK", "İŞÇİ", "İŞLE", "İTME", "İYİ", "İZİN", "JALE", "JEST", "JİLET", "JÜRİ",
     "KABA", "KAÇAK", "KADAR", "KADEH", "KADER", "KADIN", "KAFA", "KAFES", "KAĞIT", "KAHVE", "KALE", "KALEM", "KALP", "KAMU", "KANIT", "KAPI", "KARA", "KAŞIK", "KATI", "KAYIK", "KAZA", "KEDİ", "KEFİL", "KEKE", "KELİME", "KEMİK", "KENAR", "KENT", "KERE", "KESİ", "KESE", "KEYİF", "KIRIK", "KISA", "KIŞLA", "KITA", "KIYI", "KIZIL", "KİBİR", "KİLO", "KİMYA", "KİRA", "KİŞİ", "KİTAP", "KLİMA", "KOCA", "KOÇ", "KOKU", "KOLAY", "KOLEJ", "KONU", "KONUK", "KORKU", "KORU", "KOŞU", "KOVA", "KOYUN", "KOZA", "KÖPEK", "KÖPRÜ", "KÖŞE", "KÖTÜ", "KÖY", "KRAL", "KREM", "KRİZ", "KROM", "KURAL", "KURT", "KURU", "KUŞAK", "KUTU", "KUYU", "KUZU", "KÜÇÜK", "KÜLTÜR", "KÜME", "KÜRE", "KÜRK",
     "LALE", "LAMBA", "LAZIM", "LEKE", "LİMAN", "LİMON", "LİRA", "LİSE", "LİSTE", "LOBİ", "LOCA", "LOJMAN", "LÜKS",
     "MAAŞ", "MACUN", "MADDE", "MADEN", "MAĞAZA", "MAHKUM", "MAKAS", "MAKİNE", "MALİ", "MAMA", "MANA", "MANTO", "MARKA", "MART", "MASA", "MAŞA", "MAVİ", "MAYIS", "MAYMUN", "MECLİS", "MEDYA", "MELEK", "MEMUR", "MERA", "MERAK", "MERMİ", "MEŞE", "METAL", "METİN", "METRO", "MEVCUT", "MEYVE", "MEZAR", "MİDE", "MİLLİ", "MİMAR", "MİNİK", "MİRAS", "MİSAFİR", "MODA", "MODEL", "MONTE", "MORAL", "MOTOR", "MUZ", "MÜDÜR", "MÜZE", "MÜZİK",
-    "NABIZ", "NADİR", "NAKİT", "NAME", "NANE", "NARİN", "NASIL", "NAZİK", "NEFES", "NEHİR", "NEMLİ", "NESE", "NESİL", "NESNE", "NETİCE", "NEZLE", "NİCE", "NİÇİN", "NİKA", "NİSAN", "NİYET", "NOKT", "NORM", "NOTA", "NÖBET", "NUMARA", "OCAK", "ODA", "ODUN", "OĞUL", "OKUL", "OLAY", "OLGUN", "OLUŞ", "OMUZ", "ONAR", "ONAY", "ONUR", "ORAN", "ORDU", "ORMAN", "ORTA", "ORUÇ", "OTEL", "OTOBÜS", "OTUZ", "OYUN", "OZAN", "ÖDEV", "ÖDÜL", "ÖFKE", "ÖĞLE", "ÖĞÜN", "ÖKÜZ", "ÖLÇÜ", "ÖLÜM", "ÖMÜR", "ÖNCE", "ÖNCÜ", "ÖNEM", "ÖNERİ", "ÖNLEM", "ÖPER", "ÖRGÜ", "ÖRNEK", "ÖRTÜ", "ÖVGÜ", "ÖYKU", "ÖZEL", "ÖZEN", "ÖZET", "ÖZGÜR", "ÖZLEM", "ÖZÜR",
-    "PAKET", "PALA", "PAMUK", "PANO", "PARA", "PARK", "PARTİ", "PAŞA", "PATA", "PAZAR", "PERDE", "PİDE", "PİLAV", "PİLİÇ", "PİLOT", "PİS", "PİYANO", "PLAN", "PLAJ", "PLAK", "POŞET", "POSTA", "POTA", "PROJE", "PUAN", "PUSU", "RACA", "RADYO", "RAHAT", "RAKAMLAR", "RAKİP", "RAKOR", "RAFINE", "RAMAZAN", "RANZA", "RAPOR", "RENK", "RESİM", "RESMİ", "RİCA", "RİSK", "RİTM", "RİYA", "ROBOT", "ROL", "ROMAN", "ROTA", "RUH", "RUJ", "RÜYA", "RÜZGAR",
-    "SAAT", "SABAH", "SABIR", "SAÇMA", "SADE", "SAĞLIK", "SAHİL", "SAHNE", "SAKA", "SAKI", "SAKIZ", "SALATA", "SALON", "SAMAN", "SANAT", "SANAYİ", "SANCI", "SANDAL", "SANI", "SANKİ", "SARAY", "SARI", "SARGI", "SATIŞ", "SATIR", "SAVAŞ", "SAYFA", "SAYGI", "SAYI", "SEBEP", "SEÇİM", "SEDEF", "SEDİR", "SEFER", "SEKİZ", "SEKSEN", "SELAM", "SELE", "SEMA", "SEMT", "SENE", "SEPET", "SERA", "SERGİ", "SERİ", "SERT", "SERVİS", "SESLİ", "SESSİZ", "SEVGİ", "SEVİNÇ", "SEYİR", "SEZON", "SICAK", "SIFIR", "SIĞIR", "SIHHAT", "SIKI", "SIRA", "SIRT", "SINAV", "SINIF", "SINIR", "SIVI", "SİLAH", "SİLGİ", "SİMA", "SİMG", "SİMİT", "SİNEK", "SİNEMA", "SİNYAL", "SİREN", "SİRK", "SİSTEM", "SİTE", "SİVİL", "SİYAH", "SİZ", "SOBA", "SOĞAN", "SOĞUK", "SOKAK", "SOLUCAN", "SOLUK", "SOMUN", "SONRA", "SONUÇ", "SORGU", "SORU", "SORUN", "SOSYAL", "SOYUT", "SÖĞÜT", "SÖZ", "SÖZLÜK", "SPOR", "STAD", "STAJ", "STAR", "STAT", "STLİ", "SUÇLU", "SUDAN", "SULTAN", "SUNUM", "SURET", "SUSAM", "SÜRE", "SÜRÜ", "SÜS", "SÜT", "SÜTUN",
-    "ŞAKA", "ŞANS", "ŞARAP", "ŞARKI", "ŞART", "ŞEHİR", "ŞEKER", "ŞEKİL", "ŞERİT", "ŞEYTAN", "ŞİİF", "ŞİİR", "ŞİMDİ", "ŞİŞE", "ŞOFÖR", "ŞUBAT", "ŞUBE", "ŞURUP", "ŞÜPHE",
-    "TABAK", "TABAN", "TABELA", "TABLET", "TABLO", "TABUR", "TACI", "TAHTA", "TAKIM", "TAKİP", "TAKSİ", "TALEP", "TALİH", "TAMAM", "TAMİR", "TANE", "TANIK", "TANIM", "TANK", "TAPU", "TARAF", "TARAK", "TARİF", "TARİH", "TARLA", "TART", "TARZ", "TASARI", "TAŞIT", "TATİL", "TATLI", "TAVAN", "TAVIR", "TAVUK", "TAVŞAN", "TAYİN", "TAZE", "TEBEŞİR", "TEDAVİ", "TEHLİKE", "TEKLİF", "TEKNE", "TEKRAR", "TEKSTİL", "TELEFON", "TEMA", "TEMEL", "TEMİZ", "TEMMUZ", "TEMSİL", "TENCERE", "TENİS", "TEPE", "TEPSİ", "TERCİH", "TERLİK", "TESİS", "TEST", "TEYZ", "TIRTIL", "TİCARET", "TİLKİ", "TİYATRO", "TOHUM", "TOKA", "TOP", "TOPLAM", "TOPRAK", "TOPLUM", "TOPUK", "TORBA", "TORUN", "TOZ", "TÖREN", "TRAFİK", "TREN", "TRİBÜN", "TURİST", "TURŞU", "TURUNCU", "TUTKU", "TUVAL", "TUZ", "TÜFEK", "TÜL", "TÜM", "TÜNEL", "TÜRK", "TÜRLÜ", "TÜTÜN",
+    "NABIZ", "NADİR", "NAKİT", "NAME", "NANE", "NARİN", "NASIL", "NAZİK", "NEFES", "NEHİR", "NEMLİ", "NEŞE", "NESİL", "NESNE", "NETİCE", "NEZLE", "NİCE", "NİÇİN", "NİKAH", "NİSAN", "NİYET", "NOKTA", "NORM", "NOTA", "NÖBET", "NUMARA", "OCAK", "ODA", "ODUN", "OĞUL", "OKUL", "OLAY", "OLGUN", "OLUŞ", "OMUZ", "ONAR", "ONAY", "ONUR", "ORAN", "ORDU", "ORMAN", "ORTA", "ORUÇ", "OTEL", "OTOBÜS", "OTUZ", "OYUN", "OZAN", "ÖDEV", "ÖDÜL", "ÖFKE", "ÖĞLE", "ÖĞÜN", "ÖKÜZ", "ÖLÇÜ", "ÖLÜM", "ÖMÜR", "ÖNCE", "ÖNCÜ", "ÖNEM", "ÖNERİ", "ÖNLEM", "ÖPER", "ÖRGÜ", "ÖRNEK", "ÖRTÜ", "ÖVGÜ", "ÖYKÜ", "ÖZEL", "ÖZEN", "ÖZET", "ÖZGÜR", "ÖZLEM", "ÖZÜR",
+    "PAKET", "PALA", "PAMUK", "PANO", "PARA", "PARK", "PARTİ", "PAŞA", "PATA", "PAZAR", "PERDE", "PİDE", "PİLAV", "PİLİÇ", "PİLOT", "PİS", "PİYANO", "PLAN", "PLAJ", "PLAK", "POŞET", "POSTA", "POTA", "PROJE", "PUAN", "PUSU", "RACA", "RADYO", "RAHAT", "RAKAM", "RAKİP", "RAKOR", "RAFİNE", "RAMAZAN", "RANZA", "RAPOR", "RENK", "RESİM", "RESMİ", "RİCA", "RİSK", "RİTM", "RİYA", "ROBOT", "ROL", "ROMAN", "ROTA", "RUH", "RUJ", "RÜYA", "RÜZGAR",
+    "SAAT", "SABAH", "SABIR", "SAÇMA", "SADE", "SAĞLIK", "SAHİL", "SAHNE", "SAKA", "SAKI", "SAKIZ", "SALATA", "SALON", "SAMAN", "SANAT", "SANAYİ", "SANCI", "SANDAL", "SANI", "SANKİ", "SARAY", "SARI", "SARGI", "SATIŞ", "SATIR", "SAVAŞ", "SAYFA", "SAYGI", "SAYI", "SEBEP", "SEÇİM", "SEDEF", "SEDİR", "SEFER", "SEKİZ", "SEKSEN", "SELAM", "SELE", "SEMA", "SEMT", "SENE", "SEPET", "SERA", "SERGİ", "SERİ", "SERT", "SERVİS", "SESLİ", "SESSİZ", "SEVGİ", "SEVİNÇ", "SEYİR", "SEZON", "SICAK", "SIFIR", "SIĞIR", "SIHHAT", "SIKI", "SIRA", "SIRT", "SINAV", "SINIF", "SINIR", "SIVI", "SİLAH", "SİLGİ", "SİMA", "SİMGE", "SİMİT", "SİNEK", "SİNEMA", "SİNYAL", "SİREN", "SİRK", "SİSTEM", "SİTE", "SİVİL", "SİYAH", "SİZ", "SOBA", "SOĞAN", "SOĞUK", "SOKAK", "SOLUCAN", "SOLUK", "SOMUN", "SONRA", "SONUÇ", "SORGU", "SORU", "SORUN", "SOSYAL", "SOYUT", "SÖĞÜT", "SÖZ", "SÖZLÜK", "SPOR", "STAD", "STAJ", "STAR", "STAT", "STİL", "SUÇLU", "SUDAN", "SULTAN", "SUNUM", "SURET", "SUSAM", "SÜRE", "SÜRÜ", "SÜS", "SÜT", "SÜTUN",
+    "ŞAKA", "ŞANS", "ŞARAP", "ŞARKI", "ŞART", "ŞEHİR", "ŞEKER", "ŞEKİL", "ŞERİT", "ŞEYTAN", "ŞİİR", "ŞİMDİ", "ŞİŞE", "ŞOFÖR", "ŞUBAT", "ŞUBE", "ŞURUP", "ŞÜPHE",
+    "TABAK", "TABAN", "TABELA", "TABLET", "TABLO", "TABUR", "TACI", "TAHTA", "TAKIM", "TAKİP", "TAKSİ", "TALEP", "TALİH", "TAMAM", "TAMİR", "TANE", "TANIK", "TANIM", "TANK", "TAPU", "TARAF", "TARAK", "TARİF", "TARİH", "TARLA", "TART", "TARZ", "TASARI", "TAŞIT", "TATİL", "TATLI", "TAVAN", "TAVIR", "TAVUK", "TAVŞAN", "TAYİN", "TAZE", "TEBEŞİR", "TEDAVİ", "TEHLİKE", "TEKLİF", "TEKNE", "TEKRAR", "TEKSTİL", "TELEFON", "TEMA", "TEMEL", "TEMİZ", "TEMMUZ", "TEMSİL", "TENCERE", "TENİS", "TEPE", "TEPSİ", "TERCİH", "TERLİK", "TESİS", "TEST", "TEYZE", "TIRTIL", "TİCARET", "TİLKİ", "TİYATRO", "TOHUM", "TOKA", "TOP", "TOPLAM", "TOPRAK", "TOPLUM", "TOPUK", "TORBA", "TORUN", "TOZ", "TÖREN", "TRAFİK", "TREN", "TRİBÜN", "TURİST", "TURŞU", "TURUNCU", "TUTKU", "TUVAL", "TUZ", "TÜFEK", "TÜL", "TÜM", "TÜNEL", "TÜRK", "TÜRLÜ", "TÜTÜN",
     "UÇAK", "UÇURTMA", "UFAK", "UĞUR", "ULAŞIM", "ULUS", "UMUT", "UN", "UNSUR", "UNUT", "UZAK", "UZAY", "UZMAN", "UZUN", "ÜCRET", "ÜÇGEN", "ÜLKE", "ÜMİT", "ÜNİTE", "ÜNLÜ", "ÜRÜN", "ÜS", "ÜST", "ÜTÜ", "ÜYE", "ÜZÜM", "ÜZÜNTÜ",
     "VADE", "VADİ", "VAHŞİ", "VAKIF", "VAKİT", "VALİ", "VALİZ", "VAPUR", "VARLIK", "VATAN", "VAZO", "VEDA", "VEFA", "VERGİ", "VERİ", "VİCDAN", "VİDEO", "VİLLA", "VİRÜS", "VİZE", "VÜCUT",
     "YABANCI", "YAĞMUR", "YAKIN", "YAKIT", "YALAN", "YALI", "YALNIZ", "YAMA", "YANAK", "YANGIN", "YANIT", "YANKI", "YANLIŞ", "YAPRAK", "YARA", "YARAR", "YARGI", "YARI", "YARIN", "YARIŞ", "YASAK", "YASAL", "YASSI", "YASTIK", "YAŞAM", "YATAK", "YATIRIM", "YAVRU", "YAYIN", "YAZAR", "YAZGI", "YAZI", "YAZILIM", "YEDEK", "YEDİ", "YELEK", "YEMEK", "YEMİN", "YENİ", "YEREL", "YEŞİL", "YETER", "YETKİ", "YILDIZ", "YILLIK", "YİRMİ", "YOĞUN", "YOKUŞ", "YOLCU", "YORUM", "YOSUN", "YÖN", "YÖNETİM", "YUDUM", "YUKARI", "YULAF", "YUMURTA", "YURT", "YUVA", "YÜK", "YÜKSEK", "YÜN", "YÜREK", "YÜZDE", "YÜZME",
-    "ZAFER", "ZAIF", "ZAMAN", "ZARAR", "ZARF", "ZAYIF", "ZEHİR", "ZEKİ", "ZEMİN", "ZENGİN", "ZERRE", "ZEVKLİ", "ZEYTİN", "ZIL", "ZIT", "ZİNCİR", "ZİRAAT", "ZİRVE", "ZİYARET", "ZORLU", "ZÜRÜFA",
-    "ABİ", "ABLA", "ACABA", "ACELE", "ADRES", "AFFERİN", "AĞABEY", "AĞLAMAK", "AHIR", "AHMET", "AKŞAM", "ALACAK", "ALMANYA", "ALTIN", "AMERİKA", "ANADOLU", "ANKARA", "ANTALYA", "APARTMAN", "ARABA", "ARALIK", "ARKADAŞ", "ARMUT", "ARTIK", "ASANSÖR", "ASKER", "AŞAĞI", "AŞÇI", "AŞK", "ATATÜRK", "ATMACA", "AVUKAT", "AVUSTRALYA", "AVUSTURYA", "AYAKKABI", "AYDIN", "AYI", "AYRAN", "AZERBAYCAN",
-    "BACAK", "BAĞIRMAK", "BAHÇE", "BAHAR", "BAKKAL", "BAL", "BALKON", "BANKA", "BANYO", "BARDAK", "BAŞ", "BAŞKAN", "BAŞKA", "BAVUL", "BAY", "BAYAN", "BAYRAM", "BEKLEMEK", "BELÇİKA", "BELKİ", "BENZİN", "BERBER", "BEŞİKTAŞ", "BETON", "BEY", "BEYAZ", "BEYN", "BIÇAK", "BİBER", "BİLET", "BİLGİSAYAR", "BİLMEK", "BİRAZ", "BİRLİKTE", "BİSİKLET", "BİZ", "BOĞAZ", "BOL", "BOSNA", "BOŞ", "BOY", "BU", "BUÇUK", "BUGÜN", "BUKİ", "BULGARİSTAN", "BULMAK", "BURA", "BURSA", "BUZ", "BUZDOLABI", "BÜTÜN",
-    "CAM", "CETVEL", "CEZA", "CEKET", "CİCİ", "CUMA", "CUMARTESİ", "ÇALIŞKAN", "ÇALIŞMAK", "ÇARŞABA", "ÇATAL", "ÇAY", "ÇİÇEK", "ÇİFTÇİ", "ÇİN", "ÇİZME", "ÇOK", "ÇORBA", "DAĞ", "DAHA", "DAMP", "DAR", "DAVET", "DEĞİL", "DEMEK", "DENİZLİ", "DERGİ", "DEŞ", "DIŞ", "DİL", "DİNLEMEK", "DİŞ", "DİŞÇİ", "DİYARBAKIR", "DOĞU", "DOKTOR", "DOLMA", "DOMATES", "DONDURMA", "DOST", "DÖRTYOL", "DURAK", "DURMAK", "DUŞ", "DÜN", "DÜRÜST",
-    "ECZACI", "EKMEK", "EL", "ELBİSE", "ELEKTRİK", "ELLİ", "ERKEN", "ERMENİSTAN", "ERZURUM", "ESKİŞEHİR", "ET", "ETMEK", "EV", "EVLİ", "EYLÜL", "FARKLILI", "FASULYE", "FATİH", "FENERBAHÇE", "FIRIN", "FISTIK", "FİNCAN", "FORMA", "FOTOĞRAF", "FRANSA", "FRANSIZCA", "FUTBOL", "GALATASARAY", "GARSON", "GAZİANTEP", "GEÇ", "GELMEK", "GENELLİKLE", "GEREK", "GİBİ", "GİRMEK", "GİTMEK", "GİYMEK", "GÖK", "GÖMLEK", "GÖRMEK", "GÖRÜŞMEK", "GÖZ", "GÖZLÜK", "GÜL", "GÜLMEK", "GÜNAYDIN", "GÜNEY", "GÜRCİSTAN",
-    "HAKKARİ", "HALA", "HANGİ", "HANIM", "HAPİSHANE", "HASTA", "HASTANE", "HATA", "HATAY", "HAVLU", "HAZİRAN", "HEDİYE", "HEMŞİRE", "HEP", "HEPSİ", "HER", "HERHALDE", "HİÇ", "HOLLANDA", "ISPARTA", "İÇ", "İÇMEK", "İDDİA", "İHTİYAÇ", "İLGİNÇ", "İLK", "İLKBAHAR", "İNGİLİZCE", "İNGİLTERE", "İNŞAAT", "İNTERNET", "İRAN", "İSKENDERUN", "İSPANYA", "İSTANBUL", "İSTASYON", "İSTEMEK", "İŞ", "İTALYA", "İZMİR", "JAPONYA", "JETON", "JİMNASTİK",
-    "KAÇ", "KAHVALTI", "KAHVERENGİ", "KALABALIK", "KALKMAK", "KANEPE", "KAPI", "KAPALI", "KAPLAN", "KAR", "KARDEŞ", "KARI", "KARIN", "KARPUZ", "KARS", "KART", "KARTAL", "KASAP", "KASIM", "KAŞIK", "KAYSERİ", "KAZAK", "KAZANMAK", "KEBAP", "KENDİ", "KIRMIZI", "KIŞ", "KIZ", "Kİ", "KİM", "KİRAZ", "KİRLİ", "KOL", "KOLTUK", "KOMŞU", "KONYA", "KONUŞMAK", "KORİDOR", "KOŞMAK", "KOYMAK", "KÖŞE", "KRAVAT", "KULAK", "KULLANMAK", "KUM", "KUŞ", "KUZEY", "KÜTÜPHANE",
-    "LABORATUVAR", "LAHMACUN", "LİSE", "LİSTE", "LOKANTA", "LÜTFEN", "MAÇ", "MALATYA", "MANAV", "MARDİN", "MARUL", "MELİS", "MEMNUN", "MEMLEKET", "MERSİN", "MEKTUP", "MERDİVEN", "MERHABA", "MEŞGUL", "METRE", "MISIR", "MİLLET", "MİLYAR", "MİLYON", "MİSAFİR", "MOR", "MUTFAK", "MUTLU", "MUZ", "MÜHENDİS", "MÜKEMMEL", "NASILSINIZ", "NE", "NEDEN", "NEFRET", "NEREDE", "NEREDESİNİZ", "NERELİSİNİZ", "NİYE",
-    "OFİS", "OĞUL", "OKUMAK", "OLMAK", "OLMAZ", "ON", "ONLAR", "ORADA", "ORTA", "ORUÇ", "OTURMAK", "ÖĞLEN", "ÖĞRENCİ", "ÖĞRETMEN", "ÖNEMLİ", "ÖRDEK", "ÖYLE", "PALTO", "PANTOLON", "PATATES", "PATLICAN", "PENCERE", "PEMBE", "PEYNİR", "PİKNİK", "PİLAV", "PİYANGO", "POLİS", "PORTAKAL", "POSTANE", "PAZARTESİ", "PERŞEMBE", "RADYO", "RAHATSIZ", "RAKI", "RENK", "RİZE", "RUSÇA", "RUSYA", "SAAT", "SAĞ", "SAKİN", "SALATALIK", "SALI", "SAMSUN", "SANDALYE", "SANDVİÇ", "SARI", "SATIN", "SAYIN", "SEBZE", "SEKRETER", "SEKSEN", "SELAM", "SEN", "SEVMEK", "SEYAHAT", "SEZMEK", "SICAK", "SİGARA", "SİLMEK", "SİNİRLİ", "SİVAS", "SİZ", "SOKAK", "SON", "SONBAHAR", "SÖYLEMEK", "SU", "SURİYE", "SUSAMAK", "ŞEMSİYE", "ŞİŞMAN", "ŞÖYLE", "ŞU",
-    "TAHTA", "TANIMAK", "TARAK", "TATLI", "TAVUK", "TELEFON", "TELEVİZYON", "TEMİZ", "TEMİZLİK", "TEŞEKKÜR", "TIRNAK", "TİYATRO", "TOP", "TRABZON", "TRAFİK", "TREND", "TURİZM", "TURŞU", "TUZ", "TUZLU", "TÜRKÇE", "TÜRKİYE", "UCUZ", "UNUTMAK", "UYKULU", "UYUMAK", "UZAK", "UZUN", "ÜÇ", "ÜNİVERSİTE", "ÜZGÜN", "VAN", "VAPUR", "VAR", "VATANDAŞ", "VE", "VERMEK", "VÜCUT", "YAKIN", "YAKIŞIKLI", "YALAN", "YAN", "YAPMAK", "YARDIM", "YASTIK", "YAŞ", "YAŞAMAK", "YAŞLI", "YATAK", "YATMAK", "YAVAŞ", "YAZ", "YEDİ", "YEMEK", "YENİ", "YER", "YEŞİL", "YETMİŞ", "YIKAMAK", "YIL", "YILAN", "YİRMİ", "YOK", "YORGUN", "YUMURTA", "YUNANİSTAN", "YURT", "YÜKSEK", "YÜZ", "YÜZMEK", "ZAYIF", "ZENGİN", "ZEYTİN", "ZOR"
+    "ZAFER", "ZAYIF", "ZAMAN", "ZARAR", "ZARF", "ZEHİR", "ZEKİ", "ZEMİN", "ZENGİN", "ZERRE", "ZEVKLİ", "ZEYTİN", "ZİL", "ZIT", "ZİNCİR", "ZİRAAT", "ZİRVE", "ZİYARET", "ZORLU", "ZÜRAFA",
+    "ABİ", "ABLA", "ACABA", "ACELE", "ADRES", "AFFERİN", "AĞABEY", "AĞLAMAK", "AHIR", "AKŞAM", "ALACAK", "ALTIN", "APARTMAN", "ARABA", "ARALIK", "ARKADAŞ", "ARMUT", "ARTIK", "ASANSÖR", "ASKER", "AŞAĞI", "AŞÇI", "AŞK", "ATMACA", "AVUKAT", "AYAKKABI", "AYI", "AYRAN",
+    "BACAK", "BAĞIRMAK", "BAHÇE", "BAHAR", "BAKKAL", "BAL", "BALKON", "BANKA", "BANYO", "BARDAK", "BAŞ", "BAŞKAN", "BAŞKA", "BAVUL", "BAY", "BAYAN", "BAYRAM", "BEKLEMEK", "BELKİ", "BENZİN", "BERBER", "BETON", "BEY", "BEYAZ", "BEYİN", "BIÇAK", "BİBER", "BİLET", "BİLGİSAYAR", "BİLMEK", "BİRAZ", "BİRLİKTE", "BİSİKLET", "BİZ", "BOĞAZ", "BOL", "BOŞ", "BOY", "BU", "BUÇUK", "BUGÜN", "BULMAK", "BURA", "BUZ", "BUZDOLABI", "BÜTÜN",
+    "CAM", "CETVEL", "CEZA", "CEKET", "CİCİ", "CUMARTESİ", "ÇALIŞKAN", "ÇALIŞMAK", "ÇARŞAMBA", "ÇATAL", "ÇAY", "ÇİFTÇİ", "ÇİZME", "ÇOK", "ÇORBA", "DAĞ", "DAHA", "DAR", "DAVET", "DEĞİL", "DEMEK", "DERGİ", "DIŞ", "DİL", "DİNLEMEK", "DİŞ", "DİŞÇİ", "DOĞU", "DOKTOR", "DOLMA", "DOMATES", "DONDURMA", "DURAK", "DURMAK", "DUŞ", "DÜN", "DÜRÜST",
+    "ECZACI", "EL", "ELBİSE", "ELEKTRİK", "ELLİ", "ERKEN", "ET", "ETMEK", "EV", "EVLİ", "EYLÜL", "FARKLILIK", "FASULYE", "FIRIN", "FISTIK", "FİNCAN", "FORMA", "FOTOĞRAF", "FRANSIZCA", "FUTBOL", "GARSON", "GEÇ", "GELMEK", "GENELLİKLE", "GEREK", "GİBİ", "GİRMEK", "GİTMEK", "GİYMEK", "GÖK", "GÖMLEK", "GÖRMEK", "GÖRÜŞMEK", "GÖZ", "GÖZLÜK", "GÜL", "GÜLMEK", "GÜNAYDIN", "GÜNEY",
+    "HANGİ", "HANIM", "HAPİSHANE", "HASTA", "HASTANE", "HATA", "HAVLU", "HAZİRAN", "HEDİYE", "HEMŞİRE", "HEP", "HEPSİ", "HER", "HERHALDE", "HİÇ", "İÇ", "İÇMEK", "İDDİA", "İHTİYAÇ", "İLGİNÇ", "İLK", "İLKBAHAR", "İNGİLİZCE", "İNŞAAT", "İNTERNET", "İSTASYON", "İSTEMEK", "İŞ", "JETON", "JİMNASTİK",
+    "KAÇ", "KAHVALTI", "KAHVERENGİ", "KALABALIK", "KALKMAK", "KANEPE", "KAPALI", "KAPLAN", "KAR", "KARDEŞ", "KARI", "KARIN", "KARPUZ", "KART", "KARTAL", "KASAP", "KASIM", "KAZAK", "KAZANMAK", "KEBAP", "KENDİ", "KIRMIZI", "KIŞ", "KIZ", "Kİ", "KİM", "KİRAZ", "KİRLİ", "KOL", "KOLTUK", "KOMŞU", "KONUŞMAK", "KORİDOR", "KOŞMAK", "KOYMAK", "KRAVAT", "KULAK", "KULLANMAK", "KUM", "KUŞ", "KUZEY", "KÜTÜPHANE",
+    "LABORATUVAR", "LAHMACUN", "LOKANTA", "LÜTFEN", "MAÇ", "MANAV", "MARUL", "MEMNUN", "MEMLEKET", "MEKTUP", "MERDİVEN", "MERHABA", "MEŞGUL", "METRE", "MISIR", "MİLLET", "MİLYAR", "MİLYON", "MOR", "MUTFAK", "MUTLU", "MÜHENDİS", "MÜKEMMEL", "NASILSINIZ", "NE", "NEDEN", "NEFRET", "NEREDE", "NEREDESİNİZ", "NERELİSİNİZ", "NİYE",
+    "OFİS", "OKUMAK", "OLMAK", "OLMAZ", "ON", "ONLAR", "ORADA", "OTURMAK", "ÖĞLEN", "ÖĞRENCİ", "ÖĞRETMEN", "ÖNEMLİ", "ÖRDEK", "ÖYLE", "PALTO", "PANTOLON", "PATATES", "PATLICAN", "PENCERE", "PEMBE", "PEYNİR", "PİKNİK", "PİYANGO", "POLİS", "PORTAKAL", "POSTANE", "PAZARTESİ", "PERŞEMBE", "RAHATSIZ", "RAKI", "RUSÇA", "SAĞ", "SAKİN", "SALATALIK", "SALI", "SANDALYE", "SANDVİÇ", "SATIN", "SAYIN", "SEBZE", "SEKRETER", "SEN", "SEVMEK", "SEYAHAT", "SEZMEK", "SİGARA", "SİLMEK", "SİNİRLİ", "SON", "SONBAHAR", "SÖYLEMEK", "SU", "SUSAMAK", "ŞEMSİYE", "ŞİŞMAN", "ŞÖYLE", "ŞU",
+    "TANIMAK", "TELEVİZYON", "TEMİZLİK", "TEŞEKKÜR", "TIRNAK", "TREND", "TURİZM", "TUZLU", "TÜRKÇE", "UCUZ", "UNUTMAK", "UYKULU", "UYUMAK", "ÜÇ", "ÜNİVERSİTE", "ÜZGÜN", "VAR", "VATANDAŞ", "VE", "VERMEK", "YAKIŞIKLI", "YAN", "YAPMAK", "YARDIM", "YAŞ", "YAŞAMAK", "YAŞLI", "YATMAK", "YAVAŞ", "YAZ", "YER", "YETMİŞ", "YIKAMAK", "YIL", "YILAN", "YOK", "YORGUN", "YÜZ", "YÜZMEK", "ZOR",
 ];
+
+if (typeof module !== 'undefined') module.exports = { commonWords };
@@ -0,0 +1,87 @@
+// Board difficulty, rated from the board's solution set.
+// Shared with board-worker.js and the room server like board.js, so no DOM here.
+//
+// A board is harder the fewer words and points it hides per cell, the fewer of
+// its words are short, easy finds, and the rarer its letters are. The parts are
+// combined into a 0-100 score; the bands below split generated boards of every
+// size into roughly equal thirds.
+
+// Share (%) of each letter in running Turkish text; other languages bring their own (see i18n.js)
+const LETTER_FREQUENCY = {
+    A: 11.92, E: 8.91, İ: 8.6, N: 7.49, R: 6.95, L: 5.93, I: 5.11, D: 4.7, K: 4.68, M: 3.75,
+    Y: 3.34, U: 3.23, T: 3.01, S: 3.01, B: 2.84, O: 2.48, Ü: 1.85, Ş: 1.78, Z: 1.5, G: 1.25,
+    Ç: 1.16, Ğ: 1.12, H: 1.02, V: 0.96, C: 0.96, P: 0.89, Ö: 0.78, F: 0.44, J: 0.03
+};
+
+// Named by t(`difficulty.${id}`)
+const DIFFICULTY_LEVELS = {
+    kolay: { code: 'K', min: 0, max: 35 },
+    orta: { code: '', min: 35, max: 50 },
+    zor: { code: 'Z', min: 50, max: 101 }
+};
+const DEFAULT_DIFFICULTY = 'orta';
+
+// Fewer words than this is no fun at any difficulty. Before difficulty bands
+// every board needed 15 words, but few words per cell is what makes a board
+// hard: at 15 a 4x4 board (16 cells) can never rate Orta or Zor, and even at
+// 10 no 4x4 Zor board turns up. Boards under the floor are still only used
+// when no roll reaches it (see generateBoard).
+const MIN_PLAYABLE_WORDS = 5;
+
+// Per-cell amounts at which a board counts as fully easy
+const EASY_WORDS_PER_CELL = 1;
+const EASY_POINTS_PER_CELL = 1.2;
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+// 0 for the most common letters (and the wildcard), 1 for the rarest (J in Turkish)
+function letterRarity(letter, frequencies = LETTER_FREQUENCY) {
+    if (letter === WILDCARD) return 0;
+    const frequency = frequencies[letter] || 0.5;
+    return clamp01(Math.log(12 / frequency) / Math.log(12 / 0.5));
+}
+
+function difficultyLevel(score) {
+    return Object.keys(DIFFICULTY_LEVELS).find(id => score < DIFFICULTY_LEVELS[id].max);
+}
+
+// Rates with classic scoring so the rating of a board doesn't depend on the rules it is played under
+function rateBoard(grid, words, frequencies = LETTER_FREQUENCY) {
+    const cells = grid.length * grid.length;
+    const lengths = {};
+    let maxPoints = 0;
+    words.forEach(word => {
+        lengths[word.length] = (lengths[word.length] || 0) + 1;
+        maxPoints += SCORING_SCHEMES.klasik.points(word.length);
+    });
+
+    const shortShare = words.length ? words.filter(word => word.length <= 4).length / words.length : 1;
+    const rarity = grid.flat().reduce((sum, letter) => sum + letterRarity(letter, frequencies), 0) / cells;
+
+    const score = Math.round(100 * (
+        0.4 * clamp01(1 - words.length / cells / EASY_WORDS_PER_CELL) +
+        0.25 * clamp01(1 - maxPoints / cells / EASY_POINTS_PER_CELL) +
+        0.15 * (1 - shortShare) +
+        0.2 * clamp01((rarity - 0.2) / 0.2)
+    ));
+
+    return { score, level: difficultyLevel(score), wordCount: words.length, maxPoints, lengths };
+}
+
+// How far a score lies outside a level's band (0 inside it)
+function distanceToLevel(score, level) {
+    const band = DIFFICULTY_LEVELS[level];
+    return score < band.min ? band.min - score : Math.max(0, score - band.max + 1);
+}
+
+// e.g. "Orta · 42"
+function describeDifficulty(rating) {
+    return `${t(`difficulty.${rating.level}`)} · ${rating.score}`;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        LETTER_FREQUENCY, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY, MIN_PLAYABLE_WORDS,
+        letterRarity, difficultyLevel, rateBoard, distanceToLevel, describeDifficulty
+    };
+}
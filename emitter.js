@@ -0,0 +1,23 @@
+// Minimal event emitter shared by the game engine and the transports.
+
+class Emitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return this;
+    }
+
+    off(type, fn) {
+        this.listeners[type] = (this.listeners[type] || []).filter(listener => listener !== fn);
+        return this;
+    }
+
+    emit(type, data) {
+        (this.listeners[type] || []).forEach(fn => fn(data));
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { Emitter };
@@ -0,0 +1,359 @@
+// Game rules engine: board, selection, validation, scoring and the clock.
+// It never touches the DOM, so the same class drives the browser UI and the
+// Node test suite. The UI subscribes to its events and renders them:
+//
+//   selectionChanged { path, word }
+//   wordAccepted     { word, points, score, path, timeBonus }
+//   wordRejected     { word, reason, auto, path }   reason: 'tooShort' | 'duplicate' | 'unknown'
+//   tick             { timer, elapsed }   timer is null in modes without a countdown
+//   hintTaken        { step, start, length, letters, cost, score }   see revealedHint
+//   gameOver         { score, foundWords }
+//
+// Every submission is logged in `submissions` as
+// { word, path, time, outcome, points, auto } with `time` in seconds of play and
+// outcome 'accepted' or one of the rejection reasons, for the post-game replay
+// and the statistics.
+//
+// Hints taken are logged in `hints` as { word, step, cost, time }; their cost
+// (see hintCost in rules.js) comes off the score and may take it below 0, so
+// a player who has found nothing yet can still ask for help. Such games are
+// not saved to the leaderboard.
+//
+// The game mode (see modes.js) decides how the clock runs and when the game ends.
+
+class GameEngine extends Emitter {
+    constructor({ dictionary, rules = createRules('hizli') }) {
+        super();
+        this.dictionary = dictionary;
+        this.timerInterval = null;
+        this.reset(rules);
+    }
+
+    // Clears everything for a new game under `rules`; the board comes later via setBoard
+    reset(rules = this.rules, mode = this.mode) {
+        this.stopClock();
+        this.rules = rules;
+        this.mode = playMode(mode);
+        this.grid = [];
+        this.tiles = [];
+        this.usedTiles = new Set(); // "r,c" of time tiles already cashed in
+        this.solution = [];
+        this.solutionPaths = {}; // word -> cells, from setBoard
+        this.targets = []; // hunt mode's hidden words
+        this.foundWords = new Set();
+        this.submissions = [];
+        this.hints = [];
+        this.hint = null; // { word, step } of the word being hinted
+        this.score = 0;
+        this.timer = startingTime(this.mode, rules);
+        this.elapsed = 0; // seconds played, pauses excluded
+        this.timeWon = 0; // seconds added by time tiles and Sprint words
+        this.selection = []; // Array of {r, c}
+        this.isActive = false;
+        this.isPaused = false;
+    }
+
+    // `solution` and its `paths` (see solveBoard) come precomputed from the worker or
+    // the server; only without a solution is the board solved here. The solution is
+    // filtered to the rules' minimum length. `tiles` are the board's power-up tiles, if any (see board.js).
+    setBoard(grid, solution, tiles = [], paths = {}) {
+        if (!solution) ({ words: solution, paths } = solveBoard(grid, this.dictionary));
+        this.grid = grid;
+        this.tiles = tiles;
+        this.solution = solution.filter(word => word.length >= this.rules.minLength);
+        this.solutionPaths = paths;
+    }
+
+    setTargets(targets) {
+        this.targets = targets;
+    }
+
+    get targetsFound() {
+        return this.targets.filter(word => this.foundWords.has(word));
+    }
+
+    get huntComplete() {
+        return this.targets.length > 0 && this.targetsFound.length === this.targets.length;
+    }
+
+    // Puts back progress from a saved game
+    restore({
+        foundWords, score, timer, submissions = [], elapsed = this.rules.duration - timer, usedTiles = [],
+        targets = [], timeWon = 0, hints = []
+    }) {
+        this.foundWords = new Set(foundWords);
+        this.usedTiles = new Set(usedTiles);
+        this.targets = targets;
+        this.timeWon = timeWon;
+        this.score = score;
+        this.timer = timer;
+        this.submissions = submissions;
+        this.elapsed = elapsed;
+        this.hints = hints;
+        const last = hints[hints.length - 1];
+        this.hint = last ? { word: last.word, step: last.step } : null;
+    }
+
+    get size() {
+        return this.grid.length;
+    }
+
+    get currentWord() {
+        return this.selection.map(({ r, c }) => this.grid[r][c]).join('');
+    }
+
+    // --- Clock ---
+
+    start() {
+        this.isActive = true;
+        this.isPaused = false;
+        this.startClock();
+    }
+
+    pause() {
+        if (!this.isActive) return false;
+        this.stopClock();
+        this.isActive = false;
+        this.isPaused = true;
+        this.clearSelection();
+        return true;
+    }
+
+    resume() {
+        if (!this.isPaused) return false;
+        this.start();
+        return true;
+    }
+
+    tick() {
+        this.elapsed++;
+        if (this.timer === null) {
+            this.emit('tick', { timer: null, elapsed: this.elapsed });
+            return;
+        }
+        this.timer--;
+        this.emit('tick', { timer: this.timer, elapsed: this.elapsed });
+        if (this.timer <= 0) this.finish();
+    }
+
+    finish() {
+        this.stopClock();
+        this.isActive = false;
+        this.isPaused = false;
+        this.emit('gameOver', { score: this.score, foundWords: [...this.foundWords] });
+    }
+
+    startClock() {
+        this.stopClock();
+        this.timerInterval = setInterval(() => this.tick(), 1000);
+    }
+
+    stopClock() {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+    }
+
+    // --- Selection ---
+
+    static isAdjacent(a, b) {
+        const dr = Math.abs(a.r - b.r);
+        const dc = Math.abs(a.c - b.c);
+        return dr <= 1 && dc <= 1 && !(dr === 0 && dc === 0);
+    }
+
+    isCellSelected(r, c) {
+        return this.selection.some(cell => cell.r === r && cell.c === c);
+    }
+
+    // Dragging/tapping onto a cell: extends with an adjacent unused cell, or
+    // backtracks when it is the previous cell. Returns what happened, or null.
+    selectCell(r, c) {
+        if (r < 0 || r >= this.size || c < 0 || c >= this.size) return null;
+
+        const last = this.selection[this.selection.length - 1];
+
+        // If backtracking (moving to previous cell), deselect the last one
+        if (this.selection.length > 1) {
+            const penUlt = this.selection[this.selection.length - 2];
+            if (penUlt.r === r && penUlt.c === c) {
+                this.deselectLast();
+                return 'backtracked';
+            }
+        }
+
+        if (last && (!GameEngine.isAdjacent(last, { r, c }) || this.isCellSelected(r, c))) {
+            return null;
+        }
+
+        this.selection.push({ r, c });
+        this.emitSelection();
+        return 'added';
+    }
+
+    deselectLast() {
+        if (this.selection.pop()) this.emitSelection();
+    }
+
+    clearSelection() {
+        this.selection = [];
+        this.emitSelection();
+    }
+
+    // Replaces the selection with a whole path (typed words); the caller checks validity
+    setPath(path) {
+        this.selection = path.map(({ r, c }) => ({ r, c }));
+        this.emitSelection();
+    }
+
+    emitSelection() {
+        this.emit('selectionChanged', { path: [...this.selection], word: this.currentWord });
+    }
+
+    // --- Words ---
+
+    tileAt(r, c) {
+        const tile = this.tiles.find(t => t.r === r && t.c === c);
+        return tile ? tile.type : null;
+    }
+
+    // Points for `word`; given the path it was spelled along, letter and word multipliers apply
+    getScore(word, path = []) {
+        const types = path.map(({ r, c }) => this.tileAt(r, c));
+        const bonusLetters = types.filter(type => type === 'DL').length;
+        const multiplier = 2 ** types.filter(type => type === 'DW').length;
+        return scoreWord(word, this.rules, bonusLetters) * multiplier;
+    }
+
+    // Points for finding every word on the board (along the solver's paths for missed words)
+    get maxScore() {
+        return this.solution.reduce((sum, word) => sum + this.getScore(word, this.wordPath(word) || []), 0);
+    }
+
+    // Seconds won by the unused time tiles on `path`, which are used up by it
+    claimTimeBonus(path) {
+        let bonus = 0;
+        path.forEach(({ r, c }) => {
+            if (this.tileAt(r, c) === 'TIME' && !this.usedTiles.has(`${r},${c}`)) {
+                this.usedTiles.add(`${r},${c}`);
+                bonus += TIME_BONUS;
+            }
+        });
+        return bonus;
+    }
+
+    // A path over the wildcard spells every dictionary word matching it. Prefer
+    // the word the player typed, then one not found yet.
+    resolveWord(pattern, preferred = null) {
+        if (!pattern.includes(WILDCARD)) return pattern;
+        const candidates = this.dictionary.matches(pattern, WILDCARD);
+        if (candidates.length === 0) return pattern;
+        if (preferred && candidates.includes(preferred)) return preferred;
+        return candidates.find(word => !this.foundWords.has(word)) || candidates[0];
+    }
+
+    // Cells spelling `word`: the player's own path for found words, else the solver's
+    wordPath(word) {
+        const submission = this.submissions.find(s => s.outcome === 'accepted' && s.word === word);
+        if (submission) return submission.path;
+        return Object.hasOwn(this.solutionPaths, word) ? this.solutionPaths[word] : null;
+    }
+
+    // Checks a word without recording it: null if acceptable, else the rejection reason
+    validate(word) {
+        if (word.length < this.rules.minLength) return 'tooShort';
+        if (this.foundWords.has(word)) return 'duplicate';
+        if (!this.dictionary.has(word)) return 'unknown';
+        return null;
+    }
+
+    // Submits the current selection. `auto` marks drag-release submissions, whose
+    // too-short rejections the UI keeps quiet about (they are usually stray taps).
+    // `typed` is the word typed on the keyboard, which decides what a wildcard stands for.
+    submit({ auto = false, typed = null } = {}) {
+        if (!this.isActive) return null;
+
+        const word = this.resolveWord(this.dictionary.normalize(this.currentWord), typed);
+        const path = [...this.selection];
+        const reason = this.validate(word);
+        this.clearSelection();
+
+        if (reason) {
+            if (path.length) this.submissions.push({ word, path, time: this.elapsed, outcome: reason, points: 0, auto });
+            this.emit('wordRejected', { word, reason, auto, path });
+            return { accepted: false, word, reason };
+        }
+
+        const points = this.getScore(word, path);
+        // Without a countdown there is no time to win, and time tiles stay unused
+        const timeBonus = this.timer === null
+            ? 0
+            : this.claimTimeBonus(path) + (this.mode === 'sprint' ? sprintBonus(word) : 0);
+        this.foundWords.add(word);
+        this.score += points;
+        if (timeBonus) {
+            this.timer += timeBonus;
+            this.timeWon += timeBonus;
+        }
+        this.submissions.push({ word, path, time: this.elapsed, outcome: 'accepted', points, auto });
+        this.emit('wordAccepted', { word, points, score: this.score, path, timeBonus });
+        if (this.huntComplete) this.finish();
+        return { accepted: true, word, points };
+    }
+
+    // --- Hints ---
+
+    // Takes one more step on the word being hinted, or the first step on a new
+    // word once that one is found or fully revealed. Returns
+    // { taken: true, ...revealedHint, cost, score }, or { taken: false, reason: 'none' }
+    // once every word is found or fully revealed.
+    takeHint() {
+        if (!this.isActive) return null;
+
+        const current = this.revealedHint && this.hint.step < HINT_STEPS.length - 1 ? this.hint : null;
+        let hint;
+        if (current) {
+            hint = { word: current.word, step: current.step + 1 };
+        } else {
+            const word = this.nextHintWord();
+            if (!word) return { taken: false, reason: 'none' };
+            hint = { word, step: 0 };
+        }
+
+        const cost = hintCost(hint.step, this.rules);
+        this.hint = hint;
+        this.score -= cost;
+        this.hints.push({ ...hint, cost, time: this.elapsed });
+        const shown = { ...this.revealedHint, cost, score: this.score };
+        this.emit('hintTaken', shown);
+        return { taken: true, ...shown };
+    }
+
+    // The shortest word neither found nor fully revealed yet (Hunt games hint their targets)
+    nextHintWord() {
+        const revealed = new Set(this.hints.filter(hint => hint.step === HINT_STEPS.length - 1).map(hint => hint.word));
+        const pool = this.targets.length ? this.targets : this.solution;
+        const open = pool.filter(word => !revealed.has(word) && !this.foundWords.has(word));
+        return open.sort((a, b) => a.length - b.length || a.localeCompare(b))[0] || null;
+    }
+
+    // What the hints so far give away about the word being hinted, or null once
+    // it is found: { step, start: {r, c}, length, letters }, later fields null
+    // until their step
+    get revealedHint() {
+        if (!this.hint || this.foundWords.has(this.hint.word)) return null;
+        const { word, step } = this.hint;
+        const path = this.wordPath(word);
+        return {
+            step,
+            start: path ? path[0] : null,
+            length: step >= HINT_STEPS.indexOf('length') ? word.length : null,
+            letters: step >= HINT_STEPS.indexOf('letters') ? word.slice(0, 2) : null
+        };
+    }
+
+    get hintCostTotal() {
+        return this.hints.reduce((sum, hint) => sum + hint.cost, 0);
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { GameEngine };
@@ -0,0 +1,54 @@
+// Language packs. A pack bundles everything that depends on the language a
+// board is played in:
+//
+//   { id, label, code, locale, alphabet, dice, words, letterFrequency, normalize,
+//     lookupDefinition, endings, strings }
+//
+// `code` marks the language in game codes ('' for the default), `locale` drives
+// case folding, sorting and dates, `normalize` turns typed or listed words into
+// board letters and `strings` holds the UI text. `endings` is only set for
+// languages with suffix rules (see morphology.js); players can then have
+// inflected forms of the listed words accepted. Packs register themselves from
+// lang-*.js; the worker and the room server load them too, so no DOM here.
+//
+// A board's language decides its dice and which base list generates it, so the
+// same seed rolls different boards in different languages.
+//
+// Strings are looked up by key with t(). A string is either text with {name}
+// placeholders or a function of the params, for plurals and the like.
+
+const DEFAULT_LANGUAGE = 'tr';
+const LANGUAGE_PACKS = {};
+let activeLanguage = DEFAULT_LANGUAGE;
+
+function registerLanguagePack(pack) {
+    LANGUAGE_PACKS[pack.id] = pack;
+}
+
+function getLanguagePack(id = activeLanguage) {
+    return LANGUAGE_PACKS[id] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+}
+
+function setLanguage(id) {
+    activeLanguage = LANGUAGE_PACKS[id] ? id : DEFAULT_LANGUAGE;
+    return getLanguagePack();
+}
+
+// Prefix index over a pack's base word list, compiled the first time it is needed
+function languageDictionary(id = activeLanguage) {
+    const pack = getLanguagePack(id);
+    if (!pack.dictionary) pack.dictionary = WordIndex.fromWords(pack.words, pack.normalize);
+    return pack.dictionary;
+}
+
+// UI text for `key` in the active pack; unknown keys come back as they are
+function t(key, params = {}) {
+    const text = getLanguagePack().strings[key];
+    if (text === undefined) return key;
+    if (typeof text === 'function') return text(params);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { DEFAULT_LANGUAGE, LANGUAGE_PACKS, registerLanguagePack, getLanguagePack, setLanguage, languageDictionary, t };
+}
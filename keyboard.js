@@ -0,0 +1,65 @@
+// Typed word entry: maps typed letters onto paths through the grid.
+// Kept free of the DOM so the renderer only has to apply the chosen path.
+
+const MAX_TYPED_PATHS = 200; // cap for letter-heavy boards ("AAAA" on five A's)
+
+// Turns a KeyboardEvent.key into a grid letter of the language pack, or null if
+// it isn't one. The pack's case rules apply whatever the keyboard layout: in
+// Turkish "i" is İ and "ı" is I, in English "i" is I.
+function keyToLetter(key, pack = getLanguagePack()) {
+    if (!key || [...key].length !== 1) return null;
+    const letter = pack.normalize(key);
+    return pack.alphabet.includes(letter) ? letter : null;
+}
+
+// Every path of adjacent, unrepeated cells spelling `letters`, as [{ r, c }] arrays.
+// The wildcard tile matches any typed letter.
+function findPaths(grid, letters) {
+    const size = grid.length;
+    const target = [...letters];
+    const paths = [];
+    if (target.length === 0) return paths;
+
+    const path = [];
+    const used = new Set();
+
+    const extend = (r, c, i) => {
+        if (paths.length >= MAX_TYPED_PATHS) return;
+        if (r < 0 || r >= size || c < 0 || c >= size) return;
+        if (used.has(r * size + c) || (grid[r][c] !== target[i] && grid[r][c] !== WILDCARD)) return;
+
+        path.push({ r, c });
+        used.add(r * size + c);
+
+        if (i === target.length - 1) {
+            paths.push([...path]);
+        } else {
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+                    extend(r + dr, c + dc, i + 1);
+                }
+            }
+        }
+
+        path.pop();
+        used.delete(r * size + c);
+    };
+
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            extend(r, c, 0);
+        }
+    }
+    return paths;
+}
+
+// Prefers a path that extends the one already highlighted, so the selection
+// only jumps elsewhere when the new letter forces it to
+function choosePath(paths, previous) {
+    if (paths.length === 0) return null;
+    const continuing = paths.find(p => previous.every((cell, i) => p[i].r === cell.r && p[i].c === cell.c));
+    return continuing || paths[0];
+}
+
+if (typeof module !== 'undefined') module.exports = { keyToLetter, findPaths, choosePath };
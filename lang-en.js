@@ -0,0 +1,351 @@
+// English language pack: classic Boggle dice (the Qu face rolled as a plain U,
+// since a cell holds one letter), English letter frequencies, the word list in
+// dictionary-en.js and the UI text. There are no English definitions yet.
+
+const ENGLISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const ENGLISH_DICE_SETS = {
+    // 4x4 (Classic)
+    4: [
+        "AAEEGN", "ABBJOO", "ACHOPS", "AFFKPS", "AOOTTW", "CIMOTU", "DEILRX", "DELRVY",
+        "DISTTY", "EEGHNW", "EEINSU", "EHRTVW", "EIOSST", "ELRTTY", "HIMNUU", "HLNNRZ"
+    ],
+    // 5x5 (Big)
+    5: [
+        "AAAFRS", "AAEEEE", "AAFIRS", "ADENNN", "AEEEEM", "AEEGMU", "AEGMNN", "AFIRSY", "BJKUXZ",
+        "CCENST", "CEIILT", "CEILPT", "CEIPST", "DDHNOT", "DHHLOR", "DHLNOR", "DHLNOR", "EIIITT",
+        "EMOTTT", "ENSSSU", "FIPRSY", "GORRVW", "IPRRRY", "NOOTUW", "OOOTTU"
+    ],
+    // 6x6 (Super): the 5x5 set plus eleven common-letter dice
+    6: [
+        "AAAFRS", "AAEEEE", "AAFIRS", "ADENNN", "AEEEEM", "AEEGMU", "AEGMNN", "AFIRSY", "BJKUXZ",
+        "CCENST", "CEIILT", "CEILPT", "CEIPST", "DDHNOT", "DHHLOR", "DHLNOR", "DHLNOR", "EIIITT",
+        "EMOTTT", "ENSSSU", "FIPRSY", "GORRVW", "IPRRRY", "NOOTUW", "OOOTTU",
+        "AEIOST", "AEILNR", "EEHRST", "ABDELR", "CEHLOS", "AEGINT", "DEILOR", "EIMNOS", "AORSTW",
+        "EHNOPR", "BEKLOY"
+    ]
+};
+
+Object.keys(ENGLISH_DICE_SETS).forEach(size => validateDice(ENGLISH_DICE_SETS[size], Number(size), ENGLISH_ALPHABET));
+
+// Share of each letter in English text, in percent
+const ENGLISH_LETTER_FREQUENCY = {
+    E: 12.7, T: 9.06, A: 8.17, O: 7.51, I: 6.97, N: 6.75, S: 6.33, H: 6.09, R: 5.99,
+    D: 4.25, L: 4.03, C: 2.78, U: 2.76, M: 2.41, W: 2.36, F: 2.23, G: 2.02, Y: 1.97,
+    P: 1.93, B: 1.29, V: 0.98, K: 0.77, J: 0.15, X: 0.15, Q: 0.10, Z: 0.07
+};
+
+// Typed or listed words as board letters: accents dropped, and i upper-cases to I, not İ
+function normalizeEnglishWord(word) {
+    return word
+        .trim()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLocaleUpperCase('en-US');
+}
+
+const englishCount = (count, one, many) => `${count.toLocaleString('en-US')} ${count === 1 ? one : many}`;
+
+const ENGLISH_STRINGS = {
+    // Menu
+    'menu.language': 'Language',
+    'menu.nickname': 'PLAYER NAME',
+    'menu.nicknamePlaceholder': 'What should we call you?',
+    'menu.next': 'CONTINUE',
+    'menu.rules': 'RULES',
+    'menu.mode': 'GAME MODE',
+    'menu.opponent': 'OPPONENT',
+    'menu.difficulty': 'DIFFICULTY',
+    'menu.size': 'CHOOSE SIZE',
+    'menu.party': 'Party Mode',
+    'menu.online': 'Online Room',
+    'menu.gameCode': 'GAME CODE',
+    'menu.gameCodePlaceholder': 'e.g. K3X9QZ-5E',
+    'menu.play': 'PLAY',
+    'menu.dictionary': 'DICTIONARY',
+    'menu.editDictionary': 'EDIT DICTIONARY',
+    'menu.back': 'Go Back',
+    'menu.add': 'ADD',
+    'menu.lastCode': 'Last game code: {code}',
+    'size.4': '4x4 (Classic)',
+    'size.5': '5x5 (Big)',
+    'size.6': '6x6 (Super)',
+    'modal.close': 'Close',
+
+    // Rules (rules.js)
+    'rules.hizli': 'Quick',
+    'rules.klasik': 'Classic',
+    'rules.uzun': 'Long',
+    'rules.ozel': 'Custom',
+    'rules.duration': 'Time',
+    'rules.minimum': 'Minimum',
+    'rules.scoring': 'Scoring',
+    'rules.minLength': '{length}+ letters',
+    'rules.letters': '{length} letters',
+    'scoring.klasik': 'Classic Scoring',
+    'scoring.harf': 'Per Letter',
+    'scoring.bonus': 'Long Word Bonus',
+    'duration.minutes': '{m}m',
+    'duration.minutesSeconds': '{m}m {s}s',
+    'duration.seconds': '{s}s',
+
+    // Game modes (modes.js)
+    'mode.classic': 'Classic',
+    'mode.classic.hint': 'Find words until time runs out',
+    'mode.zen': 'Zen',
+    'mode.zen.hint': 'No clock; finish whenever you like',
+    'mode.sprint': 'Sprint',
+    'mode.sprint.hint': 'Every word adds time, longer ones more',
+    'mode.hunt': 'Hunt',
+    'mode.hunt.hint': 'Find {count} hidden words from their lengths',
+    'mode.hunt.target': '{length} letters',
+    'mode.sprint.clock': '{start} + time per word',
+    'mode.untimed': 'untimed',
+    'result.classic': 'Time\'s Up!',
+    'result.zen': 'Zen Done',
+    'result.zen.summary': 'You found {found} of {total} words ({share}%) · {played}',
+    'result.sprint': 'Sprint Over!',
+    'result.sprint.summary': 'You lasted {played} · {found} words · won +{won}s',
+    'result.hunt': 'Hunt Over',
+    'result.hunt.complete': 'Hunt Complete!',
+    'result.hunt.summary': '{hits}/{total} targets · {played}',
+    'progress.words': 'WORDS',
+    'progress.targets': 'TARGETS',
+
+    // Difficulty and power-up tiles (difficulty.js, board.js)
+    'difficulty.kolay': 'Easy',
+    'difficulty.orta': 'Medium',
+    'difficulty.zor': 'Hard',
+    'difficulty.maxScore': 'up to {count} points',
+    'tiles.label': 'Party tiles',
+    'tiles.toggle': 'Party Tiles',
+    'tiles.hint': 'Letter ×2, Word ×2, Wildcard and +10s tiles',
+    'tile.DL': 'Letter ×2',
+    'tile.DL.badge': '2L',
+    'tile.DW': 'Word ×2',
+    'tile.DW.badge': '2W',
+    'tile.TIME': '+{seconds}s',
+    'tile.TIME.badge': '+{seconds}',
+    'tile.WILD': 'Wildcard',
+    'tile.WILD.badge': '',
+
+    // Computer opponent (bot.js)
+    'bot.none': 'None',
+    'bot.kolay': 'Easy',
+    'bot.orta': 'Medium',
+    'bot.uzman': 'Expert',
+    'bot.label': 'BOT · {level}',
+    'bot.summary': 'Bot ({level}): {score}',
+    'versus.score': 'You {player} – {bot} Bot ({level})',
+    'versus.player': 'Only you ({count})',
+    'versus.shared': 'Both of you ({count})',
+    'versus.bot': 'Only the bot ({count})',
+
+    // Playing
+    'header.code': 'CODE',
+    'header.time': 'TIME',
+    'header.score': 'SCORE',
+    'countdown.go': 'GO',
+    'pause.button': 'Pause',
+    'pause.title': 'PAUSED',
+    'pause.resume': 'Resume',
+    'game.submit': 'SUBMIT',
+    'game.giveUp': 'FINISH',
+    'game.confirmGiveUp': 'End the game?',
+    'drawer.found': 'Words Found',
+    'toast.points': '+{points} Points!',
+    'toast.time': '+{seconds}s',
+    'toast.tooShort': 'Too Short!',
+    'toast.duplicate': 'Already Found!',
+    'toast.unknown': 'Not a Word',
+    'toast.boardFailed': 'Could not prepare the board, try again',
+    'count.points': ({ count }) => `${count} ${count === 1 ? 'Point' : 'Points'}`,
+    'count.pointsLower': ({ count }) => `${count} ${count === 1 ? 'point' : 'points'}`,
+    'count.words': ({ count }) => englishCount(count, 'word', 'words'),
+    'words.none': 'No words',
+
+    // Game over, replay and definitions (replay.js)
+    'gameOver.total': 'Total Score',
+    'gameOver.code': 'Game Code:',
+    'gameOver.again': 'Play Again',
+    'gameOver.targets': 'Targets ({found}/{total})',
+    'gameOver.found': 'Words Found ({count})',
+    'gameOver.missed': 'Words Missed ({count})',
+    'gameOver.more': '+{count} more...',
+    'outcome.accepted': 'Accepted',
+    'outcome.duplicate': 'Already found',
+    'outcome.tooShort': 'Too short',
+    'outcome.unknown': 'Not in dictionary',
+    'replay.start': 'Start of game',
+    'replay.points': ({ points }) => `+${points} ${points === 1 ? 'point' : 'points'}`,
+    'replay.hint': 'Hint',
+    'replay.cost': ({ cost }) => `-${cost} ${cost === 1 ? 'point' : 'points'}`,
+    'replay.play': 'Play replay',
+    'replay.slider': 'Replay',
+    'definition.missing': 'No definition for this word yet.',
+    'definition.report': 'Report wrong word',
+    'definition.reported': 'Reported',
+    'share.copyLink': 'Copy Link',
+    'share.copied': 'Copied!',
+    'share.linkPrompt': 'Link:',
+    'share.card': 'Share',
+    'share.cardWords': ({ found, possible }) => `${found.toLocaleString('en-US')} / ${englishCount(possible, 'word', 'words')}`,
+    'share.cardFailed': 'Could not create the result card',
+
+    // Daily puzzle (daily.js)
+    'daily.title': 'Daily Puzzle',
+    'daily.code': 'DAILY',
+    'daily.scoreOfMax': 'Your Score / Best Possible',
+    'daily.copy': 'Copy Result',
+    'daily.menu': 'Back to Menu',
+    'daily.resultPrompt': 'Result:',
+    'daily.done': 'You have played today\'s puzzle. New one tomorrow!',
+    'daily.unfinished': 'Today\'s game was left unfinished. New one tomorrow!',
+    'daily.summaryTitle': 'Kelime Bulamama · Daily Puzzle {y}-{m}-{d}',
+    'daily.summaryScore': '{score}/{max} points ({pct}%) · {found}/{total} words',
+    'daily.summaryLength': '{length} letters {bar} {found}/{total}',
+
+    // Party mode
+    'party.players': 'PLAYERS (2-8)',
+    'party.playerPlaceholder': 'Player name',
+    'party.removePlayer': 'Remove',
+    'party.start': 'START PARTY',
+    'party.handoffRound': 'Round {round} · {turn}/{players}',
+    'party.handTo': 'Hand the device to:',
+    'party.ready': 'I\'m Ready',
+    'party.roundResults': 'Round {round} Results',
+    'party.nextRound': 'Next Round',
+    'party.end': 'End Match',
+    'table.player': 'PLAYER',
+    'table.round': 'ROUND',
+    'table.total': 'TOTAL',
+    'table.words': 'WORDS',
+    'table.points': 'POINTS',
+
+    // Online rooms (transport.js, server/room-server.js)
+    'online.title': 'ONLINE ROOM',
+    'online.roomPlaceholder': 'Room code',
+    'online.connect': 'CONNECT',
+    'online.room': 'Room:',
+    'online.start': 'START GAME',
+    'online.waitingHost': 'Waiting for the host to start...',
+    'online.waitingPlayers': 'Waiting for the other players...',
+    'online.missingFields': 'Server and room code are required.',
+    'online.connectFailed': 'Could not connect to the server.',
+    'online.disconnected': 'Lost connection to the server.',
+    'online.you': '(you)',
+    'online.results': 'Room Results',
+    'online.unique': 'unique',
+    'online.uniqueHint': 'only you found it',
+    'online.shared': 'shared',
+    'online.sharedHint': 'no points',
+    'online.uniqueCount': '{count} unique',
+    'online.lobby': 'Back to Lobby',
+    'server.missingRoom': 'Room code and name are required.',
+    'server.alreadyInRoom': 'You are already in a room.',
+    'server.roundInProgress': 'A game is in progress in this room.',
+    'server.roomFull': 'The room is full.',
+    'server.notHost': 'Only the host can start.',
+    'server.badMessage': 'Invalid message.',
+    'server.unknownMessage': 'Unknown message.',
+
+    // Interrupted games (session.js)
+    'resume.title': 'Unfinished Game',
+    'resume.discard': 'New Game',
+    'resume.played': '{time} played',
+    'resume.left': '{time} left',
+
+    // Side panel: scores, history and statistics (scores.js, stats.js)
+    'panel.title': 'PAST GAMES',
+    'panel.scores': 'SCORES',
+    'panel.history': 'HISTORY',
+    'panel.stats': 'STATS',
+    'filter.allSizes': 'All Sizes',
+    'filter.allPlayers': 'All Players',
+    'filter.mode': 'Game mode',
+    'scores.empty': 'No scores yet.',
+    'history.empty': 'No games yet.',
+    'history.scoreOf': '{score} / {max} Points',
+    'history.code': 'Code: {code}',
+    'stats.empty': 'No statistics yet.',
+    'stats.games': 'games',
+    'stats.wordsPerMinute': 'words/min',
+    'stats.rejected': 'rejected',
+    'stats.percent': '{value}%',
+    'stats.played': 'Games',
+    'stats.average': 'Avg.',
+    'stats.best': 'Best',
+    'stats.trend': 'Score Trend',
+    'stats.longestWord': 'Longest Word',
+    'stats.topWords': 'Most Found',
+    'stats.export': 'EXPORT',
+    'stats.import': 'IMPORT',
+    'stats.fileName': 'kelime-bulamama-stats.json',
+    'stats.notBackup': 'This file is not a statistics backup.',
+    'stats.imported': ({ count }) => `${englishCount(count, 'game', 'games')} imported.`,
+    'stats.storageFull': 'Browser storage is full, statistics could not be saved.',
+    'file.unreadable': 'The file could not be read.',
+    'update.ready': 'A new version is ready.',
+    'update.reload': 'RELOAD',
+
+    // Custom dictionary (custom-dictionary.js)
+    'dictionary.title': 'Dictionary',
+    'dictionary.base': 'Base list',
+    'dictionary.addedCount': '{count} added',
+    'dictionary.excludedCount': '{count} removed',
+    'dictionary.imports': 'IMPORTED LISTS',
+    'dictionary.import': 'Import List (.txt)',
+    'dictionary.noImports': 'No imported lists.',
+    'dictionary.addedWords': 'ADDED WORDS',
+    'dictionary.excludedWords': 'REMOVED WORDS',
+    'dictionary.wordPlaceholder': 'Word',
+    'dictionary.none': 'None',
+    'dictionary.undo': 'Undo',
+    'dictionary.remove': 'Remove',
+    'dictionary.removals': ({ count }) => englishCount(count, 'removal', 'removals'),
+    'dictionary.export': 'Export',
+    'dictionary.fileName': 'dictionary.txt',
+    'dictionary.exportTitle': 'Kelime Bulamama personal dictionary',
+    'dictionary.exportAdded': 'Added',
+    'dictionary.exportExcluded': 'Removed',
+    'dictionary.storageFull': 'Browser storage is full, the change only lasts for this session.',
+    'dictionary.addRejected': '+ add {word} to my dictionary',
+    'dictionary.added': 'Added to Dictionary',
+    'dictionary.confirmReport': 'Remove "{word}" from the dictionary? It will not be accepted in later games.',
+
+    // Inflected words (morphology.js)
+    'morphology.toggle': 'Inflected Words',
+    'morphology.hint': 'Also accept suffixed forms of listed words (Turkish only)',
+    'morphology.root': 'root: {root}',
+
+    // Hints (engine.js, rules.js)
+    'hint.button': 'HINT',
+    'hint.start': 'Hint: a word starts on the marked letter',
+    'hint.length': 'Hint: a {length}-letter word starts on the marked letter',
+    'hint.letters': 'Hint: {letters}… ({length} letters)',
+    'hint.cost': ({ cost }) => `(-${cost} ${cost === 1 ? 'point' : 'points'})`,
+    'hint.none': 'No words left to hint',
+    'hint.summary': ({ count, cost }) => `${englishCount(count, 'hint', 'hints')} used (-${cost} ${cost === 1 ? 'point' : 'points'})`,
+    'hint.count': ({ count }) => englishCount(count, 'hint', 'hints'),
+    'filter.hints': 'Hints',
+    'filter.noHints': 'Without Hints',
+    'filter.withHints': 'With Hints'
+};
+
+registerLanguagePack({
+    id: 'en',
+    label: 'English',
+    code: 'E',
+    locale: 'en-US',
+    alphabet: ENGLISH_ALPHABET,
+    dice: ENGLISH_DICE_SETS,
+    words: englishWords,
+    letterFrequency: ENGLISH_LETTER_FREQUENCY,
+    normalize: normalizeEnglishWord,
+    lookupDefinition: () => null,
+    strings: ENGLISH_STRINGS
+});
+
+if (typeof module !== 'undefined') {
+    module.exports = { ENGLISH_ALPHABET, ENGLISH_DICE_SETS, ENGLISH_LETTER_FREQUENCY, ENGLISH_STRINGS, normalizeEnglishWord };
+}
@@ -0,0 +1,307 @@
+// Turkish language pack, the default: the dice, letter frequencies, word list,
+// definitions and case folding the game was built on (board.js, difficulty.js,
+// dictionary.js, definitions.js, word-index.js), its suffix rules (morphology.js)
+// and the UI text.
+
+const TURKISH_STRINGS = {
+    // Menu
+    'menu.language': 'Dil',
+    'menu.nickname': 'OYUNCU ADI',
+    'menu.nicknamePlaceholder': 'Adınizi bahseder misiniz?',
+    'menu.next': 'DEVAM ET',
+    'menu.rules': 'KURALLAR',
+    'menu.mode': 'OYUN TÜRÜ',
+    'menu.opponent': 'RAKİP',
+    'menu.difficulty': 'ZORLUK',
+    'menu.size': 'BOYUT SEÇİN',
+    'menu.party': 'Parti Modu',
+    'menu.online': 'Çevrimiçi Oda',
+    'menu.gameCode': 'OYUN KODU',
+    'menu.gameCodePlaceholder': 'ör. K3X9QZ-5',
+    'menu.play': 'OYNA',
+    'menu.dictionary': 'SÖZLÜK',
+    'menu.editDictionary': 'SÖZLÜĞÜ DÜZENLE',
+    'menu.back': 'Geri Dön',
+    'menu.add': 'EKLE',
+    'menu.lastCode': 'Son oyunun kodu: {code}',
+    'size.4': '4x4 (Klasik)',
+    'size.5': '5x5 (Büyük)',
+    'size.6': '6x6 (Süper)',
+    'modal.close': 'Kapat',
+
+    // Rules (rules.js)
+    'rules.hizli': 'Hızlı',
+    'rules.klasik': 'Klasik',
+    'rules.uzun': 'Uzun',
+    'rules.ozel': 'Özel',
+    'rules.duration': 'Süre',
+    'rules.minimum': 'En Az',
+    'rules.scoring': 'Puanlama',
+    'rules.minLength': '{length}+ harf',
+    'rules.letters': '{length} harf',
+    'scoring.klasik': 'Klasik Puan',
+    'scoring.harf': 'Harf Başına',
+    'scoring.bonus': 'Uzun Kelime Bonusu',
+    'duration.minutes': '{m}dk',
+    'duration.minutesSeconds': '{m}dk {s}sn',
+    'duration.seconds': '{s}sn',
+
+    // Game modes (modes.js)
+    'mode.classic': 'Klasik',
+    'mode.classic.hint': 'Süre bitene kadar bul',
+    'mode.zen': 'Zen',
+    'mode.zen.hint': 'Süre yok; istediğin zaman bitir',
+    'mode.sprint': 'Sprint',
+    'mode.sprint.hint': 'Her kelime süre kazandırır, uzunu daha çok',
+    'mode.hunt': 'Av',
+    'mode.hunt.hint': 'Harf sayısı verilen {count} gizli kelimeyi bul',
+    'mode.hunt.target': '{length} harf',
+    'mode.sprint.clock': '{start} + kelime başına süre',
+    'mode.untimed': 'süresiz',
+    'result.classic': 'Süren Sona Erdi!',
+    'result.zen': 'Zen Tamam',
+    'result.zen.summary': '{total} kelimeden {found} tanesini buldun (%{share}) · {played}',
+    'result.sprint': 'Sprint Bitti!',
+    'result.sprint.summary': '{played} dayandın · {found} kelime · +{won} sn kazandın',
+    'result.hunt': 'Av Bitti',
+    'result.hunt.complete': 'Av Tamamlandı!',
+    'result.hunt.summary': '{hits}/{total} hedef · {played}',
+    'progress.words': 'KELİME',
+    'progress.targets': 'HEDEF',
+
+    // Difficulty and power-up tiles (difficulty.js, board.js)
+    'difficulty.kolay': 'Kolay',
+    'difficulty.orta': 'Orta',
+    'difficulty.zor': 'Zor',
+    'difficulty.maxScore': 'en fazla {count} puan',
+    'tiles.label': 'Parti taşları',
+    'tiles.toggle': 'Parti Taşları',
+    'tiles.hint': 'Harf ×2, Kelime ×2, Joker ve +10 sn taşları',
+    'tile.DL': 'Harf ×2',
+    'tile.DL.badge': '2H',
+    'tile.DW': 'Kelime ×2',
+    'tile.DW.badge': '2K',
+    'tile.TIME': '+{seconds} sn',
+    'tile.TIME.badge': '+{seconds}',
+    'tile.WILD': 'Joker',
+    'tile.WILD.badge': '',
+
+    // Computer opponent (bot.js)
+    'bot.none': 'Yok',
+    'bot.kolay': 'Kolay',
+    'bot.orta': 'Orta',
+    'bot.uzman': 'Uzman',
+    'bot.label': 'BOT · {level}',
+    'bot.summary': 'Bot ({level}): {score}',
+    'versus.score': 'Sen {player} – {bot} Bot ({level})',
+    'versus.player': 'Yalnız sen ({count})',
+    'versus.shared': 'İkiniz de ({count})',
+    'versus.bot': 'Yalnız bot ({count})',
+
+    // Playing
+    'header.code': 'KOD',
+    'header.time': 'SÜRE',
+    'header.score': 'PUAN',
+    'countdown.go': 'BAŞLA',
+    'pause.button': 'Duraklat',
+    'pause.title': 'DURAKLATILDI',
+    'pause.resume': 'Devam Et',
+    'game.submit': 'GÖNDER',
+    'game.giveUp': 'BİTİR',
+    'game.confirmGiveUp': 'Oyun bitirilsin mi?',
+    'drawer.found': 'Bulunan Kelimeler',
+    'toast.points': '+{points} Puan!',
+    'toast.time': '+{seconds} sn',
+    'toast.tooShort': 'Çok Kısa!',
+    'toast.duplicate': 'Zaten Bulundu!',
+    'toast.unknown': 'Kelime Bulunamadı',
+    'toast.boardFailed': 'Tahta hazırlanamadı, tekrar dene',
+    'count.points': '{count} Puan',
+    'count.pointsLower': '{count} puan',
+    'count.words': ({ count }) => `${count.toLocaleString('tr-TR')} kelime`,
+    'words.none': 'Kelime yok',
+
+    // Game over, replay and definitions (replay.js, definitions.js)
+    'gameOver.total': 'Toplam Puan',
+    'gameOver.code': 'Oyun Kodu:',
+    'gameOver.again': 'Tekrar Oyna',
+    'gameOver.targets': 'Hedefler ({found}/{total})',
+    'gameOver.found': 'Bulunan Kelimeler ({count})',
+    'gameOver.missed': 'Kaçırılan Kelimeler ({count})',
+    'gameOver.more': '+{count} daha...',
+    'outcome.accepted': 'Kabul',
+    'outcome.duplicate': 'Zaten bulundu',
+    'outcome.tooShort': 'Çok kısa',
+    'outcome.unknown': 'Sözlükte yok',
+    'replay.start': 'Oyunun başı',
+    'replay.points': '+{points} puan',
+    'replay.hint': 'İpucu',
+    'replay.cost': '-{cost} puan',
+    'replay.play': 'Tekrarı oynat',
+    'replay.slider': 'Tekrar',
+    'definition.missing': 'Bu kelimenin tanımı sözlükte yok.',
+    'definition.report': 'Hatalı kelimeyi bildir',
+    'definition.reported': 'Bildirildi',
+    'share.copyLink': 'Linki Kopyala',
+    'share.copied': 'Kopyalandı!',
+    'share.linkPrompt': 'Link:',
+    'share.card': 'Paylaş',
+    'share.cardWords': '{found} / {possible} kelime',
+    'share.cardFailed': 'Sonuç kartı oluşturulamadı',
+
+    // Daily puzzle (daily.js)
+    'daily.title': 'Günün Bulmacası',
+    'daily.code': 'GÜNLÜK',
+    'daily.scoreOfMax': 'Puanın / Olası En Yüksek',
+    'daily.copy': 'Sonucu Kopyala',
+    'daily.menu': 'Menüye Dön',
+    'daily.resultPrompt': 'Sonuç:',
+    'daily.done': 'Bugünkü hakkını kullandın. Yarın yeni bulmaca!',
+    'daily.unfinished': 'Bugünkü oyun yarıda kaldı. Yarın yeni bulmaca!',
+    'daily.summaryTitle': 'Kelime Bulamama · Günün Bulmacası {d}.{m}.{y}',
+    'daily.summaryScore': '{score}/{max} puan (%{pct}) · {found}/{total} kelime',
+    'daily.summaryLength': '{length} harf {bar} {found}/{total}',
+
+    // Party mode
+    'party.players': 'OYUNCULAR (2-8)',
+    'party.playerPlaceholder': 'Oyuncu adı',
+    'party.removePlayer': 'Çıkar',
+    'party.start': 'PARTİYİ BAŞLAT',
+    'party.handoffRound': '{round}. Tur · {turn}/{players}',
+    'party.handTo': 'Cihazı şu oyuncuya ver:',
+    'party.ready': 'Hazırım',
+    'party.roundResults': '{round}. Tur Sonuçları',
+    'party.nextRound': 'Sonraki Tur',
+    'party.end': 'Maçı Bitir',
+    'table.player': 'OYUNCU',
+    'table.round': 'TUR',
+    'table.total': 'TOPLAM',
+    'table.words': 'KELİME',
+    'table.points': 'PUAN',
+
+    // Online rooms (transport.js, server/room-server.js)
+    'online.title': 'ÇEVRİMİÇİ ODA',
+    'online.roomPlaceholder': 'Oda kodu',
+    'online.connect': 'BAĞLAN',
+    'online.room': 'Oda:',
+    'online.start': 'OYUNU BAŞLAT',
+    'online.waitingHost': 'Oda sahibinin başlatması bekleniyor...',
+    'online.waitingPlayers': 'Diğer oyuncular bekleniyor...',
+    'online.missingFields': 'Sunucu ve oda kodu gerekli.',
+    'online.connectFailed': 'Sunucuya bağlanılamadı.',
+    'online.disconnected': 'Sunucu bağlantısı koptu.',
+    'online.you': '(sen)',
+    'online.results': 'Oda Sonuçları',
+    'online.unique': 'tek',
+    'online.uniqueHint': 'yalnız sen buldun',
+    'online.shared': 'ortak',
+    'online.sharedHint': 'puan yok',
+    'online.uniqueCount': '{count} tek',
+    'online.lobby': 'Lobiye Dön',
+    'server.missingRoom': 'Oda kodu ve isim gerekli.',
+    'server.alreadyInRoom': 'Zaten bir odadasın.',
+    'server.roundInProgress': 'Bu odada oyun devam ediyor.',
+    'server.roomFull': 'Oda dolu.',
+    'server.notHost': 'Sadece oda sahibi başlatabilir.',
+    'server.badMessage': 'Geçersiz mesaj.',
+    'server.unknownMessage': 'Bilinmeyen mesaj.',
+
+    // Interrupted games (session.js)
+    'resume.title': 'Yarım Kalan Oyun',
+    'resume.discard': 'Yeni Oyun',
+    'resume.played': '{time} oynandı',
+    'resume.left': '{time} kaldı',
+
+    // Side panel: scores, history and statistics (scores.js, stats.js)
+    'panel.title': 'ESKI OYUNLARIN',
+    'panel.scores': 'SKORLAR',
+    'panel.history': 'GEÇMİŞ',
+    'panel.stats': 'İSTATİSTİK',
+    'filter.allSizes': 'Tüm Boyutlar',
+    'filter.allPlayers': 'Tüm Oyuncular',
+    'filter.mode': 'Oyun türü',
+    'scores.empty': 'Henüz skor yok.',
+    'history.empty': 'Henüz oyun yok.',
+    'history.scoreOf': '{score} / {max} Puan',
+    'history.code': 'Kod: {code}',
+    'stats.empty': 'Henüz istatistik yok.',
+    'stats.games': 'oyun',
+    'stats.wordsPerMinute': 'kelime/dk',
+    'stats.rejected': 'hatalı',
+    'stats.percent': '%{value}',
+    'stats.played': 'Oyun',
+    'stats.average': 'Ort.',
+    'stats.best': 'En İyi',
+    'stats.trend': 'Puan Gidişatı',
+    'stats.longestWord': 'En Uzun Kelime',
+    'stats.topWords': 'En Çok Bulunanlar',
+    'stats.export': 'DIŞA AKTAR',
+    'stats.import': 'İÇE AKTAR',
+    'stats.fileName': 'kelime-bulamama-istatistik.json',
+    'stats.notBackup': 'Bu dosya bir istatistik yedeği değil.',
+    'stats.imported': '{count} oyun içe aktarıldı.',
+    'stats.storageFull': 'Tarayıcı deposu dolu, istatistikler kaydedilemedi.',
+    'file.unreadable': 'Dosya okunamadı.',
+    'update.ready': 'Yeni sürüm hazır.',
+    'update.reload': 'YENİLE',
+
+    // Custom dictionary (custom-dictionary.js)
+    'dictionary.title': 'Sözlük',
+    'dictionary.base': 'Temel liste',
+    'dictionary.addedCount': '{count} eklenen',
+    'dictionary.excludedCount': '{count} çıkarılan',
+    'dictionary.imports': 'İÇE AKTARILAN LİSTELER',
+    'dictionary.import': 'Liste İçe Aktar (.txt)',
+    'dictionary.noImports': 'İçe aktarılan liste yok.',
+    'dictionary.addedWords': 'EKLENEN KELİMELER',
+    'dictionary.excludedWords': 'ÇIKARILAN KELİMELER',
+    'dictionary.wordPlaceholder': 'Kelime',
+    'dictionary.none': 'Yok',
+    'dictionary.undo': 'Geri al',
+    'dictionary.remove': 'Kaldır',
+    'dictionary.removals': '{count} çıkarma',
+    'dictionary.export': 'Dışa Aktar',
+    'dictionary.fileName': 'sozluk.txt',
+    'dictionary.exportTitle': 'Kelime Bulamama kişisel sözlük',
+    'dictionary.exportAdded': 'Eklenen',
+    'dictionary.exportExcluded': 'Çıkarılan',
+    'dictionary.storageFull': 'Tarayıcı deposu dolu, değişiklik yalnızca bu oturumda geçerli.',
+    'dictionary.addRejected': '+ {word} sözlüğüme ekle',
+    'dictionary.added': 'Sözlüğe Eklendi',
+    'dictionary.confirmReport': '"{word}" sözlükten çıkarılsın mı? Sonraki oyunlarda kabul edilmeyecek.',
+
+    // Inflected words (morphology.js)
+    'morphology.toggle': 'Ekli Kelimeler',
+    'morphology.hint': 'KİTAPLAR, EVDE, BALIKÇI gibi ekli halleri de kabul et',
+    'morphology.root': 'kök: {root}',
+
+    // Hints (engine.js, rules.js)
+    'hint.button': 'İPUCU',
+    'hint.start': 'İpucu: işaretli harften başlayan bir kelime var',
+    'hint.length': 'İpucu: işaretli harften başlayan {length} harfli bir kelime',
+    'hint.letters': 'İpucu: {letters}… ({length} harf)',
+    'hint.cost': '(-{cost} puan)',
+    'hint.none': 'İpucu verilecek kelime kalmadı',
+    'hint.summary': '{count} ipucu kullanıldı (-{cost} puan)',
+    'hint.count': '{count} ipucu',
+    'filter.hints': 'İpuçları',
+    'filter.noHints': 'İpucusuz',
+    'filter.withHints': 'İpuçlu'
+};
+
+registerLanguagePack({
+    id: 'tr',
+    label: 'Türkçe',
+    code: '',
+    locale: 'tr-TR',
+    alphabet: TURKISH_ALPHABET,
+    dice: DICE_SETS,
+    words: typeof commonWords !== 'undefined' ? commonWords : [],
+    letterFrequency: LETTER_FREQUENCY,
+    normalize: normalizeWord,
+    lookupDefinition: typeof lookupDefinition !== 'undefined' ? lookupDefinition : () => null,
+    endings: turkishEndings,
+    strings: TURKISH_STRINGS
+});
+
+if (typeof module !== 'undefined') module.exports = { TURKISH_STRINGS };
@@ -0,0 +1,112 @@
+// Solo game modes. Classic counts down from the rules' duration; the others
+// change how the clock runs and when the game ends:
+//
+//   zen     no countdown, the time played counts up; ends when the player gives up
+//   sprint  a short countdown that every accepted word extends, longer words more
+//   hunt    HUNT_TARGETS hidden words from the board's solution, shown only by
+//           their length; ends when all are found or the player gives up
+//
+// Daily, party and online rounds play (and rank) as classic. Every mode has its
+// own leaderboard bucket. No DOM here, the engine runs on it in Node as well.
+// Modes are named by t(`mode.${id}`) and explained by t(`mode.${id}.hint`).
+
+const SPRINT_START_SECONDS = 30;
+const SPRINT_MAX_BONUS = 10;
+const HUNT_TARGETS = 5;
+const HUNT_MIN_LENGTH = 4;
+
+const GAME_MODES = {
+    classic: { timed: true },
+    zen: { timed: false },
+    sprint: { timed: true },
+    hunt: { timed: false }
+};
+const DEFAULT_GAME_MODE = 'classic';
+
+// The mode a game is played and ranked as
+function playMode(mode) {
+    return GAME_MODES[mode] ? mode : DEFAULT_GAME_MODE;
+}
+
+// Seconds on the clock at the start, or null when the mode has no countdown
+function startingTime(mode, rules) {
+    if (!GAME_MODES[playMode(mode)].timed) return null;
+    return mode === 'sprint' ? SPRINT_START_SECONDS : rules.duration;
+}
+
+// Seconds a Sprint word buys: one per letter after the first
+function sprintBonus(word) {
+    return Math.min(SPRINT_MAX_BONUS, word.length - 1);
+}
+
+// The hunt's targets, reproducible from the game's seed. Longer words are
+// preferred; short ones only fill in on boards without enough of them. They
+// are listed shortest first, which is all the hints give away.
+function huntTargets(solution, seed, count = HUNT_TARGETS) {
+    const shuffled = shuffle(solution, createRng(`${seed}-AV`));
+    return [
+        ...shuffled.filter(word => word.length >= HUNT_MIN_LENGTH),
+        ...shuffled.filter(word => word.length < HUNT_MIN_LENGTH)
+    ].slice(0, count).sort((a, b) => a.length - b.length);
+}
+
+function huntHint(word, found) {
+    return found ? word : t('mode.hunt.target', { length: word.length });
+}
+
+// e.g. "Zen · süresiz · 3+ harf · Klasik Puan"
+function describeMode(mode, rules) {
+    if (playMode(mode) === 'classic') return describeRules(rules);
+    const clock = mode === 'sprint' ? t('mode.sprint.clock', { start: formatDuration(SPRINT_START_SECONDS) }) : t('mode.untimed');
+    return [t(`mode.${mode}`), clock, t('rules.minLength', { length: rules.minLength }), t(`scoring.${rules.scoring}`)].join(' · ');
+}
+
+// Title and summary line for the game-over screen of a finished engine
+function describeResult(engine) {
+    const found = engine.foundWords.size;
+    const played = formatPlayTime(engine.elapsed);
+
+    switch (engine.mode) {
+        case 'zen': {
+            const total = engine.solution.length;
+            const share = total ? Math.round((found / total) * 100) : 0;
+            return { title: t('result.zen'), summary: t('result.zen.summary', { total, found, share, played }) };
+        }
+        case 'sprint':
+            return {
+                title: t('result.sprint'),
+                summary: t('result.sprint.summary', { played, found, won: engine.timeWon })
+            };
+        case 'hunt':
+            return {
+                title: t(engine.huntComplete ? 'result.hunt.complete' : 'result.hunt'),
+                summary: t('result.hunt.summary', { hits: engine.targetsFound.length, total: engine.targets.length, played })
+            };
+        default:
+            return { title: t('result.classic'), summary: '' };
+    }
+}
+
+// Leaderboard order within a mode's bucket: hunts by targets found, then
+// fastest; everything else by score
+function compareResults(mode) {
+    if (mode !== 'hunt') return (a, b) => b.score - a.score;
+    const hits = game => (game.hunt ? game.hunt.found : 0);
+    return (a, b) => hits(b) - hits(a) || (a.played || 0) - (b.played || 0) || b.score - a.score;
+}
+
+// What the leaderboard shows for a saved game
+function describeRanking(game) {
+    if (playMode(game.mode) === 'hunt' && game.hunt) {
+        return `${game.hunt.found}/${game.hunt.targets.length} · ${formatPlayTime(game.played || 0)}`;
+    }
+    return t('count.points', { count: game.score });
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        GAME_MODES, DEFAULT_GAME_MODE, SPRINT_START_SECONDS, SPRINT_MAX_BONUS, HUNT_TARGETS, HUNT_MIN_LENGTH,
+        playMode, startingTime, sprintBonus, huntTargets, huntHint, describeMode, describeResult,
+        compareResults, describeRanking
+    };
+}
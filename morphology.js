@@ -0,0 +1,195 @@
+// Turkish suffixes, so inflected forms of listed roots count as words
+// (KİTAPLAR, EVDE, BALIKÇI) without listing every form.
+//
+// A root takes at most one derivational suffix (-CI, -LIK, -LI, -SIZ), then
+// optionally the plural, a possessive and a case ending, in that order.
+// Suffixes are written with archiphonemes that the stem they attach to resolves:
+//
+//   a  A or E by vowel harmony         d  D, or T after a voiceless consonant
+//   ı  I, İ, U or Ü by vowel harmony   c  C, or Ç after a voiceless consonant
+//
+// Before a vowel, polysyllabic stems soften a final P, Ç or K (KİTAP → KİTABI)
+// and NK becomes NG (RENK → RENGİ); the roots in ELIDED_ROOTS also drop their
+// last vowel (AKIL → AKLI). Other exceptions (SAAT → SAATİ, T softening) are
+// not modelled, so those forms are missed rather than guessed.
+
+const VOWELS = 'AEIİOÖUÜ';
+const BACK_VOWELS = 'AIOU';
+const VOICELESS = 'ÇFHKPSŞT';
+const NARROW_VOWEL = { A: 'I', I: 'I', O: 'U', U: 'U', E: 'İ', İ: 'İ', Ö: 'Ü', Ü: 'Ü' };
+const SOFTENED = { P: 'B', Ç: 'C', K: 'Ğ' };
+
+const ELIDED_ROOTS = new Set([
+    'AĞIZ', 'AKIL', 'ALIN', 'AZİM', 'BAĞIR', 'BEYİN', 'BOYUN', 'BURUN', 'FİKİR', 'GÖĞÜS', 'GÖNÜL', 'HÜKÜM',
+    'İSİM', 'KARIN', 'KAYIP', 'METİN', 'NEHİR', 'OĞUL', 'OMUZ', 'RESİM', 'SABIR', 'ŞEHİR', 'VAKİT', 'ZEHİR'
+]);
+
+const DERIVATIONS = ['cı', 'lık', 'lı', 'sız'];
+const PLURAL = 'lar';
+// [after a vowel, after a consonant] where the two differ
+const POSSESSIVES = [['m', 'ım'], ['n', 'ın'], ['sı', 'ı'], ['mız', 'ımız'], ['nız', 'ınız']];
+const THIRD_PERSON = 2;
+const CASES = [['yı', 'ı'], ['ya', 'a'], 'da', 'dan', ['nın', 'ın'], ['yla', 'la']];
+// After the third-person possessive the case endings take an N
+const CASES_AFTER_THIRD_PERSON = ['nı', 'na', 'nda', 'ndan', 'nın', 'yla'];
+
+function lastVowel(word) {
+    for (let i = word.length - 1; i >= 0; i--) {
+        if (VOWELS.includes(word[i])) return word[i];
+    }
+    return undefined;
+}
+
+function syllables(word) {
+    return [...word].filter(ch => VOWELS.includes(ch)).length;
+}
+
+function soften(stem) {
+    const last = stem[stem.length - 1];
+    if (last === 'K' && stem[stem.length - 2] === 'N') return `${stem.slice(0, -1)}G`;
+    return SOFTENED[last] && syllables(stem) > 1 ? stem.slice(0, -1) + SOFTENED[last] : stem;
+}
+
+// `stem` with `suffix` attached; `root` is set while the stem is still the bare root
+function attach(stem, suffix, root = null) {
+    const template = Array.isArray(suffix) ? suffix[VOWELS.includes(stem[stem.length - 1]) ? 0 : 1] : suffix;
+    let word = stem;
+    if (template[0] === 'a' || template[0] === 'ı') {
+        word = soften(word);
+        if (root && ELIDED_ROOTS.has(root)) word = word.slice(0, -2) + word.slice(-1);
+    }
+    for (const ch of template) {
+        const last = word[word.length - 1];
+        if (ch === 'a') word += BACK_VOWELS.includes(lastVowel(word)) ? 'A' : 'E';
+        else if (ch === 'ı') word += NARROW_VOWEL[lastVowel(word)];
+        else if (ch === 'd') word += VOICELESS.includes(last) ? 'T' : 'D';
+        else if (ch === 'c') word += VOICELESS.includes(last) ? 'Ç' : 'C';
+        else word += ch.toUpperCase();
+    }
+    return word;
+}
+
+// Every inflected form of `root`, without the root itself
+function inflectTurkish(root) {
+    if (!lastVowel(root)) return [];
+    const forms = new Set();
+    const stems = [root, ...DERIVATIONS.map(suffix => attach(root, suffix, root))];
+    stems.forEach(stem => {
+        [stem, attach(stem, PLURAL)].forEach(numbered => {
+            // Only the bare root drops a vowel
+            const bare = numbered === root ? root : null;
+            forms.add(numbered);
+            CASES.forEach(ending => forms.add(attach(numbered, ending, bare)));
+            POSSESSIVES.forEach((possessive, person) => {
+                const owned = attach(numbered, possessive, bare);
+                forms.add(owned);
+                (person === THIRD_PERSON ? CASES_AFTER_THIRD_PERSON : CASES).forEach(ending => forms.add(attach(owned, ending)));
+            });
+        });
+    });
+    forms.delete(root);
+    return [...forms];
+}
+
+// Forms depend on the root only through its last vowel, syllable count and
+// final letters, so roots that agree on those share one list of endings
+const endingsCache = new Map();
+
+// `root`'s inflected forms as { from, tails }: each form is root.slice(0, from)
+// followed by one of the tails, which are only worked out when first read
+function turkishEndings(root) {
+    const elided = ELIDED_ROOTS.has(root);
+    const from = root.length - (elided ? 2 : 1);
+    const key = elided ? root : `${lastVowel(root)}${syllables(root) > 1 ? '+' : '-'}${root.slice(-2)}`;
+    return {
+        from,
+        get tails() {
+            if (!endingsCache.has(key)) endingsCache.set(key, inflectTurkish(root).map(form => form.slice(from)));
+            return endingsCache.get(key);
+        }
+    };
+}
+
+// A trie node of an InflectedIndex: the base dictionary's node for `prefix`
+// (if any) plus the tails of inflected forms still being spelled. Nodes are
+// built as a walk reaches them and dropped with it.
+class InflectedNode {
+    constructor(index, prefix, node, tails) {
+        this.index = index;
+        this.prefix = prefix;
+        this.node = node;
+        this.tails = tails;
+    }
+
+    get isWord() {
+        return Boolean(this.node && this.node.isWord) || this.tails.includes('');
+    }
+
+    // Tails continuing from here, including those of roots attached at this prefix
+    get pending() {
+        if (!this.openTails) {
+            const roots = this.node ? this.index.attachments.get(this.prefix) || [] : [];
+            this.openTails = this.tails.concat(...roots.map(root => this.index.endings(root).tails));
+        }
+        return this.openTails;
+    }
+
+    child(ch) {
+        const node = this.node ? this.node.children.get(ch) || null : null;
+        const tails = this.pending.filter(tail => tail[0] === ch).map(tail => tail.slice(1));
+        return node || tails.length ? new InflectedNode(this.index, this.prefix + ch, node, tails) : null;
+    }
+
+    get children() {
+        const letters = new Set(this.node ? this.node.children.keys() : []);
+        this.pending.forEach(tail => { if (tail) letters.add(tail[0]); });
+        return new Map([...letters].map(ch => [ch, this.child(ch)]));
+    }
+}
+
+// A dictionary that also holds the inflected forms of every word in `base`,
+// as listed by `endings` (see turkishEndings). Walked like a WordIndex, so the
+// solver and the validator need no changes.
+class InflectedIndex extends WordIndex {
+    constructor(base, endings) {
+        super(base.normalize);
+        this.base = base;
+        this.size = base.size;
+
+        // Roots keyed by the prefix their inflected forms continue from
+        this.endings = endings;
+        this.attachments = new Map();
+        const collect = (node, prefix) => {
+            if (node.isWord) {
+                const key = prefix.slice(0, endings(prefix).from);
+                if (!this.attachments.has(key)) this.attachments.set(key, []);
+                this.attachments.get(key).push(prefix);
+            }
+            node.children.forEach((child, ch) => collect(child, prefix + ch));
+        };
+        collect(base.root, '');
+        this.root = new InflectedNode(this, '', base.root, []);
+    }
+
+    getNode(prefix, from = this.root) {
+        let node = from;
+        for (const ch of prefix) {
+            node = node.child(ch);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    rootOf(word) {
+        const normalized = this.normalize(word);
+        if (this.base.has(normalized)) return null;
+        for (let i = normalized.length - 1; i > 0; i--) {
+            const tail = normalized.slice(i);
+            const root = (this.attachments.get(normalized.slice(0, i)) || []).find(root => this.endings(root).tails.includes(tail));
+            if (root) return root;
+        }
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { ELIDED_ROOTS, inflectTurkish, turkishEndings, InflectedIndex };
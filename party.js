@@ -0,0 +1,41 @@
+// Pass-and-play party rounds.
+// Every player plays the same seeded board in turn on one device; after the
+// last turn the round is scored with classic Boggle rules and added to the match.
+
+const PARTY_MIN_PLAYERS = 2;
+const PARTY_MAX_PLAYERS = 8;
+
+function createParty(players, size) {
+    const totals = {};
+    players.forEach(name => { totals[name] = 0; });
+
+    return {
+        players,
+        size,
+        round: 0,
+        turn: 0,
+        seed: null,
+        turnResults: [], // [{ name, words: [string], points: { word: points } }] for the round in progress
+        totals
+    };
+}
+
+// Classic rule: a word found by more than one player scores for nobody.
+// `getScore(word, result)` gets the player's result for per-player points.
+// Returns [{ name, score, words: [{ word, shared }] }] in turn order.
+function scorePartyRound(turnResults, getScore) {
+    const counts = new Map();
+    turnResults.forEach(result => {
+        result.words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    });
+
+    return turnResults.map(result => {
+        const words = result.words.map(word => ({ word, shared: counts.get(word) > 1 }));
+        const score = words
+            .filter(w => !w.shared)
+            .reduce((sum, w) => sum + getScore(w.word, result), 0);
+        return { name: result.name, score, words };
+    });
+}
+
+if (typeof module !== 'undefined') module.exports = { PARTY_MIN_PLAYERS, PARTY_MAX_PLAYERS, createParty, scorePartyRound };
@@ -0,0 +1,52 @@
+// Post-game replay of the submission log (see GameEngine.submissions).
+// Frame 0 is the empty board; every later frame shows one submission, or one
+// hint taken (GameEngine.hints), in order of play with the running totals
+// after it, so a slider over 0..length scrubs the whole game.
+
+// Outcomes are named by t(`outcome.${outcome}`)
+const OUTCOMES = ['accepted', 'duplicate', 'tooShort', 'unknown'];
+
+const REPLAY_STEP_MS = 700;
+const PATH_STEP_MS = 150;
+
+// Hint frames carry `hint` instead of `submission`; a hint taken in the same
+// second as a submission comes after it
+function replayFrames(submissions, hints = []) {
+    const events = [
+        ...submissions.map(submission => ({ time: submission.time, submission, hint: null })),
+        ...hints.map(hint => ({ time: hint.time, submission: null, hint }))
+    ].sort((a, b) => a.time - b.time || Boolean(a.hint) - Boolean(b.hint));
+
+    const frames = [{ submission: null, hint: null, score: 0, found: 0 }];
+    events.forEach(({ submission, hint }) => {
+        const previous = frames[frames.length - 1];
+        const accepted = Boolean(submission) && submission.outcome === 'accepted';
+        frames.push({
+            submission,
+            hint,
+            score: previous.score + (submission ? submission.points : -hint.cost),
+            found: previous.found + (accepted ? 1 : 0)
+        });
+    });
+    return frames;
+}
+
+// Seconds of play as "1:05"
+function formatPlayTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// e.g. "0:12 · KAPI · +1 puan", "0:20 · KAP · Zaten bulundu" or "0:31 · İpucu · -2 puan"
+function describeFrame(frame) {
+    const { submission, hint } = frame;
+    if (hint) return `${formatPlayTime(hint.time)} · ${t('replay.hint')} · ${t('replay.cost', { cost: hint.cost })}`;
+    if (!submission) return t('replay.start');
+    const result = submission.outcome === 'accepted'
+        ? t('replay.points', { points: submission.points })
+        : t(`outcome.${submission.outcome}`);
+    return `${formatPlayTime(submission.time)} · ${submission.word} · ${result}`;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { OUTCOMES, REPLAY_STEP_MS, PATH_STEP_MS, replayFrames, formatPlayTime, describeFrame };
+}
@@ -0,0 +1,106 @@
+// Game rules: duration, minimum word length and scoring scheme.
+// Rules are plain data ({ preset, duration, minLength, scoring }) so they can be
+// stored with a score, put in a link or sent to the room server; scoring
+// schemes are looked up by id. Presets and schemes are named by t(`rules.${id}`)
+// and t(`scoring.${id}`).
+
+// Classic Boggle table; 8 letters and longer all score 11
+const SCORING = {
+    3: 1, 4: 1, 5: 2, 6: 3, 7: 5, 8: 11
+};
+
+const SCORING_SCHEMES = {
+    klasik: {
+        points: (len) => SCORING[Math.min(len, 8)] || 1
+    },
+    harf: {
+        points: (len) => len
+    },
+    bonus: {
+        points: (len) => len <= 3 ? 1 : (len - 3) * (len - 2) / 2 + 1
+    }
+};
+
+const RULE_PRESETS = {
+    hizli: { duration: 45, minLength: 3, scoring: 'klasik' },
+    klasik: { duration: 180, minLength: 3, scoring: 'klasik' },
+    uzun: { duration: 300, minLength: 3, scoring: 'klasik' },
+    ozel: { duration: 120, minLength: 3, scoring: 'klasik' }
+};
+
+const MIN_LENGTH_OPTIONS = [3, 4];
+const DURATION_LIMITS = { min: 15, max: 600 };
+
+function createRules(presetId, overrides = {}) {
+    const preset = RULE_PRESETS[presetId] ? presetId : 'hizli';
+    const { duration, minLength, scoring } = RULE_PRESETS[preset];
+    return normalizeRules({ preset, duration, minLength, scoring, ...overrides });
+}
+
+// Coerces stored, linked or received rules into a valid rules object
+function normalizeRules(rules) {
+    const source = rules || {};
+    const preset = RULE_PRESETS[source.preset] ? source.preset : 'ozel';
+    const duration = parseInt(source.duration);
+
+    return {
+        preset,
+        duration: Math.min(DURATION_LIMITS.max, Math.max(DURATION_LIMITS.min, duration || RULE_PRESETS[preset].duration)),
+        minLength: MIN_LENGTH_OPTIONS.includes(source.minLength) ? source.minLength : 3,
+        scoring: SCORING_SCHEMES[source.scoring] ? source.scoring : 'klasik'
+    };
+}
+
+// Rules carried in a shared link (?duration=...&min=...&scoring=...), or null
+function rulesFromParams(params) {
+    if (!params.has('duration')) return null;
+    const rules = normalizeRules({
+        duration: params.get('duration'),
+        minLength: parseInt(params.get('min')) || 3,
+        scoring: params.get('scoring')
+    });
+
+    // Name the preset when the link matches one exactly
+    const preset = Object.keys(RULE_PRESETS).find(id => {
+        const p = RULE_PRESETS[id];
+        return id !== 'ozel' && p.duration === rules.duration && p.minLength === rules.minLength && p.scoring === rules.scoring;
+    });
+    return { ...rules, preset: preset || 'ozel' };
+}
+
+function rulesToParams(rules) {
+    return { duration: rules.duration, min: rules.minLength, scoring: rules.scoring };
+}
+
+// `bonusLetters` count towards the length (double-letter tiles)
+function scoreWord(word, rules, bonusLetters = 0) {
+    return SCORING_SCHEMES[rules.scoring].points(word.length + bonusLetters);
+}
+
+// A hint reveals one unfound word a step at a time: the cell it starts on, then
+// its length, then its first two letters. Step n (from 0) costs n + 1 times what
+// the shortest allowed word scores under the rules.
+const HINT_STEPS = ['start', 'length', 'letters'];
+
+function hintCost(step, rules) {
+    return SCORING_SCHEMES[rules.scoring].points(rules.minLength) * (step + 1);
+}
+
+function formatDuration(seconds) {
+    if (seconds % 60 === 0) return t('duration.minutes', { m: seconds / 60 });
+    return seconds > 60
+        ? t('duration.minutesSeconds', { m: Math.floor(seconds / 60), s: seconds % 60 })
+        : t('duration.seconds', { s: seconds });
+}
+
+// e.g. "Hızlı · 45sn · 3+ harf · Klasik Puan"
+function describeRules(rules) {
+    return [
+        t(`rules.${rules.preset}`),
+        formatDuration(rules.duration),
+        t('rules.minLength', { length: rules.minLength }),
+        t(`scoring.${rules.scoring}`)
+    ].join(' · ');
+}
+
+if (typeof module !== 'undefined') module.exports = { SCORING, SCORING_SCHEMES, RULE_PRESETS, MIN_LENGTH_OPTIONS, createRules, normalizeRules, rulesFromParams, rulesToParams, scoreWord, HINT_STEPS, hintCost, formatDuration, describeRules };
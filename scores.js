@@ -0,0 +1,110 @@
+// Local leaderboard and game history storage.
+//
+// Everything lives under one versioned key. Older layouts are upgraded step by
+// step through MIGRATIONS on load, so adding a field later means bumping
+// STORAGE_VERSION and appending one migration.
+//
+//   v1: `boggle_scores`, top-10 array of { score, date, timestamp }
+//   v2: `boggle_store`, { version, games: [GameRecord] } with every played game
+
+const STORAGE_KEY = 'boggle_store';
+const LEGACY_SCORES_KEY = 'boggle_scores';
+const STORAGE_VERSION = 2;
+const MAX_HISTORY = 200;
+
+// MIGRATIONS[n] upgrades a version n store to version n + 1
+const MIGRATIONS = {
+    1: (store) => ({
+        version: 2,
+        games: store.games.map(s => ({
+            id: `legacy-${s.timestamp}`,
+            nickname: null,
+            size: null,
+            duration: null,
+            seed: null,
+            grid: null,
+            words: [],
+            mode: 'classic',
+            score: s.score,
+            date: s.date,
+            timestamp: s.timestamp
+        }))
+    })
+};
+
+function readJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Anything else under the key (a bare `null` or number, a hand-edited entry)
+// is treated as no store at all rather than breaking app start
+function isStore(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        Number.isInteger(value.version) && value.version >= 1 && Array.isArray(value.games);
+}
+
+function loadStore() {
+    let store = readJson(STORAGE_KEY);
+
+    if (!isStore(store)) {
+        const legacy = readJson(LEGACY_SCORES_KEY);
+        const scores = Array.isArray(legacy) ? legacy.filter(s => s && typeof s === 'object') : [];
+        store = { version: 1, games: scores };
+    }
+
+    const startVersion = store.version;
+    while (store.version < STORAGE_VERSION) {
+        store = MIGRATIONS[store.version](store);
+    }
+
+    if (startVersion !== STORAGE_VERSION) {
+        saveStore(store);
+        localStorage.removeItem(LEGACY_SCORES_KEY);
+    }
+    return store;
+}
+
+// Returns false when storage is full or disabled
+function saveStore(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Appends a game, newest first, trimming the oldest beyond MAX_HISTORY;
+// returns whether the store could be saved
+function addGameRecord(store, record) {
+    store.games.unshift(record);
+    store.games = store.games.slice(0, MAX_HISTORY);
+    return saveStore(store);
+}
+
+// Best results, optionally filtered by { size, nickname } ('all' or empty = no filter).
+// Each game mode ranks in its own bucket (`filters.mode`, see modes.js), and
+// games played with hints apart from those without (`filters.hints`: 'none' or 'used').
+function topScores(games, filters = {}, limit = 10) {
+    return games
+        .filter(g => !filters.size || filters.size === 'all' || g.size === Number(filters.size))
+        .filter(g => !filters.nickname || filters.nickname === 'all' || g.nickname === filters.nickname)
+        .filter(g => !filters.mode || playMode(g.mode) === filters.mode)
+        .filter(g => !filters.hints || (filters.hints === 'used') === Boolean(g.hints))
+        .sort(compareResults(filters.mode))
+        .slice(0, limit);
+}
+
+function playerNames(games) {
+    return [...new Set(games.map(g => g.nickname).filter(Boolean))].sort((a, b) => a.localeCompare(b, getLanguagePack().locale));
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        STORAGE_KEY, LEGACY_SCORES_KEY, STORAGE_VERSION, MAX_HISTORY, loadStore, saveStore, addGameRecord, topScores, playerNames
+    };
+}
@@ -1,36 +1,45 @@
-// Turkish Boggle Dice Configuration (Approximate frequency)
-// Including Turkish characters: Ç, Ğ, I, İ, Ö, Ş, Ü
-const DICE = [
-    "AEEGmN", "AAEOOT", "AIIŞST", "EİİOŞT",
-    "AABFKP", "EEGHNV", "DEİLRY", "DEİLĞR",
-    "BJKLMZ", "EEİNSU", "EHRTVZ", "HLNNRZ",
-    "IMOTUÜ", "AÇELRS", "DİSTTY", "OÖPRTY"
-];
-
-// Extra Dice for 5x5 (Big Boggle style extension)
-const DICE_EXTENDED = [
-    "AAAFRS", "AAEEEE", "AAFIRS", "ADENNN", "AEEEEM",
-    "AEEGMU", "AEGMNN", "AFIRSY", "BJKQXZ", "CCENST",
-    "CEIILT", "CEILPT", "CEIPST", "DDHNOT", "DHHLOR",
-    "DHLNOR", "DDLNOR", "EIIITT", "EMOTTT", "ENSSSU",
-    "FIPRSY", "GORRVW", "HIPRRY", "NOOTUW", "OOOTTU"
-];
-
-// Scoring rules
-const SCORING = {
-    3: 1, 4: 1, 5: 2, 6: 3, 7: 5, 8: 11
-};
+const RULES_STORAGE_KEY = 'boggle_rules';
+const DIFFICULTY_STORAGE_KEY = 'boggle_difficulty';
+const POWERUPS_STORAGE_KEY = 'boggle_powerups';
+const GAME_MODE_STORAGE_KEY = 'boggle_game_mode';
+const BOT_STORAGE_KEY = 'boggle_bot';
+const LANGUAGE_STORAGE_KEY = 'boggle_language';
+const MORPHOLOGY_STORAGE_KEY = 'boggle_morphology';
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Case folding, sorting and dates follow the board language's locale
+function locale() {
+    return getLanguagePack().locale;
+}
 
 class BoggleGame {
     constructor() {
-        this.gameDuration = 120; // seconds
-        this.timer = this.gameDuration;
-        this.score = 0;
-        this.foundWords = new Set();
-        this.isGameActive = false;
-        this.grid = []; // 2D array of chars
-        this.selectedCells = []; // Array of {r, c}
-        this.timerInterval = null;
+        // The language pack decides the UI text, the dice and the base word list
+        this.language = setLanguage(localStorage.getItem(LANGUAGE_STORAGE_KEY) || DEFAULT_LANGUAGE).id;
+
+        // Rules picked in the menu; the engine holds the rules of the game being played
+        this.rules = this.loadRules();
+        this.difficulty = this.loadDifficulty();
+        this.powerups = localStorage.getItem(POWERUPS_STORAGE_KEY) === '1';
+        this.gameMode = this.loadGameMode();
+        this.botLevel = BOT_LEVELS[localStorage.getItem(BOT_STORAGE_KEY)] ? localStorage.getItem(BOT_STORAGE_KEY) : null;
+        this.bot = null; // { level, plan, found } while playing against the computer
+
+        // Dictionary prefix index, shared by the solver and validator. Each language's
+        // base list is compiled once; player additions and reports are applied on top.
+        this.boardService = new BoardService();
+        this.customDictionary = loadCustomDictionary(this.language);
+        this.morphology = localStorage.getItem(MORPHOLOGY_STORAGE_KEY) === '1';
+
+        // Board, selection, scoring and clock live in the engine; this class renders it
+        this.engine = new GameEngine({ dictionary: languageDictionary(this.language), rules: this.rules });
+        this.bindEngineEvents();
+        this.applyDictionary();
 
         // UI Elements
         this.gridEl = document.getElementById('boggle-grid');
@@ -43,12 +52,21 @@ class BoggleGame {
         this.finalScoreEl = document.getElementById('final-score');
         this.messageToast = document.getElementById('message-toast');
         this.drawerElement = document.getElementById('found-words-drawer');
+        this.dailyModal = document.getElementById('daily-result-modal');
+        this.mode = 'classic';
 
         // Start Menu Elements
         this.startMenuModal = document.getElementById('start-menu-modal');
         this.step1 = document.getElementById('menu-step-1');
         this.step2 = document.getElementById('menu-step-2');
+        this.stepParty = document.getElementById('menu-step-party');
+        this.stepOnline = document.getElementById('menu-step-online');
+        this.menuSteps = [this.step1, this.step2, this.stepParty, this.stepOnline];
+        this.translatePage();
+        this.bindLanguageMenu();
         this.nicknameInput = document.getElementById('nickname-input');
+        this.gameCodeInput = document.getElementById('game-code-input');
+        this.gameCodeEl = document.getElementById('game-code');
 
         document.getElementById('btn-next-step').addEventListener('click', () => this.goToStep2());
         document.getElementById('btn-back-step').addEventListener('click', () => this.goToStep1());
@@ -58,48 +76,223 @@ class BoggleGame {
 
         document.getElementById('btn-4x4').addEventListener('click', () => this.startGame(4));
         document.getElementById('btn-5x5').addEventListener('click', () => this.startGame(5));
+        document.getElementById('btn-6x6').addEventListener('click', () => this.startGame(6));
+        document.getElementById('btn-daily').addEventListener('click', () => this.startDailyChallenge());
+
+        // Party mode
+        this.party = null;
+        this.partyPlayers = [];
+        this.partyPlayerInput = document.getElementById('party-player-input');
+        document.getElementById('btn-party').addEventListener('click', () => this.goToPartyStep());
+        document.getElementById('btn-party-back').addEventListener('click', () => this.goToStep2());
+        document.getElementById('btn-add-player').addEventListener('click', () => this.addPartyPlayer());
+        this.partyPlayerInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addPartyPlayer();
+        });
+        document.getElementById('party-player-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-index]');
+            if (btn) this.removePartyPlayer(parseInt(btn.dataset.index));
+        });
+        document.getElementById('btn-start-party').addEventListener('click', () => this.startParty());
+        document.getElementById('party-ready-btn').addEventListener('click', () => this.beginPartyTurn());
+        document.getElementById('party-next-round-btn').addEventListener('click', () => this.startPartyRound());
+        document.getElementById('party-end-btn').addEventListener('click', () => this.endParty());
+
+        // Online rooms; solo games use the no-op local transport
+        this.transport = new LocalTransport();
+        document.getElementById('btn-online').addEventListener('click', () => this.goToOnlineStep());
+        document.getElementById('btn-online-connect').addEventListener('click', () => this.connectOnline());
+        document.getElementById('btn-online-start').addEventListener('click', () => {
+            this.transport.requestStart(parseInt(document.getElementById('online-size').value), this.rules, this.difficulty, this.powerups, this.language);
+        });
+        document.getElementById('btn-online-back').addEventListener('click', () => this.leaveOnline());
+        document.getElementById('online-lobby-btn').addEventListener('click', () => this.returnToLobby());
+        document.getElementById('btn-join-code').addEventListener('click', () => this.joinWithCode());
+        this.gameCodeInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinWithCode();
+        });
+        document.getElementById('copy-link-btn').addEventListener('click', () => this.copyShareLink());
+        document.getElementById('share-card-btn').addEventListener('click', () => this.shareResultCard());
+
+        this.bindRulesMenu();
+        this.bindGameModeMenu();
+        this.bindBotMenu();
+        this.bindDifficultyMenu();
+        this.bindDictionaryMenu();
+        this.bindReplay();
+
+        // A shared link (?seed=...&size=5&level=zor&tiles=1&mode=hunt&lang=en&duration=45) pre-fills the code for the menu
+        this.sharedGame = this.readSharedGame();
+        if (this.sharedGame) {
+            const { seed, size, difficulty, powerups, language } = this.sharedGame;
+            this.gameCodeInput.value = encodeGameCode(seed, size, difficulty, powerups, language);
+        }
 
         // Buttons
         const submitBtn = document.getElementById('submit-btn');
         if (submitBtn) submitBtn.addEventListener('click', () => this.submitWord());
 
         document.getElementById('clear-btn').addEventListener('click', () => this.clearSelection());
+        document.getElementById('give-up-btn').addEventListener('click', () => this.giveUp());
+        document.getElementById('hint-btn').addEventListener('click', () => this.takeHint());
         document.getElementById('restart-btn').addEventListener('click', () => this.resetMenu());
+        document.getElementById('daily-close-btn').addEventListener('click', () => this.resetMenu());
+        document.getElementById('copy-daily-btn').addEventListener('click', () => this.copyDailySummary());
 
         // Drawer toggle
         document.querySelector('.drawer-handle').addEventListener('click', () => {
             this.drawerElement.classList.toggle('open');
         });
 
-        this.highScores = this.loadScores();
+        // Leaderboard, history and long-term statistics
+        this.store = loadStore();
+        this.stats = loadStats(this.store);
+        this.filterSizeEl = document.getElementById('filter-size');
+        this.filterPlayerEl = document.getElementById('filter-player');
+        this.filterModeEl = document.getElementById('filter-mode');
+        this.filterHintsEl = document.getElementById('filter-hints');
+        this.renderModeFilter();
+        [this.filterSizeEl, this.filterPlayerEl, this.filterModeEl, this.filterHintsEl].forEach(el => {
+            el.addEventListener('change', () => this.renderHighScores());
+        });
+        document.querySelectorAll('.panel-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.switchPanelTab(btn.dataset.tab));
+        });
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-id]');
+            if (item) this.showHistory(item.dataset.id);
+        });
+        document.getElementById('history-close-btn').addEventListener('click', () => {
+            document.getElementById('history-modal').classList.remove('visible');
+        });
+        this.bindStatsPanel();
         this.renderHighScores();
 
         // Bind interaction events
         this.isDragging = false;
         this.bindGridEvents();
+
+        // Pause and resume; hiding the tab pauses automatically
+        document.getElementById('pause-btn').addEventListener('click', () => this.pauseGame());
+        document.getElementById('resume-btn').addEventListener('click', () => this.resumeGame());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pauseGame();
+        });
+
+        // A round cut short by a reload or crash can be picked up again
+        document.getElementById('resume-game-btn').addEventListener('click', () => this.restoreGame());
+        document.getElementById('discard-game-btn').addEventListener('click', () => this.discardSession());
+        this.offerResume();
+
+        this.registerServiceWorker();
     }
 
-    loadScores() {
-        try {
-            return JSON.parse(localStorage.getItem('boggle_scores')) || [];
-        } catch (e) {
-            return [];
-        }
+    // Static text of index.html, marked with data-i18n (text), data-i18n-placeholder,
+    // data-i18n-title and data-i18n-aria-label attributes holding string keys
+    translatePage() {
+        document.documentElement.lang = this.language;
+        document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        const attributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+        document.querySelectorAll('[data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(el => {
+            Object.keys(attributes).forEach(key => {
+                if (el.dataset[key]) el.setAttribute(attributes[key], t(el.dataset[key]));
+            });
+        });
     }
 
-    saveScore(score) {
-        if (score === 0) return; // Don't save 0 scores
+    renderLanguageMenu() {
+        document.getElementById('language-picker').innerHTML = Object.keys(LANGUAGE_PACKS).map(id => `
+            <button class="rule-chip${this.language === id ? ' active' : ''}" data-language="${id}">${LANGUAGE_PACKS[id].label}</button>
+        `).join('');
+    }
 
-        const dateStr = new Date().toLocaleDateString('tr-TR', { day: 'numeric', month: 'short' });
-        this.highScores.push({ score, date: dateStr, timestamp: Date.now() });
+    bindLanguageMenu() {
+        document.getElementById('language-picker').addEventListener('click', (e) => {
+            const chip = e.target.closest('.rule-chip');
+            if (chip) this.selectLanguage(chip.dataset.language);
+        });
+        this.renderLanguageMenu();
+    }
 
-        // Sort descending
-        this.highScores.sort((a, b) => b.score - a.score);
+    // Switches the UI text, dice and dictionary; later boards are rolled in this language
+    selectLanguage(language) {
+        if (language === this.language) return;
+        this.language = setLanguage(language).id;
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, this.language);
+        this.customDictionary = loadCustomDictionary(this.language);
+        this.applyDictionary();
+
+        this.translatePage();
+        this.renderLanguageMenu();
+        this.renderRulesMenu();
+        this.renderGameModeMenu();
+        this.renderBotMenu();
+        this.renderDifficultyMenu();
+        this.renderModeFilter();
+        this.renderHighScores();
+        this.renderOnlineLobby();
+    }
 
-        // Keep top 10
-        this.highScores = this.highScores.slice(0, 10);
+    // Offline support (sw.js). Service workers need http(s), so opening index.html from disk skips it.
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
 
-        localStorage.setItem('boggle_scores', JSON.stringify(this.highScores));
+        const banner = document.getElementById('update-banner');
+        let waiting = null;
+        const offerUpdate = (worker) => {
+            waiting = worker;
+            banner.classList.add('visible');
+        };
+
+        // A new release waits until the player reloads, so a round in progress never mixes versions
+        document.getElementById('update-btn').addEventListener('click', () => {
+            if (waiting) waiting.postMessage({ type: 'skipWaiting' });
+        });
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (waiting) window.location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // The first install has nothing to replace
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+                });
+            });
+        }).catch(err => console.warn('Service worker registration failed.', err));
+    }
+
+    saveScore(score) {
+        if (score <= 0) return; // Don't save 0 scores
+
+        const dateStr = new Date().toLocaleDateString(locale(), { day: 'numeric', month: 'short' });
+        // With storage full the game still ends normally; the record lasts for this session
+        addGameRecord(this.store, {
+            id: `${Date.now()}-${this.seed}`,
+            nickname: this.nickname,
+            size: this.gridSize,
+            duration: this.engine.rules.duration,
+            rules: this.engine.rules,
+            seed: this.seed,
+            grid: this.engine.grid.map(row => [...row]),
+            tiles: this.engine.tiles,
+            words: [...this.engine.foundWords],
+            mode: this.mode,
+            language: this.language,
+            played: this.engine.elapsed,
+            ...(this.engine.mode === 'hunt' ? {
+                hunt: { targets: this.engine.targets, found: this.engine.targetsFound.length }
+            } : {}),
+            ...(this.bot ? { bot: { level: this.bot.level, score: this.botScore(), words: this.bot.found } } : {}),
+            ...(this.engine.hints.length ? { hints: this.engine.hints.length } : {}),
+            difficulty: this.rating && { level: this.rating.level, score: this.rating.score },
+            maxScore: this.engine.maxScore,
+            score,
+            date: dateStr,
+            timestamp: Date.now()
+        });
         this.renderHighScores();
     }
 
@@ -107,22 +300,1054 @@ class BoggleGame {
         const listEl = document.getElementById('high-score-list');
         if (!listEl) return;
 
-        if (this.highScores.length === 0) {
-            listEl.innerHTML = '<li class="empty-message">Henüz skor yok.</li>';
+        // Refresh the player filter, keeping the current choice if it still exists
+        const players = playerNames(this.store.games);
+        const selectedPlayer = players.includes(this.filterPlayerEl.value) ? this.filterPlayerEl.value : 'all';
+        this.filterPlayerEl.innerHTML = `<option value="all">${t('filter.allPlayers')}</option>` +
+            players.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        this.filterPlayerEl.value = selectedPlayer;
+
+        const filters = { size: this.filterSizeEl.value, nickname: selectedPlayer, mode: this.filterModeEl.value };
+        const best = topScores(this.store.games, { ...filters, hints: this.filterHintsEl.value });
+
+        if (best.length === 0) {
+            listEl.innerHTML = `<li class="empty-message">${t('scores.empty')}</li>`;
+        } else {
+            listEl.innerHTML = best.map((s, index) => `
+                <li>
+                    <span class="date">${index + 1}. ${escapeHtml(s.date)}
+                        <span class="player">${this.describeGame(s)}</span>
+                    </span>
+                    <span class="score">${escapeHtml(describeRanking(s))}</span>
+                </li>
+            `).join('');
+        }
+
+        this.renderHistory(filters);
+        this.renderStats(filters);
+    }
+
+    renderHistory(filters) {
+        const listEl = document.getElementById('history-list');
+        // History is newest first and only games with a stored board can be opened
+        const games = this.store.games
+            .filter(g => g.grid)
+            .filter(g => filters.size === 'all' || g.size === Number(filters.size))
+            .filter(g => filters.nickname === 'all' || g.nickname === filters.nickname)
+            .filter(g => playMode(g.mode) === filters.mode);
+
+        if (games.length === 0) {
+            listEl.innerHTML = `<li class="empty-message">${t('history.empty')}</li>`;
             return;
         }
 
-        listEl.innerHTML = this.highScores.map((s, index) => `
-            <li>
-                <span class="date">${index + 1}. ${s.date}</span>
-                <span class="score">${s.score} Puan</span>
+        listEl.innerHTML = games.map(g => `
+            <li data-id="${escapeHtml(g.id)}">
+                <span class="date">${escapeHtml(g.date)}
+                    <span class="player">${this.describeGame(g)}</span>
+                </span>
+                <span class="score">${t('count.points', { count: g.score })}</span>
             </li>
         `).join('');
     }
 
+    // Escaped for innerHTML: stored games may come from an imported file
+    describeGame(game) {
+        const parts = [];
+        if (game.nickname) parts.push(game.nickname);
+        if (game.size) parts.push(`${game.size}x${game.size}`);
+        if (game.language && game.language !== DEFAULT_LANGUAGE) parts.push(getLanguagePack(game.language).label);
+        if (playMode(game.mode) !== 'classic') parts.push(t(`mode.${game.mode}`));
+        if (game.rules) parts.push(t(`rules.${game.rules.preset}`));
+        if (game.difficulty) parts.push(t(`difficulty.${game.difficulty.level}`));
+        if (game.tiles && game.tiles.length) parts.push(t('tiles.label'));
+        if (game.bot) parts.push(t('bot.summary', { level: t(`bot.${game.bot.level}`), score: game.bot.score }));
+        if (game.hints) parts.push(t('hint.count', { count: game.hints }));
+        if (game.words && game.words.length) parts.push(t('count.words', { count: game.words.length }));
+        return parts.map(escapeHtml).join(' · ');
+    }
+
+    renderModeFilter() {
+        const selected = this.filterModeEl.value || DEFAULT_GAME_MODE;
+        this.filterModeEl.innerHTML = Object.keys(GAME_MODES)
+            .map(id => `<option value="${id}">${t(`mode.${id}`)}</option>`).join('');
+        this.filterModeEl.value = selected;
+    }
+
+    switchPanelTab(tab) {
+        document.querySelectorAll('.panel-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        document.getElementById('high-score-list').style.display = tab === 'scores' ? '' : 'none';
+        document.getElementById('history-list').style.display = tab === 'history' ? '' : 'none';
+        document.getElementById('stats-panel').style.display = tab === 'stats' ? '' : 'none';
+    }
+
+    // Every finished game counts, including zero scores the leaderboard skips
+    recordStats() {
+        addStatsRecord(this.stats, {
+            id: `${Date.now()}-${this.seed}`,
+            timestamp: Date.now(),
+            nickname: this.nickname,
+            size: this.gridSize,
+            mode: this.mode,
+            score: this.engine.score,
+            played: this.engine.elapsed,
+            words: [...this.engine.foundWords],
+            rejections: countRejections(this.engine.submissions)
+        });
+    }
+
+    renderStats(filters) {
+        const records = this.stats.records
+            .filter(r => filters.size === 'all' || r.size === Number(filters.size))
+            .filter(r => filters.nickname === 'all' || r.nickname === filters.nickname)
+            .filter(r => playMode(r.mode) === filters.mode);
+        const contentEl = document.getElementById('stats-content');
+
+        if (records.length === 0) {
+            contentEl.innerHTML = `<p class="empty-message">${t('stats.empty')}</p>`;
+            return;
+        }
+
+        const stats = computeStats(records);
+        const sizes = Object.keys(stats.bySize).sort();
+        contentEl.innerHTML = `
+            <div class="stats-summary">
+                <div><strong>${stats.played}</strong><span>${t('stats.games')}</span></div>
+                <div><strong>${stats.wordsPerMinute.toFixed(1)}</strong><span>${t('stats.wordsPerMinute')}</span></div>
+                <div><strong>${stats.rejectionRate === null ? '-' : t('stats.percent', { value: Math.round(stats.rejectionRate * 100) })}</strong><span>${t('stats.rejected')}</span></div>
+            </div>
+            <table class="stats-table">
+                <tr><th></th><th>${t('stats.played')}</th><th>${t('stats.average')}</th><th>${t('stats.best')}</th></tr>
+                ${sizes.map(size => `
+                    <tr>
+                        <td>${escapeHtml(`${size}x${size}`)}</td>
+                        <td>${stats.bySize[size].played}</td>
+                        <td>${stats.bySize[size].average}</td>
+                        <td><strong>${stats.bySize[size].best}</strong></td>
+                    </tr>
+                `).join('')}
+            </table>
+            <h4>${t('stats.trend')}</h4>
+            ${lineChartSvg(stats.trend)}
+            <h4>${t('stats.longestWord')}</h4>
+            <p>${stats.longestWord ? `<span class="word-tag">${escapeHtml(stats.longestWord)}</span>` : '-'}</p>
+            <h4>${t('stats.topWords')}</h4>
+            ${barChartSvg(stats.topWords.slice(0, 5).map(({ word, count }) => ({ label: escapeHtml(word), value: count })))}
+        `;
+    }
+
+    bindStatsPanel() {
+        const fileInput = document.getElementById('stats-file');
+        const statusEl = document.getElementById('stats-status');
+
+        document.getElementById('btn-stats-export').addEventListener('click', () => {
+            const blob = new Blob([exportStats(this.stats, this.store)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = t('stats.fileName');
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+
+        document.getElementById('btn-stats-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text().then(text => {
+                const imported = parseStatsExport(text);
+                if (!imported) {
+                    statusEl.textContent = t('stats.notBackup');
+                    return;
+                }
+                // Same ids are the same games, so importing twice changes nothing
+                this.stats.records = mergeRecords(this.stats.records, imported.records, MAX_STATS_RECORDS);
+                this.store.games = mergeRecords(this.store.games, imported.games, MAX_HISTORY);
+                const saved = [saveStore(this.store), saveStats(this.stats)].every(Boolean);
+                statusEl.textContent = saved
+                    ? t('stats.imported', { count: imported.records.length })
+                    : t('stats.storageFull');
+                this.renderHighScores();
+            }, () => { statusEl.textContent = t('file.unreadable'); });
+        });
+    }
+
+    showHistory(id) {
+        const game = this.store.games.find(g => g.id === id);
+        if (!game) return;
+
+        // Games from before difficulty ratings were generated with the default band
+        const difficulty = game.difficulty && DIFFICULTY_LEVELS[game.difficulty.level] ? game.difficulty.level : DEFAULT_DIFFICULTY;
+        const code = game.seed && game.mode !== 'daily'
+            ? encodeGameCode(game.seed, game.size, difficulty, Boolean(game.tiles && game.tiles.length), game.language)
+            : null;
+        document.getElementById('history-title').textContent = game.maxScore
+            ? t('history.scoreOf', { score: game.score, max: game.maxScore })
+            : t('count.points', { count: game.score });
+        document.getElementById('history-meta').innerHTML =
+            `${escapeHtml(game.date)} · ${this.describeGame(game)}${code ? ` · ${escapeHtml(t('history.code', { code }))}` : ''}`;
+
+        const gridEl = document.getElementById('history-grid');
+        gridEl.style.gridTemplateColumns = `repeat(${game.size}, 1fr)`;
+        gridEl.innerHTML = game.grid.flat().map(ch => `<span>${escapeHtml(displayLetters(ch))}</span>`).join('');
+
+        document.getElementById('history-words').innerHTML =
+            game.words.map(w => `<span class="word-tag">${escapeHtml(w)}</span>`).join('');
+
+        document.getElementById('history-modal').classList.add('visible');
+    }
+
+    loadRules() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+            return stored ? normalizeRules(stored) : createRules('hizli');
+        } catch (e) {
+            return createRules('hizli');
+        }
+    }
+
+    setRules(rules) {
+        this.rules = normalizeRules(rules);
+        localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(this.rules));
+        this.renderRulesMenu();
+    }
+
+    renderRulesMenu() {
+        document.getElementById('rules-presets').innerHTML = Object.keys(RULE_PRESETS).map(id => `
+            <button class="rule-chip${this.rules.preset === id ? ' active' : ''}" data-preset="${id}">
+                ${t(`rules.${id}`)}${id !== 'ozel' ? ` <span>${formatDuration(RULE_PRESETS[id].duration)}</span>` : ''}
+            </button>
+        `).join('');
+
+        // Custom fields are only editable for "Özel", but always show the active values
+        const custom = document.getElementById('rules-custom');
+        custom.style.display = this.rules.preset === 'ozel' ? 'grid' : 'none';
+        this.renderRuleOptions();
+        document.getElementById('rule-duration').value = this.rules.duration;
+        document.getElementById('rule-min-length').value = this.rules.minLength;
+        document.getElementById('rule-scoring').value = this.rules.scoring;
+        document.getElementById('rules-summary').textContent = describeRules(this.rules);
+    }
+
+    // Option labels of the custom rule fields, in the current language
+    renderRuleOptions() {
+        const fill = (el, options) => {
+            el.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        };
+        fill(document.getElementById('rule-duration'), [30, 45, 60, 90, 120, 180, 240, 300, 420, 600]
+            .map(sec => [sec, formatDuration(sec)]));
+        fill(document.getElementById('rule-min-length'), MIN_LENGTH_OPTIONS
+            .map(len => [len, t('rules.letters', { length: len })]));
+        fill(document.getElementById('rule-scoring'), Object.keys(SCORING_SCHEMES)
+            .map(id => [id, t(`scoring.${id}`)]));
+    }
+
+    bindRulesMenu() {
+        const durationEl = document.getElementById('rule-duration');
+        const minLengthEl = document.getElementById('rule-min-length');
+        const scoringEl = document.getElementById('rule-scoring');
+
+        document.getElementById('rules-presets').addEventListener('click', (e) => {
+            const chip = e.target.closest('.rule-chip');
+            if (!chip) return;
+            // Switching to "Özel" starts from the current values so they can be tweaked
+            this.setRules(chip.dataset.preset === 'ozel'
+                ? { ...this.rules, preset: 'ozel' }
+                : createRules(chip.dataset.preset));
+        });
+
+        const updateCustom = () => this.setRules({
+            preset: 'ozel',
+            duration: parseInt(durationEl.value),
+            minLength: parseInt(minLengthEl.value),
+            scoring: scoringEl.value
+        });
+        [durationEl, minLengthEl, scoringEl].forEach(el => el.addEventListener('change', updateCustom));
+
+        this.renderRulesMenu();
+    }
+
+    loadGameMode() {
+        const stored = localStorage.getItem(GAME_MODE_STORAGE_KEY);
+        return GAME_MODES[stored] ? stored : DEFAULT_GAME_MODE;
+    }
+
+    setGameMode(mode) {
+        this.gameMode = mode;
+        localStorage.setItem(GAME_MODE_STORAGE_KEY, mode);
+        this.renderGameModeMenu();
+    }
+
+    renderGameModeMenu() {
+        document.getElementById('game-modes').innerHTML = Object.keys(GAME_MODES).map(id => `
+            <button class="rule-chip${this.gameMode === id ? ' active' : ''}" data-mode="${id}">
+                ${t(`mode.${id}`)}
+            </button>
+        `).join('');
+        document.getElementById('game-mode-hint').textContent = t(`mode.${this.gameMode}.hint`, { count: HUNT_TARGETS });
+    }
+
+    bindGameModeMenu() {
+        document.getElementById('game-modes').addEventListener('click', (e) => {
+            const chip = e.target.closest('.rule-chip');
+            if (chip) this.setGameMode(chip.dataset.mode);
+        });
+        this.renderGameModeMenu();
+    }
+
+    setBotLevel(level) {
+        this.botLevel = level;
+        localStorage.setItem(BOT_STORAGE_KEY, level || '');
+        this.renderBotMenu();
+    }
+
+    renderBotMenu() {
+        const levels = [[null, t('bot.none')], ...Object.keys(BOT_LEVELS).map(id => [id, t(`bot.${id}`)])];
+        document.getElementById('bot-levels').innerHTML = levels.map(([id, label]) => `
+            <button class="rule-chip${this.botLevel === id ? ' active' : ''}" data-bot="${id || ''}">${label}</button>
+        `).join('');
+    }
+
+    bindBotMenu() {
+        document.getElementById('bot-levels').addEventListener('click', (e) => {
+            const chip = e.target.closest('.rule-chip');
+            if (chip) this.setBotLevel(chip.dataset.bot || null);
+        });
+        this.renderBotMenu();
+    }
+
+    // The bot plays solo games only; its finds are planned once the board's solution is known
+    startBot(level) {
+        this.bot = level ? { level, plan: planBot(this.engine.solution, level, this.seed), found: [] } : null;
+        this.updateBot();
+    }
+
+    updateBot() {
+        const statEl = document.getElementById('bot-stat');
+        statEl.style.display = this.bot ? '' : 'none';
+        if (!this.bot) return;
+
+        const found = botFinds(this.bot.plan, this.engine.elapsed);
+        if (found.length > this.bot.found.length) {
+            statEl.classList.remove('pop');
+            statEl.offsetHeight; /* trigger reflow */
+            statEl.classList.add('pop');
+        }
+        this.bot.found = found;
+        document.getElementById('bot-label').textContent = t('bot.label', { level: t(`bot.${this.bot.level}`).toLocaleUpperCase(locale()) });
+        document.getElementById('bot-score').textContent = this.botScore();
+        document.getElementById('bot-count').textContent = t('count.words', { count: found.length });
+    }
+
+    // Scored along the solver's paths, so power-up tiles count for the bot too
+    botScore() {
+        return this.bot.found.reduce((sum, word) => sum + this.engine.getScore(word, this.engine.wordPath(word) || []), 0);
+    }
+
+    loadDifficulty() {
+        const stored = localStorage.getItem(DIFFICULTY_STORAGE_KEY);
+        return DIFFICULTY_LEVELS[stored] ? stored : DEFAULT_DIFFICULTY;
+    }
+
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+        localStorage.setItem(DIFFICULTY_STORAGE_KEY, difficulty);
+        this.renderDifficultyMenu();
+    }
+
+    renderDifficultyMenu() {
+        document.getElementById('difficulty-levels').innerHTML = Object.keys(DIFFICULTY_LEVELS).map(id => `
+            <button class="rule-chip${this.difficulty === id ? ' active' : ''}" data-difficulty="${id}">
+                ${t(`difficulty.${id}`)}
+            </button>
+        `).join('');
+        document.getElementById('powerups-toggle').classList.toggle('active', this.powerups);
+    }
+
+    bindDifficultyMenu() {
+        document.getElementById('difficulty-levels').addEventListener('click', (e) => {
+            const chip = e.target.closest('.rule-chip');
+            if (chip) this.setDifficulty(chip.dataset.difficulty);
+        });
+        document.getElementById('powerups-toggle').addEventListener('click', () => {
+            this.powerups = !this.powerups;
+            localStorage.setItem(POWERUPS_STORAGE_KEY, this.powerups ? '1' : '0');
+            this.renderDifficultyMenu();
+        });
+        this.renderDifficultyMenu();
+    }
+
+    // Shows how the board rated and what it is worth under the game's rules
+    renderDifficulty() {
+        document.getElementById('difficulty-badge').textContent = this.rating
+            ? [
+                describeDifficulty(this.rating),
+                t('difficulty.maxScore', { count: this.engine.maxScore }),
+                ...(this.engine.tiles.length ? [t('tiles.label')] : [])
+            ].join(' · ')
+            : '';
+    }
+
+    // Rebuilds the active dictionary from the language's base list and the player's
+    // changes, accepting inflected forms too if the player turned that on
+    applyDictionary() {
+        const pack = getLanguagePack();
+        const words = isCustomized(this.customDictionary)
+            ? buildWordList(pack.words, this.customDictionary, pack.normalize)
+            : null;
+        const listed = words ? WordIndex.fromWords(words, pack.normalize) : languageDictionary(pack.id);
+        const morphology = this.morphology && Boolean(pack.endings);
+        this.dictionary = morphology ? new InflectedIndex(listed, pack.endings) : listed;
+        this.boardService.setDictionary(this.dictionary, words, pack.id, morphology);
+        this.engine.dictionary = this.dictionary;
+
+        const info = describeDictionary(this.customDictionary, listed.size);
+        document.getElementById('dictionary-info').textContent = info;
+        document.getElementById('dictionary-modal-info').textContent = info;
+
+        const toggle = document.getElementById('morphology-toggle');
+        toggle.style.display = pack.endings ? '' : 'none';
+        toggle.classList.toggle('active', morphology);
+    }
+
+    // Returns false if the change could not be stored (it still applies until reload)
+    updateDictionary(change) {
+        change(this.customDictionary);
+        const saved = saveCustomDictionary(this.customDictionary, this.language);
+        if (!saved) {
+            this.setDictionaryStatus(t('dictionary.storageFull'), true);
+        }
+        this.applyDictionary();
+        this.renderDictionaryMenu();
+        return saved;
+    }
+
+    setDictionaryStatus(text, isError = false) {
+        const statusEl = document.getElementById('dictionary-status');
+        statusEl.textContent = text;
+        statusEl.classList.toggle('online-error', isError);
+    }
+
+    renderDictionaryMenu() {
+        const { imports, added, excluded } = this.customDictionary;
+
+        document.getElementById('dictionary-imports').innerHTML = imports.length
+            ? imports.map(list => `
+                <li>
+                    <span>${escapeHtml(list.name)} <small>${t('count.words', { count: list.words.length })}</small></span>
+                    <button data-import="${escapeHtml(list.name)}" aria-label="${t('dictionary.remove')}">✕</button>
+                </li>
+            `).join('')
+            : `<li class="empty-message">${t('dictionary.noImports')}</li>`;
+
+        const tags = (words, type) => words.length
+            ? words.map(w => `<button class="word-tag ${type}" data-${type}="${w}" title="${t('dictionary.undo')}">${w}</button>`).join('')
+            : `<span class="empty-message">${t('dictionary.none')}</span>`;
+        document.getElementById('dictionary-added').innerHTML = tags(added, 'added');
+        document.getElementById('dictionary-excluded').innerHTML = tags(excluded, 'excluded');
+    }
+
+    bindDictionaryMenu() {
+        const modal = document.getElementById('dictionary-modal');
+        const fileInput = document.getElementById('dictionary-file');
+        const wordInput = document.getElementById('dictionary-word-input');
+
+        document.getElementById('morphology-toggle').addEventListener('click', () => {
+            this.morphology = !this.morphology;
+            localStorage.setItem(MORPHOLOGY_STORAGE_KEY, this.morphology ? '1' : '0');
+            this.applyDictionary();
+        });
+
+        document.getElementById('btn-dictionary').addEventListener('click', () => {
+            this.setDictionaryStatus('');
+            this.renderDictionaryMenu();
+            modal.classList.add('visible');
+        });
+        document.getElementById('dictionary-close-btn').addEventListener('click', () => modal.classList.remove('visible'));
+
+        document.getElementById('btn-dictionary-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';
+            Promise.all(files.map(file => file.text().then(text => ({ name: file.name, text })))).then(lists => {
+                const results = [];
+                const saved = this.updateDictionary(custom => lists.forEach(({ name, text }) => {
+                    const { added, excluded } = importWordList(custom, name, text);
+                    const counts = [t('count.words', { count: added }), ...(excluded ? [t('dictionary.removals', { count: excluded })] : [])];
+                    results.push(`${name}: ${counts.join(', ')}`);
+                }));
+                if (saved) this.setDictionaryStatus(results.join(' · '));
+            }, () => this.setDictionaryStatus(t('file.unreadable'), true));
+        });
+
+        const addTypedWord = () => {
+            const word = wordInput.value;
+            if (!word.trim()) return;
+            let added = false;
+            this.updateDictionary(custom => { added = addCustomWord(custom, word); });
+            if (added) {
+                wordInput.value = '';
+            } else {
+                wordInput.classList.add('shake');
+                setTimeout(() => wordInput.classList.remove('shake'), 500);
+            }
+        };
+        document.getElementById('btn-dictionary-add').addEventListener('click', addTypedWord);
+        wordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') addTypedWord();
+        });
+
+        document.getElementById('btn-dictionary-export').addEventListener('click', () => {
+            const blob = new Blob([exportWordList(this.customDictionary)], { type: 'text/plain;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = t('dictionary.fileName');
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+
+        // Clicking an entry takes it back out of the custom dictionary
+        modal.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-import], button[data-added], button[data-excluded]');
+            if (!btn) return;
+            const { import: name, added, excluded } = btn.dataset;
+            this.updateDictionary(custom => {
+                if (name !== undefined) removeImport(custom, name);
+                if (added) removeCustomWord(custom, added);
+                if (excluded) restoreWord(custom, excluded);
+            });
+        });
+
+        // Rejected words can be added, accepted ones reported. On the game-over
+        // screen a tap opens the definition first, which has its own report button,
+        // and traces the word on the replay board.
+        document.getElementById('add-word-btn').addEventListener('click', () => this.addRejectedWord());
+        this.wordListEl.addEventListener('click', (e) => {
+            const tag = e.target.closest('.word-tag[data-word]');
+            if (tag) this.reportWord(tag.dataset.word);
+        });
+        this.gameOverModal.addEventListener('click', (e) => {
+            const report = e.target.closest('button[data-report]');
+            const tag = e.target.closest('.word-tag[data-word]');
+            if (report) {
+                this.reportWord(report.dataset.report);
+            } else if (tag) {
+                this.showDefinition(tag.dataset.word);
+                this.showWordPath(tag.dataset.word);
+            }
+        });
+    }
+
+    offerAddWord(word, path) {
+        this.rejectedWord = { word, path };
+        const btn = document.getElementById('add-word-btn');
+        btn.textContent = t('dictionary.addRejected', { word });
+        btn.classList.add('visible');
+    }
+
+    hideAddWord() {
+        this.rejectedWord = null;
+        document.getElementById('add-word-btn').classList.remove('visible');
+    }
+
+    addRejectedWord() {
+        if (!this.rejectedWord) return;
+        const { word, path } = this.rejectedWord;
+        this.hideAddWord();
+        this.updateDictionary(custom => addCustomWord(custom, word));
+
+        // Solo games count the word right away; shared games only from the next board on
+        if (GAME_MODES[this.mode] && this.engine.isActive) {
+            this.engine.setPath(path);
+            this.engine.submit();
+        } else {
+            this.showMessage(t('dictionary.added'), 'success');
+        }
+    }
+
+    // Reported words are excluded from later boards; this game's score stands
+    reportWord(word) {
+        if (this.customDictionary.excluded.includes(word)) return;
+        if (!confirm(t('dictionary.confirmReport', { word }))) return;
+        this.updateDictionary(custom => excludeWord(custom, word));
+        [this.wordListEl, this.gameOverModal].forEach(el => {
+            el.querySelectorAll(`.word-tag[data-word="${word}"]`).forEach(tag => tag.classList.add('reported'));
+        });
+        if (this.definitionWord === word) this.showDefinition(word);
+    }
+
+    // Only languages whose pack bundles definitions have any. Inflected words show
+    // their root's; they can't be reported, as only listed words can be taken out.
+    showDefinition(word) {
+        const root = this.engine.dictionary.rootOf(word);
+        const entry = getLanguagePack().lookupDefinition(root || word);
+        const reported = this.customDictionary.excluded.includes(word);
+        this.definitionWord = word;
+
+        const panel = document.getElementById('word-definition');
+        panel.innerHTML = `
+            <div class="definition-head">
+                <strong>${word}</strong>
+                ${root ? `<span class="definition-root">${t('morphology.root', { root })}</span>` : ''}
+                ${entry && entry.wordClass ? `<span class="definition-class">${entry.wordClass}</span>` : ''}
+                <span class="definition-points">${t('count.pointsLower', { count: this.engine.getScore(word, this.engine.wordPath(word) || []) })}</span>
+            </div>
+            <p>${entry ? escapeHtml(entry.text) : t('definition.missing')}</p>
+            ${root ? '' : `<button class="definition-report" data-report="${word}" ${reported ? 'disabled' : ''}>
+                ${reported ? t('definition.reported') : t('definition.report')}
+            </button>`}
+        `;
+        panel.hidden = false;
+
+        this.gameOverModal.querySelectorAll('.word-tag[data-word]').forEach(tag => {
+            tag.classList.toggle('active', tag.dataset.word === word);
+        });
+    }
+
+    hideDefinition() {
+        this.definitionWord = null;
+        document.getElementById('word-definition').hidden = true;
+    }
+
+    bindReplay() {
+        this.replayGridEl = document.getElementById('replay-grid');
+        this.replaySlider = document.getElementById('replay-slider');
+        this.replayTimer = null;
+        this.pathTimers = [];
+
+        this.replaySlider.addEventListener('input', () => {
+            this.stopReplay();
+            this.showReplayFrame(parseInt(this.replaySlider.value));
+        });
+        document.getElementById('replay-play').addEventListener('click', () => {
+            if (this.replayTimer) this.stopReplay();
+            else this.playReplay();
+        });
+    }
+
+    // Mini board on the game-over screen for the submission log and word paths
+    renderReplay() {
+        this.stopReplay();
+        this.replayFrames = replayFrames(this.engine.submissions, this.engine.hints);
+        this.replayGridEl.style.gridTemplateColumns = `repeat(${this.gridSize}, 1fr)`;
+        this.replayGridEl.innerHTML = this.engine.grid.flat().map(ch => `<span>${displayLetters(ch)}</span>`).join('');
+        this.replaySlider.max = this.replayFrames.length - 1;
+        this.replaySlider.disabled = this.replayFrames.length === 1;
+        this.showReplayFrame(0);
+    }
+
+    showReplayFrame(index) {
+        const frame = this.replayFrames[index];
+        const { submission } = frame;
+        this.replaySlider.value = index;
+        this.drawPath(submission ? submission.path : [], submission && submission.outcome === 'accepted' ? 'accepted' : 'rejected');
+        document.getElementById('replay-caption').textContent = describeFrame(frame);
+        document.getElementById('replay-totals').textContent =
+            `${t('count.words', { count: frame.found })} · ${t('count.pointsLower', { count: frame.score })}`;
+    }
+
+    playReplay() {
+        // Playing from the last frame starts over
+        let index = parseInt(this.replaySlider.value);
+        if (index >= this.replayFrames.length - 1) index = 0;
+        this.showReplayFrame(index);
+
+        document.getElementById('replay-play').textContent = '❚❚';
+        this.replayTimer = setInterval(() => {
+            index++;
+            this.showReplayFrame(index);
+            if (index >= this.replayFrames.length - 1) this.stopReplay();
+        }, REPLAY_STEP_MS);
+    }
+
+    stopReplay() {
+        clearInterval(this.replayTimer);
+        this.replayTimer = null;
+        document.getElementById('replay-play').textContent = '▶';
+    }
+
+    // Traces a found or missed word letter by letter
+    showWordPath(word) {
+        const path = this.engine.wordPath(word);
+        if (!path) return;
+        this.stopReplay();
+        this.drawPath(path, this.engine.foundWords.has(word) ? 'accepted' : 'missed', true);
+        document.getElementById('replay-caption').textContent = word;
+        document.getElementById('replay-totals').textContent = t('count.pointsLower', { count: this.engine.getScore(word, path) });
+    }
+
+    drawPath(path, outcome, animate = false) {
+        this.pathTimers.forEach(timer => clearTimeout(timer));
+        this.pathTimers = [];
+
+        const cells = [...this.replayGridEl.children];
+        cells.forEach(cell => { cell.className = ''; });
+        path.forEach(({ r, c }, step) => {
+            const mark = () => {
+                cells[r * this.gridSize + c].classList.add('path', `path-${outcome}`);
+                if (step === 0) cells[r * this.gridSize + c].classList.add('path-start');
+            };
+            if (animate) this.pathTimers.push(setTimeout(mark, step * PATH_STEP_MS));
+            else mark();
+        });
+    }
+
+    readSharedGame() {
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed');
+        const size = parseInt(params.get('size')) || 4;
+        const level = DIFFICULTY_LEVELS[params.get('level')] ? params.get('level') : DEFAULT_DIFFICULTY;
+        const language = LANGUAGE_PACKS[params.get('lang')] ? params.get('lang') : DEFAULT_LANGUAGE;
+        const parsed = seed && parseGameCode(encodeGameCode(seed, size, level, params.get('tiles') === '1', language));
+        if (!parsed) return null;
+
+        return { ...parsed, rules: rulesFromParams(params), mode: playMode(params.get('mode')) };
+    }
+
+    joinWithCode() {
+        const parsed = parseGameCode(this.gameCodeInput.value);
+        if (!parsed) {
+            this.gameCodeInput.style.borderColor = 'var(--brand-red)';
+            this.gameCodeInput.classList.add('shake');
+            setTimeout(() => {
+                this.gameCodeInput.classList.remove('shake');
+                this.gameCodeInput.style.borderColor = '#444';
+            }, 500);
+            return;
+        }
+
+        // Keep the rules and mode from a shared link when its own code is played
+        const shared = this.sharedGame;
+        const linked = shared && shared.seed === parsed.seed && shared.size === parsed.size;
+        const rules = linked && shared.rules ? shared.rules : this.rules;
+
+        this.startGame(parsed.size, {
+            seed: parsed.seed,
+            rules,
+            difficulty: parsed.difficulty,
+            powerups: parsed.powerups,
+            language: parsed.language,
+            mode: linked ? shared.mode : this.gameMode
+        });
+    }
+
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = new URLSearchParams({
+            seed: this.seed,
+            size: this.gridSize,
+            level: this.difficultyLevel,
+            ...(this.boardPowerups ? { tiles: 1 } : {}),
+            ...(this.language !== DEFAULT_LANGUAGE ? { lang: this.language } : {}),
+            ...(playMode(this.mode) !== 'classic' ? { mode: this.mode } : {}),
+            ...rulesToParams(this.engine.rules)
+        }).toString();
+        return url.toString();
+    }
+
+    copyShareLink() {
+        const btn = document.getElementById('copy-link-btn');
+        const done = () => {
+            btn.textContent = t('share.copied');
+            setTimeout(() => { btn.textContent = t('share.copyLink'); }, 1500);
+        };
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.getShareUrl()).then(done, () => prompt(t('share.linkPrompt'), this.getShareUrl()));
+        } else {
+            prompt(t('share.linkPrompt'), this.getShareUrl());
+        }
+    }
+
+    // The result card goes to the share sheet where files can be shared, else downloads
+    shareResultCard() {
+        const btn = document.getElementById('share-card-btn');
+        btn.disabled = true;
+        renderShareCard(shareCardData(this.engine, this.nickname)).then(blob => {
+            const name = `kelime-bulamama-${this.seed}.png`;
+            const file = new File([blob], name, { type: 'image/png' });
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                // Closing the share sheet rejects; there is nothing to report then
+                return navigator.share({ files: [file], title: document.title }).catch(() => {});
+            }
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }).catch(() => this.showMessage(t('share.cardFailed'), "error"))
+            .finally(() => { btn.disabled = false; });
+    }
+
+    showMenuStep(step) {
+        this.menuSteps.forEach(el => {
+            el.style.display = el === step ? 'block' : 'none';
+        });
+    }
+
     goToStep1() {
-        this.step2.style.display = 'none';
-        this.step1.style.display = 'block';
+        this.showMenuStep(this.step1);
+    }
+
+    goToOnlineStep() {
+        const serverInput = document.getElementById('online-server-input');
+        if (!serverInput.value) {
+            // Served by server/room-server.js: same host. Opened from disk: assume the default port.
+            serverInput.value = window.location.protocol.startsWith('http')
+                ? `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}`
+                : 'ws://localhost:8080';
+        }
+        this.renderOnlineLobby();
+        this.showMenuStep(this.stepOnline);
+    }
+
+    connectOnline() {
+        const url = document.getElementById('online-server-input').value.trim();
+        const room = document.getElementById('online-room-input').value.trim();
+        const errorEl = document.getElementById('online-error');
+        if (!url || !room) {
+            errorEl.textContent = t('online.missingFields');
+            return;
+        }
+
+        errorEl.textContent = '';
+        const transport = new WebSocketTransport(url);
+        transport
+            .on('players', () => this.renderOnlineLobby())
+            .on('start', (msg) => this.startOnlineRound(msg))
+            .on('results', (msg) => this.showOnlineResults(msg))
+            .on('error', (msg) => { errorEl.textContent = serverErrorText(msg); })
+            .on('disconnected', () => this.handleOnlineDisconnect());
+
+        transport.connect(room, this.nickname).then(() => {
+            this.transport = transport;
+            this.renderOnlineLobby();
+        }).catch((err) => {
+            errorEl.textContent = err.message;
+        });
+    }
+
+    renderOnlineLobby() {
+        const connected = this.transport.isNetworked;
+        document.getElementById('online-connect').style.display = connected ? 'none' : 'block';
+        document.getElementById('online-lobby').style.display = connected ? 'block' : 'none';
+        if (!connected) return;
+
+        document.getElementById('online-room-code').textContent = this.transport.room;
+        document.getElementById('online-player-list').innerHTML = this.transport.players.map(p => `
+            <li class="${p.id === this.transport.hostId ? 'host' : ''}">
+                <span>${escapeHtml(p.name)}${p.id === this.transport.id ? ` ${t('online.you')}` : ''}</span>
+            </li>
+        `).join('');
+        document.getElementById('online-host-controls').style.display = this.transport.isHost ? 'block' : 'none';
+        document.getElementById('online-waiting').style.display = this.transport.isHost ? 'none' : 'block';
+    }
+
+    startOnlineRound(msg) {
+        document.getElementById('online-results-modal').classList.remove('visible');
+        this.gameOverModal.classList.remove('visible');
+        this.startGame(msg.size, {
+            seed: msg.seed,
+            rules: normalizeRules(msg.rules),
+            difficulty: msg.difficulty,
+            powerups: msg.powerups,
+            language: msg.language,
+            mode: 'online',
+            board: { grid: msg.grid, tiles: msg.tiles, words: msg.words, paths: msg.paths, rating: msg.rating }
+        });
+    }
+
+    showOnlineResults(msg) {
+        const results = scorePartyRound(msg.players, (word) => this.getScore(word));
+        const ranked = [...results].sort((a, b) => b.score - a.score);
+
+        document.getElementById('online-results-status').textContent = '';
+        document.getElementById('online-results-body').innerHTML = ranked.map(r => `
+            <tr>
+                <td>${escapeHtml(r.name)}</td>
+                <td>${r.words.length}</td>
+                <td><strong>${r.score}</strong></td>
+            </tr>
+        `).join('');
+
+        // Unique words scored, shared words scored for nobody
+        document.getElementById('online-results-words').innerHTML = results.map(r => `
+            <h4>${escapeHtml(r.name)} (${t('online.uniqueCount', { count: r.words.filter(w => !w.shared).length })})</h4>
+            <div class="missed-list">
+                ${r.words.map(w => `<span class="word-tag ${w.shared ? 'shared' : 'unique'}">${w.word}</span>`).join('') || `<span class="more-count">${t('words.none')}</span>`}
+            </div>
+        `).join('');
+
+        document.getElementById('online-results-modal').classList.add('visible');
+    }
+
+    returnToLobby() {
+        document.getElementById('online-results-modal').classList.remove('visible');
+        if (!this.transport.isNetworked) {
+            this.resetMenu();
+            return;
+        }
+        this.gridEl.innerHTML = '';
+        this.resetState();
+        this.renderOnlineLobby();
+        this.showMenuStep(this.stepOnline);
+        this.startMenuModal.classList.add('visible');
+    }
+
+    handleOnlineDisconnect() {
+        this.transport = new LocalTransport();
+        document.getElementById('online-error').textContent = t('online.disconnected');
+        // A round in progress carries on as a solo game
+        if (this.mode === 'online') this.mode = 'classic';
+        if (document.getElementById('online-results-modal').classList.contains('visible')) {
+            this.returnToLobby();
+        }
+        this.renderOnlineLobby();
+    }
+
+    leaveOnline() {
+        this.transport.leave();
+        this.transport = new LocalTransport();
+        this.renderOnlineLobby();
+        this.goToStep2();
+    }
+
+    goToPartyStep() {
+        // The player who typed their name in step 1 is always in the party
+        if (this.partyPlayers.length === 0) this.partyPlayers = [this.nickname];
+        this.renderPartyPlayers();
+        this.showMenuStep(this.stepParty);
+        this.partyPlayerInput.focus();
+    }
+
+    addPartyPlayer() {
+        const name = this.partyPlayerInput.value.trim();
+        const duplicate = this.partyPlayers.some(p => p.toLocaleUpperCase(locale()) === name.toLocaleUpperCase(locale()));
+        if (!name || duplicate || this.partyPlayers.length >= PARTY_MAX_PLAYERS) {
+            this.partyPlayerInput.classList.add('shake');
+            setTimeout(() => this.partyPlayerInput.classList.remove('shake'), 500);
+            return;
+        }
+        this.partyPlayers.push(name);
+        this.partyPlayerInput.value = '';
+        this.renderPartyPlayers();
+    }
+
+    removePartyPlayer(index) {
+        this.partyPlayers.splice(index, 1);
+        this.renderPartyPlayers();
+    }
+
+    renderPartyPlayers() {
+        document.getElementById('party-player-list').innerHTML = this.partyPlayers.map((name, index) => `
+            <li>
+                <span>${index + 1}. ${escapeHtml(name)}</span>
+                <button data-index="${index}" aria-label="${t('party.removePlayer')}">✕</button>
+            </li>
+        `).join('');
+
+        const startBtn = document.getElementById('btn-start-party');
+        startBtn.disabled = this.partyPlayers.length < PARTY_MIN_PLAYERS;
+        startBtn.style.opacity = startBtn.disabled ? 0.5 : 1;
+    }
+
+    startParty() {
+        if (this.partyPlayers.length < PARTY_MIN_PLAYERS) return;
+        const size = parseInt(document.getElementById('party-size').value);
+        this.party = createParty([...this.partyPlayers], size);
+        this.party.difficulty = this.difficulty;
+        this.party.powerups = this.powerups;
+        this.party.language = this.language;
+        this.startPartyRound();
+    }
+
+    startPartyRound() {
+        document.getElementById('party-summary-modal').classList.remove('visible');
+        this.party.round++;
+        this.party.turn = 0;
+        this.party.seed = randomSeed();
+        this.party.turnResults = [];
+        this.showPartyHandoff();
+    }
+
+    showPartyHandoff() {
+        this.startMenuModal.classList.remove('visible');
+        this.gridEl.innerHTML = '';
+        this.currentWordEl.textContent = '';
+
+        const name = this.party.players[this.party.turn];
+        document.getElementById('party-handoff-round').textContent =
+            t('party.handoffRound', { round: this.party.round, turn: this.party.turn + 1, players: this.party.players.length });
+        document.getElementById('party-handoff-name').textContent = name;
+        document.getElementById('party-handoff-modal').classList.add('visible');
+    }
+
+    beginPartyTurn() {
+        document.getElementById('party-handoff-modal').classList.remove('visible');
+        // The countdown greets the player whose turn it is
+        this.nickname = this.party.players[this.party.turn];
+        this.startGame(this.party.size, {
+            seed: this.party.seed,
+            difficulty: this.party.difficulty,
+            powerups: this.party.powerups,
+            language: this.party.language,
+            mode: 'party'
+        });
+    }
+
+    finishPartyTurn() {
+        // Points as scored, so power-up tiles count in the round too
+        const points = {};
+        this.engine.submissions.filter(s => s.outcome === 'accepted').forEach(s => { points[s.word] = s.points; });
+        this.party.turnResults.push({
+            name: this.party.players[this.party.turn],
+            words: [...this.engine.foundWords],
+            points
+        });
+        this.party.turn++;
+
+        if (this.party.turn < this.party.players.length) {
+            this.showPartyHandoff();
+        } else {
+            this.showPartySummary();
+        }
+    }
+
+    showPartySummary() {
+        const results = scorePartyRound(this.party.turnResults,
+            (word, result) => result.points ? result.points[word] : this.getScore(word));
+        results.forEach(r => { this.party.totals[r.name] += r.score; });
+
+        document.getElementById('party-summary-title').textContent = t('party.roundResults', { round: this.party.round });
+
+        // Table sorted by match total, leader first
+        const ranked = [...results].sort((a, b) => this.party.totals[b.name] - this.party.totals[a.name]);
+        document.getElementById('party-summary-body').innerHTML = ranked.map(r => `
+            <tr>
+                <td>${escapeHtml(r.name)}</td>
+                <td>${r.score}</td>
+                <td><strong>${this.party.totals[r.name]}</strong></td>
+            </tr>
+        `).join('');
+
+        // Shared words are struck through: they scored for nobody
+        document.getElementById('party-summary-words').innerHTML = results.map(r => `
+            <h4>${escapeHtml(r.name)} (${r.words.length})</h4>
+            <div class="missed-list">
+                ${r.words.map(w => `<span class="word-tag${w.shared ? ' shared' : ''}">${w.word}</span>`).join('') || `<span class="more-count">${t('words.none')}</span>`}
+            </div>
+        `).join('');
+
+        document.getElementById('party-summary-modal').classList.add('visible');
+    }
+
+    endParty() {
+        document.getElementById('party-summary-modal').classList.remove('visible');
+        this.party = null;
+        this.resetMenu();
     }
 
     goToStep2() {
@@ -137,12 +1362,20 @@ class BoggleGame {
             return;
         }
         this.nickname = nick;
-        this.step1.style.display = 'none';
-        this.step2.style.display = 'block';
+        this.showMenuStep(this.step2);
+
+        // Show the last board's code so it can be read out to friends
+        const lastCodeEl = document.getElementById('last-game-code');
+        if (this.gameCode) {
+            lastCodeEl.innerHTML = t('menu.lastCode', { code: `<strong>${this.gameCode}</strong>` });
+            lastCodeEl.style.display = 'block';
+        }
     }
 
     resetMenu() {
         this.gameOverModal.classList.remove('visible');
+        this.stopReplay();
+        this.dailyModal.classList.remove('visible');
         this.startMenuModal.classList.add('visible');
         // Reset to Step 1? or Step 2 if name known?
         // Let's reset to Step 2 so they can pick size again without re-typing name if they want.
@@ -160,34 +1393,80 @@ class BoggleGame {
         this.resetState();
     }
 
-    startGame(size) {
-        // Nickname already validated in goToStep2
-        this.gridSize = size;
-        this.startMenuModal.classList.remove('visible');
-
-        // Set Duration
-        this.gameDuration = 45;
-        this.timer = this.gameDuration;
+    startGame(size, {
+        seed = randomSeed(), rules = this.rules, difficulty = this.difficulty, powerups = this.powerups,
+        language = this.language, mode = this.gameMode, board = null
+    } = {}) {
+        // Nickname already validated in goToStep2. Codes, links and rounds from
+        // others bring their board language, which the whole UI switches to.
+        this.selectLanguage(language);
+        this.setupGame(size, seed, rules, mode, difficulty, powerups);
+        this.updateTimerDisplay();
 
-        // Adjust CSS Grid Columns dynamically
-        this.gridEl.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+        // Prepare the grid in the background while the countdown runs (it shows under the blur)
+        this.gridEl.innerHTML = '';
+        // Online rounds arrive with the server's board already solved
+        const boardRequest = board ? Promise.resolve(board) : this.boardService.requestBoard(size, seed, difficulty, powerups);
+        const boardReady = boardRequest.then(({ grid, tiles, words, paths, rating }) => {
+            this.engine.setBoard(grid, words, tiles || [], paths);
+            if (this.engine.mode === 'hunt') this.engine.setTargets(huntTargets(this.engine.solution, seed));
+            this.rating = rating;
+            this.renderGrid();
+            this.renderDifficulty();
+            this.renderModeState();
+            this.startBot(GAME_MODES[mode] ? this.botLevel : null);
+        });
 
-        // Prepare the grid immediately (so it shows under the blur)
-        this.generateGrid();
+        this.transport.gameStarting({ size, seed, rules, mode });
 
         // Start Countdown
         this.startCountdown(() => {
             this.initGame();
-        });
+        }, boardReady);
     }
 
-    startCountdown(callback) {
+    setupGame(size, seed, rules, mode, difficulty, powerups) {
+        this.gridSize = size;
+        this.seed = seed;
+        this.mode = mode;
+        this.difficultyLevel = difficulty;
+        this.boardPowerups = powerups;
+        this.gameCode = mode === 'daily' ? t('daily.code') : encodeGameCode(seed, size, difficulty, powerups, this.language);
+        this.startMenuModal.classList.remove('visible');
+        this.hideAddWord();
+
+        // Set Rules and mode (and clear the previous game); the rating arrives with the board
+        this.engine.reset(rules, mode);
+        this.rating = null;
+        this.startBot(null);
+        document.getElementById('rules-badge').textContent = describeMode(mode, rules);
+        this.renderDifficulty();
+
+        // Show the code and make the address bar a shareable link for this board
+        // (the daily board is shared by date, not by link)
+        this.gameCodeEl.textContent = this.gameCode;
+        document.getElementById('final-game-code').textContent = this.gameCode;
+        if (mode !== 'daily') history.replaceState(null, '', this.getShareUrl());
+
+        // Adjust CSS Grid Columns dynamically
+        this.gridEl.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+        this.gridEl.dataset.size = size;
+    }
+
+    // Runs `callback` once the countdown is over and `ready` has resolved; if
+    // `ready` rejects (the board could not be made) it goes back to the menu
+    startCountdown(callback, ready = Promise.resolve()) {
         const overlay = document.getElementById('countdown-overlay');
         const numEl = document.getElementById('countdown-number');
         overlay.classList.add('visible');
 
         // Ensure overlay is strictly above others
         overlay.style.display = 'flex';
+        const hideOverlay = () => {
+            overlay.classList.remove('visible');
+            overlay.style.display = 'none';
+        };
+        ready.catch(() => {}); // a failure is handled when the countdown ends
 
         let count = 3;
 
@@ -203,21 +1482,28 @@ class BoggleGame {
                     count--;
                     if (count === 0) {
                         // "GO!" with Nickname
-                        const safeNick = this.nickname.toLocaleUpperCase('tr-TR');
+                        const safeNick = this.nickname.toLocaleUpperCase(locale());
                         // Use smaller font for text if needed, handled by CSS clamp hopefully, 
                         // but we might want to split lines
-                        numEl.innerHTML = `BAŞLA<br><span style="font-size: 0.5em">${safeNick}!</span>`;
+                        numEl.innerHTML = `${t('countdown.go')}<br><span style="font-size: 0.5em">${safeNick}!</span>`;
 
                         // Reset animation
                         numEl.style.animation = 'none';
                         numEl.offsetHeight; /* trigger reflow */
                         numEl.style.animation = null;
 
-                        setTimeout(() => {
-                            overlay.classList.remove('visible');
-                            overlay.style.display = 'none';
+                        // 1 second display for "BAŞLA NAME!", longer if the board is still being prepared
+                        const minDisplay = new Promise(resolve => setTimeout(resolve, 1000));
+                        Promise.all([minDisplay, ready]).then(() => {
+                            hideOverlay();
+                            this.transport.countdownFinished();
                             callback();
-                        }, 1000); // 1 second display for "BAŞLA NAME!"
+                        }, (err) => {
+                            console.error('Board generation failed.', err);
+                            hideOverlay();
+                            this.resetMenu();
+                            this.showMessage(t('toast.boardFailed'), "error");
+                        });
                     } else {
                         runStep();
                     }
@@ -230,102 +1516,243 @@ class BoggleGame {
 
     initGame() {
         // Grid already generated in startGame
-        // this.generateGrid(); 
-        this.startTimer();
-        this.isGameActive = true;
-        this.resetState();
-    }
+        this.renderGameState();
+        this.engine.start();
+        this.updateTimerDisplay();
 
-    resetState() {
-        this.score = 0;
-        this.foundWords.clear();
-        this.selectedCells = [];
-        this.updateUI();
-        this.renderWordList(); // Clear list
-        let missedCont = document.getElementById('missed-words-container');
-        if (missedCont) missedCont.innerHTML = '';
+        // Burn today's attempt as soon as play starts, so reloading can't buy a retry
+        if (this.mode === 'daily') this.recordDailyProgress(false);
+        this.persistGame();
     }
 
-    restartGame() {
-        // Not used directly anymore, goes to menu
-        this.resetMenu();
+    pauseGame() {
+        if (!this.canPause() || !this.engine.pause()) return;
+
+        this.isDragging = false;
+        this.typedLetters = '';
+        this.persistGame();
+
+        // Blur the board like the countdown does, so pausing can't be used to study it
+        document.getElementById('pause-overlay').classList.add('visible');
     }
 
-    generateGrid() {
-        const MIN_WORDS = 15; // Minimum words required for a "good" game
-        const MAX_ATTEMPTS = 50;
-        let bestGrid = [];
-        let maxFound = -1;
+    resumeGame() {
+        if (!this.engine.resume()) return;
+        document.getElementById('pause-overlay').classList.remove('visible');
+    }
 
-        for (let i = 0; i < MAX_ATTEMPTS; i++) {
-            this.buildGridData();
-            const possibleWords = this.solveGrid(); // Uses this.grid
+    canPause() {
+        return this.mode !== 'online';
+    }
 
-            if (possibleWords.length >= MIN_WORDS) {
-                console.log(`Grid generated in ${i + 1} attempts with ${possibleWords.length} words.`);
-                this.renderGrid();
-                return;
-            }
+    persistGame() {
+        if (!(this.engine.isActive || this.engine.isPaused) || !this.canPause()) return;
+
+        saveSession({
+            nickname: this.nickname,
+            mode: this.mode,
+            language: this.language,
+            size: this.gridSize,
+            seed: this.seed,
+            rules: this.engine.rules,
+            difficulty: this.difficultyLevel,
+            powerups: this.boardPowerups,
+            rating: this.rating,
+            grid: this.engine.grid,
+            tiles: this.engine.tiles,
+            usedTiles: [...this.engine.usedTiles],
+            solution: this.engine.solution,
+            paths: this.engine.solutionPaths,
+            foundWords: [...this.engine.foundWords],
+            score: this.engine.score,
+            timer: this.engine.timer,
+            elapsed: this.engine.elapsed,
+            timeWon: this.engine.timeWon,
+            targets: this.engine.targets,
+            hints: this.engine.hints,
+            bot: this.bot && this.bot.level,
+            submissions: this.engine.submissions,
+            dailyKey: this.mode === 'daily' ? this.dailyKey : null,
+            party: this.party,
+            savedAt: Date.now()
+        });
+    }
 
-            if (possibleWords.length > maxFound) {
-                maxFound = possibleWords.length;
-                bestGrid = JSON.parse(JSON.stringify(this.grid));
-            }
-        }
+    offerResume() {
+        const session = loadSession();
+        if (!session) return;
+
+        const clock = session.timer === null
+            ? t('resume.played', { time: formatPlayTime(session.elapsed) })
+            : t('resume.left', { time: formatPlayTime(session.timer) });
+        const mode = playMode(session.mode) !== 'classic' ? ` · ${t(`mode.${session.mode}`)}` : '';
+        document.getElementById('resume-info').textContent =
+            `${session.nickname} · ${session.size}x${session.size}${mode} · ${t('count.pointsLower', { count: session.score })} · ${clock}`;
+        this.pendingSession = session;
+        document.getElementById('resume-modal').classList.add('visible');
+    }
 
-        // Fallback to best found
-        console.warn(`Could not find ${MIN_WORDS} words. Best was ${maxFound}.`);
-        this.grid = bestGrid;
+    restoreGame() {
+        const session = this.pendingSession;
+        document.getElementById('resume-modal').classList.remove('visible');
+        if (!session) return;
+
+        this.nickname = session.nickname;
+        this.nicknameInput.value = session.nickname;
+        this.dailyKey = session.mode === 'daily' ? session.dailyKey : null;
+        this.party = session.party;
+        if (this.party) this.partyPlayers = [...this.party.players];
+
+        // Sessions from before language packs were Turkish
+        this.selectLanguage(session.language || DEFAULT_LANGUAGE);
+        this.setupGame(session.size, session.seed, normalizeRules(session.rules), session.mode,
+            session.difficulty || DEFAULT_DIFFICULTY, Boolean(session.powerups));
+        this.engine.setBoard(session.grid, session.solution, session.tiles || [], session.paths);
+        this.engine.restore(session);
+        this.startBot(BOT_LEVELS[session.bot] ? session.bot : null);
+        this.rating = session.rating || null;
         this.renderGrid();
+        this.renderDifficulty();
+        this.renderGameState();
+        this.updateTimerDisplay();
+
+        // Come back paused so the player chooses when the clock runs again
+        this.engine.start();
+        this.pauseGame();
     }
 
-    buildGridData() {
-        // Choose dice set based on size
-        let sourceDice = this.gridSize === 5 ? [...DICE, ...DICE_EXTENDED] : [...DICE];
+    discardSession() {
+        document.getElementById('resume-modal').classList.remove('visible');
+        this.pendingSession = null;
+        clearSession();
+    }
 
-        const totalSorts = this.gridSize * this.gridSize;
-        while (sourceDice.length < totalSorts) {
-            sourceDice = [...sourceDice, ...DICE];
+    // One daily board per language; it is played in the language picked in the menu
+    startDailyChallenge() {
+        const key = dailyKey();
+        const existing = loadDailyResult(key, this.language);
+        if (existing) {
+            this.showDailyResult(existing);
+            return;
         }
+        this.dailyKey = key;
+        this.startGame(DAILY_SIZE, {
+            seed: dailySeed(key),
+            rules: createRules(DAILY_RULES),
+            difficulty: DAILY_DIFFICULTY,
+            powerups: false,
+            mode: 'daily'
+        });
+    }
 
-        // Shuffle dice
-        let shuffledDice = sourceDice.sort(() => Math.random() - 0.5).slice(0, totalSorts);
+    recordDailyProgress(finished) {
+        const result = {
+            date: this.dailyKey,
+            finished,
+            score: this.engine.score,
+            maxScore: this.engine.maxScore,
+            foundCount: this.engine.foundWords.size,
+            totalWords: this.engine.solution.length,
+            lengths: countByLength(this.engine.solution, this.engine.foundWords)
+        };
+        saveDailyResult(result, this.language);
+        return result;
+    }
 
-        this.grid = [];
+    showDailyResult(result) {
+        this.startMenuModal.classList.remove('visible');
+        this.gameOverModal.classList.remove('visible');
 
-        for (let i = 0; i < this.gridSize; i++) {
-            let row = [];
-            for (let j = 0; j < this.gridSize; j++) {
-                let dieIndex = i * this.gridSize + j;
-                let die = shuffledDice[dieIndex];
-                let char = die.charAt(Math.floor(Math.random() * 6));
+        document.getElementById('daily-score').textContent = result.score;
+        document.getElementById('daily-max').textContent = result.maxScore;
+        document.getElementById('daily-summary').textContent = buildDailySummary(result);
+        document.getElementById('daily-note').textContent = t(result.finished ? 'daily.done' : 'daily.unfinished');
 
-                char = char.toLocaleUpperCase('tr-TR');
+        this.dailyResult = result;
+        this.dailyModal.classList.add('visible');
+    }
 
-                row.push(char);
-            }
-            this.grid.push(row);
+    copyDailySummary() {
+        const btn = document.getElementById('copy-daily-btn');
+        const text = buildDailySummary(this.dailyResult);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(() => {
+                btn.textContent = t('share.copied');
+                setTimeout(() => { btn.textContent = t('daily.copy'); }, 1500);
+            }, () => prompt(t('daily.resultPrompt'), text));
+        } else {
+            prompt(t('daily.resultPrompt'), text);
         }
     }
 
+    resetState() {
+        this.engine.reset();
+        this.renderGameState();
+    }
+
+    renderGameState() {
+        this.updateUI();
+        this.renderModeState();
+        this.renderWordList();
+        let missedCont = document.getElementById('missed-words-container');
+        if (missedCont) missedCont.innerHTML = '';
+    }
+
+    bindEngineEvents() {
+        this.engine
+            .on('selectionChanged', ({ path }) => this.renderSelection(path))
+            .on('wordAccepted', ({ word, points, timeBonus }) => this.handleWordAccepted(word, points, timeBonus))
+            .on('wordRejected', ({ word, reason, auto, path }) => this.handleWordRejected(word, reason, auto, path))
+            .on('hintTaken', (hint) => this.handleHintTaken(hint))
+            .on('tick', () => {
+                this.updateTimerDisplay();
+                this.updateBot();
+                this.persistGame();
+            })
+            .on('gameOver', () => this.endGame());
+    }
+
+    restartGame() {
+        // Not used directly anymore, goes to menu
+        this.resetMenu();
+    }
+
     renderGrid() {
         this.gridEl.innerHTML = '';
+        this.cursor = null;
         for (let i = 0; i < this.gridSize; i++) {
             for (let j = 0; j < this.gridSize; j++) {
-                this.createCellElement(i, j, this.grid[i][j]);
+                this.createCellElement(i, j, this.engine.grid[i][j], this.engine.tileAt(i, j));
             }
         }
+        this.renderHint();
+        this.markUsedTiles();
     }
 
-    createCellElement(row, col, char) {
+    createCellElement(row, col, char, tile = null) {
         const cell = document.createElement('div');
         cell.classList.add('die-cell');
         cell.dataset.row = row;
         cell.dataset.col = col;
-        cell.textContent = char;
+        cell.textContent = displayLetters(char);
+        if (tile) {
+            cell.classList.add('tile', `tile-${tile.toLowerCase()}`);
+            cell.title = t(`tile.${tile}`, { seconds: TIME_BONUS });
+            const badge = t(`tile.${tile}.badge`, { seconds: TIME_BONUS });
+            if (badge) cell.dataset.badge = badge;
+        }
         this.gridEl.appendChild(cell);
     }
 
+    // Time tiles only pay out once
+    markUsedTiles() {
+        this.engine.usedTiles.forEach(key => {
+            const [r, c] = key.split(',').map(Number);
+            this.getCellElement(r, c).classList.add('tile-used');
+        });
+    }
+
     bindGridEvents() {
         // Mouse Events
         this.gridEl.addEventListener('mousedown', (e) => this.handleInputStart(e));
@@ -336,6 +1763,92 @@ class BoggleGame {
         this.gridEl.addEventListener('touchstart', (e) => this.handleInputStart(e));
         document.addEventListener('touchmove', (e) => this.handleInputMove(e));
         document.addEventListener('touchend', () => this.handleInputEnd());
+
+        // Keyboard: typed words plus arrow-key cursor
+        this.typedLetters = '';
+        this.cursor = null; // {r, c} of the arrow-key cursor, shown once arrows are used
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    handleKeyDown(e) {
+        if (!this.engine.isActive || e.ctrlKey || e.metaKey) return;
+        // Leave form fields alone (nickname, codes, filters)
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+        const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.submitWord();
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            if (this.typedLetters) {
+                this.applyTypedLetters(this.typedLetters.slice(0, -1));
+            } else {
+                this.deselectLast();
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.clearSelection();
+        } else if (arrows[e.key]) {
+            e.preventDefault();
+            this.moveCursor(...arrows[e.key]);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            this.selectAtCursor();
+        } else {
+            const letter = keyToLetter(e.key);
+            if (!letter) return;
+            e.preventDefault();
+            this.typeLetter(letter);
+        }
+    }
+
+    typeLetter(letter) {
+        // Switching from cursor/pointer selection to typing starts from the current word
+        const base = this.typedLetters || this.currentWordEl.textContent;
+        const next = base + letter;
+
+        if (findPaths(this.engine.grid, next).length === 0) {
+            this.animateInvalid();
+            return;
+        }
+        this.applyTypedLetters(next);
+    }
+
+    applyTypedLetters(letters) {
+        const path = choosePath(findPaths(this.engine.grid, letters), this.engine.selection) || [];
+        this.typedLetters = letters;
+        this.engine.setPath(path);
+    }
+
+    getCellElement(r, c) {
+        return this.gridEl.children[r * this.gridSize + c];
+    }
+
+    moveCursor(dr, dc) {
+        if (!this.cursor) {
+            // First arrow press shows the cursor on the last selected cell, or the top-left
+            const last = this.engine.selection[this.engine.selection.length - 1];
+            this.cursor = last ? { r: last.r, c: last.c } : { r: 0, c: 0 };
+        } else {
+            this.getCellElement(this.cursor.r, this.cursor.c).classList.remove('cursor');
+            this.cursor = {
+                r: Math.min(this.gridSize - 1, Math.max(0, this.cursor.r + dr)),
+                c: Math.min(this.gridSize - 1, Math.max(0, this.cursor.c + dc))
+            };
+        }
+        this.getCellElement(this.cursor.r, this.cursor.c).classList.add('cursor');
+    }
+
+    selectAtCursor() {
+        if (!this.cursor) {
+            this.moveCursor(0, 0);
+            return;
+        }
+        // Same rules as dragging: adjacent cells extend, the previous cell backtracks
+        this.typedLetters = '';
+        this.trySelectCell(this.getCellElement(this.cursor.r, this.cursor.c));
     }
 
     getCellFromEvent(e) {
@@ -356,10 +1869,11 @@ class BoggleGame {
     handleInputStart(e) {
         if (e.cancelable) e.preventDefault();
 
-        if (!this.isGameActive) return;
+        if (!this.engine.isActive) return;
 
         const cell = this.getCellFromEvent(e);
         if (cell) {
+            this.typedLetters = ''; // pointer takes over from typing
             this.isDragging = true;
             this.interactionMoved = false; // Reset move flag
             this.trySelectCell(cell);
@@ -367,14 +1881,14 @@ class BoggleGame {
     }
 
     handleInputMove(e) {
-        if (!this.isDragging || !this.isGameActive) return;
+        if (!this.isDragging || !this.engine.isActive) return;
 
         const cell = this.getCellFromEvent(e);
         if (cell) {
-            const previousLength = this.selectedCells.length;
+            const previousLength = this.engine.selection.length;
             this.trySelectCell(cell);
             // If selection changed (added or backtracking), mark as moved
-            if (this.selectedCells.length !== previousLength) {
+            if (this.engine.selection.length !== previousLength) {
                 this.interactionMoved = true;
             } else {
                 // Also check if we just moved to a different cell even if logic didn't select it 
@@ -392,77 +1906,34 @@ class BoggleGame {
             // If user dragged across multiple cells (swiping), auto-submit.
             // If user just tapped (stationary click), keep selection (manual mode).
             // We use interactionMoved flag, but also check if we actually have >1 selected cells to submit.
-            if (this.interactionMoved && this.selectedCells.length >= 1) {
+            if (this.interactionMoved && this.engine.selection.length >= 1) {
                 this.submitWord(true); // Auto submit
             }
         }
     }
 
     trySelectCell(cellEl) {
-        const r = parseInt(cellEl.dataset.row);
-        const c = parseInt(cellEl.dataset.col);
-
-        // Check if already selected
-        const lastSelected = this.selectedCells[this.selectedCells.length - 1];
-
-        // If backtracking (moving to previous cell), deselect the last one
-        if (this.selectedCells.length > 1) {
-            const penUlt = this.selectedCells[this.selectedCells.length - 2];
-            if (penUlt.r === r && penUlt.c === c) {
-                this.deselectLast();
-                return;
-            }
-        }
-
-        // Check if cell is adjacent to last selected
-        if (lastSelected) {
-            const dr = Math.abs(r - lastSelected.r);
-            const dc = Math.abs(c - lastSelected.c);
-            // Must be adjacent and not same cell
-            if (dr <= 1 && dc <= 1 && !(dr === 0 && dc === 0)) {
-                // Must not be already in selection (unless backtracking handled above)
-                if (!this.isCellSelected(r, c)) {
-                    this.selectCell(cellEl);
-                }
-            }
-        } else {
-            // First cell
-            this.selectCell(cellEl);
-        }
-    }
-
-    isCellSelected(r, c) {
-        return this.selectedCells.some(cell => cell.r === r && cell.c === c);
+        this.engine.selectCell(parseInt(cellEl.dataset.row), parseInt(cellEl.dataset.col));
     }
 
-    selectCell(cellEl) {
-        const r = parseInt(cellEl.dataset.row);
-        const c = parseInt(cellEl.dataset.col);
-
-        this.selectedCells.push({ r, c, el: cellEl });
-        cellEl.classList.add('selected');
-        // cellEl.classList.add('pop'); // Animation
-        // setTimeout(() => cellEl.classList.remove('pop'), 200);
+    renderSelection(path) {
+        this.gridEl.querySelectorAll('.die-cell.selected').forEach(el => el.classList.remove('selected'));
+        path.forEach(({ r, c }) => this.getCellElement(r, c).classList.add('selected'));
         this.updateCurrentWord();
     }
 
     deselectLast() {
-        const removed = this.selectedCells.pop();
-        if (removed) {
-            removed.el.classList.remove('selected');
-            this.updateCurrentWord();
-        }
+        this.engine.deselectLast();
     }
 
     clearSelection() {
-        this.selectedCells.forEach(item => item.el.classList.remove('selected'));
-        this.selectedCells = [];
-        this.updateCurrentWord();
+        this.typedLetters = '';
+        this.engine.clearSelection();
     }
 
     updateCurrentWord() {
-        const word = this.selectedCells.map(item => this.grid[item.r][item.c]).join('');
-        this.currentWordEl.textContent = word;
+        const word = this.engine.currentWord;
+        this.currentWordEl.textContent = displayLetters(word);
 
         if (word.length > 0) {
             this.currentWordEl.classList.add('pop');
@@ -471,61 +1942,53 @@ class BoggleGame {
     }
 
     submitWord(isAuto = false) {
-        if (!this.isGameActive) return;
-
-        let word = this.currentWordEl.textContent;
-        // Use Turkish UpperCase for consistency
-        word = word.toLocaleUpperCase('tr-TR');
-
-        // Validation Logic
-        if (word.length < 3) {
-            // If auto-submit (drag release), don't show error for short words (just accidental clicks)
-            if (!isAuto) {
-                this.showMessage("Çok Kısa!", "error");
-                this.animateInvalid();
-            }
-            this.clearSelection();
-            return;
-        }
+        const typed = this.typedLetters;
+        this.typedLetters = '';
+        this.engine.submit({ auto: isAuto, typed });
+    }
 
-        if (this.foundWords.has(word)) {
-            this.showMessage("Zaten Bulundu!", "error");
-            this.animateInvalid();
-            this.clearSelection();
-            return;
+    handleWordAccepted(word, points, timeBonus = 0) {
+        this.hideAddWord();
+        this.updateUI();
+        this.renderFoundWord(word);
+        if (timeBonus) {
+            this.updateTimerDisplay();
+            this.markUsedTiles();
         }
+        this.renderModeState();
+        this.renderHint();
+        this.showMessage(`${t('toast.points', { points })}${timeBonus ? ` ${t('toast.time', { seconds: timeBonus })}` : ''}`, "success");
+        this.transport.wordAccepted(word);
+        this.persistGame();
 
-        // Check against dictionary
-        // commonWords should be loaded from dictionary.js and contain UPPERCASE Turkish words
-        if (typeof commonWords !== 'undefined' && !commonWords.includes(word)) {
-            this.showMessage("Kelime Bulunamadı", "error");
-            this.animateInvalid();
-            this.clearSelection();
-            return;
+        if (this.mode === 'daily') this.recordDailyProgress(false);
+    }
+
+    handleWordRejected(word, reason, auto, path) {
+        // If auto-submit (drag release), don't show error for short words (just accidental clicks)
+        if (reason === 'tooShort' && auto) return;
+
+        // Real words missing from the dictionary can be added on the spot (online rounds are checked
+        // by the server); a wildcard that matched nothing has no word to add
+        if (reason === 'unknown' && this.mode !== 'online' && !word.includes(WILDCARD)) {
+            this.offerAddWord(word, path);
+        } else {
+            this.hideAddWord();
         }
 
-        // Valid Word
-        this.addScore(word);
-        this.foundWords.add(word);
-        this.renderFoundWord(word);
-        this.showMessage(`+${this.getScore(word)} Puan!`, "success");
-        this.clearSelection();
+        this.showMessage(t(`toast.${reason}`), "error");
+        this.animateInvalid();
     }
 
     getScore(word) {
-        const len = word.length;
-        if (len >= 8) return 11;
-        return SCORING[len] || 1;
-    }
-
-    addScore(word) {
-        this.score += this.getScore(word);
-        this.updateUI();
+        return this.engine.getScore(word);
     }
 
     renderFoundWord(word) {
         const li = document.createElement('li');
         li.textContent = word;
+        li.dataset.word = word;
+        li.title = t('definition.report');
         li.classList.add('word-tag', 'pop');
         // Prepend to list
         this.wordListEl.insertBefore(li, this.wordListEl.firstChild);
@@ -533,12 +1996,12 @@ class BoggleGame {
 
     renderWordList() {
         this.wordListEl.innerHTML = '';
-        this.foundWords.forEach(word => this.renderFoundWord(word));
+        this.engine.foundWords.forEach(word => this.renderFoundWord(word));
     }
 
     updateUI() {
-        this.scoreEl.textContent = this.score;
-        this.foundWordsEl.textContent = this.foundWords.size;
+        this.scoreEl.textContent = this.engine.score;
+        this.foundWordsEl.textContent = this.engine.foundWords.size;
     }
 
     animateInvalid() {
@@ -556,42 +2019,145 @@ class BoggleGame {
         }, 1500);
     }
 
-    startTimer() {
-        this.updateTimerDisplay();
-        this.timerInterval = setInterval(() => {
-            this.timer--;
-            this.updateTimerDisplay();
-            if (this.timer <= 0) {
-                this.endGame();
-            }
-        }, 1000);
+    // Header extras of the game mode: words found out of all (Zen), the hunt's
+    // targets, and the button to finish modes that have no countdown
+    renderModeState() {
+        const { mode, targets } = this.engine;
+        const progressEl = document.getElementById('progress-stat');
+        const targetsEl = document.getElementById('hunt-targets');
+        const counts = {
+            zen: [this.engine.foundWords.size, this.engine.solution.length],
+            hunt: [this.engine.targetsFound.length, targets.length]
+        }[mode];
+
+        progressEl.style.display = counts ? '' : 'none';
+        if (counts) {
+            document.getElementById('progress-label').textContent = t(mode === 'hunt' ? 'progress.targets' : 'progress.words');
+            document.getElementById('progress').textContent = `${counts[0]}/${counts[1]}`;
+        }
+
+        targetsEl.style.display = mode === 'hunt' ? '' : 'none';
+        targetsEl.innerHTML = targets.map(word => {
+            const found = this.engine.foundWords.has(word);
+            return `<span class="hunt-target${found ? ' found' : ''}">${huntHint(word, found)}</span>`;
+        }).join('');
+
+        document.getElementById('give-up-btn').style.display = this.engine.timer === null ? '' : 'none';
+        // Online and party rounds are scored from the words alone, so hint costs could not count
+        document.getElementById('hint-btn').style.display = this.mode === 'online' || this.mode === 'party' ? 'none' : '';
+    }
+
+    takeHint() {
+        const result = this.engine.takeHint();
+        if (result && !result.taken) this.showMessage(t(`hint.${result.reason}`), "error");
+    }
+
+    handleHintTaken({ step, length, letters, cost }) {
+        this.updateUI();
+        this.renderHint();
+        const text = [t('hint.start'), t('hint.length', { length }), t('hint.letters', { letters, length })][step];
+        this.showMessage(`${text} ${t('hint.cost', { cost })}`, "success");
+        this.persistGame();
+    }
+
+    // Marks the cell the hinted word starts on until the word is found
+    renderHint() {
+        this.gridEl.querySelectorAll('.hint-start').forEach(cell => cell.classList.remove('hint-start'));
+        const hint = this.engine.revealedHint;
+        if (hint && hint.start) this.getCellElement(hint.start.r, hint.start.c).classList.add('hint-start');
+    }
+
+    // Zen and Hunt games end when the player says so
+    giveUp() {
+        if (!this.engine.isActive) return;
+        if (!confirm(t('game.confirmGiveUp'))) return;
+        this.engine.finish();
     }
 
     updateTimerDisplay() {
-        const m = Math.floor(this.timer / 60).toString().padStart(2, '0');
-        const s = (this.timer % 60).toString().padStart(2, '0');
+        // Without a countdown the clock shows the time played
+        if (this.engine.timer === null) {
+            this.timerEl.textContent = formatPlayTime(this.engine.elapsed);
+            this.timerEl.style.color = 'var(--text-primary)';
+            return;
+        }
+
+        const m = Math.floor(this.engine.timer / 60).toString().padStart(2, '0');
+        const s = (this.engine.timer % 60).toString().padStart(2, '0');
         this.timerEl.textContent = `${m}:${s}`;
 
         // Critical time warning
-        if (this.timer <= 10) {
+        if (this.engine.timer <= 10) {
             this.timerEl.style.color = 'var(--brand-red)';
         } else {
             this.timerEl.style.color = 'var(--text-primary)';
         }
     }
 
+    // Head-to-head against the bot: final scores, then who found what
+    renderVersus() {
+        const { player, shared, bot } = compareWords([...this.engine.foundWords], this.bot.found);
+        const list = (words, type) => words.length
+            ? words.map(w => `<span class="word-tag ${type}" data-word="${w}">${w}</span>`).join('')
+            : `<span class="more-count">${t('words.none')}</span>`;
+
+        return `<h3>${t('versus.score', { player: this.engine.score, bot: this.botScore(), level: t(`bot.${this.bot.level}`) })}</h3>
+            <div class="missed-group">
+                <h4>${t('versus.player', { count: player.length })}</h4>
+                <div class="missed-list">${list(player, 'found')}</div>
+            </div>
+            <div class="missed-group">
+                <h4>${t('versus.shared', { count: shared.length })}</h4>
+                <div class="missed-list">${list(shared, 'versus-shared')}</div>
+            </div>
+            <div class="missed-group">
+                <h4>${t('versus.bot', { count: bot.length })}</h4>
+                <div class="missed-list">${list(bot, 'versus-bot')}</div>
+            </div>`;
+    }
+
     endGame() {
-        clearInterval(this.timerInterval);
-        this.isGameActive = false;
-        this.finalScoreEl.textContent = this.score;
-        this.gameOverModal.classList.add('visible');
+        clearSession();
+        this.hideAddWord();
+        if (this.bot) this.updateBot();
 
         // Save High Score
-        this.saveScore(this.score);
+        this.recordStats();
+        this.saveScore(this.engine.score);
+        this.transport.gameFinished({ words: [...this.engine.foundWords], score: this.engine.score });
+
+        // Online rounds wait for the server's merged results
+        if (this.mode === 'online') {
+            document.getElementById('online-results-status').textContent = t('online.waitingPlayers');
+            document.getElementById('online-results-body').innerHTML = '';
+            document.getElementById('online-results-words').innerHTML = '';
+            document.getElementById('online-results-modal').classList.add('visible');
+            return;
+        }
 
-        // Solve grid and show missed words
-        const allPossibleWords = this.solveGrid();
-        const missedWords = allPossibleWords.filter(word => !this.foundWords.has(word));
+        // Party turns hand over to the next player instead of the game-over screen
+        if (this.mode === 'party') {
+            this.finishPartyTurn();
+            return;
+        }
+
+        const result = describeResult(this.engine);
+        document.getElementById('game-over-title').textContent = result.title;
+        const summaryEl = document.getElementById('mode-summary');
+        summaryEl.textContent = result.summary;
+        summaryEl.hidden = !result.summary;
+        this.finalScoreEl.textContent = this.engine.score;
+        const hintEl = document.getElementById('hint-summary');
+        hintEl.textContent = t('hint.summary', { count: this.engine.hints.length, cost: this.engine.hintCostTotal });
+        hintEl.hidden = this.engine.hints.length === 0;
+        this.gameOverModal.classList.add('visible');
+
+        // Found words, then missed ones from the solution cached at generation time,
+        // longest (and so highest scoring) first. Any word can be tapped for its definition.
+        const foundWords = [...this.engine.foundWords].sort((a, b) => b.length - a.length);
+        const missedWords = this.engine.solution
+            .filter(word => !this.engine.foundWords.has(word))
+            .sort((a, b) => b.length - a.length || a.localeCompare(b, locale()));
 
         let missedContainer = document.getElementById('missed-words-container');
         if (!missedContainer) {
@@ -601,66 +2167,47 @@ class BoggleGame {
             this.finalScoreEl.parentNode.appendChild(missedContainer);
         }
 
-        // Show top 30 missed words to avoid overflow, or scrollable
+        // Cap the missed list to avoid overflow; the shortest words are the ones dropped
         const displayLimit = 50;
-        const shownWords = missedWords.sort((a, b) => b.length - a.length).slice(0, displayLimit);
-
-        let html = `<h3>Kaçırılan Kelimeler (${missedWords.length})</h3>`;
-        html += `<div class="missed-list">
-            ${shownWords.map(w => `<span class="word-tag missed">${w}</span>`).join('')}
-            ${missedWords.length > displayLimit ? `<span class="more-count">+${missedWords.length - displayLimit} daha...</span>` : ''}
-        </div>`;
-
-        missedContainer.innerHTML = html;
-    }
-
-    solveGrid() {
-        const found = new Set();
-        const visited = Array(this.gridSize).fill(null).map(() => Array(this.gridSize).fill(false));
-
-        for (let r = 0; r < this.gridSize; r++) {
-            for (let c = 0; c < this.gridSize; c++) {
-                this.recursivelyFind(r, c, "", visited, found);
-            }
+        const shownWords = missedWords.slice(0, displayLimit);
+        const groups = new Map();
+        shownWords.forEach(word => {
+            if (!groups.has(word.length)) groups.set(word.length, []);
+            groups.get(word.length).push(word);
+        });
+        const tag = (word, type, root = null) =>
+            `<span class="word-tag ${type}" data-word="${word}">${word}${root ? ` <small class="word-root">${root}</small>` : ''}</span>`;
+
+        let html = '';
+        if (this.bot) html += this.renderVersus();
+        if (this.engine.targets.length > 0) {
+            html += `<h3>${t('gameOver.targets', { found: this.engine.targetsFound.length, total: this.engine.targets.length })}</h3>`;
+            html += `<div class="missed-list">${this.engine.targets
+                .map(w => tag(w, this.engine.foundWords.has(w) ? 'found' : 'missed')).join('')}</div>`;
         }
-        return Array.from(found);
-    }
-
-    recursivelyFind(r, c, currentPrefix, visited, found) {
-        // Bounds check
-        if (r < 0 || r >= this.gridSize || c < 0 || c >= this.gridSize) return;
-        if (visited[r][c]) return;
-
-        let char = this.grid[r][c];
-        const nextPrefix = currentPrefix + char;
-
-        // Optimization: check if any word starts with this prefix?
-        // Since we have a flat list, this might be slow without a Trie.
-        // For a small dictionary (demo size) it's fine. For full dictionary we need Trie.
-        // Let's do a simple check: is there ANY word in commonWords starting with nextPrefix?
-        // Actually, with the small list provided, we can just check directly or iterate.
-        // Given constraint: "commonWords" is global.
-
-        // Check if prefix is valid start of any word
-        // Optimization for performance:
-        const potential = typeof commonWords !== 'undefined' && commonWords.some(w => w.startsWith(nextPrefix));
-        if (!potential) return;
-
-        visited[r][c] = true;
-
-        if (nextPrefix.length >= 3 && commonWords.includes(nextPrefix)) {
-            found.add(nextPrefix);
+        if (foundWords.length > 0) {
+            html += `<h3>${t('gameOver.found', { count: foundWords.length })}</h3>`;
+            // Inflected words carry their root
+            html += `<div class="missed-list">${foundWords.map(w => tag(w, 'found', this.engine.dictionary.rootOf(w))).join('')}</div>`;
         }
-
-        // Neighbors
-        for (let dr = -1; dr <= 1; dr++) {
-            for (let dc = -1; dc <= 1; dc++) {
-                if (dr === 0 && dc === 0) continue;
-                this.recursivelyFind(r + dr, c + dc, nextPrefix, visited, found);
-            }
+        html += `<h3>${t('gameOver.missed', { count: missedWords.length })}</h3>`;
+        groups.forEach((words, length) => {
+            html += `<div class="missed-group">
+                <h4>${t('rules.letters', { length })} <span>${t('count.pointsLower', { count: this.getScore(words[0]) })}</span></h4>
+                <div class="missed-list">${words.map(w => tag(w, 'missed')).join('')}</div>
+            </div>`;
+        });
+        if (missedWords.length > displayLimit) {
+            html += `<span class="more-count">${t('gameOver.more', { count: missedWords.length - displayLimit })}</span>`;
         }
 
-        visited[r][c] = false;
+        missedContainer.innerHTML = html;
+        this.hideDefinition();
+        this.renderReplay();
+
+        if (this.mode === 'daily') {
+            this.showDailyResult(this.recordDailyProgress(true));
+        }
     }
 }
 
@@ -0,0 +1,80 @@
+// Seedable randomness and shareable game codes.
+// A board is fully determined by its seed, grid size, difficulty and language, so two
+// players with the same code (or link) roll identical dice.
+
+// Unambiguous characters only: no 0/O, 1/I/L
+const SEED_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 6;
+
+// FNV-1a hash, turns a seed string into a 32-bit integer
+function hashSeed(seed) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        h ^= seed.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for dice
+function createRng(seed) {
+    let a = hashSeed(String(seed));
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET.charAt(Math.floor(Math.random() * SEED_ALPHABET.length));
+    }
+    return seed;
+}
+
+// Fisher-Yates; unlike sort(() => Math.random() - 0.5) this is unbiased and
+// gives the same order in every browser for the same rng
+function shuffle(items, rng) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Game codes look like "K3X9QZ-5": seed, then grid size, then the difficulty
+// letter ("K3X9QZ-5Z"; the default difficulty has none), P for boards with
+// power-up tiles ("K3X9QZ-5ZP") and the code of the board's language pack
+// ("K3X9QZ-5ZPE"; the default language has none)
+const POWERUPS_CODE = 'P';
+
+function encodeGameCode(seed, size, difficulty = DEFAULT_DIFFICULTY, powerups = false, language = DEFAULT_LANGUAGE) {
+    return `${seed}-${size}${DIFFICULTY_LEVELS[difficulty].code}${powerups ? POWERUPS_CODE : ''}${getLanguagePack(language).code}`;
+}
+
+// Returns { seed, size, difficulty, powerups, language } or null for malformed input
+function parseGameCode(code) {
+    const match = /^([A-Z0-9]{4,12})-(\d)([A-Z]*)$/.exec(code.trim().toUpperCase());
+    if (!match) return null;
+    const size = parseInt(match[2]);
+
+    // The suffix is read from the end: language, then power-ups, then difficulty
+    let suffix = match[3];
+    const language = Object.keys(LANGUAGE_PACKS).find(id => {
+        const packCode = LANGUAGE_PACKS[id].code;
+        return packCode && suffix.endsWith(packCode);
+    }) || DEFAULT_LANGUAGE;
+    suffix = suffix.slice(0, suffix.length - LANGUAGE_PACKS[language].code.length);
+    const powerups = suffix.endsWith(POWERUPS_CODE);
+    if (powerups) suffix = suffix.slice(0, -POWERUPS_CODE.length);
+
+    const difficulty = Object.keys(DIFFICULTY_LEVELS).find(id => DIFFICULTY_LEVELS[id].code === suffix);
+    if (!GRID_SIZES.includes(size) || !difficulty) return null;
+    return { seed: match[1], size, difficulty, powerups, language };
+}
+
+if (typeof module !== 'undefined') module.exports = { hashSeed, createRng, randomSeed, shuffle, encodeGameCode, parseGameCode };
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+// Minimal WebSocket room server for online play.
+//
+// No dependencies: it speaks just enough RFC 6455 (unfragmented text frames,
+// ping/pong and close) for the game's JSON messages, and also serves the
+// game's static files so the whole flow runs from a single port:
+//
+//   node server/room-server.js [port]      (default 8080)
+//   open http://localhost:8080 in several browsers
+//
+// Protocol (JSON text frames):
+//   -> { type: 'join', room, name }           <- { type: 'joined', room, id }
+//                                              <- { type: 'players', hostId, players: [{ id, name }] }
+//   -> { type: 'start', size, rules, language } (host only, rules as in rules.js)
+//                                              <- { type: 'start', seed, size, rules, language, grid, words, paths, startsIn }
+//   -> { type: 'word', word }                  (each accepted word, as it is found)
+//   -> { type: 'finish', words }               (local timer ran out)
+//                                              <- { type: 'results', players: [{ id, name, words }] }
+//                                              <- { type: 'error', code, message }
+//
+// Error `code`s are worded by each client in its own language (t(`server.${code}`));
+// `message` is a Turkish fallback.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = parseInt(process.argv[2]) || 8080;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const START_DELAY = 4000; // ms, covers the client's 3-2-1-BAŞLA countdown
+const FINISH_GRACE = 3000; // ms to wait for late 'finish' messages
+const MAX_PLAYERS = 8;
+const MAX_FRAME_BYTES = 64 * 1024; // far above any game message; larger frames close the connection
+
+// Board generation shares the browser code, loaded as classic scripts into one context
+const boardContext = vm.createContext({ console });
+[
+    'dictionary.js', 'dictionary-en.js', 'word-index.js', 'i18n.js', 'seed.js', 'rules.js', 'difficulty.js', 'board.js',
+    'morphology.js', 'lang-tr.js', 'lang-en.js'
+].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), boardContext, { filename: file });
+});
+const {
+    generateBoard, randomSeed, languageDictionary, GRID_SIZES, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY, LANGUAGE_PACKS, DEFAULT_LANGUAGE
+} = vm.runInContext(
+    '({ generateBoard, randomSeed, languageDictionary, GRID_SIZES, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY, LANGUAGE_PACKS, DEFAULT_LANGUAGE })',
+    boardContext);
+
+// --- WebSocket framing ---
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of `buffer`; returns { frames, rest },
+// or { frames, tooLarge: true } once a frame declares more than MAX_FRAME_BYTES
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > MAX_FRAME_BYTES) return { frames, tooLarge: true };
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+        cursor += maskLength;
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode, payload });
+        offset = cursor + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// --- Rooms ---
+
+const rooms = new Map();
+let nextClientId = 1;
+
+function send(client, message) {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+function sendError(client, code, message) {
+    send(client, { type: 'error', code, message });
+}
+
+function broadcast(room, message) {
+    room.clients.forEach(client => send(client, message));
+}
+
+function broadcastPlayers(room) {
+    broadcast(room, {
+        type: 'players',
+        hostId: room.hostId,
+        players: [...room.clients.values()].map(c => ({ id: c.id, name: c.name }))
+    });
+}
+
+function uniqueName(room, name) {
+    const taken = new Set([...room.clients.values()].map(c => c.name));
+    let candidate = name;
+    for (let i = 2; taken.has(candidate); i++) candidate = `${name} ${i}`;
+    return candidate;
+}
+
+function handleJoin(client, msg) {
+    const code = String(msg.room || '').trim().toUpperCase().slice(0, 12);
+    const name = String(msg.name || '').trim().slice(0, 12);
+    if (!code || !name) return sendError(client, 'missingRoom', 'Oda kodu ve isim gerekli.');
+    if (client.room) return sendError(client, 'alreadyInRoom', 'Zaten bir odadasın.');
+
+    let room = rooms.get(code);
+    if (!room) {
+        room = { code, clients: new Map(), hostId: client.id, round: null };
+        rooms.set(code, room);
+    }
+    if (room.round) return sendError(client, 'roundInProgress', 'Bu odada oyun devam ediyor.');
+    if (room.clients.size >= MAX_PLAYERS) return sendError(client, 'roomFull', 'Oda dolu.');
+
+    client.name = uniqueName(room, name);
+    client.room = room;
+    room.clients.set(client.id, client);
+
+    send(client, { type: 'joined', room: code, id: client.id });
+    broadcastPlayers(room);
+}
+
+function handleStart(client, msg) {
+    const room = client.room;
+    if (!room || room.hostId !== client.id) return sendError(client, 'notHost', 'Sadece oda sahibi başlatabilir.');
+    if (room.round) return;
+
+    const size = GRID_SIZES.includes(msg.size) ? msg.size : 4;
+    const rules = msg.rules && typeof msg.rules === 'object' ? msg.rules : {};
+    const duration = Math.min(600, Math.max(15, parseInt(rules.duration) || 45));
+    const difficulty = DIFFICULTY_LEVELS[msg.difficulty] ? msg.difficulty : DEFAULT_DIFFICULTY;
+    const powerups = msg.powerups === true;
+    const language = LANGUAGE_PACKS[msg.language] ? msg.language : DEFAULT_LANGUAGE;
+    const seed = randomSeed();
+    const { grid, tiles, words, paths, rating } = generateBoard(size, difficulty, languageDictionary(language), seed, powerups, language);
+
+    room.round = { solution: new Set(words) };
+    room.clients.forEach(c => {
+        c.words = new Set();
+        c.finished = false;
+    });
+    room.round.timeout = setTimeout(() => finishRound(room), START_DELAY + duration * 1000 + FINISH_GRACE);
+
+    // Clients normalize the rest of the rules; the server only needs the clock
+    broadcast(room, {
+        type: 'start', seed, size, difficulty, powerups, language, rules: { ...rules, duration }, grid, tiles, words, paths, rating, startsIn: START_DELAY
+    });
+}
+
+// Only words that are really on the board count, whatever the client claims
+function acceptWords(client, words) {
+    const round = client.room && client.room.round;
+    if (!round || !Array.isArray(words)) return;
+    words.forEach(word => {
+        if (round.solution.has(word)) client.words.add(word);
+    });
+}
+
+function handleFinish(client, msg) {
+    const room = client.room;
+    if (!room || !room.round) return;
+    acceptWords(client, msg.words);
+    client.finished = true;
+    if ([...room.clients.values()].every(c => c.finished)) finishRound(room);
+}
+
+function finishRound(room) {
+    if (!room.round) return;
+    clearTimeout(room.round.timeout);
+    room.round = null;
+
+    broadcast(room, {
+        type: 'results',
+        players: [...room.clients.values()].map(c => ({ id: c.id, name: c.name, words: [...(c.words || [])] }))
+    });
+}
+
+function handleLeave(client) {
+    const room = client.room;
+    if (!room) return;
+    client.room = null;
+    room.clients.delete(client.id);
+
+    if (room.clients.size === 0) {
+        if (room.round) clearTimeout(room.round.timeout);
+        rooms.delete(room.code);
+        return;
+    }
+    if (room.hostId === client.id) room.hostId = room.clients.keys().next().value;
+    broadcastPlayers(room);
+
+    if (room.round && [...room.clients.values()].every(c => c.finished)) finishRound(room);
+}
+
+function handleMessage(client, text) {
+    let msg;
+    try {
+        msg = JSON.parse(text);
+    } catch (e) {
+        msg = null;
+    }
+    // Valid JSON is not enough: `null`, numbers and arrays are not messages either
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return sendError(client, 'badMessage', 'Geçersiz mesaj.');
+
+    if (msg.type === 'join') handleJoin(client, msg);
+    else if (msg.type === 'start') handleStart(client, msg);
+    else if (msg.type === 'word') acceptWords(client, [msg.word]);
+    else if (msg.type === 'finish') handleFinish(client, msg);
+    else sendError(client, 'unknownMessage', `Bilinmeyen mesaj: ${msg.type}`);
+}
+
+// --- HTTP: upgrade to WebSocket, otherwise serve the game ---
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.woff2': 'font/woff2',
+    '.webmanifest': 'application/manifest+json'
+};
+
+const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep) || filePath.includes(`${path.sep}server${path.sep}`)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = { id: nextClientId++, socket, name: null, room: null, words: new Set(), finished: false };
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+        if (socket.writableEnded) return; // closing after an oversized frame
+        const { frames, rest, tooLarge } = decodeFrames(Buffer.concat([pending, chunk]));
+        // A frame's header arrives with its first bytes, so `pending` never outgrows one frame
+        if (tooLarge) {
+            socket.end(encodeFrame('', 0x8));
+            return;
+        }
+        pending = rest;
+
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x1) {
+                handleMessage(client, payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload.toString('utf8'), 0xA));
+            }
+        });
+    });
+
+    socket.on('close', () => handleLeave(client));
+    socket.on('error', () => socket.destroy());
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Özge Party room server on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { MAX_FRAME_BYTES, server, encodeFrame, decodeFrames };
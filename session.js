@@ -0,0 +1,30 @@
+// Crash-safe persistence of the game in progress.
+// The game writes a snapshot on every tick and accepted word; on the next page
+// load a snapshot means a round was cut short and can be resumed exactly.
+
+const SESSION_KEY = 'boggle_active_game';
+const SESSION_VERSION = 1;
+
+function saveSession(snapshot) {
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify({ version: SESSION_VERSION, ...snapshot }));
+    } catch (e) {
+        // Storage full or disabled: the game still plays, it just can't be resumed
+    }
+}
+
+// Returns the saved snapshot, or null if there is none or it is from an older layout
+function loadSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+        // Modes without a countdown save a null timer
+        const running = session && (session.timer === null || session.timer > 0);
+        return running && session.version === SESSION_VERSION ? session : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+}
@@ -0,0 +1,107 @@
+// "Paylaş": the game-over result as a PNG card for group chats. The card is
+// drawn on a canvas in the page, with the Inter copy that ships with the game
+// (style-fonts.css), so it works offline and nothing leaves the device until
+// the player shares it.
+
+const SHARE_CARD_SIZE = 1080; // square, as chat apps crop least
+const SHARE_CARD_FONT = "'Inter', system-ui, -apple-system, sans-serif";
+const SHARE_CARD_COLORS = {
+    background: '#141414',
+    text: '#ffffff',
+    muted: '#b3b3b3',
+    brand: '#E50914',
+    die: '#f5f5f5',
+    dieText: '#141414'
+};
+
+// The longest found word, ties broken alphabetically; null if none was found
+function longestWord(words) {
+    return [...words].sort((a, b) => b.length - a.length || a.localeCompare(b, getLanguagePack().locale))[0] || null;
+}
+
+// What the card shows about the finished game
+function shareCardData(engine, nickname) {
+    return {
+        nickname,
+        grid: engine.grid,
+        score: engine.score,
+        found: engine.foundWords.size,
+        possible: engine.solution.length,
+        longest: longestWord(engine.foundWords)
+    };
+}
+
+// Draws `card` (see shareCardData) onto a SHARE_CARD_SIZE square 2D context
+function drawShareCard(ctx, card) {
+    const size = SHARE_CARD_SIZE;
+    const font = (weight, px) => `${weight} ${px}px ${SHARE_CARD_FONT}`;
+    const text = (value, x, y, color, weight, px) => {
+        ctx.font = font(weight, px);
+        ctx.fillStyle = color;
+        ctx.fillText(value, x, y);
+    };
+
+    ctx.fillStyle = SHARE_CARD_COLORS.background;
+    ctx.fillRect(0, 0, size, size);
+    ctx.textBaseline = 'middle';
+
+    // Logo as on the menu: KELİME in white, BULAMAMA in red, centred together
+    ctx.textAlign = 'left';
+    ctx.font = font(800, 64);
+    const first = 'KELİME ';
+    const second = 'BULAMAMA';
+    const left = (size - ctx.measureText(first + second).width) / 2;
+    text(first, left, 90, SHARE_CARD_COLORS.text, 800, 64);
+    text(second, left + ctx.measureText(first).width, 90, SHARE_CARD_COLORS.brand, 800, 64);
+
+    ctx.textAlign = 'center';
+    if (card.nickname) text(card.nickname, size / 2, 160, SHARE_CARD_COLORS.muted, 600, 40);
+
+    // The board, dice as rounded squares
+    const boardSize = 560;
+    const gap = 12;
+    const cells = card.grid.length;
+    const cell = (boardSize - gap * (cells - 1)) / cells;
+    const top = 210;
+    const boardLeft = (size - boardSize) / 2;
+    card.grid.forEach((row, r) => row.forEach((letter, c) => {
+        const x = boardLeft + c * (cell + gap);
+        const y = top + r * (cell + gap);
+        ctx.fillStyle = SHARE_CARD_COLORS.die;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(x, y, cell, cell, cell * 0.12);
+        else ctx.rect(x, y, cell, cell);
+        ctx.fill();
+        text(displayLetters(letter), x + cell / 2, y + cell / 2, SHARE_CARD_COLORS.dieText, 800, Math.round(cell * 0.5));
+    }));
+
+    const below = top + boardSize;
+    text(t('gameOver.total'), size / 2, below + 60, SHARE_CARD_COLORS.muted, 600, 32);
+    text(String(card.score), size / 2, below + 130, SHARE_CARD_COLORS.brand, 800, 96);
+    text(t('share.cardWords', { found: card.found, possible: card.possible }), size / 2, below + 210,
+        SHARE_CARD_COLORS.text, 600, 40);
+    text(`${t('stats.longestWord')}: ${card.longest || '-'}`, size / 2, below + 270, SHARE_CARD_COLORS.muted, 600, 36);
+}
+
+// Resolves to the card as a PNG blob. Canvas text does not load web fonts by
+// itself, so Inter is loaded first, for the card's own text as Inter comes in
+// subsets (İ, Ş and Ğ are not in the Latin one); without it the fallback fonts are used.
+function renderShareCard(card) {
+    const canvas = document.createElement('canvas');
+    canvas.width = SHARE_CARD_SIZE;
+    canvas.height = SHARE_CARD_SIZE;
+    const sample = ['KELİME BULAMAMA', card.nickname, ...card.grid.flat(), card.longest].filter(Boolean).join(' ');
+    const fontsReady = document.fonts
+        ? Promise.all([600, 800].map(weight => document.fonts.load(`${weight} 40px Inter`, sample))).catch(() => {})
+        : Promise.resolve();
+    return fontsReady.then(() => {
+        drawShareCard(canvas.getContext('2d'), card);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+        });
+    });
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SHARE_CARD_SIZE, longestWord, shareCardData, drawShareCard, renderShareCard };
+}
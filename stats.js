@@ -0,0 +1,230 @@
+// Long-term personal statistics.
+//
+// Every finished game leaves a compact StatsRecord under its own key; unlike
+// the history in scores.js it keeps no board, so it isn't trimmed to
+// MAX_HISTORY and can cover years of play:
+//
+//   { id, timestamp, nickname, size, mode, score, played, words, rejections }
+//
+// `played` is seconds of play and `rejections` counts rejected submissions by
+// reason (null for games recorded before rejections were tracked).
+// Charts are plain SVG strings so nothing here touches the DOM.
+
+const STATS_STORAGE_KEY = 'boggle_stats';
+const STATS_VERSION = 1;
+const MAX_STATS_RECORDS = 5000;
+const EXPORT_TYPE = 'kelime-bulamama-istatistik';
+const TREND_LENGTH = 30;
+
+function loadStats(store) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+        if (stored && stored.version === STATS_VERSION && Array.isArray(stored.records)) return stored;
+    } catch (e) {
+        // Corrupt entry: rebuilt from the history below
+    }
+    // First run: start from what the game history still remembers
+    return { version: STATS_VERSION, records: statsFromHistory(store.games) };
+}
+
+// Returns false when storage is full or disabled
+function saveStats(stats) {
+    try {
+        localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function statsFromHistory(games) {
+    return games.filter(g => g.size).map(g => ({
+        id: g.id,
+        timestamp: g.timestamp,
+        nickname: g.nickname,
+        size: g.size,
+        mode: g.mode,
+        score: g.score,
+        played: g.duration,
+        words: g.words,
+        rejections: null
+    }));
+}
+
+// Stray single taps released by a drag are not counted as rejections
+function countRejections(submissions) {
+    const rejections = { duplicate: 0, tooShort: 0, unknown: 0 };
+    submissions.forEach(s => {
+        if (s.outcome !== 'accepted' && !(s.outcome === 'tooShort' && s.auto)) rejections[s.outcome]++;
+    });
+    return rejections;
+}
+
+// Merges records by id, newest first; used for new games and imports alike
+function mergeRecords(existing, incoming, limit) {
+    const byId = new Map(existing.map(record => [record.id, record]));
+    incoming.forEach(record => byId.set(record.id, record));
+    return [...byId.values()].sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+}
+
+function addStatsRecord(stats, record) {
+    stats.records = mergeRecords(stats.records, [record], MAX_STATS_RECORDS);
+    return saveStats(stats);
+}
+
+function computeStats(records) {
+    const bySize = {};
+    const wordCounts = new Map();
+    let totalWords = 0;
+    let totalSeconds = 0;
+    let rejected = 0;
+    let judged = 0;
+    let longestWord = null;
+
+    records.forEach(record => {
+        const size = bySize[record.size] || (bySize[record.size] = { played: 0, total: 0, best: 0 });
+        size.played++;
+        size.total += record.score;
+        size.best = Math.max(size.best, record.score);
+
+        totalWords += record.words.length;
+        totalSeconds += record.played || 0;
+        record.words.forEach(word => {
+            wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+            if (!longestWord || word.length > longestWord.length) longestWord = word;
+        });
+
+        if (record.rejections) {
+            const count = Object.values(record.rejections).reduce((sum, n) => sum + n, 0);
+            rejected += count;
+            judged += count + record.words.length;
+        }
+    });
+
+    Object.values(bySize).forEach(size => {
+        size.average = Math.round(size.total / size.played);
+    });
+
+    return {
+        played: records.length,
+        bySize,
+        wordsPerMinute: totalSeconds ? totalWords / (totalSeconds / 60) : 0,
+        longestWord,
+        topWords: [...wordCounts]
+            .map(([word, count]) => ({ word, count }))
+            .sort((a, b) => b.count - a.count || b.word.length - a.word.length || a.word.localeCompare(b.word, getLanguagePack().locale))
+            .slice(0, 10),
+        rejectionRate: judged ? rejected / judged : null,
+        // Oldest first, for the chart
+        trend: records.slice(0, TREND_LENGTH).reverse().map(r => r.score)
+    };
+}
+
+// --- Charts ---
+
+// Score trend as a line with a dot per game
+function lineChartSvg(values, width = 210, height = 80) {
+    if (values.length === 0) return '';
+    const pad = 6;
+    const max = Math.max(...values, 1);
+    const step = values.length > 1 ? (width - pad * 2) / (values.length - 1) : 0;
+    const points = values.map((value, i) => [
+        Math.round(pad + i * step),
+        Math.round(height - pad - (value / max) * (height - pad * 2))
+    ]);
+
+    return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+        <polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="currentColor" stroke-width="2"/>
+        ${points.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="2.5"/>`).join('')}
+    </svg>`;
+}
+
+// Horizontal bars for [{ label, value }]; labels are escaped by the caller
+function barChartSvg(bars, width = 210, labelWidth = 70) {
+    if (bars.length === 0) return '';
+    const barHeight = 16;
+    const gap = 6;
+    const max = Math.max(...bars.map(b => b.value), 1);
+    const height = bars.length * (barHeight + gap) - gap;
+
+    return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+        ${bars.map((bar, i) => {
+            const y = i * (barHeight + gap);
+            const barWidth = Math.max(2, Math.round((bar.value / max) * (width - labelWidth - 30)));
+            return `<text x="0" y="${y + 12}">${bar.label}</text>
+                <rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3"/>
+                <text x="${labelWidth + barWidth + 4}" y="${y + 12}">${bar.value}</text>`;
+        }).join('')}
+    </svg>`;
+}
+
+// --- Export / import ---
+
+function exportStats(stats, store) {
+    return JSON.stringify({
+        type: EXPORT_TYPE,
+        version: STATS_VERSION,
+        exportedAt: new Date().toISOString(),
+        records: stats.records,
+        games: store.games
+    }, null, 2);
+}
+
+// Imported files are untrusted and their fields end up in the page, so records
+// and games are only taken in the shape the game itself writes them
+const isString = value => typeof value === 'string';
+const isCount = value => Number.isInteger(value) && value >= 0;
+const optional = (value, check) => value === undefined || value === null || check(value);
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isOneOf = (value, table) => isString(value) && Object.keys(table).includes(value);
+
+function isStatsRecord(r) {
+    return isPlainObject(r) && isString(r.id) && Number.isFinite(r.timestamp) && Number.isFinite(r.score) &&
+        Array.isArray(r.words) && r.words.every(isString) &&
+        optional(r.nickname, isString) && optional(r.size, size => Number.isInteger(size) && size > 0) &&
+        optional(r.mode, isString) && optional(r.played, isCount) && optional(r.date, isString) &&
+        optional(r.rejections, rejections => isPlainObject(rejections) && Object.values(rejections).every(isCount));
+}
+
+// Games also carry their board (`size` rows of `size` single letters) and the
+// settings it was played under, which name difficulty levels, rule presets,
+// tile types and bot levels the game knows
+function isGameRecord(g) {
+    return isStatsRecord(g) && optional(g.seed, isString) && optional(g.language, isString) &&
+        optional(g.difficulty, difficulty => isPlainObject(difficulty) && isOneOf(difficulty.level, DIFFICULTY_LEVELS) &&
+            Number.isFinite(difficulty.score)) &&
+        optional(g.rules, rules => isPlainObject(rules) && isOneOf(rules.preset, RULE_PRESETS) &&
+            isOneOf(rules.scoring, SCORING_SCHEMES) && isCount(rules.duration) && isCount(rules.minLength)) &&
+        optional(g.tiles, tiles => Array.isArray(tiles) && tiles.every(tile => isPlainObject(tile) &&
+            isCount(tile.r) && isCount(tile.c) && TILE_TYPES.includes(tile.type))) &&
+        optional(g.bot, bot => isPlainObject(bot) && isOneOf(bot.level, BOT_LEVELS) && Number.isFinite(bot.score) &&
+            Array.isArray(bot.words) && bot.words.every(isString)) &&
+        optional(g.maxScore, Number.isFinite) && optional(g.hints, isCount) &&
+        optional(g.grid, grid => Array.isArray(grid) && grid.length === g.size && grid.every(row =>
+            Array.isArray(row) && row.length === g.size && row.every(ch => isString(ch) && [...ch].length === 1))) &&
+        optional(g.hunt, hunt => isPlainObject(hunt) && isCount(hunt.found) &&
+            Array.isArray(hunt.targets) && hunt.targets.every(isString));
+}
+
+// Returns { records, games } from an export file, or null if it isn't one
+function parseStatsExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    if (!data || data.type !== EXPORT_TYPE || !Array.isArray(data.records)) return null;
+
+    return {
+        records: data.records.filter(isStatsRecord),
+        games: Array.isArray(data.games) ? data.games.filter(isGameRecord) : []
+    };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        STATS_STORAGE_KEY, MAX_STATS_RECORDS, loadStats, saveStats, statsFromHistory, countRejections,
+        mergeRecords, addStatsRecord, computeStats, lineChartSvg, barChartSvg, exportStats, parseStatsExport
+    };
+}
@@ -0,0 +1,98 @@
+// Service worker: keeps the whole game available offline.
+//
+// Every file the game needs is precached into a cache named after
+// CACHE_VERSION and served cache-first. Bump CACHE_VERSION with every release
+// (a new dictionary, new scripts): browsers notice the changed sw.js, the new
+// worker downloads everything fresh into its own cache, and once the player
+// accepts the update (see BoggleGame.registerServiceWorker) the old cache is
+// deleted.
+
+const CACHE_VERSION = 'v18';
+const CACHE_NAME = `kelime-bulamama-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'bg.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'style.css',
+    'style-fonts.css',
+    'fonts/Inter-Latin.woff2',
+    'fonts/Inter-LatinExt.woff2',
+    'style-missed.css',
+    'style-menu.css',
+    'style-sidebar.css',
+    'style-countdown.css',
+    'style-daily.css',
+    'style-party.css',
+    'style-online.css',
+    'style-dictionary.css',
+    'style-replay.css',
+    'style-stats.css',
+    'style-tiles.css',
+    'style-modes.css',
+    'style-bot.css',
+    'style-hints.css',
+    'dictionary.js',
+    'dictionary-en.js',
+    'definitions.js',
+    'word-index.js',
+    'i18n.js',
+    'seed.js',
+    'difficulty.js',
+    'board.js',
+    'morphology.js',
+    'lang-tr.js',
+    'lang-en.js',
+    'board-service.js',
+    'board-worker.js',
+    'emitter.js',
+    'daily.js',
+    'scores.js',
+    'stats.js',
+    'custom-dictionary.js',
+    'party.js',
+    'transport.js',
+    'rules.js',
+    'modes.js',
+    'bot.js',
+    'engine.js',
+    'keyboard.js',
+    'session.js',
+    'replay.js',
+    'share-card.js',
+    'script.js'
+];
+
+self.addEventListener('install', (event) => {
+    // `reload` skips the HTTP cache so a new version never precaches stale files
+    const fresh = url => new Request(url, { cache: 'reload' });
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(fresh))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('kelime-bulamama-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page asks the waiting worker to take over once the player agrees
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Shared links carry the game in the query string; they all open the same page
+    const lookup = request.mode === 'navigate'
+        ? caches.match('index.html')
+        : caches.match(request, { ignoreSearch: true });
+    event.respondWith(lookup.then(cached => cached || fetch(request)));
+});
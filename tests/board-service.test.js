@@ -0,0 +1,27 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+// Node has no Worker, so the service starts on the main thread
+describe('BoardService', () => {
+    beforeEach(() => mock.method(console, 'warn', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it('rejects when the main thread cannot answer either', async () => {
+        const service = new BoardService();
+        assert.strictEqual(service.worker, null);
+        await assert.rejects(service.send({ type: 'generate' }, () => { throw new Error('boom'); }), /boom/);
+    });
+
+    it('answers on the main thread when the worker reports an error', async () => {
+        const service = new BoardService();
+        const sent = [];
+        service.worker = { postMessage: message => sent.push(message) };
+        const request = service.requestBoard(4, 'K3X9QZ');
+        service.handleMessage({ type: 'error', id: sent[0].id, message: 'out of memory' });
+        const { grid, words, paths } = await request;
+        assert.deepStrictEqual(grid, generateBoard(4, DEFAULT_DIFFICULTY, languageDictionary('tr'), 'K3X9QZ').grid);
+        assert.ok(words.length > 0);
+        assert.deepStrictEqual(Object.keys(paths).sort(), [...words].sort());
+    });
+});
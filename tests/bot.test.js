@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+describe('planBot', () => {
+    const index = WordIndex.fromWords(commonWords);
+    const { words } = generateBoard(5, 'orta', index, 'RAKIP');
+
+    it('is reproducible for a seed and draws from the solution', () => {
+        const plan = planBot(words, 'orta', 'RAKIP');
+        assert.deepStrictEqual(planBot(words, 'orta', 'RAKIP'), plan);
+        assert.strictEqual(plan.length, Math.round(words.length * BOT_LEVELS.orta.share));
+        plan.forEach(({ word }) => assert.ok(words.includes(word), word));
+        assert.strictEqual(new Set(plan.map(find => find.word)).size, plan.length);
+    });
+
+    it('finds words in time order', () => {
+        const plan = planBot(words, 'uzman', 'RAKIP');
+        plan.slice(1).forEach((find, i) => assert.ok(find.time > plan[i].time));
+        assert.deepStrictEqual(botFinds(plan, 0), []);
+        assert.deepStrictEqual(botFinds(plan, plan[1].time), [plan[0].word, plan[1].word]);
+    });
+
+    it('favours shorter, more common words on easy', () => {
+        const average = (plan, measure) => plan.reduce((sum, find) => sum + measure(find.word), 0) / plan.length;
+        const easy = planBot(words, 'kolay', 'RAKIP');
+        const expert = planBot(words, 'uzman', 'RAKIP');
+        assert.ok(average(easy, w => w.length) < average(expert, w => w.length));
+        assert.ok(average(easy, wordRarity) <= average(expert, wordRarity));
+        assert.ok(easy[easy.length - 1].time / easy.length > expert[expert.length - 1].time / expert.length);
+    });
+});
+
+describe('compareWords', () => {
+    it('splits the words into yours, both and the bot\'s', () => {
+        assert.deepStrictEqual(compareWords(['KAPI', 'ARA', 'KİTAP'], ['ARA', 'TAPI', 'İKİ']), {
+            player: ['KİTAP', 'KAPI'],
+            shared: ['ARA'],
+            bot: ['TAPI', 'İKİ']
+        });
+    });
+});
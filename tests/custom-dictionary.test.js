@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+describe('parseWordList', () => {
+    it('reads words, exclusions and comments', () => {
+        const text = '# liste\nkitap, elma  armut\n-bilg\n\nşeker # tatlı\n';
+        assert.deepStrictEqual(parseWordList(text), {
+            words: ['KİTAP', 'ELMA', 'ARMUT', 'ŞEKER'],
+            excluded: ['BİLG'],
+            skipped: 0
+        });
+    });
+
+    it('skips words that cannot appear on a board', () => {
+        const { words, skipped } = parseWordList('ev\nquiz\nkâğıt\n123');
+        assert.deepStrictEqual(words, ['KAĞIT']);
+        assert.strictEqual(skipped, 3);
+    });
+});
+
+describe('custom dictionary', () => {
+    const BASE = ['KAPI', 'BİLG', 'ELMA'];
+
+    it('applies imports, additions and exclusions to the base list', () => {
+        const custom = createCustomDictionary();
+        importWordList(custom, 'meyve.txt', 'armut\nkiraz\n-elma');
+        addCustomWord(custom, 'çilek');
+        excludeWord(custom, 'bilg');
+
+        assert.deepStrictEqual(buildWordList(BASE, custom).sort(), ['ARMUT', 'KAPI', 'KİRAZ', 'ÇİLEK'].sort());
+        assert.strictEqual(describeDictionary(custom, 4), 'Temel liste + meyve.txt + 1 eklenen + 2 çıkarılan · 4 kelime');
+    });
+
+    it('lets adding and reporting undo each other', () => {
+        const custom = createCustomDictionary();
+        excludeWord(custom, 'KAPI');
+        addCustomWord(custom, 'kapı');
+        assert.deepStrictEqual(custom, { imports: [], added: ['KAPI'], excluded: [] });
+        excludeWord(custom, 'KAPI');
+        assert.deepStrictEqual(custom, { imports: [], added: [], excluded: ['KAPI'] });
+    });
+
+    it('replaces a list imported again under the same name', () => {
+        const custom = createCustomDictionary();
+        importWordList(custom, 'a.txt', 'armut');
+        importWordList(custom, 'a.txt', 'kiraz');
+        assert.deepStrictEqual(custom.imports, [{ name: 'a.txt', words: ['KİRAZ'] }]);
+    });
+
+    it('exports a file that imports back to the same words', () => {
+        const custom = createCustomDictionary();
+        importWordList(custom, 'a.txt', 'armut kiraz');
+        addCustomWord(custom, 'çilek');
+        excludeWord(custom, 'bilg');
+
+        const reimported = createCustomDictionary();
+        importWordList(reimported, 'sozluk.txt', exportWordList(custom));
+        assert.deepStrictEqual(buildWordList(BASE, reimported).sort(), buildWordList(BASE, custom).sort());
+    });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+describe('definitions', () => {
+    it('are keyed by words of the base list', () => {
+        const words = new Set(commonWords);
+        assert.deepStrictEqual(Object.keys(definitions).filter(word => !words.has(word)), []);
+    });
+
+    it('start with a known word class', () => {
+        const invalid = Object.entries(definitions)
+            .filter(([, entry]) => !WORD_CLASSES[entry.split(' ')[0]])
+            .map(([word]) => word);
+        assert.deepStrictEqual(invalid, []);
+    });
+
+    it('are looked up in any case', () => {
+        assert.deepStrictEqual(lookupDefinition('kitap'), { wordClass: 'isim', text: 'Ciltlenmiş basılı yapıt.' });
+        assert.strictEqual(lookupDefinition('ıslak'), null);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+describe('rateBoard', () => {
+    const grid = [['A', 'R', 'A'], ['K', 'A', 'P'], ['I', 'T', 'E']];
+
+    it('counts words, classic points and lengths', () => {
+        const rating = rateBoard(grid, ['ARA', 'KAPI', 'KAPAK', 'ARAKAT']);
+        assert.strictEqual(rating.wordCount, 4);
+        assert.strictEqual(rating.maxPoints, 1 + 1 + 2 + 3);
+        assert.deepStrictEqual(rating.lengths, { 3: 1, 4: 1, 5: 1, 6: 1 });
+    });
+
+    it('rates a board with fewer words as harder', () => {
+        const many = rateBoard(grid, ['ARA', 'ARK', 'KAP', 'KAPI', 'APA', 'TEK', 'ATE', 'PAK', 'KAT']);
+        const few = rateBoard(grid, ['ARA', 'KAP']);
+        assert.ok(few.score > many.score);
+    });
+
+    it('rates rare letters as harder', () => {
+        const rare = [['J', 'Ğ', 'F'], ['Ö', 'V', 'C'], ['H', 'P', 'Ç']];
+        assert.ok(rateBoard(rare, []).score > rateBoard(grid, []).score);
+    });
+
+    it('places every score in exactly one level', () => {
+        assert.strictEqual(difficultyLevel(0), 'kolay');
+        assert.strictEqual(difficultyLevel(34), 'kolay');
+        assert.strictEqual(difficultyLevel(35), 'orta');
+        assert.strictEqual(difficultyLevel(50), 'zor');
+        assert.strictEqual(difficultyLevel(100), 'zor');
+    });
+});
+
+describe('generateBoard difficulty', () => {
+    const index = WordIndex.fromWords(commonWords);
+
+    Object.keys(DIFFICULTY_LEVELS).forEach(level => {
+        it(`targets the ${level} band`, () => {
+            const { grid, words, rating } = generateBoard(5, level, index, `BAND${level.toUpperCase()}`);
+            assert.strictEqual(rating.level, level);
+            assert.ok(words.length >= MIN_PLAYABLE_WORDS);
+            assert.deepStrictEqual(rating, rateBoard(grid, words));
+        });
+    });
+
+    it('reaches every band on the default 4x4 board without going under the word floor', () => {
+        Object.keys(DIFFICULTY_LEVELS).forEach(level => {
+            for (let i = 0; i < 4; i++) {
+                const { words, rating } = generateBoard(4, level, index, `FLOOR${i}${level.toUpperCase()}`);
+                assert.strictEqual(rating.level, level);
+                assert.ok(words.length >= MIN_PLAYABLE_WORDS, `${words.length} words`);
+            }
+        });
+    });
+});
+
+describe('game codes', () => {
+    it('round-trip the difficulty', () => {
+        Object.keys(DIFFICULTY_LEVELS).forEach(difficulty => {
+            assert.deepStrictEqual(parseGameCode(encodeGameCode('K3X9QZ', 5, difficulty)), { seed: 'K3X9QZ', size: 5, difficulty, powerups: false, language: 'tr' });
+        });
+    });
+
+    it('leave the default level out of the code', () => {
+        assert.strictEqual(encodeGameCode('K3X9QZ', 5), 'K3X9QZ-5');
+        assert.strictEqual(parseGameCode('k3x9qz-4z').difficulty, 'zor');
+        assert.strictEqual(parseGameCode('K3X9QZ-4Q'), null);
+    });
+
+    it('mark boards with power-up tiles', () => {
+        assert.strictEqual(encodeGameCode('K3X9QZ', 5, 'zor', true), 'K3X9QZ-5ZP');
+        assert.strictEqual(parseGameCode('K3X9QZ-5ZP').powerups, true);
+        assert.deepStrictEqual(parseGameCode('k3x9qz-5p'), { seed: 'K3X9QZ', size: 5, difficulty: 'orta', powerups: true, language: 'tr' });
+        assert.strictEqual(parseGameCode('K3X9QZ-5PZ'), null);
+    });
+});
@@ -0,0 +1,324 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+const GRID = [
+    ['K', 'A', 'P', 'I'],
+    ['İ', 'T', 'A', 'R'],
+    ['K', 'İ', 'B', 'A'],
+    ['Z', 'Z', 'Z', 'Z']
+];
+
+function createEngine(rules = createRules('hizli')) {
+    const engine = new GameEngine({ dictionary: testDictionary(), rules });
+    engine.setBoard(GRID);
+    const events = [];
+    ['selectionChanged', 'wordAccepted', 'wordRejected', 'tick', 'gameOver'].forEach(type => {
+        engine.on(type, data => events.push({ type, ...data }));
+    });
+    return { engine, events };
+}
+
+function select(engine, cells) {
+    cells.forEach(([r, c]) => engine.selectCell(r, c));
+}
+
+describe('GameEngine selection', () => {
+    let engine;
+    beforeEach(() => {
+        ({ engine } = createEngine());
+    });
+
+    it('extends with adjacent cells, diagonals included', () => {
+        select(engine, [[0, 0], [1, 1], [0, 2]]);
+        assert.strictEqual(engine.currentWord, 'KTP');
+    });
+
+    it('ignores cells that are not adjacent', () => {
+        assert.strictEqual(engine.selectCell(0, 0), 'added');
+        assert.strictEqual(engine.selectCell(2, 2), null);
+        assert.strictEqual(engine.currentWord, 'K');
+    });
+
+    it('ignores cells already in the path', () => {
+        select(engine, [[0, 0], [0, 1], [1, 1]]);
+        assert.strictEqual(engine.selectCell(0, 0), null);
+        assert.strictEqual(engine.currentWord, 'KAT');
+    });
+
+    it('backtracks when moving onto the previous cell', () => {
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        assert.strictEqual(engine.selectCell(0, 1), 'backtracked');
+        assert.strictEqual(engine.currentWord, 'KA');
+        // and can then go another way
+        engine.selectCell(1, 1);
+        assert.strictEqual(engine.currentWord, 'KAT');
+    });
+
+    it('ignores cells off the board', () => {
+        assert.strictEqual(engine.selectCell(-1, 0), null);
+        assert.strictEqual(engine.selectCell(0, 4), null);
+    });
+});
+
+describe('GameEngine submissions', () => {
+    let engine;
+    let events;
+    beforeEach(() => {
+        ({ engine, events } = createEngine());
+        engine.start();
+    });
+
+    it('accepts a dictionary word and scores it', () => {
+        select(engine, [[0, 0], [0, 1], [0, 2], [0, 3]]);
+        const result = engine.submit();
+        engine.stopClock();
+
+        assert.deepStrictEqual(result, { accepted: true, word: 'KAPI', points: 1 });
+        assert.strictEqual(engine.score, 1);
+        assert.ok(engine.foundWords.has('KAPI'));
+        assert.strictEqual(engine.currentWord, '', 'selection clears after submitting');
+        assert.ok(events.some(e => e.type === 'wordAccepted' && e.word === 'KAPI' && e.path.length === 4));
+    });
+
+    it('rejects duplicates, unknown and short words with a reason', () => {
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        engine.submit();
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        assert.strictEqual(engine.submit().reason, 'duplicate');
+        select(engine, [[0, 0], [0, 1], [1, 1]]);
+        assert.strictEqual(engine.submit().reason, 'unknown');
+        select(engine, [[0, 0], [0, 1]]);
+        assert.strictEqual(engine.submit({ auto: true }).reason, 'tooShort');
+        engine.stopClock();
+
+        const rejected = events.filter(e => e.type === 'wordRejected');
+        assert.deepStrictEqual(rejected.map(e => [e.reason, e.auto]), [
+            ['duplicate', false], ['unknown', false], ['tooShort', true]
+        ]);
+    });
+
+    it('keeps dotted İ and dotless I apart', () => {
+        // İ-K-İ down the left column is a word; the grid has no dotless I there
+        select(engine, [[1, 0], [2, 0], [2, 1]]);
+        assert.strictEqual(engine.submit().word, 'İKİ');
+        assert.strictEqual(engine.validate('IKI'), 'unknown');
+        engine.stopClock();
+    });
+
+    it('ignores submissions when not running', () => {
+        engine.pause();
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        assert.strictEqual(engine.submit(), null);
+    });
+});
+
+describe('GameEngine submission log', () => {
+    it('records every submission with its path, play time and outcome', (t) => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const { engine } = createEngine();
+        engine.start();
+
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        engine.submit();
+        t.mock.timers.tick(3000);
+        select(engine, [[0, 0], [0, 1], [0, 2]]);
+        engine.submit();
+        select(engine, [[0, 0], [0, 1], [1, 1]]);
+        engine.submit();
+        select(engine, [[0, 0], [0, 1]]);
+        engine.submit({ auto: true });
+        engine.submit(); // nothing selected: not a submission
+        engine.stopClock();
+
+        assert.deepStrictEqual(engine.submissions.map(s => [s.word, s.time, s.outcome, s.points]), [
+            ['KAP', 0, 'accepted', 1],
+            ['KAP', 3, 'duplicate', 0],
+            ['KAT', 3, 'unknown', 0],
+            ['KA', 3, 'tooShort', 0]
+        ]);
+        assert.deepStrictEqual(engine.submissions[0].path, [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }]);
+    });
+
+    it('finds paths for found and missed words', () => {
+        const { engine } = createEngine();
+        engine.start();
+        // K-A-P-I along the top row, found by the player
+        select(engine, [[0, 0], [0, 1], [0, 2], [0, 3]]);
+        engine.submit();
+        engine.stopClock();
+
+        assert.deepStrictEqual(engine.wordPath('KAPI'), [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }, { r: 0, c: 3 }]);
+        const path = engine.wordPath('KİTAP');
+        assert.strictEqual(path.map(({ r, c }) => GRID[r][c]).join(''), 'KİTAP');
+        assert.strictEqual(engine.wordPath('ARABA'), null);
+    });
+
+    it('takes the paths of a precomputed board instead of solving it', () => {
+        const engine = new GameEngine({ dictionary: testDictionary() });
+        const { words, paths } = solveBoard(GRID, testDictionary());
+        engine.dictionary = null; // any solving here would now throw
+        engine.setBoard(GRID, words, [], paths);
+        assert.deepStrictEqual(engine.wordPath('KİTAP'), paths['KİTAP']);
+        assert.ok(engine.maxScore > 0);
+
+        // Boards saved before paths were kept still play, scoring missed words by length
+        engine.setBoard(GRID, words);
+        assert.strictEqual(engine.wordPath('KİTAP'), null);
+        assert.strictEqual(engine.maxScore, words.reduce((sum, word) => sum + engine.getScore(word), 0));
+    });
+});
+
+describe('GameEngine scoring', () => {
+    it('uses the classic table with 8+ letters capped at 11', () => {
+        const { engine } = createEngine();
+        const scores = [3, 4, 5, 6, 7, 8, 12].map(len => engine.getScore('A'.repeat(len)));
+        assert.deepStrictEqual(scores, [1, 1, 2, 3, 5, 11, 11]);
+    });
+
+    it('follows the chosen scheme and minimum length', () => {
+        const { engine } = createEngine(createRules('ozel', { minLength: 4, scoring: 'harf' }));
+        assert.strictEqual(engine.getScore('KİTAP'), 5);
+        assert.strictEqual(engine.validate('KAP'), 'tooShort');
+        assert.ok(!engine.solution.includes('KAP'), 'solution respects the minimum length');
+        assert.ok(engine.solution.includes('KAPI'));
+    });
+});
+
+describe('GameEngine power-up tiles', () => {
+    const TILES = [{ r: 0, c: 0, type: 'DL' }, { r: 0, c: 3, type: 'DW' }, { r: 1, c: 1, type: 'TIME' }];
+
+    it('doubles letters and words on the path the word was spelled along', () => {
+        const { engine } = createEngine();
+        engine.setBoard(GRID, undefined, TILES);
+        // KAPI over DL and DW: five letters' worth, doubled
+        assert.strictEqual(engine.getScore('KAPI', [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }, { r: 0, c: 3 }]), 4);
+        assert.strictEqual(engine.getScore('KAPI'), 1);
+    });
+
+    it('adds time once per time tile', () => {
+        const { engine, events } = createEngine();
+        engine.setBoard(GRID, undefined, TILES);
+        engine.start();
+        select(engine, [[0, 0], [1, 0], [1, 1], [1, 2], [0, 2]]);
+        assert.deepStrictEqual(engine.submit(), { accepted: true, word: 'KİTAP', points: 3 });
+        assert.strictEqual(engine.timer, 55);
+
+        select(engine, [[1, 1], [1, 2], [0, 2], [0, 3]]);
+        engine.submit();
+        assert.strictEqual(engine.timer, 55);
+        assert.deepStrictEqual(events.filter(e => e.type === 'wordAccepted').map(e => [e.word, e.points, e.timeBonus]),
+            [['KİTAP', 3, 10], ['TAPI', 2, 0]]);
+        engine.stopClock();
+    });
+
+    it('reads the wildcard as the typed word, else as a word not found yet', () => {
+        const { engine } = createEngine();
+        const grid = GRID.map(row => [...row]);
+        grid[0][3] = WILDCARD;
+        engine.setBoard(grid, undefined, [{ r: 0, c: 3, type: 'WILD' }]);
+        engine.start();
+        const submitAra = (typed) => {
+            select(engine, [[1, 2], [1, 3], [0, 3]]);
+            return engine.submit({ typed }).word;
+        };
+        assert.strictEqual(submitAra('ARI'), 'ARI');
+        assert.strictEqual(submitAra(null), 'ARA');
+        select(engine, [[0, 0], [0, 1], [0, 2], [0, 3]]);
+        assert.strictEqual(engine.submit().word, 'KAPI');
+        engine.stopClock();
+    });
+});
+
+describe('GameEngine hints', () => {
+    let engine;
+    beforeEach(() => {
+        ({ engine } = createEngine());
+        engine.start();
+    });
+    afterEach(() => engine.stopClock());
+
+    it('reveals the shortest unfound word step by step at a rising cost', () => {
+        const steps = [engine.takeHint(), engine.takeHint(), engine.takeHint()];
+        assert.deepStrictEqual(steps.map(h => [h.taken, h.step, h.length, h.letters, h.cost]),
+            [[true, 0, null, null, 1], [true, 1, 3, null, 2], [true, 2, 3, 'AR', 3]]);
+        assert.deepStrictEqual(steps[0].start, { r: 1, c: 2 });
+        assert.strictEqual(engine.score, -6);
+        assert.strictEqual(engine.hintCostTotal, 6);
+        assert.deepStrictEqual(engine.hints.map(h => h.word), ['ARA', 'ARA', 'ARA']);
+    });
+
+    it('moves on once the word is fully revealed or found', () => {
+        engine.takeHint();
+        select(engine, [[1, 2], [1, 3], [2, 3]]);
+        engine.submit();
+        assert.strictEqual(engine.revealedHint, null);
+        assert.strictEqual(engine.takeHint().step, 0);
+        assert.strictEqual(engine.hint.word, 'ARI');
+    });
+
+    it('never hints a fully revealed word again', () => {
+        const words = [];
+        for (let result = engine.takeHint(); result.taken; result = engine.takeHint()) words.push(engine.hint.word);
+        assert.strictEqual(words.length, engine.solution.length * HINT_STEPS.length);
+        assert.strictEqual(new Set(words).size, engine.solution.length);
+        assert.deepStrictEqual(engine.takeHint(), { taken: false, reason: 'none' });
+    });
+
+    it('helps a player with no points yet, taking the score below zero', () => {
+        assert.strictEqual(engine.score, 0);
+        assert.strictEqual(engine.takeHint().taken, true);
+        assert.strictEqual(engine.score, -1);
+        select(engine, [[1, 2], [1, 3], [2, 3]]);
+        engine.submit();
+        assert.strictEqual(engine.score, 0);
+    });
+
+    it('gives nothing once the game is over', () => {
+        engine.finish();
+        assert.strictEqual(engine.takeHint(), null);
+        assert.deepStrictEqual(engine.hints, []);
+    });
+
+    it('picks the hinted word back up on restore', () => {
+        const hints = [{ word: 'KAPI', step: 0, cost: 1, time: 10 }, { word: 'KAPI', step: 1, cost: 2, time: 12 }];
+        engine.restore({ foundWords: [], score: 10, timer: 40, hints });
+        assert.strictEqual(engine.revealedHint.length, 4);
+        assert.strictEqual(engine.takeHint().letters, 'KA');
+    });
+});
+
+describe('hintCost', () => {
+    it('charges by the scoring scheme', () => {
+        assert.deepStrictEqual([0, 1, 2].map(step => hintCost(step, createRules('ozel', { scoring: 'harf' }))), [3, 6, 9]);
+    });
+});
+describe('GameEngine clock', () => {
+    it('ticks down and ends the game', (t) => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const { engine, events } = createEngine(createRules('ozel', { duration: 15 }));
+        engine.start();
+
+        t.mock.timers.tick(14000);
+        assert.strictEqual(engine.timer, 1);
+        t.mock.timers.tick(1000);
+
+        assert.strictEqual(engine.isActive, false);
+        assert.strictEqual(events.filter(e => e.type === 'tick').length, 15);
+        assert.strictEqual(events.filter(e => e.type === 'gameOver').length, 1);
+    });
+
+    it('stops counting while paused', (t) => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const { engine } = createEngine(createRules('ozel', { duration: 30 }));
+        engine.start();
+        t.mock.timers.tick(5000);
+        engine.pause();
+        t.mock.timers.tick(10000);
+        assert.strictEqual(engine.timer, 25);
+        engine.resume();
+        t.mock.timers.tick(5000);
+        assert.strictEqual(engine.timer, 20);
+        engine.stopClock();
+    });
+});
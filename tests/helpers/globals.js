@@ -0,0 +1,19 @@
+// Loads the game's browser scripts into Node.
+// In the browser each script sees the ones before it as globals (index.html
+// order); installing every module's exports on globalThis recreates that here.
+//
+// Run the suite with: node --test tests/
+
+const SCRIPTS = [
+    'dictionary', 'dictionary-en', 'definitions', 'word-index', 'i18n', 'seed', 'difficulty', 'board',
+    'morphology', 'lang-tr', 'lang-en', 'board-service', 'emitter', 'rules', 'modes', 'bot', 'engine', 'keyboard', 'party', 'daily', 'custom-dictionary', 'replay', 'share-card', 'scores', 'stats'
+];
+
+SCRIPTS.forEach(name => Object.assign(globalThis, require(`../../${name}.js`)));
+
+// Small fixed dictionary so expectations don't move when dictionary.js grows
+function testDictionary(words = ['KAPI', 'KAP', 'KİTAP', 'ARI', 'ARA', 'ARABA', 'IRAK', 'İKİ', 'TAPI']) {
+    return WordIndex.fromWords(words);
+}
+
+module.exports = { testDictionary };
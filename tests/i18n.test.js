@@ -0,0 +1,64 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+describe('language packs', () => {
+    afterEach(() => setLanguage(DEFAULT_LANGUAGE));
+
+    it('translate the same keys', () => {
+        assert.deepStrictEqual(Object.keys(ENGLISH_STRINGS).sort(), Object.keys(TURKISH_STRINGS).sort());
+    });
+
+    it('fold case by language', () => {
+        assert.strictEqual(getLanguagePack('tr').normalize('kitap'), 'KİTAP');
+        assert.strictEqual(getLanguagePack('en').normalize(' kite '), 'KITE');
+        assert.strictEqual(getLanguagePack('en').normalize('café'), 'CAFE');
+    });
+
+    it('fall back to the default language', () => {
+        assert.strictEqual(setLanguage('xx').id, DEFAULT_LANGUAGE);
+        assert.strictEqual(getLanguagePack('xx').id, DEFAULT_LANGUAGE);
+    });
+});
+
+describe('t', () => {
+    afterEach(() => setLanguage(DEFAULT_LANGUAGE));
+
+    it('fills placeholders', () => {
+        assert.strictEqual(t('history.code', { code: 'K3X9QZ-5' }), 'Kod: K3X9QZ-5');
+        assert.strictEqual(t('rules.minLength'), '{length}+ harf');
+    });
+
+    it('follows the active language', () => {
+        setLanguage('en');
+        assert.strictEqual(t('count.words', { count: 1 }), '1 word');
+        assert.strictEqual(t('count.words', { count: 1200 }), '1,200 words');
+        assert.strictEqual(t('mode.hunt'), 'Hunt');
+    });
+
+    it('returns unknown keys as they are', () => {
+        assert.strictEqual(t('no.such.key'), 'no.such.key');
+    });
+});
+
+describe('English boards', () => {
+    it('roll English dice and find English words', () => {
+        const { grid, words } = generateBoard(4, 'orta', languageDictionary('en'), 'ENGLISH', false, 'en');
+        grid.flat().forEach(letter => assert.ok(ENGLISH_ALPHABET.includes(letter), letter));
+        assert.ok(words.length >= MIN_PLAYABLE_WORDS);
+        words.forEach(word => assert.ok(englishWords.includes(word), word));
+    });
+
+    it('differ from the Turkish board for the same seed', () => {
+        const tr = generateBoard(4, 'orta', languageDictionary('tr'), 'SAMESEED');
+        const en = generateBoard(4, 'orta', languageDictionary('en'), 'SAMESEED', false, 'en');
+        assert.notDeepStrictEqual(en.grid, tr.grid);
+    });
+
+    it('carry the language in their game code', () => {
+        assert.strictEqual(encodeGameCode('K3X9QZ', 5, 'zor', true, 'en'), 'K3X9QZ-5ZPE');
+        assert.deepStrictEqual(parseGameCode('k3x9qz-5zpe'), { seed: 'K3X9QZ', size: 5, difficulty: 'zor', powerups: true, language: 'en' });
+        assert.strictEqual(parseGameCode('K3X9QZ-4E').language, 'en');
+        assert.strictEqual(parseGameCode('K3X9QZ-4EP'), null);
+    });
+});
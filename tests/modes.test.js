@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+const GRID = [
+    ['K', 'A', 'P', 'I'],
+    ['İ', 'T', 'A', 'R'],
+    ['K', 'İ', 'B', 'A'],
+    ['Z', 'Z', 'Z', 'Z']
+];
+
+function createEngine(mode) {
+    const engine = new GameEngine({ dictionary: testDictionary() });
+    engine.reset(createRules('hizli'), mode);
+    engine.setBoard(GRID);
+    const events = [];
+    ['wordAccepted', 'tick', 'gameOver'].forEach(type => {
+        engine.on(type, data => events.push({ type, ...data }));
+    });
+    return { engine, events };
+}
+
+function submit(engine, cells) {
+    cells.forEach(([r, c]) => engine.selectCell(r, c));
+    return engine.submit();
+}
+
+const KAPI = [[0, 0], [0, 1], [0, 2], [0, 3]];
+const ARA = [[1, 2], [1, 3], [2, 3]];
+
+describe('game modes', () => {
+    it('play daily, party and online rounds as classic', () => {
+        assert.strictEqual(playMode('zen'), 'zen');
+        ['daily', 'party', 'online', undefined].forEach(mode => assert.strictEqual(playMode(mode), 'classic'));
+        assert.strictEqual(startingTime('daily', createRules('uzun')), 300);
+        assert.strictEqual(startingTime('sprint', createRules('uzun')), SPRINT_START_SECONDS);
+        assert.strictEqual(startingTime('hunt', createRules('uzun')), null);
+    });
+
+    it('give Sprint words more time the longer they are', () => {
+        assert.deepStrictEqual(['ARA', 'KAPI', 'KİTAP'].map(sprintBonus), [2, 3, 4]);
+        assert.strictEqual(sprintBonus('A'.repeat(20)), SPRINT_MAX_BONUS);
+    });
+
+    it('pick reproducible hunt targets, long words first', () => {
+        const solution = ['ARA', 'ARI', 'KAP', 'KAPI', 'KİTAP', 'TAPI', 'İKİ', 'ARABA'];
+        const targets = huntTargets(solution, 'K3X9QZ');
+        assert.deepStrictEqual(huntTargets(solution, 'K3X9QZ'), targets);
+        assert.strictEqual(targets.length, HUNT_TARGETS);
+        ['KAPI', 'KİTAP', 'TAPI', 'ARABA'].forEach(word => assert.ok(targets.includes(word), word));
+        assert.deepStrictEqual(targets.map(w => w.length), [...targets.map(w => w.length)].sort((a, b) => a - b));
+        assert.deepStrictEqual(huntTargets(['ARA', 'ARI'], 'K3X9QZ').sort(), ['ARA', 'ARI']);
+    });
+
+    it('rank hunts by targets found, then by time', () => {
+        const games = [
+            { score: 9, played: 50, hunt: { found: 4 } },
+            { score: 2, played: 90, hunt: { found: 5 } },
+            { score: 3, played: 60, hunt: { found: 5 } }
+        ];
+        assert.deepStrictEqual([...games].sort(compareResults('hunt')).map(g => g.played), [60, 90, 50]);
+        assert.deepStrictEqual([...games].sort(compareResults('zen')).map(g => g.score), [9, 3, 2]);
+        assert.strictEqual(describeRanking({ mode: 'hunt', score: 3, played: 65, hunt: { found: 5, targets: Array(5) } }), '5/5 · 1:05');
+        assert.strictEqual(describeRanking({ mode: 'daily', score: 12 }), '12 Puan');
+    });
+});
+
+describe('GameEngine modes', () => {
+    it('counts time up in Zen and ends only on request', (t) => {
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const { engine, events } = createEngine('zen');
+        engine.start();
+        t.mock.timers.tick(600000);
+        assert.strictEqual(engine.isActive, true);
+        assert.strictEqual(engine.timer, null);
+        assert.strictEqual(engine.elapsed, 600);
+        assert.deepStrictEqual(events[events.length - 1], { type: 'tick', timer: null, elapsed: 600 });
+
+        submit(engine, KAPI);
+        engine.finish();
+        assert.deepStrictEqual(describeResult(engine), { title: 'Zen Tamam', summary: '7 kelimeden 1 tanesini buldun (%14) · 10:00' });
+    });
+
+    it('extends the Sprint clock with every word', () => {
+        const { engine, events } = createEngine('sprint');
+        engine.start();
+        assert.strictEqual(engine.timer, SPRINT_START_SECONDS);
+        submit(engine, KAPI);
+        submit(engine, ARA);
+        assert.strictEqual(engine.timer, SPRINT_START_SECONDS + 5);
+        assert.strictEqual(engine.timeWon, 5);
+        assert.deepStrictEqual(events.map(e => e.timeBonus), [3, 2]);
+        engine.stopClock();
+    });
+
+    it('ends the hunt when every target is found', () => {
+        const { engine, events } = createEngine('hunt');
+        engine.setTargets(['ARA', 'KAPI']);
+        engine.start();
+        submit(engine, KAPI);
+        assert.deepStrictEqual(engine.targetsFound, ['KAPI']);
+        assert.strictEqual(engine.isActive, true);
+
+        submit(engine, ARA);
+        assert.strictEqual(engine.huntComplete, true);
+        assert.strictEqual(engine.isActive, false);
+        assert.deepStrictEqual(events.map(e => e.type), ['wordAccepted', 'wordAccepted', 'gameOver']);
+        assert.strictEqual(describeResult(engine).title, 'Av Tamamlandı!');
+    });
+});
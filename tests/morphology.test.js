@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+describe('inflectTurkish', () => {
+    const forms = root => inflectTurkish(root);
+
+    it('follows vowel harmony', () => {
+        assert.ok(forms('EV').includes('EVLER'));
+        assert.ok(forms('ARABA').includes('ARABALAR'));
+        assert.ok(forms('KUŞ').includes('KUŞU'));
+        assert.ok(forms('GÖZ').includes('GÖZÜ'));
+        assert.ok(!forms('EV').includes('EVLAR'));
+    });
+
+    it('adds case endings with buffer letters', () => {
+        assert.ok(forms('EV').includes('EVDE'));
+        assert.ok(forms('KİTAP').includes('KİTAPTA'), 'D turns T after a voiceless consonant');
+        assert.ok(forms('ARABA').includes('ARABAYI'));
+        assert.ok(forms('ARABA').includes('ARABANIN'));
+        assert.ok(forms('ARABA').includes('ARABASINDA'), 'N after the third-person possessive');
+    });
+
+    it('softens the final consonant of polysyllabic stems before a vowel', () => {
+        assert.ok(forms('KİTAP').includes('KİTABI'));
+        assert.ok(forms('AĞAÇ').includes('AĞACA'));
+        assert.ok(forms('RENK').includes('RENGİ'));
+        assert.ok(forms('KUŞ').includes('KUŞU'));
+        assert.ok(!forms('KİTAP').includes('KİTAPI'));
+        assert.ok(forms('BALIK').includes('BALIKLIĞI'), 'derived stems soften too');
+    });
+
+    it('drops the last vowel of elided roots', () => {
+        assert.ok(forms('AKIL').includes('AKLI'));
+        assert.ok(forms('AKIL').includes('AKILLI'));
+        assert.ok(forms('KAYIP').includes('KAYBI'));
+    });
+
+    it('derives with -CI, -LIK, -LI and -SIZ', () => {
+        assert.ok(forms('BALIK').includes('BALIKÇI'));
+        assert.ok(forms('BALIK').includes('BALIKÇILAR'));
+        assert.ok(forms('ARABA').includes('ARABACI'));
+        assert.ok(forms('EV').includes('EVSİZ'));
+    });
+});
+
+describe('InflectedIndex', () => {
+    const index = new InflectedIndex(testDictionary(['KİTAP', 'EV', 'BALIK', 'ARA']), turkishEndings);
+
+    it('accepts listed words and their inflections', () => {
+        assert.ok(index.has('KİTAP'));
+        assert.ok(index.has('kitaplar'));
+        assert.ok(index.has('EVDE'));
+        assert.ok(index.has('BALIKÇI'));
+        assert.ok(!index.has('KİTAPI'));
+        assert.ok(!index.has('KİTA'));
+    });
+
+    it('names the root of inflected words only', () => {
+        assert.strictEqual(index.rootOf('KİTABI'), 'KİTAP');
+        assert.strictEqual(index.rootOf('balıkçılar'), 'BALIK');
+        assert.strictEqual(index.rootOf('KİTAP'), null);
+        assert.strictEqual(index.rootOf('MASA'), null);
+        assert.strictEqual(testDictionary().rootOf('KİTAP'), null);
+    });
+
+    it('lets the solver find inflected words on the board', () => {
+        // E V D
+        // L E E
+        // R Z Z
+        const grid = [['E', 'V', 'D'], ['L', 'E', 'E'], ['R', 'Z', 'Z']];
+        const words = solveGrid(grid, index);
+        assert.ok(words.includes('EVDE'));
+        assert.ok(words.includes('EVLER'));
+        assert.ok(!solveGrid(grid, index.base).includes('EVDE'));
+    });
+
+    it('matches wildcard patterns against inflected forms', () => {
+        assert.deepStrictEqual(index.matches('KİTAB*', '*').sort(), ['KİTABA', 'KİTABI']);
+    });
+});
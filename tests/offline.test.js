@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// sw.js only registers listeners at load, so a stub `self` is enough to read its lists
+const context = vm.createContext({ self: { addEventListener() {} } });
+vm.runInContext(read('sw.js'), context);
+const PRECACHE_URLS = vm.runInContext('PRECACHE_URLS', context);
+
+describe('service worker precache', () => {
+    it('covers every local script and stylesheet of the page', () => {
+        const html = read('index.html');
+        const assets = [...html.matchAll(/<(?:script src|link rel="(?:stylesheet|manifest|apple-touch-icon)" href)="([^"]+)"/g)]
+            .map(match => match[1])
+            .filter(url => !/^https?:/.test(url));
+        assert.ok(assets.length > 20);
+        assets.forEach(url => assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`));
+    });
+
+    it('covers the board worker and everything it imports', () => {
+        assert.ok(PRECACHE_URLS.includes('board-worker.js'));
+        const imports = /importScripts\(([^)]*)\)/.exec(read('board-worker.js'))[1].match(/[\w-]+\.js/g);
+        imports.forEach(url => assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`));
+    });
+
+    it('covers the files the stylesheets load', () => {
+        const stylesheets = PRECACHE_URLS.filter(url => url.endsWith('.css'));
+        const assets = stylesheets.flatMap(file => [...read(file).matchAll(/url\('([^']+)'\)/g)].map(match => match[1]));
+        assert.ok(assets.includes('fonts/Inter-LatinExt.woff2'));
+        assets.forEach(url => assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`));
+    });
+
+    it('covers the manifest icons', () => {
+        JSON.parse(read('manifest.webmanifest')).icons
+            .forEach(icon => assert.ok(PRECACHE_URLS.includes(icon.src), `${icon.src} is not precached`));
+    });
+
+    it('lists only files that exist', () => {
+        PRECACHE_URLS.filter(url => url !== './')
+            .forEach(url => assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} is missing`));
+    });
+});
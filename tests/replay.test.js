@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+const SUBMISSIONS = [
+    { word: 'KAP', path: [], time: 2, outcome: 'accepted', points: 1 },
+    { word: 'KAP', path: [], time: 5, outcome: 'duplicate', points: 0 },
+    { word: 'KİTAP', path: [], time: 65, outcome: 'accepted', points: 2 }
+];
+
+describe('replayFrames', () => {
+    it('starts from an empty board and keeps running totals', () => {
+        const frames = replayFrames(SUBMISSIONS);
+        assert.strictEqual(frames.length, 4);
+        assert.strictEqual(frames[0].submission, null);
+        assert.deepStrictEqual(frames.map(f => [f.found, f.score]), [[0, 0], [1, 1], [1, 1], [2, 3]]);
+    });
+
+    it('takes hint costs off the running score in order of play', () => {
+        const frames = replayFrames(SUBMISSIONS, [{ word: 'KİTAP', step: 0, cost: 1, time: 5 }]);
+        assert.deepStrictEqual(frames.map(f => [Boolean(f.hint), f.found, f.score]),
+            [[false, 0, 0], [false, 1, 1], [false, 1, 1], [true, 1, 0], [false, 2, 2]]);
+        assert.strictEqual(describeFrame(frames[3]), '0:05 · İpucu · -1 puan');
+    });
+});
+
+describe('describeFrame', () => {
+    it('shows the play time, word and result', () => {
+        const frames = replayFrames(SUBMISSIONS);
+        assert.strictEqual(describeFrame(frames[0]), 'Oyunun başı');
+        assert.strictEqual(describeFrame(frames[2]), '0:05 · KAP · Zaten bulundu');
+        assert.strictEqual(describeFrame(frames[3]), '1:05 · KİTAP · +2 puan');
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { MAX_FRAME_BYTES, server, encodeFrame, decodeFrames } = require('../server/room-server');
+
+let port;
+
+// A raw WebSocket connection: resolves to `send(text)`, which resolves to the
+// first message the server answers with
+function connect() {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, 'localhost', () => {
+            socket.write([
+                'GET / HTTP/1.1',
+                'Host: localhost',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version: 13',
+                '', ''
+            ].join('\r\n'));
+        });
+        socket.on('error', reject);
+        socket.once('data', () => resolve({
+            socket,
+            send: text => new Promise(answer => {
+                socket.once('data', chunk => answer(JSON.parse(decodeFrames(chunk).frames[0].payload.toString('utf8'))));
+                socket.write(encodeFrame(text));
+            })
+        }));
+    });
+}
+
+describe('room server', () => {
+    before(() => new Promise(resolve => server.listen(0, 'localhost', () => {
+        port = server.address().port;
+        resolve();
+    })));
+    after(() => {
+        server.close();
+        server.closeAllConnections();
+    });
+
+    it('answers malformed paths with 400 and keeps serving', async () => {
+        const get = url => new Promise((resolve, reject) => {
+            http.get({ host: 'localhost', port, path: url }, res => {
+                res.resume();
+                resolve(res.statusCode);
+            }).on('error', reject);
+        });
+        assert.strictEqual(await get('/%E0%A4%A'), 400);
+        assert.strictEqual(await get('/no-such-file.js'), 404);
+    });
+
+    it('rejects messages that are not objects', async () => {
+        const { socket, send } = await connect();
+        for (const text of ['null', '42', '[]', '{']) {
+            assert.strictEqual((await send(text)).code, 'badMessage', text);
+        }
+        assert.strictEqual((await send('{"type":"nope"}')).code, 'unknownMessage');
+        socket.destroy();
+    });
+
+    it('closes connections that send oversized frames', async () => {
+        const { socket } = await connect();
+        const received = [];
+        socket.on('data', chunk => received.push(chunk));
+        const closed = new Promise(resolve => socket.on('close', resolve));
+        // Only the header: the server must not wait to buffer the payload
+        const header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(MAX_FRAME_BYTES + 1), 2);
+        socket.write(header);
+        await closed;
+        assert.strictEqual(decodeFrames(Buffer.concat(received)).frames[0].opcode, 0x8);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+// In-memory stand-in for the browser's localStorage
+function memoryStorage(entries = {}) {
+    const data = new Map(Object.entries(entries));
+    return {
+        data,
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+function game(id, score, extra = {}) {
+    return { id, nickname: 'Ada', size: 4, mode: 'classic', score, words: [], timestamp: score, ...extra };
+}
+
+describe('loadStore', () => {
+    afterEach(() => delete globalThis.localStorage);
+
+    it('starts empty', () => {
+        globalThis.localStorage = memoryStorage();
+        assert.deepStrictEqual(loadStore(), { version: STORAGE_VERSION, games: [] });
+    });
+
+    it('upgrades v1 top-10 scores into game records', () => {
+        const legacy = [{ score: 12, date: '3 Eki', timestamp: 1000 }];
+        globalThis.localStorage = memoryStorage({ [LEGACY_SCORES_KEY]: JSON.stringify(legacy) });
+        const store = loadStore();
+        assert.strictEqual(store.version, STORAGE_VERSION);
+        assert.deepStrictEqual(store.games.map(g => [g.id, g.score, g.date, g.mode]), [['legacy-1000', 12, '3 Eki', 'classic']]);
+        assert.ok(!localStorage.data.has(LEGACY_SCORES_KEY));
+        assert.deepStrictEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), store);
+    });
+
+    it('treats a stored value that is not a store as no store', () => {
+        ['null', '42', '[]', '{"games": []}', '{"version": "2", "games": []}', 'not json'].forEach(stored => {
+            globalThis.localStorage = memoryStorage({ [STORAGE_KEY]: stored });
+            assert.deepStrictEqual(loadStore(), { version: STORAGE_VERSION, games: [] }, stored);
+        });
+    });
+});
+
+describe('saving the store', () => {
+    beforeEach(() => {
+        globalThis.localStorage = memoryStorage();
+    });
+    afterEach(() => delete globalThis.localStorage);
+
+    it('keeps the newest MAX_HISTORY games', () => {
+        const store = { version: STORAGE_VERSION, games: [] };
+        for (let i = 0; i <= MAX_HISTORY; i++) addGameRecord(store, game(`g${i}`, i));
+        assert.strictEqual(store.games.length, MAX_HISTORY);
+        assert.strictEqual(store.games[0].id, `g${MAX_HISTORY}`);
+    });
+
+    it('reports a full storage instead of throwing', () => {
+        localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+        const store = { version: STORAGE_VERSION, games: [] };
+        assert.strictEqual(addGameRecord(store, game('a', 5)), false);
+        assert.strictEqual(store.games.length, 1);
+    });
+});
+
+describe('topScores', () => {
+    const games = [
+        game('a', 5),
+        game('b', 9, { size: 5 }),
+        game('c', 7),
+        game('d', 3, { nickname: 'Can' })
+    ];
+
+    it('ranks by score within the filters', () => {
+        assert.deepStrictEqual(topScores(games, { mode: 'classic' }).map(g => g.id), ['b', 'c', 'a', 'd']);
+        assert.deepStrictEqual(topScores(games, { size: '4', nickname: 'Ada' }).map(g => g.id), ['c', 'a']);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+const GRID = [
+    ['K', 'A', 'P', 'I'],
+    ['İ', 'T', 'A', 'R'],
+    ['K', 'İ', 'B', 'A'],
+    ['Z', 'Z', 'Z', 'Z']
+];
+
+// A 2D context that only records the text drawn on it
+function recordingContext() {
+    const texts = [];
+    return {
+        texts,
+        fillRect() {},
+        beginPath() {},
+        rect() {},
+        fill() {},
+        measureText: value => ({ width: value.length * 40 }),
+        fillText(value) { texts.push(value); }
+    };
+}
+
+describe('longestWord', () => {
+    it('prefers length, then alphabetical order', () => {
+        assert.strictEqual(longestWord(new Set(['KAP', 'TAPI', 'KAPI'])), 'KAPI');
+        assert.strictEqual(longestWord(new Set()), null);
+    });
+});
+
+describe('shareCardData', () => {
+    it('sums up the finished game', () => {
+        const engine = new GameEngine({ dictionary: testDictionary(), rules: createRules('hizli') });
+        engine.setBoard(GRID);
+        engine.restore({ foundWords: ['KAP', 'KİTAP'], score: 3, timer: 0 });
+        assert.deepStrictEqual(shareCardData(engine, 'Ayşe'),
+            { nickname: 'Ayşe', grid: GRID, score: 3, found: 2, possible: engine.solution.length, longest: 'KİTAP' });
+    });
+});
+
+describe('drawShareCard', () => {
+    it('draws the logo, nickname, letters and results', () => {
+        const ctx = recordingContext();
+        drawShareCard(ctx, { nickname: 'Ayşe', grid: GRID, score: 3, found: 2, possible: 7, longest: 'KİTAP' });
+        ['KELİME ', 'BULAMAMA', 'Ayşe', '3', '2 / 7 kelime', 'En Uzun Kelime: KİTAP']
+            .forEach(value => assert.ok(ctx.texts.includes(value), value));
+        assert.strictEqual(ctx.texts.filter(value => value === 'Z').length, 4);
+    });
+
+    it('shows the wildcard tile with its star, as the board does', () => {
+        const ctx = recordingContext();
+        const grid = GRID.map(row => [...row]);
+        grid[0][3] = WILDCARD;
+        drawShareCard(ctx, { nickname: '', grid, score: 0, found: 0, possible: 7, longest: null });
+        assert.ok(ctx.texts.includes(WILDCARD_FACE));
+        assert.ok(!ctx.texts.includes(WILDCARD));
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+// K A P I
+// İ T A R
+// K İ B A
+// Z Z Z Z
+const GRID = [
+    ['K', 'A', 'P', 'I'],
+    ['İ', 'T', 'A', 'R'],
+    ['K', 'İ', 'B', 'A'],
+    ['Z', 'Z', 'Z', 'Z']
+];
+
+describe('solveGrid', () => {
+    const index = testDictionary();
+
+    it('finds every dictionary word along adjacent paths', () => {
+        const words = solveGrid(GRID, index).sort();
+        assert.deepStrictEqual(words, ['ARA', 'ARI', 'KAP', 'KAPI', 'KİTAP', 'TAPI', 'İKİ'].sort());
+    });
+
+    it('never reuses a cell within one word', () => {
+        // A-R-A-B is on the board, but the final A would have to reuse a cell
+        assert.ok(!solveGrid(GRID, testDictionary()).includes('ARABA'));
+        const grid = [['A', 'R'], ['B', 'Z']];
+        assert.deepStrictEqual(solveGrid(grid, WordIndex.fromWords(['ARA'])), []);
+    });
+
+    it('skips words shorter than three letters', () => {
+        const grid = [['E', 'V'], ['Z', 'Z']];
+        assert.deepStrictEqual(solveGrid(grid, WordIndex.fromWords(['EV'])), []);
+    });
+});
+
+describe('solveGridPaths', () => {
+    it('gives each word a path of adjacent, distinct cells spelling it', () => {
+        const paths = solveGridPaths(GRID, testDictionary());
+        assert.deepStrictEqual([...paths.keys()].sort(), solveGrid(GRID, testDictionary()).sort());
+        paths.forEach((path, word) => {
+            assert.strictEqual(path.map(({ r, c }) => GRID[r][c]).join(''), word);
+            assert.strictEqual(new Set(path.map(({ r, c }) => `${r},${c}`)).size, path.length);
+            path.slice(1).forEach((cell, i) => assert.ok(GameEngine.isAdjacent(path[i], cell)));
+        });
+    });
+});
+
+describe('generateBoard', () => {
+    const index = WordIndex.fromWords(commonWords);
+
+    it('is reproducible for a seed', () => {
+        const a = generateBoard(4, 'orta', index, 'K3X9QZ');
+        const b = generateBoard(4, 'orta', index, 'K3X9QZ');
+        assert.deepStrictEqual(a.grid, b.grid);
+        assert.deepStrictEqual(a.words, b.words);
+    });
+
+    it('returns the solution of the grid it returns', () => {
+        const { grid, words } = generateBoard(5, 'orta', index, 'SOLVED');
+        assert.deepStrictEqual(words.sort(), solveGrid(grid, index).sort());
+    });
+
+    it('returns a path on the grid for every word', () => {
+        const { grid, words, paths } = generateBoard(4, 'orta', index, 'K3X9QZ');
+        assert.deepStrictEqual(Object.keys(paths).sort(), [...words].sort());
+        words.forEach(word => assert.strictEqual(paths[word].map(({ r, c }) => grid[r][c]).join(''), word));
+    });
+});
+
+describe('power-up tiles', () => {
+    const index = WordIndex.fromWords(commonWords);
+
+    it('leave plain boards of a seed unchanged', () => {
+        const plain = buildGridData(5, createRng(hashSeed('TILES')));
+        const party = buildGridData(5, createRng(hashSeed('TILES')), true);
+        assert.deepStrictEqual(plain.tiles, []);
+        party.tiles.forEach(({ r, c, type }) => {
+            if (type === 'WILD') assert.strictEqual(party.grid[r][c], WILDCARD);
+            party.grid[r][c] = plain.grid[r][c];
+        });
+        assert.deepStrictEqual(party.grid, plain.grid);
+    });
+
+    it('are placed reproducibly on distinct cells, as many as the size calls for', () => {
+        GRID_SIZES.forEach(size => {
+            const { tiles } = generateBoard(size, 'orta', index, 'TILES', true);
+            assert.deepStrictEqual(generateBoard(size, 'orta', index, 'TILES', true).tiles, tiles);
+            const expected = Object.values(TILE_COUNTS[size]).reduce((sum, n) => sum + n, 0);
+            assert.strictEqual(new Set(tiles.map(({ r, c }) => `${r},${c}`)).size, expected);
+        });
+    });
+
+    it('let the wildcard stand for any letter', () => {
+        const grid = GRID.map(row => [...row]);
+        grid[0][3] = WILDCARD;
+        const words = solveGrid(grid, testDictionary());
+        ['KAPI', 'ARA', 'ARI'].forEach(word => assert.ok(words.includes(word), word));
+        assert.ok(findPaths(grid, 'KAPI').some(path => path.some(({ r, c }) => r === 0 && c === 3)));
+    });
+});
+
+describe('validateDice', () => {
+    it('accepts the bundled sets', () => {
+        GRID_SIZES.forEach(size => assert.doesNotThrow(() => validateDice(DICE_SETS[size], size)));
+    });
+
+    it('rejects wrong counts, face counts and foreign letters', () => {
+        assert.throws(() => validateDice(DICE_SETS[4].slice(1), 4), /expected 16 dice/);
+        assert.throws(() => validateDice(['AEEGN', ...DICE_SETS[4].slice(1)], 4), /5 faces/);
+        assert.throws(() => validateDice(['AEEGmN', ...DICE_SETS[4].slice(1)], 4), /invalid face "m"/);
+        assert.throws(() => validateDice(['BJKQXZ', ...DICE_SETS[4].slice(1)], 4), /invalid face "Q"/);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/globals');
+
+function record(id, timestamp, size, score, words, extra = {}) {
+    return { id, timestamp, nickname: 'Ada', size, mode: 'classic', score, played: 60, words, rejections: null, ...extra };
+}
+
+const RECORDS = [
+    record('c', 3000, 5, 12, ['KİTAP', 'KAPI'], { rejections: { duplicate: 1, tooShort: 0, unknown: 1 } }),
+    record('b', 2000, 4, 4, ['KAPI', 'ARA', 'ARI']),
+    record('a', 1000, 4, 8, ['KAPI'], { played: 120 })
+];
+
+describe('computeStats', () => {
+    const stats = computeStats(RECORDS);
+
+    it('summarizes each board size', () => {
+        assert.strictEqual(stats.played, 3);
+        assert.deepStrictEqual(stats.bySize[4], { played: 2, total: 12, best: 8, average: 6 });
+        assert.deepStrictEqual(stats.bySize[5], { played: 1, total: 12, best: 12, average: 12 });
+    });
+
+    it('measures words per minute over play time', () => {
+        assert.strictEqual(stats.wordsPerMinute, 6 / 4);
+    });
+
+    it('finds the longest and the most found words', () => {
+        assert.strictEqual(stats.longestWord, 'KİTAP');
+        assert.deepStrictEqual(stats.topWords[0], { word: 'KAPI', count: 3 });
+    });
+
+    it('takes the rejection rate only from games that tracked it', () => {
+        assert.strictEqual(stats.rejectionRate, 2 / 4);
+        assert.strictEqual(computeStats([RECORDS[1]]).rejectionRate, null);
+    });
+
+    it('lists the trend oldest first', () => {
+        assert.deepStrictEqual(stats.trend, [8, 4, 12]);
+    });
+});
+
+describe('countRejections', () => {
+    it('ignores stray drag taps', () => {
+        const submissions = [
+            { outcome: 'accepted' }, { outcome: 'unknown' }, { outcome: 'tooShort', auto: true },
+            { outcome: 'tooShort', auto: false }, { outcome: 'duplicate' }
+        ];
+        assert.deepStrictEqual(countRejections(submissions), { duplicate: 1, tooShort: 1, unknown: 1 });
+    });
+});
+
+describe('stats export', () => {
+    it('round-trips records and games', () => {
+        const text = exportStats({ records: RECORDS }, { games: [RECORDS[0]] });
+        const parsed = parseStatsExport(text);
+        assert.deepStrictEqual(parsed.records, RECORDS);
+        assert.deepStrictEqual(parsed.games, [RECORDS[0]]);
+    });
+
+    it('rejects other files and drops malformed entries', () => {
+        assert.strictEqual(parseStatsExport('not json'), null);
+        assert.strictEqual(parseStatsExport('{"records": []}'), null);
+        const parsed = parseStatsExport(JSON.stringify({ type: 'kelime-bulamama-istatistik', records: [RECORDS[0], { id: 1 }] }));
+        assert.deepStrictEqual(parsed, { records: [RECORDS[0]], games: [] });
+    });
+
+    it('only takes fields in the shape the game writes them', () => {
+        const game = { ...RECORDS[0], size: 2, date: '3 Eki', grid: [['K', 'A'], ['P', 'I']] };
+        const crafted = [
+            { ...game, id: 7 },
+            { ...game, size: '2' },
+            { ...game, date: { html: '<img>' } },
+            { ...game, words: ['KAPI', { toString: null }] },
+            { ...game, grid: [['<img src=x>', 'A'], ['P', 'I']] },
+            { ...game, grid: [['K', 'A'], ['P']] },
+            { ...game, rejections: { unknown: '<b>' } },
+            { ...game, difficulty: { level: 'imkansiz', score: 80 } },
+            { ...game, difficulty: { level: 'constructor', score: 80 } },
+            { ...game, rules: { preset: '<b>', duration: 45, minLength: 3, scoring: 'klasik' } },
+            { ...game, tiles: [{ r: 0, c: 0, type: 'BOOM' }] },
+            { ...game, tiles: { length: 1 } },
+            { ...game, bot: { level: 'orta', score: 3, words: 'KAPI' } }
+        ];
+        const parsed = parseStatsExport(JSON.stringify({ type: 'kelime-bulamama-istatistik', records: [], games: [game, ...crafted] }));
+        assert.deepStrictEqual(parsed.games, [game]);
+    });
+
+    it('keeps games with the settings the game writes', () => {
+        const game = {
+            ...RECORDS[0], size: 2, grid: [['K', 'A'], ['P', WILDCARD]], seed: 'K3X9QZ',
+            difficulty: { level: 'zor', score: 61 }, rules: createRules('hizli'),
+            tiles: [{ r: 1, c: 1, type: 'WILD' }], bot: { level: 'uzman', score: 4, words: ['KAPI'] }
+        };
+        const parsed = parseStatsExport(JSON.stringify({ type: 'kelime-bulamama-istatistik', records: [], games: [game] }));
+        assert.deepStrictEqual(parsed.games, [game]);
+    });
+
+    it('merges imports by id, newest first', () => {
+        const merged = mergeRecords(RECORDS.slice(1), [RECORDS[0], { ...RECORDS[2], score: 9 }], 10);
+        assert.deepStrictEqual(merged.map(r => [r.id, r.score]), [['c', 12], ['b', 4], ['a', 9]]);
+        assert.strictEqual(mergeRecords(RECORDS, [], 2).length, 2);
+    });
+});
+
+describe('charts', () => {
+    it('draw one point per value and one bar per entry', () => {
+        assert.strictEqual((lineChartSvg([1, 5, 3]).match(/<circle/g) || []).length, 3);
+        assert.strictEqual((barChartSvg([{ label: 'KAPI', value: 3 }, { label: 'ARA', value: 1 }]).match(/<rect/g) || []).length, 2);
+        assert.strictEqual(lineChartSvg([]), '');
+    });
+});
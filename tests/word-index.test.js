@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { testDictionary } = require('./helpers/globals');
+
+describe('normalizeWord', () => {
+    it('uses Turkish dotted and dotless i', () => {
+        assert.strictEqual(normalizeWord('kitap'), 'KİTAP');
+        assert.strictEqual(normalizeWord('ırak'), 'IRAK');
+        assert.strictEqual(normalizeWord('çiğ'), 'ÇİĞ');
+    });
+
+    it('folds circumflex letters and trims', () => {
+        assert.strictEqual(normalizeWord(' kâğıt '), 'KAĞIT');
+        assert.strictEqual(normalizeWord('Îman'), 'İMAN');
+    });
+});
+
+describe('WordIndex', () => {
+    const index = testDictionary();
+
+    it('finds whole words in any case', () => {
+        assert.ok(index.has('KİTAP'));
+        assert.ok(index.has('kitap'));
+        assert.ok(!index.has('KITAP'), 'dotless I is a different letter');
+        assert.ok(!index.has('KİTA'));
+    });
+
+    it('answers prefix queries', () => {
+        assert.ok(index.hasPrefix('KA'));
+        assert.ok(index.hasPrefix('ARAB'));
+        assert.ok(!index.hasPrefix('ZE'));
+    });
+
+    it('counts each distinct word once', () => {
+        const dup = WordIndex.fromWords(['EV', 'ev', 'EV ']);
+        assert.strictEqual(dup.size, 1);
+    });
+
+    it('walks from an intermediate node', () => {
+        const node = index.getNode('AR');
+        assert.ok(index.getNode('ABA', node).isWord);
+        assert.strictEqual(index.getNode('Z', node), null);
+    });
+
+    it('matches patterns with a wildcard', () => {
+        assert.deepStrictEqual(index.matches('AR*', '*').sort(), ['ARA', 'ARI']);
+        assert.deepStrictEqual(index.matches('ARA', '*'), ['ARA']);
+        assert.deepStrictEqual(index.matches('Z*', '*'), []);
+    });
+});
@@ -0,0 +1,106 @@
+// Transports connect a game to other players.
+// BoggleGame calls the hooks below at fixed points (startGame, startCountdown,
+// submitWord, endGame); a transport forwards what it needs and reports back
+// through events. LocalTransport is the solo default and does nothing.
+
+class Transport extends Emitter {
+    get isNetworked() {
+        return false;
+    }
+
+    // Hooks called by the game
+    gameStarting(info) { }
+    countdownFinished() { }
+    wordAccepted(word) { }
+    gameFinished(result) { }
+    leave() { }
+}
+
+class LocalTransport extends Transport { }
+
+// Server errors carry a `code` the client words in its own language; the
+// server's `message` is the fallback for codes this client doesn't know
+function serverErrorText(msg) {
+    const key = `server.${msg.code}`;
+    const text = t(key);
+    return text === key ? msg.message : text;
+}
+
+// Talks to server/room-server.js.
+// Events: 'joined', 'players', 'start', 'results', 'error', 'disconnected'
+class WebSocketTransport extends Transport {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.id = null;
+        this.hostId = null;
+        this.players = [];
+    }
+
+    get isNetworked() {
+        return true;
+    }
+
+    get isHost() {
+        return this.id !== null && this.id === this.hostId;
+    }
+
+    // Resolves once the server has placed us in the room
+    connect(room, name) {
+        return new Promise((resolve, reject) => {
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            this.socket.addEventListener('open', () => this.send({ type: 'join', room, name }));
+            this.socket.addEventListener('message', (e) => {
+                const msg = JSON.parse(e.data);
+                if (msg.type === 'joined') {
+                    this.id = msg.id;
+                    this.room = msg.room;
+                    resolve(msg);
+                } else if (msg.type === 'error' && this.id === null) {
+                    reject(new Error(serverErrorText(msg)));
+                    this.socket.close();
+                    return;
+                } else if (msg.type === 'players') {
+                    this.hostId = msg.hostId;
+                    this.players = msg.players;
+                }
+                this.emit(msg.type, msg);
+            });
+            this.socket.addEventListener('error', () => reject(new Error(t('online.connectFailed'))));
+            this.socket.addEventListener('close', () => {
+                if (this.id !== null) this.emit('disconnected');
+                this.id = null;
+            });
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    requestStart(size, rules, difficulty, powerups, language) {
+        this.send({ type: 'start', size, rules, difficulty, powerups, language });
+    }
+
+    wordAccepted(word) {
+        this.send({ type: 'word', word });
+    }
+
+    gameFinished({ words }) {
+        this.send({ type: 'finish', words });
+    }
+
+    leave() {
+        this.id = null; // a deliberate leave is not a disconnect
+        if (this.socket) this.socket.close();
+    }
+}
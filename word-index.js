@@ -0,0 +1,100 @@
+// Prefix index (trie) over the dictionary.
+// Built once at startup so the solver can walk the trie alongside the DFS
+// instead of scanning the whole word list at every step. Words are stored the
+// way `normalize` spells them; the default is Turkish (see lang-*.js for others).
+
+// Letters with a circumflex are written both ways in Turkish (KÂĞIT / KAĞIT).
+// Dice never show them, so fold them onto their plain forms.
+const CIRCUMFLEX_MAP = { 'Â': 'A', 'Î': 'İ', 'Û': 'U' };
+
+function normalizeWord(word) {
+    return word
+        .trim()
+        .toLocaleUpperCase('tr-TR')
+        .replace(/[ÂÎÛ]/g, ch => CIRCUMFLEX_MAP[ch]);
+}
+
+class WordIndex {
+    constructor(normalize = normalizeWord) {
+        this.normalize = normalize;
+        this.root = WordIndex.createNode();
+        this.size = 0;
+    }
+
+    static createNode() {
+        return { children: new Map(), isWord: false };
+    }
+
+    static fromWords(words, normalize = normalizeWord) {
+        const index = new WordIndex(normalize);
+        words.forEach(word => index.add(word));
+        return index;
+    }
+
+    add(word) {
+        const normalized = this.normalize(word);
+        if (!normalized) return;
+
+        let node = this.root;
+        for (const ch of normalized) {
+            let next = node.children.get(ch);
+            if (!next) {
+                next = WordIndex.createNode();
+                node.children.set(ch, next);
+            }
+            node = next;
+        }
+
+        if (!node.isWord) {
+            node.isWord = true;
+            this.size++;
+        }
+    }
+
+    // Returns the trie node reached by `prefix`, or null if no word starts with it.
+    // Pass `from` to continue a walk from an intermediate node (used by the solver).
+    getNode(prefix, from = this.root) {
+        let node = from;
+        for (const ch of prefix) {
+            node = node.children.get(ch);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    hasPrefix(prefix) {
+        return this.getNode(this.normalize(prefix)) !== null;
+    }
+
+    has(word) {
+        const node = this.getNode(this.normalize(word));
+        return node !== null && node.isWord;
+    }
+
+    // The listed word `word` is an inflection of; plain indexes list every form (see InflectedIndex)
+    rootOf(word) {
+        return null;
+    }
+
+    // Every word spelled by `pattern`, where `wildcard` stands for any one letter
+    matches(pattern, wildcard) {
+        const letters = [...this.normalize(pattern)];
+        const words = [];
+        const walk = (node, i, prefix) => {
+            if (i === letters.length) {
+                if (node.isWord) words.push(prefix);
+                return;
+            }
+            if (letters[i] === wildcard) {
+                node.children.forEach((child, ch) => walk(child, i + 1, prefix + ch));
+            } else {
+                const child = node.children.get(letters[i]);
+                if (child) walk(child, i + 1, prefix + letters[i]);
+            }
+        };
+        walk(this.root, 0, '');
+        return words;
+    }
+}
+
+if (typeof module !== 'undefined') module.exports = { normalizeWord, WordIndex };